@@ -0,0 +1,302 @@
+// FILE: api/_lib/aiProxy.js
+// Server-side AI proxy shared by the Vercel function (api/ai.js) and the local
+// dev server (scripts/devProxy.js). The browser builds provider-shaped requests
+// against /api/ai/<provider path>; this module adds the API key, enforces
+// per-client rate limits and size caps, and forwards the call upstream.
+// Files under api/_lib are not exposed as Vercel functions.
+
+// Provider endpoints the proxy is willing to forward. Anything else is rejected
+// so the key can't be used against other upstream APIs (files, fine-tuning, ...).
+const ALLOWED_PATHS = {
+  'chat/completions': 'bearer', // OpenAI and OpenAI-compatible servers
+  'messages': 'anthropic',      // Anthropic Messages API
+  'api/chat': 'bearer'          // Ollama
+};
+
+// Only these client headers are passed through; auth is always added server-side
+const FORWARDED_HEADERS = ['content-type', 'anthropic-version', 'anthropic-beta'];
+
+const toNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Read proxy settings from server-side environment variables
+ * @param {Object} env - Usually process.env
+ * @returns {Object} - Proxy configuration
+ */
+function readProxyConfig(env = process.env) {
+  return {
+    upstreamUrl: (env.AI_UPSTREAM_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: env.AI_API_KEY || env.OPENAI_API_KEY || null,
+    model: env.AI_MODEL || null,
+    rateLimitWindowMs: toNumber(env.AI_PROXY_RATE_WINDOW_MS, 60000),
+    rateLimitMax: toNumber(env.AI_PROXY_RATE_LIMIT, 30),
+    maxBodyBytes: toNumber(env.AI_PROXY_MAX_BODY_BYTES, 256 * 1024),
+    maxTokens: toNumber(env.AI_PROXY_MAX_TOKENS, 4096),
+    timeoutMs: toNumber(env.AI_PROXY_TIMEOUT_MS, 180000)
+  };
+}
+
+/**
+ * Fixed-window rate limiter keyed by client id.
+ * State lives in memory, so on serverless it is per warm instance: good enough
+ * to stop a runaway tab or a casual scraper, not a distributed attacker.
+ * @param {Object} options - { windowMs, max }
+ * @returns {{ check: Function }}
+ */
+function createRateLimiter({ windowMs, max }) {
+  const clients = new Map();
+
+  const check = (clientId, now = Date.now()) => {
+    let entry = clients.get(clientId);
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(clientId, entry);
+    }
+    entry.count += 1;
+
+    // Drop expired entries now and then so the map can't grow without bound
+    if (clients.size > 1000) {
+      for (const [id, value] of clients) {
+        if (now >= value.resetAt) clients.delete(id);
+      }
+    }
+
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(0, max - entry.count),
+      retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  };
+
+  return { check };
+}
+
+/**
+ * Client identifier for rate limiting
+ * Clients can send any X-Forwarded-For they like, and proxies append to it, so
+ * only the last hop (added by the platform's edge, e.g. Vercel) can be trusted;
+ * earlier hops would let a caller get a fresh window per request. Without the
+ * header (the local dev server) the socket address is used.
+ * @param {IncomingMessage} req - Request
+ * @returns {string}
+ */
+function getClientId(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    const hops = String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[hops.length - 1];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Resolve the provider path being proxied, e.g. "chat/completions".
+ * Vercel rewrites pass it as ?path=, the dev server leaves it in the URL.
+ * @param {IncomingMessage} req - Request
+ * @returns {string}
+ */
+function getProxyPath(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const fromQuery = url.searchParams.get('path');
+  const raw = fromQuery !== null ? fromQuery : url.pathname.replace(/^\/api\/ai\/?/, '');
+  return raw.replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Read the request body, giving up once it exceeds the size cap
+ * @param {IncomingMessage} req - Request
+ * @param {number} maxBytes - Size cap
+ * @returns {Promise<string>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (Number.isFinite(declared) && declared > maxBytes) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+const sendJson = (res, status, payload, extraHeaders = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...extraHeaders });
+  res.end(JSON.stringify(payload));
+};
+
+// Same { error: { message } } shape the providers return, so the client's error mapping applies
+const sendError = (res, status, message, extraHeaders) =>
+  sendJson(res, status, { error: { message, type: 'proxy_error' } }, extraHeaders);
+
+/**
+ * Apply server-side limits to a provider request body
+ * @param {Object} body - Parsed request body
+ * @param {Object} config - Proxy configuration
+ * @returns {Object} - Body safe to forward
+ */
+function applyBodyLimits(body, config) {
+  const limited = { ...body };
+  if (config.model) {
+    limited.model = config.model;
+  }
+  if (typeof limited.max_tokens === 'number') {
+    limited.max_tokens = Math.min(limited.max_tokens, config.maxTokens);
+  } else if (!limited.options) {
+    limited.max_tokens = config.maxTokens;
+  }
+  // Ollama puts its token limit under options.num_predict
+  if (limited.options && typeof limited.options === 'object') {
+    limited.options = {
+      ...limited.options,
+      num_predict: Math.min(limited.options.num_predict || config.maxTokens, config.maxTokens)
+    };
+  }
+  return limited;
+}
+
+/**
+ * Build upstream headers for the given auth style
+ * @param {IncomingMessage} req - Incoming request
+ * @param {string} authStyle - 'bearer' or 'anthropic'
+ * @param {string|null} apiKey - Server-side key
+ * @returns {Object}
+ */
+function buildUpstreamHeaders(req, authStyle, apiKey) {
+  const headers = {};
+  FORWARDED_HEADERS.forEach((name) => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+  headers['content-type'] = 'application/json';
+  if (apiKey) {
+    if (authStyle === 'anthropic') headers['x-api-key'] = apiKey;
+    else headers.authorization = `Bearer ${apiKey}`;
+  }
+  if (authStyle === 'anthropic' && !headers['anthropic-version']) {
+    headers['anthropic-version'] = '2023-06-01';
+  }
+  return headers;
+}
+
+/**
+ * Create a Node (req, res) handler that proxies AI requests
+ * @param {Object} [config] - Proxy configuration (defaults to readProxyConfig())
+ * @param {Object} [deps] - { fetch } override, mainly for local testing
+ * @returns {Function} - async (req, res) handler
+ */
+function createAIProxyHandler(config = readProxyConfig(), deps = {}) {
+  const fetchImpl = deps.fetch || fetch;
+  const limiter = createRateLimiter({ windowMs: config.rateLimitWindowMs, max: config.rateLimitMax });
+
+  return async function aiProxyHandler(req, res) {
+    if (req.method !== 'POST') {
+      sendError(res, 405, 'Method not allowed', { Allow: 'POST' });
+      return;
+    }
+
+    const path = getProxyPath(req);
+    const authStyle = ALLOWED_PATHS[path];
+    if (!authStyle) {
+      sendError(res, 404, `Unsupported AI endpoint "${path}"`);
+      return;
+    }
+
+    const clientId = getClientId(req);
+    const rate = limiter.check(clientId);
+    if (!rate.allowed) {
+      console.warn(`[aiProxy] Rate limit exceeded for ${clientId}`);
+      sendError(res, 429, 'Too many AI requests. Please wait a moment and try again.', {
+        'Retry-After': String(rate.retryAfterSeconds)
+      });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req, config.maxBodyBytes));
+    } catch (error) {
+      if (error.status === 413) {
+        sendError(res, 413, `Request too large (limit ${Math.round(config.maxBodyBytes / 1024)} KB)`);
+      } else {
+        sendError(res, 400, 'Request body must be valid JSON');
+      }
+      return;
+    }
+    if (!body || typeof body !== 'object' || !Array.isArray(body.messages)) {
+      sendError(res, 400, 'Request body must include a messages array');
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+    // Stop paying for tokens nobody will read when the browser disconnects
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const task = req.headers['x-ai-task'] || 'unknown';
+    console.log(`[aiProxy] ${clientId} -> ${path} (task: ${task}, remaining: ${rate.remaining})`);
+
+    try {
+      const upstream = await fetchImpl(`${config.upstreamUrl}/${path}`, {
+        method: 'POST',
+        headers: buildUpstreamHeaders(req, authStyle, config.apiKey),
+        body: JSON.stringify(applyBodyLimits(body, config)),
+        signal: controller.signal
+      });
+
+      const responseHeaders = {
+        'Content-Type': upstream.headers.get('content-type') || 'application/json',
+        'Cache-Control': 'no-cache'
+      };
+      const retryAfter = upstream.headers.get('retry-after');
+      if (retryAfter) responseHeaders['Retry-After'] = retryAfter;
+      res.writeHead(upstream.status, responseHeaders);
+
+      if (!upstream.body) {
+        res.end(await upstream.text());
+        return;
+      }
+      // Pipe chunks through as they arrive so streaming (SSE / NDJSON) keeps working
+      for await (const chunk of upstream.body) {
+        res.write(chunk);
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (error.name === 'AbortError') {
+        sendError(res, 504, 'Upstream AI request timed out');
+      } else {
+        console.error('[aiProxy] Upstream request failed:', error);
+        sendError(res, 502, 'Could not reach the AI provider');
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+}
+
+module.exports = {
+  ALLOWED_PATHS,
+  readProxyConfig,
+  createRateLimiter,
+  createAIProxyHandler
+};
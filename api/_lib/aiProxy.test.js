@@ -0,0 +1,130 @@
+// FILE: api/_lib/aiProxy.test.js
+// Runs with Node's test runner (npm run test:api); the app's Jest setup only covers src/.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { createAIProxyHandler, createRateLimiter } = require('./aiProxy');
+
+const CONFIG = {
+  upstreamUrl: 'https://upstream.test/v1',
+  apiKey: 'server-key',
+  model: null,
+  rateLimitWindowMs: 60000,
+  rateLimitMax: 2,
+  maxBodyBytes: 1024,
+  maxTokens: 500,
+  timeoutMs: 1000
+};
+
+// Incoming request with a JSON (or raw string) body
+const createRequest = ({ method = 'POST', url = '/api/ai/chat/completions', headers = {}, body = { messages: [] } } = {}) => {
+  const raw = typeof body === 'string' ? body : JSON.stringify(body);
+  const req = Readable.from([Buffer.from(raw)]);
+  return Object.assign(req, { method, url, headers, socket: { remoteAddress: '10.0.0.1' } });
+};
+
+// Server response that records what the handler sends
+const createResponse = () => {
+  const res = { status: null, headers: {}, body: '', headersSent: false, writableFinished: false };
+  res.writeHead = (status, headers = {}) => { res.status = status; res.headers = headers; res.headersSent = true; };
+  res.write = (chunk) => { res.body += chunk; };
+  res.end = (chunk = '') => { res.body += chunk; res.writableFinished = true; };
+  res.on = () => {};
+  res.json = () => JSON.parse(res.body);
+  return res;
+};
+
+// Upstream fetch that answers 200 and remembers its calls
+const createUpstream = () => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init, body: JSON.parse(init.body) });
+    return { status: 200, headers: { get: () => 'application/json' }, body: null, text: async () => '{"ok":true}' };
+  };
+  return { calls, fetch };
+};
+
+const run = async (handler, request) => {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+};
+
+test('forwards allowed paths with the server key and only safe client headers', async () => {
+  const upstream = createUpstream();
+  const handler = createAIProxyHandler(CONFIG, { fetch: upstream.fetch });
+
+  const res = await run(handler, {
+    url: '/api/ai?path=messages',
+    headers: { authorization: 'Bearer client-key', 'anthropic-version': '2023-06-01', cookie: 'session=1' },
+    body: { model: 'claude', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 100 }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body, '{"ok":true}');
+  assert.equal(upstream.calls[0].url, 'https://upstream.test/v1/messages');
+  assert.deepEqual(upstream.calls[0].init.headers, {
+    'anthropic-version': '2023-06-01',
+    'content-type': 'application/json',
+    'x-api-key': 'server-key'
+  });
+});
+
+test('rejects other methods and endpoints', async () => {
+  const upstream = createUpstream();
+  const handler = createAIProxyHandler(CONFIG, { fetch: upstream.fetch });
+
+  assert.equal((await run(handler, { method: 'GET' })).status, 405);
+  const res = await run(handler, { url: '/api/ai/files' });
+  assert.equal(res.status, 404);
+  assert.match(res.json().error.message, /Unsupported AI endpoint "files"/);
+  assert.equal(upstream.calls.length, 0);
+});
+
+test('caps max_tokens and Ollama num_predict and applies the configured model', async () => {
+  const upstream = createUpstream();
+  const handler = createAIProxyHandler({ ...CONFIG, model: 'server-model' }, { fetch: upstream.fetch });
+
+  await run(handler, { body: { model: 'gpt-4o', messages: [], max_tokens: 9000 } });
+  await run(handler, { url: '/api/ai/chat/completions', headers: { 'x-forwarded-for': '10.0.0.2' }, body: { messages: [] } });
+  await run(handler, { url: '/api/ai/api/chat', headers: { 'x-forwarded-for': '10.0.0.3' }, body: { messages: [], options: { num_predict: 9000 } } });
+
+  assert.equal(upstream.calls[0].body.max_tokens, 500);
+  assert.equal(upstream.calls[0].body.model, 'server-model');
+  assert.equal(upstream.calls[1].body.max_tokens, 500);
+  assert.deepEqual(upstream.calls[2].body.options, { num_predict: 500 });
+  assert.equal(upstream.calls[2].body.max_tokens, undefined);
+});
+
+test('rejects bodies over the size cap, invalid JSON and bodies without messages', async () => {
+  const upstream = createUpstream();
+  const handler = createAIProxyHandler({ ...CONFIG, rateLimitMax: 10 }, { fetch: upstream.fetch });
+
+  assert.equal((await run(handler, { headers: { 'content-length': '5000' } })).status, 413);
+  assert.equal((await run(handler, { body: { messages: [], padding: 'x'.repeat(2000) } })).status, 413);
+  assert.equal((await run(handler, { body: '{not json' })).status, 400);
+  assert.equal((await run(handler, { body: { prompt: 'Hi' } })).status, 400);
+  assert.equal(upstream.calls.length, 0);
+});
+
+test('rate-limits by the last X-Forwarded-For hop, which clients cannot choose', async () => {
+  const upstream = createUpstream();
+  const handler = createAIProxyHandler(CONFIG, { fetch: upstream.fetch });
+  const from = (forwardedFor) => ({ headers: { 'x-forwarded-for': forwardedFor } });
+
+  assert.equal((await run(handler, from('1.1.1.1, 203.0.113.7'))).status, 200);
+  assert.equal((await run(handler, from('2.2.2.2, 203.0.113.7'))).status, 200);
+  const limited = await run(handler, from('3.3.3.3, 203.0.113.7'));
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers['Retry-After'], '60');
+
+  assert.equal((await run(handler, from('203.0.113.8'))).status, 200);
+  assert.equal((await run(handler, {})).status, 200); // Socket address without the header
+});
+
+test('starts a new window once the old one has passed', () => {
+  const limiter = createRateLimiter({ windowMs: 1000, max: 1 });
+  assert.equal(limiter.check('a', 0).allowed, true);
+  assert.deepEqual(limiter.check('a', 500), { allowed: false, remaining: 0, retryAfterSeconds: 1 });
+  assert.equal(limiter.check('a', 1000).allowed, true);
+});
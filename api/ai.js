@@ -0,0 +1,10 @@
+// FILE: api/ai.js
+// Vercel serverless function that forwards AI calls (chat, feedback, import,
+// review) to the configured provider so the API key never reaches the browser.
+// vercel.json rewrites /api/ai/<provider path> here with ?path=<provider path>.
+// Configure with server-side env vars: AI_API_KEY, AI_UPSTREAM_URL, AI_MODEL
+// and the AI_PROXY_* limits documented in README.md.
+
+const { createAIProxyHandler } = require('./_lib/aiProxy');
+
+module.exports = createAIProxyHandler();
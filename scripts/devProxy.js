@@ -0,0 +1,30 @@
+// FILE: scripts/devProxy.js
+// Local server for the AI proxy in api/_lib/aiProxy.js, used during development
+// in place of the Vercel function. `npm start` forwards /api requests here via
+// the "proxy" field in package.json.
+// Run this script from the project root: node scripts/devProxy.js
+// Against the mock upstream: AI_UPSTREAM_URL=http://localhost:4010/v1 node scripts/devProxy.js
+
+const http = require('http');
+const { createAIProxyHandler, readProxyConfig } = require('../api/_lib/aiProxy');
+
+const PORT = parseInt(process.env.AI_PROXY_PORT, 10) || 3001;
+
+const config = readProxyConfig(process.env);
+const handleAIRequest = createAIProxyHandler(config);
+
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/api/ai/')) {
+    handleAIRequest(req, res);
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { message: 'Not found' } }));
+});
+
+server.listen(PORT, () => {
+  console.log(`AI proxy listening on http://localhost:${PORT}/api/ai -> ${config.upstreamUrl}`);
+  if (!config.apiKey) {
+    console.log('No AI_API_KEY set; requests are forwarded without credentials.');
+  }
+});
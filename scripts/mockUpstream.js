@@ -0,0 +1,88 @@
+// FILE: scripts/mockUpstream.js
+// Minimal stand-in for an OpenAI-compatible /chat/completions endpoint so the
+// AI proxy can be exercised locally without a real key or network access.
+// - JSON mode requests get a small JSON object back
+// - stream: true requests get the reply as SSE chunks
+// Run this script from the project root: node scripts/mockUpstream.js
+// Then start the proxy with AI_UPSTREAM_URL=http://localhost:4010/v1
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_UPSTREAM_PORT, 10) || 4010;
+
+/**
+ * Builds the mock reply text for a chat completions request
+ * @param {Object} body - Parsed request body
+ * @returns {string} - Reply content
+ */
+function buildReply(body) {
+  const lastUser = [...(body.messages || [])].reverse().find(msg => msg.role === 'user');
+  const preview = (lastUser?.content || '').substring(0, 80);
+
+  if (body.response_format?.type === 'json_object') {
+    return JSON.stringify({ mock: true, echo: preview });
+  }
+  return `This is a mock reply from the local upstream. You said: "${preview}"`;
+}
+
+function sendCompletion(res, body, content) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    id: `mock-${Date.now()}`,
+    object: 'chat.completion',
+    model: body.model || 'mock-model',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  }));
+}
+
+function sendStream(res, body, content) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const words = content.split(/(\s+)/);
+  let index = 0;
+
+  const timer = setInterval(() => {
+    if (index < words.length) {
+      const chunk = { choices: [{ index: 0, delta: { content: words[index] }, finish_reason: null }] };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      index += 1;
+      return;
+    }
+    clearInterval(timer);
+    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }, 30);
+
+  res.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: `Mock upstream only serves POST /chat/completions (got ${req.method} ${req.url})` } }));
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Invalid JSON body' } }));
+      return;
+    }
+
+    console.log(`[mockUpstream] ${req.url} auth=${req.headers.authorization ? 'yes' : 'no'} stream=${!!body.stream}`);
+    const content = buildReply(body);
+    if (body.stream) sendStream(res, body, content);
+    else sendCompletion(res, body, content);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock AI upstream listening on http://localhost:${PORT}/v1`);
+});
@@ -1,11 +1,22 @@
 // FILE: src/App.js
 // MODIFIED: Added touch detection initialization
-import React, { useEffect } from 'react';
+// MODIFIED: Initializes the project workspace
+// MODIFIED: Shows the recovery screen when saved state could not be loaded
+// MODIFIED: Starts cross-tab sync
+// MODIFIED: Waits for the saved state, which is now read asynchronously, before initializing
+import React, { useEffect, useState } from 'react';
 import PaperPlannerApp from './components/PaperPlanner/VerticalPaperPlannerApp';
-import useAppStore, { initializeOnboardingFromLocalStorage } from './store/appStore';
+import useAppStore, { initializeOnboardingFromLocalStorage, initializeWorkspace } from './store/appStore';
+import { getRehydrationFailure, dismissRehydrationFailure } from './store/storeMigrations';
+import { initializeTabSync } from './store/tabSync';
 import { initializeTouchFeatures } from './utils/touchDetection'; // Import the touch detection utility
+import RecoveryScreen from './components/common/RecoveryScreen';
 
 function App() {
+  const hasHydrated = useAppStore((state) => state.hasHydrated);
+  const [recoveryDismissed, setRecoveryDismissed] = useState(false);
+  const rehydrationFailure = hasHydrated && !recoveryDismissed ? getRehydrationFailure() : null;
+
   useEffect(() => {
     window.resetApp = () => {
       useAppStore.getState().resetState();
@@ -15,16 +26,40 @@ function App() {
 
   // Initialize onboarding from localStorage
   useEffect(() => {
-    // Call the onboarding initialization logic after the app mounts
-    // This ensures the store is hydrated and ready
-    initializeOnboardingFromLocalStorage();
-  }, []); // Empty dependency array ensures it runs only once on mount
+    // Runs once the store is hydrated, so the saved onboarding state is not overwritten
+    if (hasHydrated) initializeOnboardingFromLocalStorage();
+  }, [hasHydrated]);
+
+  // Load the project list (and add the current project on first run)
+  useEffect(() => {
+    if (hasHydrated) initializeWorkspace();
+  }, [hasHydrated]);
+
+  // Keep other open tabs of the planner in sync with this one
+  useEffect(() => (hasHydrated ? initializeTabSync() : undefined), [hasHydrated]);
   
   // Initialize touch features
   useEffect(() => {
-    // Setup touch detection and swipe functionality
-    initializeTouchFeatures();
-  }, []); // Empty dependency array ensures it runs only once on mount
+    // Setup touch detection and swipe functionality (the swipe hint needs the planner rendered)
+    if (hasHydrated) initializeTouchFeatures();
+  }, [hasHydrated]);
+
+  const handleRecoveryContinue = () => {
+    dismissRehydrationFailure();
+    setRecoveryDismissed(true);
+  };
+
+  if (!hasHydrated) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100">
+        <p className="text-sm text-gray-500">Loading your project…</p>
+      </div>
+    );
+  }
+
+  if (rehydrationFailure) {
+    return <RecoveryScreen failure={rehydrationFailure} onContinue={handleRecoveryContinue} />;
+  }
 
   return (
     <div className="App">
@@ -1,11 +1,14 @@
 // FILE: src/components/PaperPlanner/ConfirmDialog.js
+// MODIFIED: The new-project confirmation asks for the planning template (defaults to the current project's)
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import ReactDOM from 'react-dom';
 import useAppStore from '../../store/appStore';
+import { getTemplateOptions } from '../../utils/templateRegistry';
 
 /**
  * Completely fixed ConfirmDialog with ultimate z-index and DOM positioning
+ * resetProject is called with the template picked for the new project.
  */
 const ConfirmDialog = ({ showConfirmDialog, setShowConfirmDialog, resetProject }) => {
   // Get the import confirmation operation from the store
@@ -17,13 +20,23 @@ const ConfirmDialog = ({ showConfirmDialog, setShowConfirmDialog, resetProject }
   // Get the message to display
   const message = isImportConfirm 
     ? (importConfirmOperation.message || "Are you sure you want to continue?")
-    : "Are you sure you want to start a new project? All current progress will be lost.";
+    : "Start a new project? Your current project stays in the project list.";
   
   // The title text
   const title = isImportConfirm ? "Confirm Import" : "Confirm New Project";
   
   // The confirm button text
   const confirmText = isImportConfirm ? "Yes, continue" : "Yes, start new";
+
+  // Template for the new project, preselected with the current project's
+  const currentTemplateId = useAppStore((state) => state.templateId);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(currentTemplateId);
+  const templateOptions = getTemplateOptions();
+  const selectedTemplate = templateOptions.find(option => option.id === selectedTemplateId);
+
+  useEffect(() => {
+    if (showConfirmDialog) setSelectedTemplateId(currentTemplateId);
+  }, [showConfirmDialog, currentTemplateId]);
   
   // Effect to create a modal container if it doesn't exist
   useEffect(() => {
@@ -65,7 +78,7 @@ const ConfirmDialog = ({ showConfirmDialog, setShowConfirmDialog, resetProject }
     } else {
       // This is a regular reset confirmation
       if (typeof resetProject === 'function') {
-        resetProject();
+        resetProject(selectedTemplateId);
       } else {
         console.error("ConfirmDialog: resetProject prop function is missing!");
       }
@@ -177,6 +190,26 @@ const ConfirmDialog = ({ showConfirmDialog, setShowConfirmDialog, resetProject }
         <p className="mb-6 text-gray-600">
           {message}
         </p>
+        {!isImportConfirm && (
+          <div className="mb-6">
+            <label htmlFor="new-project-template" className="block text-sm font-medium text-gray-700 mb-1">
+              Template
+            </label>
+            <select
+              id="new-project-template"
+              value={selectedTemplateId}
+              onChange={(e) => setSelectedTemplateId(e.target.value)}
+              className="w-full border border-gray-300 rounded px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {templateOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+            {selectedTemplate?.description && (
+              <p className="mt-2 text-xs text-gray-500">{selectedTemplate.description}</p>
+            )}
+          </div>
+        )}
         <div className="flex justify-end space-x-4">
           <button
             onClick={handleCancel}
@@ -5,20 +5,33 @@
 // REVERTED: handleSaveWithFilename passes only section content
 // MODIFIED: Toggle handlers now set active section focus
 // UPDATED: handleSaveWithFilename to use the new approach for saving
+// MODIFIED: Review and feedback requests are cancellable and report typed AI errors
+// MODIFIED: One toggle handler (handleCategoryToggle) for every category in sectionContent.json
+// MODIFIED: Category options can be added and removed (multi-select); exports include the selected sections only
+// MODIFIED: Added the AI Usage modal
+// MODIFIED: Feedback requests accept { force } to re-evaluate a section without the feedback cache
+// MODIFIED: Project switcher and Projects modal; "New" keeps the previous project in the workspace
+// MODIFIED: Global undo/redo shortcuts
+// MODIFIED: Each feedback result is saved as a section revision
+// MODIFIED: Added the Progress modal
+// MODIFIED: Section definitions follow the project's template; "New" starts a project with the picked template
+// MODIFIED: Added the Custom Sections modal
+// MODIFIED: A loaded project opens at the first chosen section of its template's first category
 
 import React, { useState, useEffect, useRef } from 'react'; // Ensure useState is imported
 import ReactGA from 'react-ga4';
 import useAppStore from '../../store/appStore'; // Import the Zustand store
 import { useDocumentImport } from '../../hooks/useDocumentImport';
+import useUndoRedoShortcuts from '../../hooks/useUndoRedoShortcuts';
 import { reviewScientificPaper } from '../../services/paperReviewService';
 import { improveBatchInstructions } from '../../services/instructionImprovementService';
 import { exportProject, saveProjectAsJson } from '../../utils/export'; // Use the correct export functions
-import { trackSectionChange, trackApproachToggle, trackDataMethodToggle, trackExport, trackSave } from '../../utils/analyticsUtils';
+import { isCancelledError } from '../../services/aiErrors';
+import { trackSectionChange, trackCategoryToggle, trackExport, trackSave } from '../../utils/analyticsUtils';
 import MainLayout from '../layout/MainLayout';
 import { ForwardedSplashScreenManager } from '../modals/SplashScreenManager';
 import '../../styles/PaperPlanner.css';
-import { getNextVisibleSectionId } from '../../utils/sectionOrderUtils';
-import sectionContentData from '../../data/sectionContent.json'; // Import section definitions
+import { getFirstSectionId, getDisplayOrder, getNextVisibleSectionId, isActiveCategorySection, isToggleSection } from '../../utils/sectionOrderUtils';
 
 
 const VerticalPaperPlannerApp = () => {
@@ -28,17 +41,20 @@ const VerticalPaperPlannerApp = () => {
   const proMode = useAppStore((state) => state.proMode);
   // Scores are managed internally by updateSectionFeedback now
   const updateSectionContent = useAppStore((state) => state.updateSectionContent);
-  const setActiveToggle = useAppStore((state) => state.setActiveToggle);
+  const toggleCategorySection = useAppStore((state) => state.toggleCategorySection);
   const updateSectionFeedback = useAppStore((state) => state.updateSectionFeedback);
+  const recordSectionRevision = useAppStore((state) => state.recordSectionRevision);
   const resetState = useAppStore((state) => state.resetState);
   const loadStoreProjectData = useAppStore((state) => state.loadProjectData);
   const expandAllSections = useAppStore((state) => state.expandAllSections);
+  const switchProject = useAppStore((state) => state.switchProject);
   const modals = useAppStore((state) => state.modals);
   const loadingFlags = useAppStore((state) => state.loading); // Get the loading object
   const reviewData = useAppStore((state) => state.reviewData);
   const openModal = useAppStore((state) => state.openModal);
   const closeModal = useAppStore((state) => state.closeModal);
-  const setLoading = useAppStore((state) => state.setLoading);
+  const beginCancellableRequest = useAppStore((state) => state.beginCancellableRequest);
+  const endCancellableRequest = useAppStore((state) => state.endCancellableRequest);
   const setReviewData = useAppStore((state) => state.setReviewData);
   const clearReviewData = useAppStore((state) => state.clearReviewData);
   const zustandShowHelpSplash = useAppStore((state) => state.showHelpSplash);
@@ -48,11 +64,12 @@ const VerticalPaperPlannerApp = () => {
   const setCurrentChatMessage = useAppStore((state) => state.setCurrentChatMessage);
   const setCurrentChatSectionId = useAppStore((state) => state.setCurrentChatSectionId); // Get this action
   const zustandSendMessage = useAppStore((state) => state.sendMessage);
+  const zustandStopMessage = useAppStore((state) => state.stopChatMessage);
 
 
   // --- Local State & Refs ---
   // Active section ID state - this controls the focus
-  const [activeSectionId, setActiveSectionId] = useState('question');
+  const [activeSectionId, setActiveSectionId] = useState(() => getFirstSectionId());
   const sectionRefs = useRef({});
   const splashManagerRef = useRef(null);
 
@@ -63,10 +80,12 @@ const VerticalPaperPlannerApp = () => {
   // Pass the store's load function and reset function
   const { importLoading: docImportSpecificLoading, handleDocumentImport } = useDocumentImport(
       loadStoreProjectData,
-      sectionContentData,
       resetState
   );
 
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z run the store's undo/redo
+  useUndoRedoShortcuts();
+
   // --- Effects ---
   useEffect(() => {
     // Make splash manager accessible globally if needed
@@ -100,31 +119,28 @@ const VerticalPaperPlannerApp = () => {
   const handleSectionFocus = (sectionId) => setActiveSectionId(sectionId);
   const handleContentChange = (sectionId, value) => updateSectionContent(sectionId, value);
 
-  // --- MODIFIED TOGGLE HANDLERS ---
-  const handleApproachToggle = (approachId) => {
-    trackApproachToggle(approachId);
-    setActiveToggle('approach', approachId); // Update the active toggle in the store
-    setActiveSectionId(approachId); // <<< Set focus to the clicked section
-    setCurrentChatSectionId(approachId); // <<< Also update chat context immediately
-  };
-
-  const handleDataMethodToggle = (methodId) => {
-    trackDataMethodToggle(methodId);
-    setActiveToggle('dataMethod', methodId); // Update the active toggle in the store
-    setActiveSectionId(methodId); // <<< Set focus to the clicked section
-    setCurrentChatSectionId(methodId); // <<< Also update chat context immediately
+  // --- MODIFIED TOGGLE HANDLER (one for every category in sectionContent.json) ---
+  const handleCategoryToggle = (categoryId, sectionId) => {
+    trackCategoryToggle(categoryId, sectionId);
+    toggleCategorySection(categoryId, sectionId); // Switch, add or remove the option in the store
+    // Focus the clicked section, or the category's first remaining one when it was removed
+    const selection = useAppStore.getState().activeToggles[categoryId] || [];
+    const focusId = selection.includes(sectionId) ? sectionId : selection[0];
+    if (!focusId) return;
+    setActiveSectionId(focusId); // <<< Set focus to the clicked section
+    setCurrentChatSectionId(focusId); // <<< Also update chat context immediately
   };
-  // --- END MODIFIED TOGGLE HANDLERS ---
+  // --- END MODIFIED TOGGLE HANDLER ---
 
   const handleResetRequest = () => openModal('confirmDialog');
-  const handleConfirmReset = () => { resetState(); setActiveSectionId('question'); closeModal('confirmDialog'); };
+  const handleConfirmReset = (templateId) => { resetState(templateId); setActiveSectionId(getFirstSectionId()); closeModal('confirmDialog'); };
 
   // Load project data into the store
   const handleLoadProject = (data) => {
     loadStoreProjectData(data); // Use the store action to load data
-    // Set active section based on loaded data, defaulting to 'question'
+    // Open the first chosen section of the loaded template's first category, else its first section
     const loadedState = useAppStore.getState(); // Get state *after* loading
-    setActiveSectionId(loadedState.activeToggles?.approach || 'question');
+    setActiveSectionId(getDisplayOrder(loadedState.activeToggles).find(isToggleSection) || getFirstSectionId());
     expandAllSections(); // Optionally expand all sections after load
   };
 
@@ -143,7 +159,8 @@ const VerticalPaperPlannerApp = () => {
   const handleExportRequest = () => {
     trackExport('any');
     const sectionsToExport = Object.entries(sections || {}).reduce((acc, [id, data]) => {
-      acc[id] = data?.content; // Export only the content
+      // Export only the content; of a category only the selected sections
+      if (isActiveCategorySection(activeToggles, id)) acc[id] = data?.content;
       return acc;
     }, {});
     exportProject(sectionsToExport, chatMessages); // Pass chat messages if needed
@@ -159,20 +176,32 @@ const VerticalPaperPlannerApp = () => {
     }
   };
   const handleOpenReviewModal = () => openModal('reviewModal');
+  const handleOpenSettings = () => openModal('settingsModal');
+  const handleOpenUsage = () => openModal('usageModal');
+  const handleOpenProgress = () => openModal('progressModal');
+  const handleOpenProjects = () => openModal('projectsModal');
+
+  // Open another project from the workspace
+  const handleSwitchProject = async (projectId) => {
+    const switched = await switchProject(projectId);
+    if (switched) setActiveSectionId(getFirstSectionId());
+  };
   const handleReviewPaperRequest = async (event) => {
         const file = event.target.files?.[0];
         if (!file) return;
-        setLoading('review', true); // Set loading state in store
+        const signal = beginCancellableRequest('review'); // Set loading state in store
         try {
-            const result = await reviewScientificPaper(file);
+            const result = await reviewScientificPaper(file, { signal });
             if (result.success) setReviewData(result); // Update review data in store
+            else if (result.cancelled) console.log("Paper review cancelled by user.");
             else { clearReviewData(); alert(`Error reviewing paper: ${result.error || 'Unknown error'}`); }
-        } catch (error) { clearReviewData(); alert(`Error reviewing paper: ${error.message || 'Unknown error'}`); }
-        finally { setLoading('review', false); } // Clear loading state in store
+        } catch (error) { clearReviewData(); if (!isCancelledError(error)) alert(`Error reviewing paper: ${error.message || 'Unknown error'}`); }
+        finally { endCancellableRequest('review'); } // Clear loading state in store
     };
 
   // Request AI feedback for a section (or current active section)
-  const handleImprovementRequest = async (sectionId = null) => {
+  // options.force re-evaluates the section even if unchanged, skipping the feedback cache
+  const handleImprovementRequest = async (sectionId = null, { force = false } = {}) => {
         const targetSectionId = sectionId || activeSectionId;
         const sectionToImprove = sections?.[targetSectionId];
 
@@ -182,23 +211,27 @@ const VerticalPaperPlannerApp = () => {
            return;
         }
 
-        setLoading('improvement', true); // Set loading state in store
+        const signal = beginCancellableRequest('improvement'); // Set loading state in store
         try {
             // Call the service function. It gets state from the store now.
-            const result = await improveBatchInstructions( null, null, sectionContentData );
+            const result = await improveBatchInstructions(
+                null, null, null, force,
+                { signal, sectionIds: force ? [targetSectionId] : undefined }
+            );
 
             if (result.success && result.improvedData) {
                 // Update feedback for each improved section in the store
                 result.improvedData.forEach(feedbackItem => {
                     if (feedbackItem && feedbackItem.id) {
                         updateSectionFeedback(feedbackItem.id, feedbackItem); // Store action updates feedback and score
+                        recordSectionRevision(feedbackItem.id, 'feedback'); // Timeline entry in the section's history drawer
                     }
                 });
 
                 // Logic to potentially advance section after feedback
                 const improvedSectionId = result.improvedData[0]?.id;
                 if (improvedSectionId === targetSectionId) {
-                    const nextSectionId = getNextVisibleSectionId(targetSectionId, activeToggles.approach, activeToggles.dataMethod);
+                    const nextSectionId = getNextVisibleSectionId(targetSectionId, activeToggles);
                     // If next section exists and is minimized, expand it
                     if (nextSectionId && sections?.[nextSectionId]?.isMinimized) {
                         useAppStore.getState().toggleMinimize(nextSectionId); // Use store action
@@ -208,15 +241,17 @@ const VerticalPaperPlannerApp = () => {
                     //   setActiveSectionId(nextSectionId);
                     // }
                 }
+            } else if (result.cancelled) {
+                console.log("Feedback request cancelled by user.");
             } else {
                 console.error("Improvement failed", result);
-                alert(`Failed to get feedback: ${result.message || 'Unknown error'}`);
+                alert(`Failed to get feedback: ${result.errorMessage || 'Unknown error'}`);
             }
         } catch (error) {
             console.error("Error improving:", error);
-            alert(`Error getting feedback: ${error.message}`);
+            if (!isCancelledError(error)) alert(`Error getting feedback: ${error.message}`);
         } finally {
-            setLoading('improvement', false); // Clear loading state in store
+            endCancellableRequest('improvement'); // Clear loading state in store
         }
      };
   const handleCloseReviewModal = () => closeModal('reviewModal');
@@ -227,11 +262,8 @@ const VerticalPaperPlannerApp = () => {
 
   const contentAreaProps = {
         activeSection: activeSectionId, // Pass the state variable
-        activeApproach: activeToggles.approach,
-        activeDataMethod: activeToggles.dataMethod,
         handleSectionFocus,
-        handleApproachToggle, // Pass the modified handler
-        handleDataMethodToggle, // Pass the modified handler
+        handleCategoryToggle, // Pass the modified handler
         proMode,
         handleMagic: handleImprovementRequest,
         // Loading state is accessed by components directly from store when needed
@@ -244,6 +276,7 @@ const VerticalPaperPlannerApp = () => {
       currentMessage: currentChatMessage,
       setCurrentMessage: setCurrentChatMessage,
       handleSendMessage: zustandSendMessage, // Use the store's send message action
+      handleStopMessage: zustandStopMessage, // Aborts a streaming reply
       loading: loadingFlags.chat, // Pass chat-specific loading flag
       // isAiBusy is accessed by components directly from store when needed
       currentSectionData: sections?.[currentChatSectionId] || null,
@@ -265,6 +298,11 @@ const VerticalPaperPlannerApp = () => {
       loadProject={handleLoadProject} // Pass the function that handles loading data into the store
       importDocumentContent={handleDocumentImport} // Pass the import handler
       onOpenReviewModal={handleOpenReviewModal}
+      onOpenSettings={handleOpenSettings}
+      onOpenUsage={handleOpenUsage}
+      onOpenProgress={handleOpenProgress}
+      onSwitchProject={handleSwitchProject}
+      onOpenProjects={handleOpenProjects}
       openExamplesDialog={handleOpenExamples}
       showHelpSplash={handleShowHelpSplash}
       contentAreaProps={contentAreaProps}
@@ -277,6 +315,11 @@ const VerticalPaperPlannerApp = () => {
           closeReviewModal: handleCloseReviewModal,
           closePrivacyPolicy: () => closeModal('privacyPolicy'),
           closeSaveDialog: () => closeModal('saveDialog'),
+          closeSettingsModal: () => closeModal('settingsModal'),
+          closeUsageModal: () => closeModal('usageModal'),
+          closeProgressModal: () => closeModal('progressModal'),
+          closeCustomSectionsModal: () => closeModal('customSectionsModal'),
+          closeProjectsModal: () => closeModal('projectsModal'),
           onConfirmReset: handleConfirmReset,
       }}
       handleReviewPaper={handleReviewPaperRequest}
@@ -2,6 +2,7 @@
 // FIXED: Positioned chat button in global lower right corner
 // FIXED: Better mobile width and positioning support
 // FIXED: Improved mobile scrolling and fixed close button position
+// ADDED: Streaming assistant replies render incrementally with a typing cursor and a Stop button
 
 import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
@@ -17,6 +18,7 @@ const ModernChatInterface = ({
   currentMessage,
   setCurrentMessage,
   handleSendMessage,
+  handleStopMessage, // Aborts the streaming chat response
   loading, // Specific loading state for CHAT operations
   currentSectionData,
   onboardingStep
@@ -117,6 +119,12 @@ const ModernChatInterface = ({
 
   const showChatHighlight = onboardingStep === 3;
   const safeChatMessages = currentSection && chatMessages?.[currentSection] ? chatMessages[currentSection] : [];
+  const lastMessage = safeChatMessages[safeChatMessages.length - 1];
+  const isStreamingReply = !!(loading && lastMessage?.role === 'assistant' && lastMessage.isStreaming);
+
+  const handleStopClick = () => {
+    if (typeof handleStopMessage === 'function') handleStopMessage();
+  };
 
   if (!currentSection || !currentSectionData) {
     return null;
@@ -224,15 +232,19 @@ const ModernChatInterface = ({
                         className={`message-bubble rounded-lg p-3 max-w-[85%] ${ msg.role === 'user' ? 'bg-indigo-600 text-white self-end' : 'bg-white border border-gray-200 text-gray-800 self-start' }`}
                         style={{ boxShadow: '0 1px 2px rgba(0,0,0,0.05)', borderTopRightRadius: msg.role === 'user' ? '0' : '1rem', borderTopLeftRadius: msg.role === 'assistant' ? '0' : '1rem' }}
                       >
-                        <div className="message-content">
-                          <ReactMarkdown className="prose prose-sm">{msg.content}</ReactMarkdown>
-                        </div>
+                        {msg.isStreaming && !msg.content ? (
+                          <div className="typing-indicator"><span></span><span></span><span></span></div>
+                        ) : (
+                          <div className={`message-content ${msg.isStreaming ? 'streaming' : ''}`}>
+                            <ReactMarkdown className="prose prose-sm">{msg.content}</ReactMarkdown>
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))}
 
-                  {/* Typing indicator */}
-                  {(loading || isButtonDisabled) && (
+                  {/* Typing indicator (streaming replies show their own cursor instead) */}
+                  {(loading || isButtonDisabled) && !isStreamingReply && (
                     <div className="flex justify-start">
                        <div className="ai-avatar">AI</div>
                        <div className="bg-white border border-gray-200 rounded-lg p-3 inline-flex items-center shadow-sm">
@@ -259,6 +271,17 @@ const ModernChatInterface = ({
                   className="flex-grow px-4 py-2 focus:outline-none focus:ring-1 focus:ring-indigo-500"
                   disabled={loading || isButtonDisabled}
                 />
+                {loading ? (
+                  <button
+                    onClick={handleStopClick}
+                    className="px-4 flex items-center justify-center transition-colors flex-shrink-0 bg-red-500 text-white hover:bg-red-600"
+                    title="Stop generating"
+                    aria-label="Stop generating"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="1" /></svg>
+                    Stop
+                  </button>
+                ) : (
                 <button
                   onClick={handleSendMessageWithTracking}
                   disabled={currentMessage.trim() === '' || loading || isButtonDisabled}
@@ -270,6 +293,7 @@ const ModernChatInterface = ({
                       <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" /></svg>
                   )}
                 </button>
+                )}
               </div>
             </div>
           </>
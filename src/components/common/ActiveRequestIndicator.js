@@ -0,0 +1,35 @@
+// FILE: src/components/common/ActiveRequestIndicator.js
+import React from 'react';
+import useAppStore from '../../store/appStore';
+import CancelRequestButton from './CancelRequestButton';
+
+// Cancellable AI loading flags and how to describe them
+const REQUEST_LABELS = {
+  improvement: 'Getting feedback...',
+  import: 'Importing document...',
+  review: 'Reviewing paper...',
+  chat: 'Answering...',
+};
+
+/**
+ * Header status pill for the AI request currently running, with a Cancel button
+ */
+const ActiveRequestIndicator = ({ compact = false }) => {
+  const loading = useAppStore((state) => state.loading);
+  const activeType = Object.keys(REQUEST_LABELS).find(type => loading?.[type]);
+
+  if (!activeType) return null;
+
+  return (
+    <div className="flex items-center space-x-2 text-sm text-gray-600">
+      <svg className="animate-spin h-4 w-4 text-purple-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+      </svg>
+      {!compact && <span>{REQUEST_LABELS[activeType]}</span>}
+      <CancelRequestButton loadingType={activeType} />
+    </div>
+  );
+};
+
+export default ActiveRequestIndicator;
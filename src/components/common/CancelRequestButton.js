@@ -0,0 +1,36 @@
+// FILE: src/components/common/CancelRequestButton.js
+import React from 'react';
+import useAppStore from '../../store/appStore';
+
+/**
+ * Small "Cancel" button shown next to a spinner while the AI request behind
+ * the given loading flag is running. Renders nothing when the flag is off.
+ */
+const CancelRequestButton = ({ loadingType, label = 'Cancel', className = '' }) => {
+  const isLoading = useAppStore((state) => !!state.loading?.[loadingType]);
+  const cancelRequest = useAppStore((state) => state.cancelRequest);
+
+  if (!isLoading) return null;
+
+  const handleClick = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    cancelRequest(loadingType);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      className={`inline-flex items-center px-2 py-1 text-xs font-medium rounded border border-red-300 text-red-600 bg-white hover:bg-red-50 transition-colors ${className}`}
+      title="Cancel this AI request"
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+      </svg>
+      {label}
+    </button>
+  );
+};
+
+export default CancelRequestButton;
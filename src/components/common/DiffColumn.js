@@ -0,0 +1,26 @@
+// FILE: src/components/common/DiffColumn.js
+import React from 'react';
+
+/**
+ * One side of the side-by-side diff
+ * Shows the equal parts plus either the removed or the added parts.
+ */
+const DiffColumn = ({ title, parts, side }) => (
+  <div className="min-w-0">
+    <div className="text-xs font-medium text-gray-500 mb-1 truncate">{title}</div>
+    <div className="p-2 bg-white border border-gray-200 rounded text-sm whitespace-pre-wrap break-words max-h-64 overflow-y-auto">
+      {parts.map((part, index) => {
+        if (part.type === 'equal') return <span key={index}>{part.text}</span>;
+        if (side === 'old' && part.type === 'removed') {
+          return <span key={index} className="bg-red-100 text-red-800 line-through">{part.text}</span>;
+        }
+        if (side === 'new' && part.type === 'added') {
+          return <span key={index} className="bg-green-100 text-green-800">{part.text}</span>;
+        }
+        return null;
+      })}
+    </div>
+  </div>
+);
+
+export default DiffColumn;
@@ -0,0 +1,75 @@
+// FILE: src/components/common/RecoveryScreen.js
+import React, { useState } from 'react';
+import { loadRecoveryBackup, clearRecoveryBackup } from '../../services/storageService';
+
+/**
+ * Shown instead of the planner when the saved state could not be loaded
+ * The unreadable data was copied to a recovery key (see storeMigrations.js);
+ * it can be downloaded as-is before continuing with a fresh project.
+ * @param {Object} props - { failure: { name, message, hasBackup }, onContinue }
+ */
+const RecoveryScreen = ({ failure, onContinue }) => {
+  const [rawData] = useState(() => loadRecoveryBackup(failure.name));
+  const [downloaded, setDownloaded] = useState(false);
+
+  const handleDownload = () => {
+    const blob = new Blob([rawData], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `planner-recovery-${new Date().toISOString().substring(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    setDownloaded(true);
+  };
+
+  const handleDiscard = () => {
+    if (!window.confirm('Delete the saved copy of the unreadable data? This cannot be undone.')) return;
+    clearRecoveryBackup(failure.name);
+    onContinue();
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full">
+        <h1 className="text-xl font-bold text-gray-800 mb-2">Your saved work could not be loaded</h1>
+        <p className="text-sm text-gray-600 mb-3">
+          The planner found data from an earlier session but could not read it, so it started with an empty project.
+          Projects in your project list are not affected.
+        </p>
+        <p className="text-xs text-gray-500 mb-4 font-mono break-words">{failure.message}</p>
+
+        {rawData ? (
+          <p className="text-sm text-gray-600 mb-4">
+            A copy of the unreadable data ({Math.ceil(rawData.length / 1024)} KB) was kept in this browser.
+            Download it before continuing; your text can usually be recovered from it by hand.
+          </p>
+        ) : (
+          <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+            The data could not be copied, so there is nothing to download.
+          </p>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          {rawData && (
+            <button onClick={handleDiscard} className="px-4 py-2 text-sm text-red-600 hover:underline">
+              Delete copy
+            </button>
+          )}
+          {rawData && (
+            <button onClick={handleDownload} className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">
+              {downloaded ? 'Download again' : 'Download raw data'}
+            </button>
+          )}
+          <button onClick={onContinue} className="px-4 py-2 text-sm bg-gray-300 text-gray-800 rounded hover:bg-gray-400">
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryScreen;
@@ -0,0 +1,38 @@
+// FILE: src/components/common/Sparkline.js
+import React from 'react';
+
+/**
+ * Tiny inline line chart, e.g. a section's ratings over its feedback rounds
+ * Points are spaced evenly; null values are skipped. Renders nothing for fewer than two values.
+ * @param {Object} props - { values, min, max, width, height, color, title }
+ */
+const Sparkline = ({ values = [], min = 0, max = 10, width = 48, height = 14, color = '#7c3aed', title }) => {
+  const points = values.filter(value => typeof value === 'number');
+  if (points.length < 2) return null;
+
+  const pad = 2;
+  const range = max - min || 1;
+  const coordinates = points.map((value, index) => {
+    const x = pad + (index / (points.length - 1)) * (width - pad * 2);
+    const y = pad + (1 - (Math.min(Math.max(value, min), max) - min) / range) * (height - pad * 2);
+    return [x, y];
+  });
+  const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="flex-shrink-0" role="img" aria-label={title}>
+      {title && <title>{title}</title>}
+      <polyline
+        points={coordinates.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}
+        fill="none"
+        stroke={color}
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+      />
+      <circle cx={lastX} cy={lastY} r="1.8" fill={color} />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -1,10 +1,16 @@
 // FILE: src/components/layout/AppHeader.js
 // MODIFIED: Removed the guide/write mode toggle pill
 // MODIFIED: Removed the logo icon
+// MODIFIED: Shows the running AI request with a Cancel button
+// MODIFIED: Passes onOpenUsage through to the menu
+// MODIFIED: Added the project switcher next to the menu
+// MODIFIED: Passes onOpenProgress through to the menu
 
 import React, { useState, useEffect } from 'react';
 import useAppStore from '../../store/appStore'; // Import store
 import HamburgerMenu from '../menu/HamburgerMenu'; // Import our hamburger menu component
+import ActiveRequestIndicator from '../common/ActiveRequestIndicator';
+import ProjectSwitcher from './ProjectSwitcher';
 
 const AppHeader = ({
   resetProject,
@@ -13,6 +19,11 @@ const AppHeader = ({
   loadProject,
   importDocumentContent,
   onOpenReviewModal,
+  onOpenSettings,
+  onOpenUsage,
+  onOpenProgress,
+  onSwitchProject,
+  onOpenProjects,
   showHelpSplash,
 }) => {
   // --- Get global loading state directly from store ---
@@ -70,14 +81,24 @@ const AppHeader = ({
                 loadProject={loadProject}
                 importDocumentContent={importDocumentContent}
                 onOpenReviewModal={onOpenReviewModal}
+                onOpenSettings={onOpenSettings}
+                onOpenUsage={onOpenUsage}
+                onOpenProgress={onOpenProgress}
                 showHelpSplash={showHelpSplash}
                 isAiBusy={isAiBusy}
                 localImportLoading={localImportLoading}
               />
+              <ProjectSwitcher
+                onSwitchProject={onSwitchProject}
+                onNewProject={resetProject}
+                onManageProjects={onOpenProjects}
+                disabled={isAiBusy || localImportLoading}
+              />
             </div>
             
             {/* Right: Help, Save buttons */}
             <div className="flex items-center space-x-2">
+              <ActiveRequestIndicator compact />
               {/* Help Button - TIGHT VERSION */}
               <button 
                 onClick={handleHelpClick} 
@@ -124,14 +145,24 @@ const AppHeader = ({
                 loadProject={loadProject}
                 importDocumentContent={importDocumentContent}
                 onOpenReviewModal={onOpenReviewModal}
+                onOpenSettings={onOpenSettings}
+                onOpenUsage={onOpenUsage}
+                onOpenProgress={onOpenProgress}
                 showHelpSplash={showHelpSplash}
                 isAiBusy={isAiBusy}
                 localImportLoading={localImportLoading}
               />
+              <ProjectSwitcher
+                onSwitchProject={onSwitchProject}
+                onNewProject={resetProject}
+                onManageProjects={onOpenProjects}
+                disabled={isAiBusy || localImportLoading}
+              />
             </div>
             
-            {/* Middle section: App Title */}
+            {/* Middle section: running AI request */}
             <div className="flex items-center w-2/4 justify-center">
+              <ActiveRequestIndicator />
             </div>
 
             {/* Right section: Help, Save buttons - TIGHT VERSION */}
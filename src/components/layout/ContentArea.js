@@ -8,8 +8,8 @@ import useAppStore from '../../store/appStore'; // Import store to access loadin
 
 const ContentArea = ({
   // Props needed by children
-  activeSection, activeApproach, activeDataMethod,
-  handleSectionFocus, handleApproachToggle, handleDataMethodToggle,
+  activeSection,
+  handleSectionFocus, handleCategoryToggle,
   proMode, handleMagic,
 }) => {
   // Get global loading state directly from store for AI operations
@@ -27,11 +27,8 @@ const ContentArea = ({
       {/* Single panel layout that handles both write and guide modes */}
       <SinglePanelLayout
         activeSection={effectiveActiveSection} // Use the effective active section
-        activeApproach={activeApproach}
-        activeDataMethod={activeDataMethod}
         handleSectionFocus={handleSectionFocus}
-        handleApproachToggle={handleApproachToggle}
-        handleDataMethodToggle={handleDataMethodToggle}
+        handleCategoryToggle={handleCategoryToggle}
         proMode={proMode}
         handleMagic={handleMagic}
       />
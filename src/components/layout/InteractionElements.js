@@ -14,6 +14,7 @@ const InteractionElements = ({
   currentMessage,
   setCurrentMessage,
   handleSendMessage,
+  handleStopMessage,
   loading, // This is the specific chat loading state
   currentSectionData,
   onboardingStep,
@@ -28,6 +29,7 @@ const InteractionElements = ({
         currentMessage={currentMessage}
         setCurrentMessage={setCurrentMessage}
         handleSendMessage={handleSendMessage}
+        handleStopMessage={handleStopMessage}
         loading={loading} // Pass chat-specific loading flag
         currentSectionData={currentSectionData}
         onboardingStep={onboardingStep}
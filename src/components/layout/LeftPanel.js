@@ -1,12 +1,16 @@
 // FILE: src/components/layout/LeftPanel.js
 // UPDATED: Removed pro mode messaging card - moved to splash screen
+// MODIFIED: Subscribes to section ids and derived visibility instead of the whole store
+// MODIFIED: Cards and toggle options follow the display order and categories in sectionContent.json
+// MODIFIED: Every selected section of a multi-select category has a card; the first one holds the options
+// MODIFIED: Button to add and manage custom sections after the last card
 
 import React, { useEffect, useRef } from 'react';
+import { useShallow } from 'zustand/react/shallow';
 import useAppStore from '../../store/appStore';
-import { isSectionVisible, isToggleVisible } from '../../logic/progressionLogic';
-import { getVisibleSectionsInDisplayOrder, getApproachSectionIds, getDataMethodSectionIds } from '../../utils/sectionOrderUtils';
+import { selectVisibility } from '../../logic/progressionLogic';
+import { getVisibleSectionsInDisplayOrder, getToggleGroup, getCategory, getCategoryOptions, normalizeActiveToggles } from '../../utils/sectionOrderUtils';
 import SectionCard from '../sections/SectionCard';
-import sectionContent from '../../data/sectionContent.json';
 
 // Helper function to render a standard SectionCard
 const renderStandardSectionCard = (section, activeSection, handleSectionFocus, handleMagic, onRequestFeedback) => {
@@ -32,8 +36,7 @@ const renderStandardSectionCard = (section, activeSection, handleSectionFocus, h
 const LeftPanel = ({
   activeSection,
   handleSectionFocus,
-  handleApproachToggle,
-  handleDataMethodToggle,
+  handleCategoryToggle, // (categoryId, sectionId)
   handleMagic,
   proMode,
   onRequestFeedback, // Callback to switch to guide mode
@@ -67,9 +70,12 @@ const LeftPanel = ({
   }, [activeSection, contentRef]);
 
   // --- Select State from Zustand Store ---
-  const sections = useAppStore((state) => state.sections);
+  // Only the ids: each SectionCard subscribes to its own section, so typing does not re-render the panel
+  const sectionIds = useAppStore(useShallow((state) => Object.keys(state.sections || {})));
   const activeToggles = useAppStore((state) => state.activeToggles);
-  const storeState = useAppStore((state) => state);
+  const visibility = useAppStore(selectVisibility);
+  const customSectionCount = useAppStore((state) => state.customSections.length);
+  const openModal = useAppStore((state) => state.openModal);
 
   // --- Debug Log ---
   useEffect(() => {
@@ -78,128 +84,54 @@ const LeftPanel = ({
   // ---
 
   // --- Derived State & Logic ---
-  const allSectionsArray = sections && typeof sections === 'object' ? Object.values(sections) : [];
-  const activeApproachSectionId = activeToggles.approach;
-  const activeDataMethodSectionId = activeToggles.dataMethod;
-  const sectionDefinitions = sectionContent.sections || [];
-  const showApproachToggle = isToggleVisible('approach', storeState);
-  const showDataToggle = isToggleVisible('data', storeState);
-
-  // Filter standard sections for rendering
-  const standardSectionsToRender = getVisibleSectionsInDisplayOrder(
-      allSectionsArray,
-      activeApproachSectionId,
-      activeDataMethodSectionId
-  ).filter(section =>
-      section &&
-      !getApproachSectionIds().includes(section.id) &&
-      !getDataMethodSectionIds().includes(section.id) &&
-      isSectionVisible(section.id, storeState)
-  );
-
-  // Define options for toggles
-  const approachOptions = [ 
-    { id: 'hypothesis', label: 'Hypothesis' }, 
-    { id: 'needsresearch', label: 'Needs' }, 
-    { id: 'exploratoryresearch', label: 'Exploratory' } 
-  ];
-  const dataMethodOptions = [ 
-    { id: 'experiment', label: 'Experiment' }, 
-    { id: 'existingdata', label: 'Dataset' }, 
-    { id: 'theorysimulation', label: 'Theory' } 
-  ];
-
-  // Find specific standard sections for ordering
-  const questionSectionDef = standardSectionsToRender.find(s => s?.id === 'question');
-  const audienceSectionDef = standardSectionsToRender.find(s => s?.id === 'audience');
-  const relatedPapersSectionDef = standardSectionsToRender.find(s => s?.id === 'relatedpapers');
-  const analysisSectionDef = standardSectionsToRender.find(s => s?.id === 'analysis');
-  const processSectionDef = standardSectionsToRender.find(s => s?.id === 'process');
-  const abstractSectionDef = standardSectionsToRender.find(s => s?.id === 'abstract');
+  // One card per visible section; a category's selected sections follow each other and the first
+  // card shows the category's options
+  const selectedToggles = normalizeActiveToggles(activeToggles);
+  const sectionsToRender = getVisibleSectionsInDisplayOrder(sectionIds.map(id => ({ id })), activeToggles)
+    .filter(section => {
+      const categoryId = getToggleGroup(section.id);
+      return categoryId ? visibility.toggles[categoryId] : visibility.sections[section.id];
+    });
 
   return (
     <div className="w-full h-full overflow-y-auto pb-8 box-border flex-shrink-0">
       {/* HeaderCard removed as it's now in the parent SinglePanelLayout */}
 
-      {/* Question Section */}
-      {questionSectionDef && (
-        <div ref={el => sectionRefs.current.question = el}>
-          {renderStandardSectionCard(questionSectionDef, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)}
-        </div>
-      )}
-
-      {/* Approach Toggle Section Card */}
-      {showApproachToggle && (
-        <div ref={el => sectionRefs.current[activeApproachSectionId] = el}>
-          <SectionCard
-            key={activeApproachSectionId} // Dynamic key
-            sectionId={activeApproachSectionId}
-            isCurrentSection={activeSection === activeApproachSectionId}
-            onRequestFeedback={handleMagic}
-            handleSectionFocus={handleSectionFocus}
-            options={approachOptions}
-            activeOption={activeApproachSectionId}
-            onToggle={handleApproachToggle}
-            isToggleSection={true}
-            onSwitchToGuide={onRequestFeedback} // Pass the mode switch function
-          />
-        </div>
-      )}
-
-      {/* Audience Section */}
-      {audienceSectionDef && (
-        <div ref={el => sectionRefs.current.audience = el}>
-          {renderStandardSectionCard(audienceSectionDef, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)}
-        </div>
-      )}
-
-      {/* Related Papers Section */}
-      {relatedPapersSectionDef && (
-        <div ref={el => sectionRefs.current.relatedpapers = el}>
-          {renderStandardSectionCard(relatedPapersSectionDef, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)}
-        </div>
-      )}
-
-      {/* Data Method Toggle Section Card */}
-      {showDataToggle && (
-        <div ref={el => sectionRefs.current[activeDataMethodSectionId] = el}>
-         <SectionCard
-           key={activeDataMethodSectionId} // Dynamic key
-           sectionId={activeDataMethodSectionId}
-           isCurrentSection={activeSection === activeDataMethodSectionId}
-           onRequestFeedback={handleMagic}
-           handleSectionFocus={handleSectionFocus}
-           options={dataMethodOptions}
-           activeOption={activeDataMethodSectionId}
-           onToggle={handleDataMethodToggle}
-           isToggleSection={true}
-           onSwitchToGuide={onRequestFeedback} // Pass the mode switch function
-         />
-        </div>
-      )}
-
-      {/* Analysis Section */}
-      {analysisSectionDef && (
-        <div ref={el => sectionRefs.current.analysis = el}>
-          {renderStandardSectionCard(analysisSectionDef, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)}
-        </div>
-      )}
-
-      {/* Process Section */}
-      {processSectionDef && (
-        <div ref={el => sectionRefs.current.process = el}>
-          {renderStandardSectionCard(processSectionDef, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)}
-        </div>
-      )}
-
-      {/* Abstract Section */}
-      {abstractSectionDef && (
-        <div ref={el => sectionRefs.current.abstract = el}>
-          {renderStandardSectionCard(abstractSectionDef, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)}
-        </div>
-      )}
+      {sectionsToRender.map(section => {
+        const categoryId = getToggleGroup(section.id);
+        const isFirstOfCategory = !!categoryId && selectedToggles[categoryId][0] === section.id;
+        return (
+          <div key={isFirstOfCategory ? categoryId : section.id} ref={el => sectionRefs.current[section.id] = el}>
+            {isFirstOfCategory ? (
+              <SectionCard
+                key={section.id} // Dynamic key
+                sectionId={section.id}
+                isCurrentSection={activeSection === section.id}
+                onRequestFeedback={handleMagic}
+                handleSectionFocus={handleSectionFocus}
+                options={getCategoryOptions(categoryId)}
+                activeOption={section.id}
+                selectedOptions={selectedToggles[categoryId]}
+                multiSelect={getCategory(categoryId).multiSelect}
+                onToggle={(sectionId) => handleCategoryToggle(categoryId, sectionId)}
+                isToggleSection={true}
+                onSwitchToGuide={onRequestFeedback} // Pass the mode switch function
+              />
+            ) : (
+              renderStandardSectionCard(section, activeSection, handleSectionFocus, handleMagic, onRequestFeedback)
+            )}
+          </div>
+        );
+      })}
 
       {/* Gray card with Pro Mode info removed - now in splash screen */}
+
+      <button
+        onClick={() => openModal('customSectionsModal')}
+        className="w-full mt-2 py-3 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:border-purple-400 hover:text-purple-700 transition-colors"
+      >
+        {customSectionCount > 0 ? `+ Add or edit custom sections (${customSectionCount})` : '+ Add a custom section'}
+      </button>
     </div>
   );
 };
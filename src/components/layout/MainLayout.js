@@ -1,6 +1,8 @@
 // FILE: src/components/layout/MainLayout.js
 // FIXED: Better centered content with proper margins
 // MODIFIED: Always show rail regardless of pro mode
+// MODIFIED: Passes project switching (onSwitchProject, onOpenProjects) to the header and modals
+// MODIFIED: Passes onOpenProgress to the header
 
 import React, { useState } from 'react';
 import AppHeader from './AppHeader';
@@ -15,7 +17,8 @@ import useAppStore from '../../store/appStore';
 const MainLayout = ({
   // Props...
   splashManagerRef, resetProject, exportProject, saveProject, loadProject,
-  importDocumentContent, onOpenReviewModal, openExamplesDialog, showHelpSplash,
+  importDocumentContent, onOpenReviewModal, onOpenSettings, onOpenUsage, onOpenProgress, onSwitchProject, onOpenProjects,
+  openExamplesDialog, showHelpSplash,
   contentAreaProps, interactionProps, modalState,
   currentReviewData,
   modalActions,
@@ -31,7 +34,8 @@ const MainLayout = ({
   // Prepare props for AppHeader
   const appHeaderProps = {
       resetProject, exportProject, saveProject, loadProject, importDocumentContent,
-      onOpenReviewModal, setShowExamplesDialog: openExamplesDialog,
+      onOpenReviewModal, onOpenSettings, onOpenUsage, onOpenProgress, onSwitchProject, onOpenProjects,
+      setShowExamplesDialog: openExamplesDialog,
       showHelpSplash,
   };
 
@@ -83,6 +87,7 @@ const MainLayout = ({
             actions={modalActions}
             handleReviewPaper={handleReviewPaper}
             loadProject={loadProject}
+            switchProject={onSwitchProject}
             saveWithFilename={saveWithFilename}
           />
         </div>
@@ -0,0 +1,82 @@
+// FILE: src/components/layout/ProjectSwitcher.js
+import React, { useState, useRef, useEffect } from 'react';
+import useAppStore from '../../store/appStore';
+import { DEFAULT_PROJECT_NAME } from '../../services/workspaceService';
+
+/**
+ * Header dropdown showing the current project
+ * Lists the other (non-archived) projects to switch to, and links to
+ * "New project" and the Projects modal for rename/duplicate/archive/delete.
+ */
+const ProjectSwitcher = ({ onSwitchProject, onNewProject, onManageProjects, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const projectId = useAppStore((state) => state.projectId);
+  const projects = useAppStore((state) => state.projects);
+
+  const currentName = projects.find(project => project.id === projectId)?.name || DEFAULT_PROJECT_NAME;
+  const otherProjects = projects.filter(project => project.id !== projectId && !project.archived);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const runAndClose = (action) => () => {
+    setIsOpen(false);
+    if (typeof action === 'function') action();
+  };
+
+  return (
+    <div ref={containerRef} className="relative min-w-0">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className={`flex items-center max-w-xs px-2 py-1 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100 ${disabled ? 'opacity-60 cursor-wait' : ''}`}
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+        title="Switch project"
+      >
+        <span className="truncate">{currentName}</span>
+        <svg className="h-4 w-4 ml-1 flex-shrink-0 text-gray-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 mt-1 w-72 bg-white border border-gray-200 rounded-md shadow-lg z-50">
+          {otherProjects.length > 0 && (
+            <ul className="max-h-64 overflow-y-auto py-1 border-b border-gray-100" role="listbox">
+              {otherProjects.map(project => (
+                <li key={project.id}>
+                  <button
+                    onClick={runAndClose(() => onSwitchProject(project.id))}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-gray-100"
+                  >
+                    <span className="block truncate text-gray-800">{project.name}</span>
+                    <span className="block text-xs text-gray-400">Edited {new Date(project.updatedAt).toLocaleString()}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="py-1">
+            <button onClick={runAndClose(onNewProject)} className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100">
+              New project
+            </button>
+            <button onClick={runAndClose(onManageProjects)} className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100">
+              Manage projects…
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
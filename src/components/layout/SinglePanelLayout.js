@@ -7,11 +7,8 @@ import { isTouchDevice, setupSwipeHint } from '../../utils/touchDetection';
 
 const SinglePanelLayout = ({
   activeSection,
-  activeApproach,
-  activeDataMethod,
   handleSectionFocus,
-  handleApproachToggle,
-  handleDataMethodToggle,
+  handleCategoryToggle,
   proMode,
   handleMagic,
 }) => {
@@ -335,7 +332,7 @@ const SinglePanelLayout = ({
               <div className="bg-white px-5 py-4">
                 <LeftPanel
                   activeSection={activeSectionId} handleSectionFocus={handleSectionFocus}
-                  handleApproachToggle={handleApproachToggle} handleDataMethodToggle={handleDataMethodToggle}
+                  handleCategoryToggle={handleCategoryToggle}
                   handleMagic={handleMagic} proMode={proMode}
                   onRequestFeedback={handleSwitchToGuide} contentRef={contentRef}
                 />
@@ -1,5 +1,11 @@
+// FILE: src/components/menu/HamburgerMenu.js
+// ADDED: Edit group with Undo/Redo, labelled with the action they revert
+// ADDED: "Progress" entry opening the rating charts
 import React, { useState, useRef, useEffect } from 'react';
+import useAppStore from '../../store/appStore';
+import { getShortcutLabel } from '../../hooks/useUndoRedoShortcuts';
 import ProModeToggle from '../toggles/ProModeToggle';
+import CancelRequestButton from '../common/CancelRequestButton';
 import c4rLogo from '../../assets/icons/01_C4R-short.png'; // Import the C4R logo
 
 const HamburgerMenu = ({
@@ -8,12 +14,20 @@ const HamburgerMenu = ({
   loadProject,
   importDocumentContent,
   onOpenReviewModal,
+  onOpenSettings,
+  onOpenUsage,
+  onOpenProgress,
   showHelpSplash,
   isAiBusy,
   localImportLoading,
 }) => {
   const [isOpen, setIsOpen] = useState(false);
   const drawerRef = useRef(null);
+  const history = useAppStore((state) => state.history);
+  const undo = useAppStore((state) => state.undo);
+  const redo = useAppStore((state) => state.redo);
+  const nextUndo = history.past[history.past.length - 1];
+  const nextRedo = history.future[history.future.length - 1];
   
   // Loading spinner SVG
   const loadingSpinner = (
@@ -77,6 +91,21 @@ const HamburgerMenu = ({
     setIsOpen(false); // Close drawer after action
   };
 
+  const handleSettingsClick = () => {
+    if (onOpenSettings) onOpenSettings();
+    setIsOpen(false); // Close drawer after action
+  };
+
+  const handleUsageClick = () => {
+    if (onOpenUsage) onOpenUsage();
+    setIsOpen(false); // Close drawer after action
+  };
+
+  const handleProgressClick = () => {
+    if (onOpenProgress) onOpenProgress();
+    setIsOpen(false); // Close drawer after action
+  };
+
   const handleExportClick = () => {
     if (exportProject) exportProject();
     setIsOpen(false); // Close drawer after action
@@ -163,6 +192,7 @@ const HamburgerMenu = ({
                   {localImportLoading ? "Importing..." : "PDF->Example"}
                   <input type="file" className="hidden" accept=".pdf,.docx,.doc" onChange={handleFileImport} disabled={isAiBusy || localImportLoading} />
                 </label>
+                <CancelRequestButton loadingType="import" className="ml-3 mt-1" />
               </li>
               <li>
                 <label 
@@ -181,12 +211,73 @@ const HamburgerMenu = ({
             </ul>
           </div>
 
+          {/* Edit Group */}
+          <div className="mb-4 pt-3 border-t border-gray-200">
+            <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">Edit</h3>
+            <ul className="space-y-2">
+              <li>
+                <button 
+                  onClick={undo} 
+                  disabled={!nextUndo || isAiBusy}
+                  className="w-full text-left flex items-center px-3 py-2 text-sm rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:hover:bg-transparent"
+                  title={nextUndo ? `Undo ${nextUndo.label}` : 'Nothing to undo'}
+                >
+                  <svg className="h-4 w-4 mr-2 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                  </svg>
+                  <span className="truncate flex-grow">Undo{nextUndo ? ` ${nextUndo.label}` : ''}</span>
+                  <span className="ml-2 text-xs text-gray-400">{getShortcutLabel('Z')}</span>
+                </button>
+              </li>
+              <li>
+                <button 
+                  onClick={redo} 
+                  disabled={!nextRedo || isAiBusy}
+                  className="w-full text-left flex items-center px-3 py-2 text-sm rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:hover:bg-transparent"
+                  title={nextRedo ? `Redo ${nextRedo.label}` : 'Nothing to redo'}
+                >
+                  <svg className="h-4 w-4 mr-2 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a8 8 0 00-8 8v2m18-10l-6 6m6-6l-6-6" />
+                  </svg>
+                  <span className="truncate flex-grow">Redo{nextRedo ? ` ${nextRedo.label}` : ''}</span>
+                  <span className="ml-2 text-xs text-gray-400">{getShortcutLabel('Shift+Z')}</span>
+                </button>
+              </li>
+            </ul>
+          </div>
+
           {/* Mode Settings */}
           <div className="mb-4 pt-3 border-t border-gray-200">
             <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">Settings</h3>
             <div className="px-3 py-2">
               <ProModeToggle />
             </div>
+            <ul className="space-y-2">
+              <li>
+                <button 
+                  onClick={handleSettingsClick} 
+                  disabled={isAiBusy || localImportLoading}
+                  className="w-full text-left flex items-center px-3 py-2 text-sm rounded-md hover:bg-gray-100"
+                >
+                  <svg className="h-4 w-4 mr-2 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                  </svg>
+                  AI Settings
+                </button>
+              </li>
+              <li>
+                <button 
+                  onClick={handleUsageClick} 
+                  className="w-full text-left flex items-center px-3 py-2 text-sm rounded-md hover:bg-gray-100"
+                >
+                  <svg className="h-4 w-4 mr-2 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                  </svg>
+                  AI Usage
+                </button>
+              </li>
+            </ul>
           </div>
 
           {/* Import/Export Group */}
@@ -207,6 +298,17 @@ const HamburgerMenu = ({
                   Export
                 </button>
               </li>
+              <li>
+                <button 
+                  onClick={handleProgressClick} 
+                  className="w-full text-left flex items-center px-3 py-2 text-sm rounded-md hover:bg-gray-100"
+                >
+                  <svg className="h-4 w-4 mr-2 text-gray-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+                  </svg>
+                  Progress
+                </button>
+              </li>
               <li>
                 <button 
                   onClick={handleReviewClick} 
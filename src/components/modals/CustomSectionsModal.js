@@ -0,0 +1,212 @@
+// FILE: src/components/modals/CustomSectionsModal.js
+import React, { useState } from 'react';
+import useAppStore from '../../store/appStore';
+
+const inputClasses = 'w-full border border-gray-300 rounded px-2 py-1 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-500';
+const actionClasses = 'text-xs text-gray-600 hover:text-gray-900 hover:underline disabled:text-gray-300 disabled:no-underline';
+
+const emptySubsection = () => ({ title: '', instruction: '' });
+
+/**
+ * Title, intro text and checklist of one custom section
+ * Checklist items without a title are dropped on save.
+ */
+const CustomSectionForm = ({ initial, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => ({
+    title: initial?.title || '',
+    introText: initial?.introText || '',
+    subsections: initial?.subsections?.length ? initial.subsections : [emptySubsection()]
+  }));
+
+  const updateSubsection = (index, changes) => setDraft(current => ({
+    ...current,
+    subsections: current.subsections.map((subsection, i) => (i === index ? { ...subsection, ...changes } : subsection))
+  }));
+  const removeSubsection = (index) => setDraft(current => ({
+    ...current,
+    subsections: current.subsections.filter((subsection, i) => i !== index)
+  }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.title.trim()) onSave(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-4 bg-gray-50">
+      <label htmlFor="custom-section-title" className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+      <input
+        id="custom-section-title"
+        value={draft.title}
+        onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+        placeholder="e.g. Preliminary Data"
+        className={`${inputClasses} mb-3`}
+        autoFocus
+      />
+
+      <label htmlFor="custom-section-intro" className="block text-sm font-medium text-gray-700 mb-1">Intro text</label>
+      <textarea
+        id="custom-section-intro"
+        value={draft.introText}
+        onChange={(e) => setDraft({ ...draft, introText: e.target.value })}
+        placeholder="What this section is for (shown with its instructions)"
+        rows={2}
+        className={`${inputClasses} mb-3`}
+      />
+
+      <div className="text-sm font-medium text-gray-700 mb-1">Checklist</div>
+      <p className="text-xs text-gray-500 mb-2">AI feedback checks the section against these points, one by one.</p>
+      {draft.subsections.map((subsection, index) => (
+        <div key={index} className="flex items-start gap-2 mb-2">
+          <div className="flex-1 space-y-1">
+            <input
+              value={subsection.title}
+              onChange={(e) => updateSubsection(index, { title: e.target.value })}
+              placeholder="Point, e.g. Pilot results"
+              aria-label={`Checklist item ${index + 1} title`}
+              className={inputClasses}
+            />
+            <textarea
+              value={subsection.instruction}
+              onChange={(e) => updateSubsection(index, { instruction: e.target.value })}
+              placeholder="What a good section says about it"
+              aria-label={`Checklist item ${index + 1} instruction`}
+              rows={2}
+              className={inputClasses}
+            />
+          </div>
+          <button type="button" onClick={() => removeSubsection(index)} className={`${actionClasses} mt-1`}>Remove</button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setDraft({ ...draft, subsections: [...draft.subsections, emptySubsection()] })}
+        className={actionClasses}
+      >
+        + Add checklist item
+      </button>
+
+      <div className="flex justify-end space-x-3 mt-4">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!draft.title.trim()}
+          className="px-3 py-1.5 text-sm bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-gray-300"
+        >
+          Save section
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Custom sections modal
+ * Add, edit, reorder and remove the project's own sections. They follow the
+ * template's sections in the planner, feedback, chat and exports.
+ */
+const CustomSectionsModal = ({ showModal, onClose }) => {
+  const customSections = useAppStore((state) => state.customSections);
+  const addCustomSection = useAppStore((state) => state.addCustomSection);
+  const updateCustomSection = useAppStore((state) => state.updateCustomSection);
+  const moveCustomSection = useAppStore((state) => state.moveCustomSection);
+  const removeCustomSection = useAppStore((state) => state.removeCustomSection);
+  const [editingId, setEditingId] = useState(null); // 'new' or the id of the section being edited
+
+  if (!showModal) return null;
+
+  const handleClose = () => {
+    setEditingId(null);
+    onClose();
+  };
+
+  const handleSave = (fields) => {
+    if (editingId === 'new') {
+      addCustomSection(fields);
+    } else {
+      updateCustomSection(editingId, fields);
+    }
+    setEditingId(null);
+  };
+
+  const handleRemove = (section) => {
+    if (!window.confirm(`Remove "${section.title}" and its text? You can undo this.`)) return;
+    removeCustomSection(section.id);
+    if (editingId === section.id) setEditingId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Custom sections</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-500 hover:text-gray-700 focus:outline-none"
+            aria-label="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Sections your template lacks, such as Preliminary Data or Broader Impacts. They come after the template's
+          sections, get AI feedback against their own checklist, and are included in exports and saved files.
+        </p>
+
+        {customSections.length === 0 && editingId !== 'new' && (
+          <p className="text-sm text-gray-500 mb-4">This project has no custom sections yet.</p>
+        )}
+
+        {customSections.map((section, index) => (
+          editingId === section.id ? (
+            <CustomSectionForm key={section.id} initial={section} onSave={handleSave} onCancel={() => setEditingId(null)} />
+          ) : (
+            <div key={section.id} className="flex items-center justify-between py-2 border-b border-gray-100">
+              <div className="min-w-0 mr-4">
+                <div className="text-sm text-gray-800 truncate">{section.title}</div>
+                <div className="text-xs text-gray-400">
+                  {section.subsections.length} checklist item{section.subsections.length === 1 ? '' : 's'}
+                </div>
+              </div>
+              <div className="flex-shrink-0 space-x-3">
+                <button onClick={() => moveCustomSection(section.id, -1)} disabled={index === 0} className={actionClasses} aria-label={`Move ${section.title} up`}>Up</button>
+                <button onClick={() => moveCustomSection(section.id, 1)} disabled={index === customSections.length - 1} className={actionClasses} aria-label={`Move ${section.title} down`}>Down</button>
+                <button onClick={() => setEditingId(section.id)} className={actionClasses}>Edit</button>
+                <button onClick={() => handleRemove(section)} className="text-xs text-red-600 hover:underline">Remove</button>
+              </div>
+            </div>
+          )
+        ))}
+
+        {editingId === 'new' ? (
+          <div className="mt-4">
+            <CustomSectionForm onSave={handleSave} onCancel={() => setEditingId(null)} />
+          </div>
+        ) : (
+          <button
+            onClick={() => setEditingId('new')}
+            className="mt-4 px-3 py-1.5 text-sm bg-purple-600 text-white rounded hover:bg-purple-700"
+          >
+            + Add section
+          </button>
+        )}
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomSectionsModal;
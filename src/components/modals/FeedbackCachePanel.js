@@ -0,0 +1,93 @@
+// FILE: src/components/modals/FeedbackCachePanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  listCachedFeedback,
+  deleteCachedFeedback,
+  clearFeedbackCache,
+  isFeedbackCacheAvailable
+} from '../../services/feedbackCacheService';
+
+/**
+ * Feedback cache inspector
+ * Lists the section feedback saved in this browser (one entry per distinct
+ * text/instructions/prompt/model combination) and lets the user remove
+ * single entries or clear the whole cache. Rendered inside the Settings modal.
+ */
+const FeedbackCachePanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [isAvailable, setIsAvailable] = useState(true);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setIsAvailable(await isFeedbackCacheAvailable());
+    setEntries(await listCachedFeedback());
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleDelete = async (key) => {
+    await deleteCachedFeedback(key);
+    refresh();
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove all saved feedback? Sections will be evaluated again on the next request.')) return;
+    await clearFeedbackCache();
+    refresh();
+  };
+
+  return (
+    <section className="mb-6">
+      <div className="flex justify-between items-baseline mb-1">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">Feedback cache</h3>
+        {entries.length > 0 && (
+          <button onClick={handleClear} className="text-sm text-red-600 hover:underline">
+            Clear cache
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-3">
+        Feedback for text that has not changed is reused instead of asking the AI again. Use "Re-evaluate" on a section to bypass it.
+      </p>
+
+      {!isAvailable ? (
+        <p className="text-sm text-gray-500">This browser does not support IndexedDB, so feedback is not cached.</p>
+      ) : isLoading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved feedback yet.</p>
+      ) : (
+        <ul className="text-xs text-gray-600 space-y-1 max-h-48 overflow-y-auto">
+          {entries.map(entry => (
+            <li key={entry.key} className="flex justify-between items-start border-t border-gray-100 pt-1">
+              <div className="min-w-0 pr-2">
+                <div className="text-gray-800">
+                  {entry.sectionId} · rating {entry.rating ?? '-'} · {entry.model || 'unknown model'} · {entry.promptVersion}
+                </div>
+                <div className="truncate" title={entry.contentPreview}>
+                  {entry.contentPreview || '(empty)'}{entry.contentLength > entry.contentPreview.length ? '…' : ''}
+                </div>
+                <div className="text-gray-400">
+                  Saved {new Date(entry.createdAt).toLocaleString()} · reused {entry.hits} time(s)
+                </div>
+              </div>
+              <button
+                onClick={() => handleDelete(entry.key)}
+                className="text-gray-400 hover:text-red-600 flex-shrink-0"
+                aria-label="Remove cached feedback"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default FeedbackCachePanel;
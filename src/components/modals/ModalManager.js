@@ -6,6 +6,13 @@ import ExamplesDialog from '../PaperPlanner/ExamplesDialog';
 import ReviewPaperModal from './ReviewPaperModal';
 import PrivacyPolicyModal from './PrivacyPolicyModal';
 import SaveDialog from '../PaperPlanner/SaveDialog';
+import SettingsModal from './SettingsModal';
+import UsageModal from './UsageModal';
+import ProjectsModal from './ProjectsModal';
+import ProgressModal from './ProgressModal';
+import CustomSectionsModal from './CustomSectionsModal';
+import SyncConflictModal from './SyncConflictModal';
+import StorageWarningModal from './StorageWarningModal';
 
 const ModalManager = ({
   // modalState, // REMOVED - will get from store now
@@ -13,6 +20,7 @@ const ModalManager = ({
   actions, // Keep actions passed down (like close functions, reset confirm)
   handleReviewPaper, // Function passed down to ReviewPaperModal
   loadProject, // Function passed down to ExamplesDialog
+  switchProject, // Function passed down to ProjectsModal
   saveWithFilename // Function passed down to SaveDialog
 }) => {
 
@@ -31,6 +39,11 @@ const ModalManager = ({
     reviewModal = false,
     privacyPolicy = false,
     saveDialog = false,
+    settingsModal = false,
+    usageModal = false,
+    projectsModal = false,
+    progressModal = false,
+    customSectionsModal = false,
   } = modals || {}; // Add default {} for safety
 
   // Destructure modal actions passed via props
@@ -40,6 +53,11 @@ const ModalManager = ({
     closeReviewModal,
     closePrivacyPolicy,
     closeSaveDialog,
+    closeSettingsModal,
+    closeUsageModal,
+    closeProjectsModal,
+    closeProgressModal,
+    closeCustomSectionsModal,
     onConfirmReset
   } = actions || {}; // Add default {} for safety
 
@@ -50,6 +68,11 @@ const ModalManager = ({
   const handleCloseExamples = typeof closeExamplesDialog === 'function' ? closeExamplesDialog : () => console.error("closeExamplesDialog action missing");
   const handleClosePrivacy = typeof closePrivacyPolicy === 'function' ? closePrivacyPolicy : () => console.error("closePrivacyPolicy action missing");
   const handleCloseSave = typeof closeSaveDialog === 'function' ? closeSaveDialog : () => console.error("closeSaveDialog action missing");
+  const handleCloseSettings = typeof closeSettingsModal === 'function' ? closeSettingsModal : () => console.error("closeSettingsModal action missing");
+  const handleCloseUsage = typeof closeUsageModal === 'function' ? closeUsageModal : () => console.error("closeUsageModal action missing");
+  const handleCloseProjects = typeof closeProjectsModal === 'function' ? closeProjectsModal : () => console.error("closeProjectsModal action missing");
+  const handleCloseProgress = typeof closeProgressModal === 'function' ? closeProgressModal : () => console.error("closeProgressModal action missing");
+  const handleCloseCustomSections = typeof closeCustomSectionsModal === 'function' ? closeCustomSectionsModal : () => console.error("closeCustomSectionsModal action missing");
 
   return (
     <>
@@ -87,6 +110,43 @@ const ModalManager = ({
         setShowSaveDialog={handleCloseSave} // Pass close action
         saveProject={saveWithFilename} // Pass handler from parent
       />
+
+      {/* AI Settings Modal */}
+      <SettingsModal
+        showModal={settingsModal} // Visibility from store
+        onClose={handleCloseSettings} // Pass close action
+      />
+
+      {/* AI Usage Modal */}
+      <UsageModal
+        showModal={usageModal} // Visibility from store
+        onClose={handleCloseUsage} // Pass close action
+      />
+
+      {/* Projects Modal */}
+      <ProjectsModal
+        showModal={projectsModal} // Visibility from store
+        onClose={handleCloseProjects} // Pass close action
+        onOpenProject={switchProject} // Pass handler from parent
+      />
+
+      {/* Progress Modal */}
+      <ProgressModal
+        showModal={progressModal} // Visibility from store
+        onClose={handleCloseProgress} // Pass close action
+      />
+
+      {/* Custom Sections Modal */}
+      <CustomSectionsModal
+        showModal={customSectionsModal} // Visibility from store
+        onClose={handleCloseCustomSections} // Pass close action
+      />
+
+      {/* Sync Conflict Modal (opens itself while the store has sync conflicts) */}
+      <SyncConflictModal />
+
+      {/* Storage Warning Modal (opens itself while the browser's storage is full) */}
+      <StorageWarningModal />
     </>
   );
 };
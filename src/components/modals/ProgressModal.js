@@ -0,0 +1,180 @@
+// FILE: src/components/modals/ProgressModal.js
+import React, { useState } from 'react';
+import useAppStore from '../../store/appStore';
+import { getFeedbackIntervals, formatDuration } from '../../utils/progressUtils';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 150;
+const MARGIN = { top: 10, right: 12, bottom: 22, left: 28 };
+
+/**
+ * Rating (line, left axis 0-10) and completed subsections (bars) over time for one section
+ */
+const ProgressChart = ({ points }) => {
+  const innerWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const innerHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const first = points[0].at;
+  const span = points[points.length - 1].at - first;
+  // Place rounds by time; a single round sits in the middle
+  const xFor = (at) => MARGIN.left + (span > 0 ? ((at - first) / span) * innerWidth : innerWidth / 2);
+  const yForRating = (rating) => MARGIN.top + (1 - rating / 10) * innerHeight;
+  const barWidth = Math.max(4, Math.min(16, innerWidth / (points.length * 3)));
+  const rated = points.filter(point => typeof point.rating === 'number');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Rating and completed subsections over time">
+      {[0, 5, 10].map(tick => (
+        <g key={tick}>
+          <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={yForRating(tick)} y2={yForRating(tick)} stroke="#e5e7eb" />
+          <text x={MARGIN.left - 6} y={yForRating(tick) + 3} textAnchor="end" fontSize="9" fill="#6b7280">{tick}</text>
+        </g>
+      ))}
+
+      {points.map((point, index) => {
+        if (!point.subsectionsTotal) return null;
+        const height = (point.subsectionsCompleted / point.subsectionsTotal) * innerHeight;
+        return (
+          <rect
+            key={`bar-${index}`}
+            x={xFor(point.at) - barWidth / 2}
+            y={MARGIN.top + innerHeight - height}
+            width={barWidth}
+            height={height}
+            fill="#bbf7d0"
+          >
+            <title>{`${point.subsectionsCompleted}/${point.subsectionsTotal} subsections complete`}</title>
+          </rect>
+        );
+      })}
+
+      {rated.length > 1 && (
+        <polyline
+          points={rated.map(point => `${xFor(point.at).toFixed(1)},${yForRating(point.rating).toFixed(1)}`).join(' ')}
+          fill="none"
+          stroke="#7c3aed"
+          strokeWidth="2"
+          strokeLinejoin="round"
+        />
+      )}
+      {rated.map((point, index) => (
+        <circle key={`dot-${index}`} cx={xFor(point.at)} cy={yForRating(point.rating)} r="3" fill="#7c3aed">
+          <title>{`${new Date(point.at).toLocaleString()}: ${point.rating}/10`}</title>
+        </circle>
+      ))}
+
+      <text x={MARGIN.left} y={CHART_HEIGHT - 6} fontSize="9" fill="#6b7280">{new Date(first).toLocaleDateString()}</text>
+      {span > 0 && (
+        <text x={CHART_WIDTH - MARGIN.right} y={CHART_HEIGHT - 6} textAnchor="end" fontSize="9" fill="#6b7280">
+          {new Date(points[points.length - 1].at).toLocaleDateString()}
+        </text>
+      )}
+    </svg>
+  );
+};
+
+/**
+ * Progress modal
+ * Feedback timeline per section: rating over time, subsections completed and
+ * time between feedback rounds, from the store's ratingHistory.
+ */
+const ProgressModal = ({ showModal, onClose }) => {
+  const sections = useAppStore((state) => state.sections);
+  const ratingHistory = useAppStore((state) => state.ratingHistory);
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (!showModal) return null;
+
+  const sectionIds = Object.keys(ratingHistory || {}).filter(id => ratingHistory[id]?.length && sections[id]);
+  const totalRounds = sectionIds.reduce((sum, id) => sum + ratingHistory[id].length, 0);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Progress</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 focus:outline-none"
+            aria-label="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {sectionIds.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">No feedback yet. Each time you get feedback on a section, its rating and completed subsections are added here.</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              {totalRounds} feedback round{totalRounds === 1 ? '' : 's'} across {sectionIds.length} section{sectionIds.length === 1 ? '' : 's'}.
+              <span className="ml-2 inline-flex items-center text-xs text-gray-500">
+                <span className="inline-block w-3 h-0.5 bg-purple-600 mr-1"></span>Rating
+                <span className="inline-block w-2 h-3 bg-green-200 ml-3 mr-1"></span>Subsections complete
+              </span>
+            </p>
+
+            {sectionIds.map(id => {
+              const points = ratingHistory[id];
+              const latest = points[points.length - 1];
+              const intervals = getFeedbackIntervals(points);
+              const averageInterval = intervals.length ? intervals.reduce((sum, gap) => sum + gap, 0) / intervals.length : null;
+              const isExpanded = expandedId === id;
+
+              return (
+                <section key={id} className="mb-6">
+                  <div className="flex justify-between items-baseline mb-1">
+                    <h3 className="text-sm font-semibold text-gray-700">{sections[id].title}</h3>
+                    <span className="text-xs text-gray-500">
+                      {points.length} round{points.length === 1 ? '' : 's'}
+                      {latest.rating !== null && <> · latest {latest.rating}/10</>}
+                      {averageInterval !== null && <> · {formatDuration(averageInterval)} between rounds on average</>}
+                    </span>
+                  </div>
+                  <ProgressChart points={points} />
+                  <button onClick={() => setExpandedId(isExpanded ? null : id)} className="text-xs text-gray-600 hover:underline">
+                    {isExpanded ? 'Hide rounds' : 'Show rounds'}
+                  </button>
+                  {isExpanded && (
+                    <table className="w-full text-sm mt-1">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="pb-1 font-medium">When</th>
+                          <th className="pb-1 font-medium text-right">Rating</th>
+                          <th className="pb-1 font-medium text-right">Subsections</th>
+                          <th className="pb-1 font-medium text-right">Since previous</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {points.map((point, index) => (
+                          <tr key={point.at + '-' + index} className="border-t border-gray-100">
+                            <td className="py-1 text-gray-800">{new Date(point.at).toLocaleString()}</td>
+                            <td className="py-1 text-right">{point.rating !== null ? `${point.rating}/10` : '-'}</td>
+                            <td className="py-1 text-right">{point.subsectionsTotal ? `${point.subsectionsCompleted}/${point.subsectionsTotal}` : '-'}</td>
+                            <td className="py-1 text-right">{index > 0 ? formatDuration(intervals[index - 1]) : '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </section>
+              );
+            })}
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressModal;
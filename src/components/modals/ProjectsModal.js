@@ -0,0 +1,164 @@
+// FILE: src/components/modals/ProjectsModal.js
+import React, { useState, useEffect } from 'react';
+import useAppStore from '../../store/appStore';
+import { isWorkspacePersistent } from '../../services/workspaceService';
+import { getTemplate, resolveTemplateId } from '../../utils/templateRegistry';
+
+/**
+ * One row of the project list with its actions
+ */
+const ProjectRow = ({ project, isCurrent, onOpen, onRename, onDuplicate, onArchive, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(project.name);
+
+  const handleSubmitRename = (event) => {
+    event.preventDefault();
+    onRename(project.id, name);
+    setIsEditing(false);
+  };
+
+  const actionClasses = "text-xs text-gray-600 hover:text-gray-900 hover:underline";
+
+  return (
+    <li className="py-2 border-t border-gray-100 flex items-start justify-between">
+      <div className="min-w-0 pr-3 flex-grow">
+        {isEditing ? (
+          <form onSubmit={handleSubmitRename} className="flex items-center space-x-2">
+            <input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Escape') { setName(project.name); setIsEditing(false); } }}
+              className="flex-grow px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label="Project name"
+            />
+            <button type="submit" className="text-xs text-blue-600 hover:underline">Save</button>
+          </form>
+        ) : (
+          <div className="text-sm text-gray-800 truncate">
+            {project.name}
+            {isCurrent && <span className="ml-2 text-xs text-purple-600">(open)</span>}
+          </div>
+        )}
+        <div className="text-xs text-gray-400">
+          {getTemplate(resolveTemplateId(project.templateId)).name} · Created {new Date(project.createdAt).toLocaleDateString()} · edited {new Date(project.updatedAt).toLocaleString()}
+        </div>
+      </div>
+      <div className="flex-shrink-0 space-x-3">
+        {!isCurrent && !project.archived && <button onClick={() => onOpen(project.id)} className={actionClasses}>Open</button>}
+        <button onClick={() => setIsEditing(true)} className={actionClasses}>Rename</button>
+        <button onClick={() => onDuplicate(project.id)} className={actionClasses}>Duplicate</button>
+        <button onClick={() => onArchive(project.id, !project.archived)} className={actionClasses}>
+          {project.archived ? 'Unarchive' : 'Archive'}
+        </button>
+        <button onClick={() => onDelete(project)} className="text-xs text-red-600 hover:underline">Delete</button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Projects modal
+ * Manage the workspace: open, rename, duplicate, archive and delete projects.
+ */
+const ProjectsModal = ({ showModal, onClose, onOpenProject }) => {
+  const projectId = useAppStore((state) => state.projectId);
+  const projects = useAppStore((state) => state.projects);
+  const refreshProjects = useAppStore((state) => state.refreshProjects);
+  const renameProject = useAppStore((state) => state.renameProject);
+  const duplicateProject = useAppStore((state) => state.duplicateProject);
+  const archiveProject = useAppStore((state) => state.archiveProject);
+  const deleteProject = useAppStore((state) => state.deleteProject);
+  const [isPersistent, setIsPersistent] = useState(true);
+  const [showArchived, setShowArchived] = useState(false);
+
+  useEffect(() => {
+    if (!showModal) return;
+    refreshProjects();
+    isWorkspacePersistent().then(setIsPersistent);
+  }, [showModal, refreshProjects]);
+
+  if (!showModal) return null;
+
+  const activeProjects = projects.filter(project => !project.archived);
+  const archivedProjects = projects.filter(project => project.archived);
+
+  const handleOpen = async (id) => {
+    await onOpenProject(id);
+    onClose();
+  };
+
+  const handleDelete = (project) => {
+    if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+    deleteProject(project.id);
+  };
+
+  const rowProps = {
+    onOpen: handleOpen,
+    onRename: renameProject,
+    onDuplicate: duplicateProject,
+    onArchive: archiveProject,
+    onDelete: handleDelete
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Projects</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 focus:outline-none"
+            aria-label="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {!isPersistent && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+            This browser does not allow IndexedDB storage, so projects other than the open one are lost when you close the page. Save them as files to keep them.
+          </div>
+        )}
+
+        {activeProjects.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">No saved projects yet. Your project is added here as soon as you start writing.</p>
+        ) : (
+          <ul className="mb-4">
+            {activeProjects.map(project => (
+              <ProjectRow key={project.id} project={project} isCurrent={project.id === projectId} {...rowProps} />
+            ))}
+          </ul>
+        )}
+
+        {archivedProjects.length > 0 && (
+          <section className="mb-4">
+            <button onClick={() => setShowArchived(!showArchived)} className="text-sm text-gray-600 hover:underline">
+              {showArchived ? 'Hide' : 'Show'} archived projects ({archivedProjects.length})
+            </button>
+            {showArchived && (
+              <ul className="mt-2">
+                {archivedProjects.map(project => (
+                  <ProjectRow key={project.id} project={project} isCurrent={project.id === projectId} {...rowProps} />
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectsModal;
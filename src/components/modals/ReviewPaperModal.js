@@ -2,11 +2,15 @@
 // FIXED: Completely reworked modal styling to match ConfirmDialog.js
 // FIXED: Added robust date checking for past review display
 // FIXED: Much wider modal with full-screen backdrop
+// ADDED: Cancel button while a new review is running
+// ADDED: Shows and saves the prompt revisions a review was generated with
 
 import React, { useState, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
 import ReactDOM from 'react-dom'; // Added for createPortal
 import { exportReview } from '../../services/paperReviewService';
+import CancelRequestButton from '../common/CancelRequestButton';
+import { formatPromptRef } from '../../utils/promptRegistry';
 
 const ReviewPaperModal = ({ showModal, onClose, reviewData, handleReviewPaper }) => {
   // --- Component State ---
@@ -74,7 +78,8 @@ const ReviewPaperModal = ({ showModal, onClose, reviewData, handleReviewPaper })
               paperName: reviewData.paperName || "Untitled Review",
               preview: reviewData.review.substring(0, 100) + (reviewData.review.length > 100 ? '...' : ''),
               timestamp: reviewData.timestamp, // Full timestamp string
-              review: reviewData.review // Full review text
+              review: reviewData.review, // Full review text
+              prompts: reviewData.prompts || [] // Prompt revisions used
             };
             const updatedReviews = [newReview, ...parsedReviews].slice(0, 10); // Limits to 10 most recent
             localStorage.setItem('paperReviews', JSON.stringify(updatedReviews));
@@ -229,6 +234,7 @@ const ReviewPaperModal = ({ showModal, onClose, reviewData, handleReviewPaper })
              <button className={`px-6 py-3 font-medium text-sm focus:outline-none ${ activeTab === 'current' ? 'bg-white text-teal-700 border-t-2 border-teal-500' : 'text-gray-600 hover:text-gray-800' }`} onClick={() => setActiveTab('current')} > Current Review </button>
              <button className={`px-6 py-3 font-medium text-sm focus:outline-none ${ activeTab === 'past' ? 'bg-white text-teal-700 border-t-2 border-teal-500' : 'text-gray-600 hover:text-gray-800' }`} onClick={() => setActiveTab('past')} > Past Reviews </button>
              <div className="ml-auto flex items-center px-3">
+                <CancelRequestButton loadingType="review" className="mr-2" />
                 <label className={`flex items-center px-4 py-1.5 rounded ${ newReviewLoading ? 'bg-teal-400 cursor-wait opacity-70' : 'bg-teal-600 hover:bg-teal-700 cursor-pointer' } text-white font-medium text-xs transition-colors`}>
                     {newReviewLoading ? ( <><svg className="animate-spin -ml-1 mr-1.5 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg> Reviewing... </>) : ( <><svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" /></svg> New Review </>)}
                    <input type="file" className="hidden" accept=".pdf,.docx,.doc" onChange={handleFileUpload} disabled={newReviewLoading} />
@@ -245,6 +251,9 @@ const ReviewPaperModal = ({ showModal, onClose, reviewData, handleReviewPaper })
                        <div className="bg-gray-50 px-6 py-2 border-b border-gray-200 flex-shrink-0">
                            <p className="text-gray-700 text-sm truncate"><span className="font-medium">Paper: </span>{reviewData.paperName || 'Untitled document'}</p>
                            <p className="text-gray-500 text-xs"><span className="font-medium">Generated: </span>{ isNaN(new Date(reviewData.timestamp).getTime()) ? 'Invalid Date' : new Date(reviewData.timestamp).toLocaleString() }</p>
+                           {reviewData.prompts?.length > 0 && (
+                             <p className="text-gray-400 text-xs"><span className="font-medium">Prompts: </span>{reviewData.prompts.map(formatPromptRef).join(', ')}</p>
+                           )}
                        </div>
                      )}
                      <div className="px-6 py-4 overflow-y-auto flex-grow">
@@ -304,7 +313,7 @@ const ReviewPaperModal = ({ showModal, onClose, reviewData, handleReviewPaper })
                      </div>
                      {/* Selected Past Review Content */}
                      <div className="w-full md:w-2/3 overflow-y-auto flex-grow"> {/* Allow this to scroll */}
-                         {selectedPastReview ? ( <div className="h-full flex flex-col"> <div className="bg-gray-50 px-6 py-3 border-b border-gray-200 flex-shrink-0 sticky top-0 z-10"> <h3 className="font-medium text-gray-800 truncate">{selectedPastReview.paperName}</h3> <p className="text-sm text-gray-500">Reviewed on { isNaN(new Date(selectedPastReview.timestamp).getTime()) ? 'Invalid Date' : new Date(selectedPastReview.timestamp).toLocaleString() }</p> </div> <div className="p-6 overflow-y-auto flex-grow"> <div className="prose prose-sm prose-teal max-w-none"><ReactMarkdown>{selectedPastReview.review}</ReactMarkdown></div> </div> </div> ) :
+                         {selectedPastReview ? ( <div className="h-full flex flex-col"> <div className="bg-gray-50 px-6 py-3 border-b border-gray-200 flex-shrink-0 sticky top-0 z-10"> <h3 className="font-medium text-gray-800 truncate">{selectedPastReview.paperName}</h3> <p className="text-sm text-gray-500">Reviewed on { isNaN(new Date(selectedPastReview.timestamp).getTime()) ? 'Invalid Date' : new Date(selectedPastReview.timestamp).toLocaleString() }</p> {selectedPastReview.prompts?.length > 0 && ( <p className="text-xs text-gray-400">Prompts: {selectedPastReview.prompts.map(formatPromptRef).join(', ')}</p> )} </div> <div className="p-6 overflow-y-auto flex-grow"> <div className="prose prose-sm prose-teal max-w-none"><ReactMarkdown>{selectedPastReview.review}</ReactMarkdown></div> </div> </div> ) :
                          ( <div className="flex items-center justify-center h-full text-gray-500 p-6 text-center"><p>{pastReviews.length > 0 ? 'Select a review from the list to view its content.' : 'No past reviews available.'}</p></div> )}
                      </div>
                  </div>
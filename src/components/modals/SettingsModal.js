@@ -0,0 +1,319 @@
+// FILE: src/components/modals/SettingsModal.js
+import React, { useState, useEffect } from 'react';
+import { listProviders } from '../../services/providers';
+import {
+  AI_TASKS,
+  DEFAULT_TASK_SETTINGS,
+  loadAISettings,
+  saveAISettings,
+  unlockApiKey,
+  clearAISettings,
+  getUserConnectionSettings
+} from '../../services/aiSettingsService';
+import FeedbackCachePanel from './FeedbackCachePanel';
+
+/**
+ * AI settings modal
+ * Lets a user bring their own API key (stored only in this browser, optionally
+ * encrypted with a passphrase) and tune model, temperature and max_tokens per task.
+ */
+const SettingsModal = ({ showModal, onClose }) => {
+  const [provider, setProvider] = useState('');
+  const [baseUrl, setBaseUrl] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [hasEncryptedKey, setHasEncryptedKey] = useState(false);
+  const [isKeyLocked, setIsKeyLocked] = useState(false);
+  const [encryptKey, setEncryptKey] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [unlockPassphrase, setUnlockPassphrase] = useState('');
+  const [tasks, setTasks] = useState(DEFAULT_TASK_SETTINGS);
+  const [statusMessage, setStatusMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reload saved settings each time the modal opens
+  useEffect(() => {
+    if (!showModal) return;
+    const settings = loadAISettings();
+    const connection = getUserConnectionSettings();
+    setProvider(settings.provider);
+    setBaseUrl(settings.baseUrl);
+    setApiKey(settings.encryptedApiKey ? '' : settings.apiKey);
+    setHasEncryptedKey(!!settings.encryptedApiKey);
+    setIsKeyLocked(connection.isKeyLocked);
+    setEncryptKey(!!settings.encryptedApiKey);
+    setPassphrase('');
+    setUnlockPassphrase('');
+    setTasks(settings.tasks);
+    setStatusMessage(null);
+  }, [showModal]);
+
+  if (!showModal) return null;
+
+  const handleTaskChange = (task, field, value) => {
+    setTasks(prev => ({ ...prev, [task]: { ...prev[task], [field]: value } }));
+  };
+
+  const handleUnlock = async () => {
+    try {
+      await unlockApiKey(unlockPassphrase);
+      setIsKeyLocked(false);
+      setUnlockPassphrase('');
+      setStatusMessage({ type: 'success', text: 'API key unlocked for this session.' });
+    } catch (error) {
+      setStatusMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleRemoveKey = async () => {
+    await saveAISettings({ provider, baseUrl, apiKey: '', tasks });
+    setApiKey('');
+    setHasEncryptedKey(false);
+    setIsKeyLocked(false);
+    setEncryptKey(false);
+    setStatusMessage({ type: 'success', text: 'Saved API key removed.' });
+  };
+
+  const handleResetAll = () => {
+    if (!window.confirm('Remove your API key and restore all AI settings to their defaults?')) return;
+    clearAISettings();
+    setProvider('');
+    setBaseUrl('');
+    setApiKey('');
+    setHasEncryptedKey(false);
+    setIsKeyLocked(false);
+    setEncryptKey(false);
+    setTasks(DEFAULT_TASK_SETTINGS);
+    setStatusMessage({ type: 'success', text: 'AI settings reset to defaults.' });
+  };
+
+  const handleSave = async () => {
+    if (encryptKey && apiKey.trim() && passphrase.length < 8) {
+      setStatusMessage({ type: 'error', text: 'Please use a passphrase of at least 8 characters.' });
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const saved = await saveAISettings(
+        { provider, baseUrl, apiKey, tasks },
+        {
+          passphrase: encryptKey ? passphrase : '',
+          // A blank key field keeps an existing encrypted key; "Remove saved key" deletes it
+          keepEncryptedKey: hasEncryptedKey
+        }
+      );
+      if (!saved) {
+        setStatusMessage({ type: 'error', text: 'Could not save settings (browser storage unavailable).' });
+        return;
+      }
+      onClose();
+    } catch (error) {
+      console.error('[SettingsModal] Error saving settings:', error);
+      setStatusMessage({ type: 'error', text: `Could not save settings: ${error.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClasses = "w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">AI Settings</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 focus:outline-none"
+            aria-label="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Connection */}
+        <section className="mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1">Your own API key</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Optional. With a key, requests go directly from this browser to the provider instead of through the
+            planner's server. The key is stored only in this browser's local storage.
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+            <label className="block text-sm text-gray-700">
+              Provider
+              <select
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+                className={`${inputClasses} mt-1 bg-white`}
+              >
+                <option value="">App default</option>
+                {listProviders().map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm text-gray-700">
+              Base URL <span className="text-gray-400">(optional)</span>
+              <input
+                type="text"
+                value={baseUrl}
+                onChange={(e) => setBaseUrl(e.target.value)}
+                className={`${inputClasses} mt-1`}
+                placeholder="Provider default"
+              />
+            </label>
+          </div>
+
+          {hasEncryptedKey && isKeyLocked ? (
+            <div className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+              <p className="text-sm text-yellow-800 mb-2">Your saved key is encrypted. Enter your passphrase to use it in this session.</p>
+              <div className="flex space-x-2">
+                <input
+                  type="password"
+                  value={unlockPassphrase}
+                  onChange={(e) => setUnlockPassphrase(e.target.value)}
+                  className={inputClasses}
+                  placeholder="Passphrase"
+                />
+                <button
+                  onClick={handleUnlock}
+                  disabled={!unlockPassphrase}
+                  className="px-4 py-2 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Unlock
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          <label className="block text-sm text-gray-700 mb-2">
+            API key
+            <input
+              type="password"
+              value={apiKey}
+              onChange={(e) => setApiKey(e.target.value)}
+              className={`${inputClasses} mt-1`}
+              placeholder={hasEncryptedKey ? 'Saved (encrypted) - enter a new key to replace it' : 'sk-...'}
+              autoComplete="off"
+            />
+          </label>
+
+          <label className="flex items-center text-sm text-gray-700 mb-2">
+            <input
+              type="checkbox"
+              checked={encryptKey}
+              onChange={(e) => setEncryptKey(e.target.checked)}
+              className="mr-2"
+            />
+            Encrypt the key with a passphrase
+          </label>
+          {encryptKey && apiKey.trim() && (
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className={`${inputClasses} mb-2`}
+              placeholder="Passphrase (you'll need it once per session)"
+            />
+          )}
+
+          {(hasEncryptedKey || apiKey) && (
+            <button onClick={handleRemoveKey} className="text-sm text-red-600 hover:underline">
+              Remove saved key
+            </button>
+          )}
+        </section>
+
+        {/* Per-task model settings */}
+        <section className="mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1">Models per task</h3>
+          <p className="text-sm text-gray-500 mb-3">Leave the model empty to use the default model.</p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pb-2 font-medium">Task</th>
+                <th className="pb-2 font-medium">Model</th>
+                <th className="pb-2 font-medium w-24">Temperature</th>
+                <th className="pb-2 font-medium w-28">Max tokens</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(AI_TASKS).map(([task, { label, description }]) => (
+                <tr key={task} className="align-top">
+                  <td className="pr-2 py-1">
+                    <div className="font-medium text-gray-800">{label}</div>
+                    <div className="text-xs text-gray-500">{description}</div>
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="text"
+                      value={tasks[task]?.model || ''}
+                      onChange={(e) => handleTaskChange(task, 'model', e.target.value)}
+                      className={inputClasses}
+                      placeholder="Default"
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      max="2"
+                      step="0.1"
+                      value={tasks[task]?.temperature ?? ''}
+                      onChange={(e) => handleTaskChange(task, 'temperature', e.target.value)}
+                      className={inputClasses}
+                    />
+                  </td>
+                  <td className="py-1">
+                    <input
+                      type="number"
+                      min="1"
+                      step="256"
+                      value={tasks[task]?.max_tokens ?? ''}
+                      onChange={(e) => handleTaskChange(task, 'max_tokens', e.target.value)}
+                      className={inputClasses}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        {/* Saved section feedback */}
+        <FeedbackCachePanel />
+
+        {statusMessage && (
+          <p className={`mb-4 text-sm ${statusMessage.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+            {statusMessage.text}
+          </p>
+        )}
+
+        <div className="flex justify-between items-center">
+          <button onClick={handleResetAll} className="text-sm text-gray-600 hover:underline">
+            Reset to defaults
+          </button>
+          <div className="flex space-x-4">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
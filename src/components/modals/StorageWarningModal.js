@@ -0,0 +1,123 @@
+// FILE: src/components/modals/StorageWarningModal.js
+import React, { useState } from 'react';
+import useAppStore, { ARCHIVE_KEEP_CHAT_MESSAGES, flushPersistedState } from '../../store/appStore';
+
+/**
+ * Storage warning modal
+ * Opens by itself when the browser's storage is full and changes are no longer
+ * saved (store's storageWarning, see store/persistStorage.js). Chat history is
+ * usually what fills it, so older messages can be downloaded and removed.
+ * Also opens when the saved state could not be read: nothing is saved in that
+ * session, so the unreadable data is not overwritten.
+ */
+const StorageWarningModal = () => {
+  const storageWarning = useAppStore((state) => state.storageWarning);
+  const chatMessages = useAppStore((state) => state.chatMessages);
+  const archiveOldChat = useAppStore((state) => state.archiveOldChat);
+  const dismissStorageWarning = useAppStore((state) => state.dismissStorageWarning);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [stillFull, setStillFull] = useState(false);
+
+  if (!storageWarning) return null;
+
+  if (storageWarning.reason === 'unreadable') {
+    return (
+      <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+        <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4">
+          <h2 className="text-xl font-bold text-gray-800 mb-2">Changes are not being saved</h2>
+          <p className="text-sm text-gray-600 mb-3">
+            Your saved work in this browser could not be read. So that it is not overwritten, nothing you change
+            in this session is saved.
+          </p>
+          <p className="text-sm text-gray-600 mb-4">
+            Export your project to keep a copy of this session's work, then reload the page to try reading the
+            saved work again.
+          </p>
+          <div className="flex justify-end">
+            <button
+              onClick={dismissStorageWarning}
+              className="px-4 py-2 text-sm bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const olderMessageCount = Object.values(chatMessages || {}).reduce(
+    (count, messages) => count + Math.max(0, (messages?.length || 0) - ARCHIVE_KEEP_CHAT_MESSAGES), 0
+  );
+
+  const handleArchive = async () => {
+    setIsArchiving(true);
+    const archived = archiveOldChat();
+    if (archived) {
+      const blob = new Blob([JSON.stringify({ archivedAt: new Date().toISOString(), chatMessages: archived }, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `planner-chat-archive-${new Date().toISOString().substring(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }
+    // Closes this modal through the store once the save succeeds
+    await flushPersistedState();
+    setStillFull(!!useAppStore.getState().storageWarning);
+    setIsArchiving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full mx-4">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Browser storage is full</h2>
+        <p className="text-sm text-gray-600 mb-3">
+          Your latest changes could not be saved in this browser. They are still on screen, but will be lost
+          when you close the page unless storage is freed.
+        </p>
+
+        {olderMessageCount > 0 ? (
+          <p className="text-sm text-gray-600 mb-4">
+            Chat history usually takes the most room. Archiving downloads the {olderMessageCount} older chat
+            message{olderMessageCount === 1 ? '' : 's'} as a file and removes them from the planner, keeping the
+            latest {ARCHIVE_KEEP_CHAT_MESSAGES} of each section.
+          </p>
+        ) : (
+          <p className="text-sm text-gray-600 mb-4">
+            There is no older chat history to archive. Export your project to keep a copy, then delete projects
+            you no longer need from the project list.
+          </p>
+        )}
+
+        {stillFull && (
+          <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-3 mb-4">
+            Storage is still full. Export your project, then delete projects you no longer need.
+          </p>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          <button
+            onClick={dismissStorageWarning}
+            className="px-4 py-2 text-sm bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+          >
+            Dismiss
+          </button>
+          {olderMessageCount > 0 && (
+            <button
+              onClick={handleArchive}
+              disabled={isArchiving}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isArchiving ? 'Archiving…' : 'Download and archive old chat'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StorageWarningModal;
@@ -0,0 +1,98 @@
+// FILE: src/components/modals/SyncConflictModal.js
+import React, { useState, useEffect, useMemo } from 'react';
+import useAppStore from '../../store/appStore';
+import { diffWords, mergeDiffParts } from '../../utils/diffUtils';
+import DiffColumn from '../common/DiffColumn';
+
+/**
+ * Sync conflict modal
+ * Opens by itself when a section was edited in this tab and another tab at the
+ * same time (store's syncConflicts, see store/tabSync.js). The user keeps one
+ * version or edits a merge of both; the result is sent to the other tabs.
+ */
+const SyncConflictModal = () => {
+  const syncConflicts = useAppStore((state) => state.syncConflicts);
+  const sections = useAppStore((state) => state.sections);
+  const resolveSyncConflict = useAppStore((state) => state.resolveSyncConflict);
+  const [mergedText, setMergedText] = useState(null);
+
+  // Oldest conflict first
+  const [sectionId, conflict] = Object.entries(syncConflicts || {}).sort((a, b) => a[1].at - b[1].at)[0] || [];
+  // This tab may have kept typing since the conflict was detected
+  const localText = sections?.[sectionId]?.content ?? conflict?.local ?? '';
+  const remoteText = conflict?.remote ?? '';
+
+  const diff = useMemo(() => diffWords(localText, remoteText), [localText, remoteText]);
+
+  // Start each conflict from a fresh merge suggestion
+  useEffect(() => { setMergedText(null); }, [sectionId, conflict?.at]);
+
+  if (!conflict) return null;
+
+  const remaining = Object.keys(syncConflicts).length - 1;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold text-gray-800 mb-1">Edited in two tabs</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          <strong>{conflict.title || sectionId}</strong> was changed in this tab and in another tab at the same time.
+          Choose which version to keep, or merge them.
+          {remaining > 0 && ` ${remaining} more section${remaining === 1 ? '' : 's'} to check after this one.`}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+          <DiffColumn title="This tab" parts={diff} side="old" />
+          <DiffColumn title="Other tab" parts={diff} side="new" />
+        </div>
+
+        {mergedText !== null && (
+          <div className="mb-3">
+            <label className="block text-xs font-medium text-gray-500 mb-1" htmlFor="sync-merge-text">
+              Merged text (words from both versions; edit before saving)
+            </label>
+            <textarea
+              id="sync-merge-text"
+              value={mergedText}
+              onChange={(e) => setMergedText(e.target.value)}
+              rows={8}
+              className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          <button
+            onClick={() => resolveSyncConflict(sectionId, localText)}
+            className="px-4 py-2 text-sm bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+          >
+            Keep this tab's version
+          </button>
+          <button
+            onClick={() => resolveSyncConflict(sectionId, remoteText)}
+            className="px-4 py-2 text-sm bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+          >
+            Use other tab's version
+          </button>
+          {mergedText === null ? (
+            <button
+              onClick={() => setMergedText(mergeDiffParts(diff))}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Merge…
+            </button>
+          ) : (
+            <button
+              onClick={() => resolveSyncConflict(sectionId, mergedText)}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Save merged text
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncConflictModal;
@@ -0,0 +1,221 @@
+// FILE: src/components/modals/UsageModal.js
+import React, { useState, useEffect } from 'react';
+import {
+  USAGE_CONTEXT_LABELS,
+  BUDGET_SCOPES,
+  getUsageSummary,
+  setUsageBudget,
+  checkUsageBudget,
+  resetProjectUsage,
+  subscribeToUsage
+} from '../../services/usageService';
+
+const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+const formatCost = (cost) => `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+const formatLatency = (totals) => (totals.calls ? `${(totals.latencyMs / totals.calls / 1000).toFixed(1)}s` : '-');
+const contextLabel = (contextType) => USAGE_CONTEXT_LABELS[contextType] || contextType;
+
+/**
+ * Totals for one scope (session or project), broken down by context type
+ */
+const UsageTotals = ({ title, totals }) => (
+  <section className="mb-6">
+    <div className="flex justify-between items-baseline mb-2">
+      <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide">{title}</h3>
+      <span className="text-sm text-gray-600">
+        {totals.calls} calls · {formatTokens(totals.totalTokens)} tokens · <span className="font-semibold text-gray-800">{formatCost(totals.costUsd)}</span>
+      </span>
+    </div>
+    {totals.calls === 0 ? (
+      <p className="text-sm text-gray-500">No AI calls yet.</p>
+    ) : (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="pb-1 font-medium">Task</th>
+            <th className="pb-1 font-medium text-right">Calls</th>
+            <th className="pb-1 font-medium text-right">Prompt</th>
+            <th className="pb-1 font-medium text-right">Completion</th>
+            <th className="pb-1 font-medium text-right">Avg latency</th>
+            <th className="pb-1 font-medium text-right">Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(totals.byContext).map(([contextType, context]) => (
+            <tr key={contextType} className="border-t border-gray-100">
+              <td className="py-1 text-gray-800">{contextLabel(contextType)}</td>
+              <td className="py-1 text-right">{context.calls}</td>
+              <td className="py-1 text-right">{formatTokens(context.promptTokens)}</td>
+              <td className="py-1 text-right">{formatTokens(context.completionTokens)}</td>
+              <td className="py-1 text-right">{formatLatency(context)}</td>
+              <td className="py-1 text-right">{context.unpricedCalls === context.calls ? '-' : formatCost(context.costUsd)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    {(totals.estimatedCalls > 0 || totals.unpricedCalls > 0) && (
+      <p className="mt-1 text-xs text-gray-500">
+        {totals.estimatedCalls > 0 && `${totals.estimatedCalls} call(s) without usage data from the provider; tokens were estimated from the text. `}
+        {totals.unpricedCalls > 0 && `${totals.unpricedCalls} call(s) used a model with no known price and are not included in the cost.`}
+      </p>
+    )}
+  </section>
+);
+
+/**
+ * AI usage panel
+ * Shows token usage, latency and estimated cost for this session and this
+ * project, and lets the user set a budget cap that blocks further AI calls.
+ */
+const UsageModal = ({ showModal, onClose }) => {
+  const [summary, setSummary] = useState(() => getUsageSummary());
+  const [maxCostUsd, setMaxCostUsd] = useState('');
+  const [maxTokens, setMaxTokens] = useState('');
+  const [scope, setScope] = useState('project');
+  const [statusMessage, setStatusMessage] = useState(null);
+
+  // Refresh when opened and whenever a call is recorded
+  useEffect(() => {
+    if (!showModal) return undefined;
+    const refresh = () => setSummary(getUsageSummary());
+    const { budget } = getUsageSummary();
+    refresh();
+    setMaxCostUsd(budget.maxCostUsd ?? '');
+    setMaxTokens(budget.maxTokens ?? '');
+    setScope(budget.scope);
+    setStatusMessage(null);
+    return subscribeToUsage(refresh);
+  }, [showModal]);
+
+  if (!showModal) return null;
+
+  const budgetStatus = checkUsageBudget();
+
+  const handleSaveBudget = () => {
+    setUsageBudget({ maxCostUsd, maxTokens, scope });
+    setStatusMessage('Budget saved.');
+  };
+
+  const handleResetProject = () => {
+    if (!window.confirm('Clear the recorded AI usage for this project?')) return;
+    resetProjectUsage();
+    setStatusMessage('Project usage cleared.');
+  };
+
+  const inputClasses = "w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">AI Usage</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 focus:outline-none"
+            aria-label="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {budgetStatus.exceeded && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+            {budgetStatus.message}
+          </div>
+        )}
+
+        <UsageTotals title="This session" totals={summary.session} />
+        <UsageTotals title="This project" totals={summary.project} />
+
+        {summary.recent.length > 0 && (
+          <section className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-2">Recent calls</h3>
+            <ul className="text-xs text-gray-600 space-y-1 max-h-40 overflow-y-auto">
+              {summary.recent.slice(0, 20).map((entry, index) => (
+                <li key={`${entry.timestamp}-${index}`} className="flex justify-between">
+                  <span>{new Date(entry.timestamp).toLocaleTimeString()} · {contextLabel(entry.contextType)} · {entry.model}</span>
+                  <span>
+                    {formatTokens(entry.promptTokens)} / {formatTokens(entry.completionTokens)}{entry.estimated ? '*' : ''} tokens · {(entry.latencyMs / 1000).toFixed(1)}s · {entry.costUsd === null ? '-' : formatCost(entry.costUsd)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Budget cap */}
+        <section className="mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1">Budget</h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Optional. Once a limit is reached, new AI requests are blocked until you raise or clear it. Costs are estimates.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="block text-sm text-gray-700">
+              Max cost (USD)
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={maxCostUsd}
+                onChange={(e) => setMaxCostUsd(e.target.value)}
+                className={`${inputClasses} mt-1`}
+                placeholder="No limit"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Max tokens
+              <input
+                type="number"
+                min="0"
+                step="10000"
+                value={maxTokens}
+                onChange={(e) => setMaxTokens(e.target.value)}
+                className={`${inputClasses} mt-1`}
+                placeholder="No limit"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Applies to
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className={`${inputClasses} mt-1 bg-white`}
+              >
+                {Object.entries(BUDGET_SCOPES).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </section>
+
+        {statusMessage && <p className="mb-4 text-sm text-green-700">{statusMessage}</p>}
+
+        <div className="flex justify-between items-center">
+          <button onClick={handleResetProject} className="text-sm text-gray-600 hover:underline">
+            Clear project usage
+          </button>
+          <div className="flex space-x-4">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleSaveBudget}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Save budget
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsageModal;
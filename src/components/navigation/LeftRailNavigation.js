@@ -1,11 +1,122 @@
 // FILE: src/components/navigation/LeftRailNavigation.js
 // FIXED: Modified to show all sections but make unstarted ones non-clickable and grayed out
 // ADDED: Visual distinction for sections that haven't been started yet
+// ADDED: Rating sparkline per section once it has two or more feedback rounds
+// MODIFIED: Locked sections say what unlocks them (progression rules in sectionContent.json)
+// MODIFIED: Each rail item subscribes to its own section and the rail to derived visibility,
+//           so typing in a section re-renders only that section's item (and only when it changes)
+// MODIFIED: Navigation order follows displayOrder in sectionContent.json
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, memo } from 'react';
+import { useShallow } from 'zustand/react/shallow';
 import useAppStore from '../../store/appStore';
-import { getApproachSectionIds, getDataMethodSectionIds } from '../../utils/sectionOrderUtils';
-import { isSectionVisible } from '../../logic/progressionLogic';
+import { selectVisibility, describeUnlockRule } from '../../logic/progressionLogic';
+import { getDisplayOrder } from '../../utils/sectionOrderUtils';
+import Sparkline from '../common/Sparkline';
+
+// Style adjustments for feedback ratings - solid color approach
+const getRatingColor = (rating) => {
+  if (!rating) return '#d3d4dc'; // default grey
+  if (rating <= 3) return '#ef4444'; // red-500
+  if (rating <= 5) return '#f97316'; // orange-500
+  if (rating <= 7) return '#facc15'; // yellow-400
+  if (rating <= 9) return '#84cc16'; // lime-500
+  return '#10B981'; // green-500
+};
+
+// Get button classes based on accessibility and started state
+const getButtonClasses = ({ isAccessible, isStarted, isActive }) => {
+  const baseClasses = 'rail-btn transition-all duration-200';
+
+  if (!isAccessible) {
+    // Inaccessible sections - very grayed out and no hover effects
+    return `${baseClasses} opacity-30 cursor-not-allowed text-gray-400`;
+  }
+
+  if (!isStarted) {
+    // Accessible but not started - somewhat grayed out
+    return `${baseClasses} opacity-60 text-gray-500 hover:opacity-80`;
+  }
+
+  // Started sections - normal appearance
+  if (isActive) {
+    return `${baseClasses} rail-btn-in-view`;
+  }
+
+  return `${baseClasses} hover:bg-gray-100`;
+};
+
+// Get tooltip text based on section state
+const getTooltipText = ({ id, title, isAccessible, isStarted }, uiMode) => {
+  if (!isAccessible) {
+    const unlockRule = describeUnlockRule(id);
+    return unlockRule ? `${title} unlocks when ${unlockRule}` : `Complete previous sections to unlock ${title}`;
+  }
+
+  if (!isStarted) {
+    return `${title} - Click to start (${uiMode === 'guide' ? 'Guide' : 'Write'} Mode)`;
+  }
+
+  return `${title} (${uiMode === 'guide' ? 'Guide' : 'Write'} Mode)`;
+};
+
+/**
+ * One section in the rail
+ * Reads its own section from the store, so edits elsewhere do not re-render it.
+ * @param {Object} props - { sectionId, isActive, isAccessible, uiMode, onNavigate }
+ */
+const RailItem = memo(({ sectionId, isActive, isAccessible, uiMode, onNavigate }) => {
+  // Simplify titles - remove "Research" prefix
+  const title = useAppStore((state) => state.sections[sectionId]?.title?.replace('Research ', '') || sectionId);
+  const rating = useAppStore((state) => state.sections[sectionId]?.feedbackRating || null);
+  const ratingPoints = useAppStore((state) => state.ratingHistory?.[sectionId]);
+  // A section is considered "started" if it has content different from the placeholder
+  const isStarted = useAppStore((state) => {
+    const content = state.sections[sectionId]?.content;
+    const placeholder = state.sectionDefinitions?.find(def => def.id === sectionId)?.placeholder || '';
+    return !!content && content.trim() !== '' && content !== placeholder;
+  });
+  const ratings = useMemo(() => (ratingPoints || []).map(point => point.rating), [ratingPoints]);
+  const item = { id: sectionId, title, isActive, isAccessible, isStarted };
+
+  return (
+    <button
+      onClick={() => onNavigate(sectionId)}
+      disabled={!isAccessible}
+      className={getButtonClasses(item)}
+      aria-current={isActive ? 'page' : undefined}
+      title={getTooltipText(item, uiMode)}
+    >
+      <div className="rail-icon">
+        {/* Circle SVG with customized solid fill based on rating and accessibility */}
+        <svg width="24" height="24" viewBox="0 0 24 24">
+          <circle 
+            cx="12" 
+            cy="12" 
+            r="10" 
+            fill={isAccessible ? getRatingColor(rating) : '#e5e7eb'} 
+            stroke={isActive ? "#4F46E5" : (isAccessible ? "#E5E7EB" : "#f3f4f6")} 
+            strokeWidth={isActive ? "2" : "1"}
+            opacity={isAccessible ? (isStarted ? 1 : 0.7) : 0.4}
+          />
+          {/* Add a lock icon for inaccessible sections */}
+          {!isAccessible && (
+            <g transform="translate(12,12) scale(0.6)" fill="#9ca3af">
+              <path d="M-4,-6 L-4,-4 L4,-4 L4,-4 L4,4 L-4,4 Z M-2,-6 L-2,-8 Q-2,-9 -1,-9 L1,-9 Q2,-9 2,-8 L2,-6"/>
+              <circle cx="0" cy="0" r="1"/>
+            </g>
+          )}
+        </svg>
+      </div>
+      <span className={`truncate ${!isAccessible ? 'text-gray-400' : (!isStarted ? 'text-gray-500' : '')}`}>
+        {title}
+      </span>
+      {isAccessible && (
+        <Sparkline values={ratings} title={`${title} ratings: ${ratings.filter(r => r !== null).join(', ')}`} />
+      )}
+    </button>
+  );
+});
 
 /**
  * Left rail navigation with mode-aware section switching and improved active state
@@ -14,13 +125,15 @@ import { isSectionVisible } from '../../logic/progressionLogic';
  * @returns {React.ReactElement} The left rail navigation component
  */
 const LeftRailNavigation = () => {
-  // Get necessary state from store
-  const sections = useAppStore((state) => state.sections);
+  // Get necessary state from store (the items read their own sections)
+  const sectionIds = useAppStore(useShallow((state) => Object.keys(state.sections || {})));
   const activeToggles = useAppStore((state) => state.activeToggles);
   const currentSectionId = useAppStore((state) => state.currentChatSectionId);
   const uiMode = useAppStore((state) => state.uiMode);
   const proMode = useAppStore((state) => state.proMode);
-  const storeState = useAppStore((state) => state);
+  const visibility = useAppStore(selectVisibility);
+  // Get current section title for the tooltip
+  const currentSectionTitle = useAppStore((state) => state.sections[currentSectionId]?.title?.replace('Research ', '') || 'current section');
   
   // Get state updaters from store
   const handleSectionFocus = useAppStore((state) => state.setActiveSectionId);
@@ -33,31 +146,12 @@ const LeftRailNavigation = () => {
   const tooltipAreaRef = useRef(null);
   const [tooltipPosition, setTooltipPosition] = useState({ top: 0, left: 0 });
   
-  // Get approach and data method sections
-  const approachSections = getApproachSectionIds();
-  const dataMethodSections = getDataMethodSectionIds();
-  
-  // Helper function to check if a section has been started
-  const isSectionStarted = (sectionId) => {
-    const section = sections[sectionId];
-    if (!section) return false;
-    
-    // Get the section definition to compare against placeholder
-    const sectionDef = storeState.sectionDefinitions?.find(def => def.id === sectionId);
-    const placeholder = sectionDef?.placeholder || '';
-    
-    // A section is considered "started" if it has content different from the placeholder
-    return section.content && section.content.trim() !== '' && section.content !== placeholder;
-  };
-  
   // Helper function to check if a section is accessible (clickable)
-  const isSectionAccessible = (sectionId) => {
-    // Pro mode makes everything accessible
-    if (proMode) return true;
-    
-    // Check if section is visible according to progression logic
-    return isSectionVisible(sectionId, storeState);
-  };
+  // Pro mode makes everything accessible; otherwise progression logic decides
+  const isSectionAccessible = useCallback(
+    (sectionId) => proMode || !!visibility.sections[sectionId],
+    [proMode, visibility]
+  );
   
   // Setup tooltip area at the bottom of the rail for non-pro mode
   useEffect(() => {
@@ -119,7 +213,7 @@ const LeftRailNavigation = () => {
    * Handle navigation with mode awareness and accessibility checks
    * @param {string} sectionId - The section ID to navigate to
    */
-  const handleNavigation = (sectionId) => {
+  const handleNavigation = useCallback((sectionId) => {
     // Check if section is accessible before allowing navigation
     if (!isSectionAccessible(sectionId)) {
       console.log(`Section ${sectionId} is not accessible yet`);
@@ -153,87 +247,11 @@ const LeftRailNavigation = () => {
         block: 'start'
       });
     }
-  };
-  
-  // Filter and sort navigation items - SHOW ALL SECTIONS but mark accessibility
-  const generateNavItems = () => {
-    if (!sections) return [];
-    
-    const navOrder = [
-      'question',
-      activeToggles.approach,
-      'audience',
-      'relatedpapers',
-      activeToggles.dataMethod,
-      'analysis',
-      'process', 
-      'abstract'
-    ];
-    
-    return navOrder
-      .filter(id => sections[id]) // Only filter out sections that don't exist in the store
-      .map(id => ({
-        id,
-        // Simplify titles - remove "Research" prefix
-        title: sections[id]?.title?.replace('Research ', '') || id,
-        isActive: id === currentSectionId,
-        isApproach: approachSections.includes(id),
-        isDataMethod: dataMethodSections.includes(id),
-        rating: sections[id]?.feedbackRating || null,
-        isStarted: isSectionStarted(id),
-        isAccessible: isSectionAccessible(id)
-      }));
-  };
+  }, [isSectionAccessible, handleSectionFocus, setCurrentChatSectionId, setUiMode, uiMode]);
   
-  const navItems = generateNavItems();
-  
-  // Get current section title for the tooltip
-  const currentSectionTitle = sections[currentSectionId]?.title?.replace('Research ', '') || 'current section';
-  
-  // Style adjustments for feedback ratings - solid color approach
-  const getRatingColor = (rating) => {
-    if (!rating) return '#d3d4dc'; // default grey
-    if (rating <= 3) return '#ef4444'; // red-500
-    if (rating <= 5) return '#f97316'; // orange-500
-    if (rating <= 7) return '#facc15'; // yellow-400
-    if (rating <= 9) return '#84cc16'; // lime-500
-    return '#10B981'; // green-500
-  };
-  
-  // Get button classes based on accessibility and started state
-  const getButtonClasses = (item) => {
-    const baseClasses = 'rail-btn transition-all duration-200';
-    
-    if (!item.isAccessible) {
-      // Inaccessible sections - very grayed out and no hover effects
-      return `${baseClasses} opacity-30 cursor-not-allowed text-gray-400`;
-    }
-    
-    if (!item.isStarted) {
-      // Accessible but not started - somewhat grayed out
-      return `${baseClasses} opacity-60 text-gray-500 hover:opacity-80`;
-    }
-    
-    // Started sections - normal appearance
-    if (item.isActive) {
-      return `${baseClasses} rail-btn-in-view`;
-    }
-    
-    return `${baseClasses} hover:bg-gray-100`;
-  };
-  
-  // Get tooltip text based on section state
-  const getTooltipText = (item) => {
-    if (!item.isAccessible) {
-      return `Complete previous sections to unlock ${item.title}`;
-    }
-    
-    if (!item.isStarted) {
-      return `${item.title} - Click to start (${uiMode === 'guide' ? 'Guide' : 'Write'} Mode)`;
-    }
-    
-    return `${item.title} (${uiMode === 'guide' ? 'Guide' : 'Write'} Mode)`;
-  };
+  // Navigation order - SHOW ALL SECTIONS but mark accessibility
+  const navOrder = getDisplayOrder(activeToggles)
+    .filter(id => sectionIds.includes(id)); // Only filter out sections that don't exist in the store
 
   return (
     <div 
@@ -242,40 +260,15 @@ const LeftRailNavigation = () => {
       aria-label="Section navigation"
       ref={railRef}
     >
-      {navItems.map(item => (
-        <button
-          key={item.id}
-          onClick={() => handleNavigation(item.id)}
-          disabled={!item.isAccessible}
-          className={getButtonClasses(item)}
-          aria-current={item.isActive ? 'page' : undefined}
-          title={getTooltipText(item)}
-        >
-          <div className="rail-icon">
-            {/* Circle SVG with customized solid fill based on rating and accessibility */}
-            <svg width="24" height="24" viewBox="0 0 24 24">
-              <circle 
-                cx="12" 
-                cy="12" 
-                r="10" 
-                fill={item.isAccessible ? getRatingColor(item.rating) : '#e5e7eb'} 
-                stroke={item.isActive ? "#4F46E5" : (item.isAccessible ? "#E5E7EB" : "#f3f4f6")} 
-                strokeWidth={item.isActive ? "2" : "1"}
-                opacity={item.isAccessible ? (item.isStarted ? 1 : 0.7) : 0.4}
-              />
-              {/* Add a lock icon for inaccessible sections */}
-              {!item.isAccessible && (
-                <g transform="translate(12,12) scale(0.6)" fill="#9ca3af">
-                  <path d="M-4,-6 L-4,-4 L4,-4 L4,-4 L4,4 L-4,4 Z M-2,-6 L-2,-8 Q-2,-9 -1,-9 L1,-9 Q2,-9 2,-8 L2,-6"/>
-                  <circle cx="0" cy="0" r="1"/>
-                </g>
-              )}
-            </svg>
-          </div>
-          <span className={`truncate ${!item.isAccessible ? 'text-gray-400' : (!item.isStarted ? 'text-gray-500' : '')}`}>
-            {item.title}
-          </span>
-        </button>
+      {navOrder.map(id => (
+        <RailItem
+          key={id}
+          sectionId={id}
+          isActive={id === currentSectionId}
+          isAccessible={isSectionAccessible(id)}
+          uiMode={uiMode}
+          onNavigate={handleNavigation}
+        />
       ))}
       
       {/* Unlock tooltip for non-pro mode */}
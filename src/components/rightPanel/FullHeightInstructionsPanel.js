@@ -1,9 +1,13 @@
 // FILE: src/components/rightPanel/FullHeightInstructionsPanel.js
 // UPDATED: Removed text from Write mode buttons, icon only + fixed syntax error
+// UPDATED: Notes when a rating had to be repaired and therefore does not unlock sections
+// UPDATED: Notes when feedback was reused from the feedback cache
+// UPDATED: Shows the prompt revisions the feedback was generated with
 
 import React, { useState, useCallback } from 'react';
 import ReactMarkdown from 'react-markdown';
 import useAppStore from '../../store/appStore';
+import { formatPromptRef } from '../../utils/promptRegistry';
 
 // --- Helper functions (Defined ONCE here) ---
 const getRatingColor = (rating) => {
@@ -129,6 +133,21 @@ const renderImprovedInstructionsContent = (currentSection, expandedTooltips, tog
            Rating: {rating}/10 <span className="ml-2 font-normal">({ratingLabel})</span>
          </div>
        )}
+       {improvement.prompts?.length > 0 && (
+         <div className="-mt-3 mb-5 text-xs text-gray-400">
+           Prompts: {improvement.prompts.map(formatPromptRef).join(', ')}
+         </div>
+       )}
+       {improvement.fromCache && (
+         <div className="-mt-3 mb-5 text-xs text-gray-500">
+           This text was evaluated before, so the saved feedback was reused. Use "Re-evaluate" to ask the AI again.
+         </div>
+       )}
+       {improvement.validation?.ratingRepaired && (
+         <div className="-mt-3 mb-5 text-xs text-gray-500" title={improvement.validation.repairs.join('\n')}>
+           This rating was adjusted because the AI returned an invalid value, so it won't unlock the next sections. Edit the section and ask for feedback again.
+         </div>
+       )}
        
        {/* Subsection feedback - using standardized font sizes */}
        {Array.isArray(originalSubsections) && originalSubsections.map((origSubsection, index) => {
@@ -191,7 +210,7 @@ const FullHeightInstructionsPanel = ({
     activeSectionId && state.sections ? state.sections[activeSectionId] : null
   );
   
-  // Get section definition from sectionContent to access the intro text
+  // Get the section definition from the project's template to access the intro text
   const sectionDefs = useAppStore(state => state.sectionDefinitions || []);
   const sectionDefinition = sectionDefs.find(def => def && def.id === activeSectionId);
   
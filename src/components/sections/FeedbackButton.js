@@ -1,8 +1,11 @@
 // FILE: src/components/sections/FeedbackButton.js
 // FIXED: Simplified logic to ensure button turns purple when appropriate
+// ADDED: Cancel button next to the spinner while feedback is being generated
+// ADDED: "Re-evaluate" link that asks the model again for unchanged text, bypassing the feedback cache
 
 import React from 'react';
 import useAppStore from '../../store/appStore';
+import CancelRequestButton from '../common/CancelRequestButton';
 
 const FeedbackButton = ({
   hasEditedContent,
@@ -85,11 +88,9 @@ const FeedbackButton = ({
    }
 
   // Handle click
-  const handleButtonClick = () => {
-    if (isButtonDisabled) return;
-    
+  const requestFeedback = (options) => {
     if (typeof handleFeedbackRequest === 'function') {
-      handleFeedbackRequest();
+      handleFeedbackRequest(options);
     }
     
     setTimeout(() => {
@@ -101,8 +102,29 @@ const FeedbackButton = ({
     }, 100);
   };
 
+  const handleButtonClick = () => {
+    if (isButtonDisabled) return;
+    requestFeedback();
+  };
+
+  // Force a fresh evaluation of unchanged text (skips the feedback cache)
+  const handleReevaluateClick = () => {
+    if (isLoading || isDisabledByContent) return;
+    requestFeedback({ force: true });
+  };
+
   return (
-    <div className="flex justify-end mt-2">
+    <div className="flex justify-end items-center mt-2 space-x-2">
+      <CancelRequestButton loadingType="improvement" />
+      {isDisabledAfterFeedback && !isLoading && !isDisabledByContent && (
+        <button
+          onClick={handleReevaluateClick}
+          className="text-xs text-purple-600 hover:text-purple-800 hover:underline"
+          title="Ask the AI to evaluate this text again instead of reusing the saved feedback"
+        >
+          Re-evaluate
+        </button>
+      )}
       <button
         onClick={handleButtonClick}
         disabled={isButtonDisabled}
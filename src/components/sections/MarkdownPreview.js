@@ -0,0 +1,67 @@
+// FILE: src/components/sections/MarkdownPreview.js
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import { MARKDOWN_PLUGINS, mathToText } from '../../utils/markdownUtils';
+
+const isMath = (className) => /\bmath\b/.test(className || '');
+
+// remark-math keeps the LaTeX source as the element's text
+const MathText = ({ children, display }) => {
+  const latex = React.Children.toArray(children).join('');
+  return (
+    <span className={display ? 'block text-center my-2 font-serif italic' : 'font-serif italic'} title={latex}>
+      {mathToText(latex)}
+    </span>
+  );
+};
+
+// Tailwind resets headings, lists and tables, so the preview styles them here
+const MARKDOWN_COMPONENTS = {
+  h1: ({ node, level, children, ...props }) => <h1 className="text-xl font-bold mt-3 mb-1" {...props}>{children}</h1>,
+  h2: ({ node, level, children, ...props }) => <h2 className="text-lg font-semibold mt-3 mb-1" {...props}>{children}</h2>,
+  h3: ({ node, level, children, ...props }) => <h3 className="text-base font-semibold mt-2 mb-1" {...props}>{children}</h3>,
+  h4: ({ node, level, children, ...props }) => <h4 className="text-base font-semibold mt-2 mb-1" {...props}>{children}</h4>,
+  p: ({ node, ...props }) => <p className="my-1" {...props} />,
+  ul: ({ node, ordered, depth, ...props }) => <ul className="list-disc pl-6 my-1" {...props} />,
+  ol: ({ node, ordered, depth, ...props }) => <ol className="list-decimal pl-6 my-1" {...props} />,
+  li: ({ node, ordered, checked, index, ...props }) => <li className="my-0.5" {...props} />,
+  a: ({ node, children, ...props }) => <a className="text-blue-600 underline" target="_blank" rel="noopener noreferrer" {...props}>{children}</a>,
+  table: ({ node, ...props }) => (
+    <div className="overflow-x-auto my-2">
+      <table className="border-collapse text-sm" {...props} />
+    </div>
+  ),
+  th: ({ node, isHeader, style, ...props }) => (
+    <th className="border border-gray-300 bg-gray-100 px-2 py-1 font-semibold" style={{ textAlign: 'left', ...style }} {...props} />
+  ),
+  td: ({ node, isHeader, style, ...props }) => (
+    <td className="border border-gray-300 px-2 py-1" style={{ textAlign: 'left', ...style }} {...props} />
+  ),
+  span: ({ node, className, children, ...props }) => (isMath(className)
+    ? <MathText>{children}</MathText>
+    : <span className={className} {...props}>{children}</span>),
+  div: ({ node, className, children, ...props }) => (isMath(className)
+    ? <MathText display>{children}</MathText>
+    : <div className={className} {...props}>{children}</div>)
+};
+
+/**
+ * Formatted view of a section's Markdown
+ * Renders with react-markdown and the plugins of markdownUtils, which the PDF
+ * and DOCX exports read too. Inline math is shown as text with Unicode
+ * symbols, as in the exports.
+ */
+const MarkdownPreview = ({ text, emptyText = 'Nothing to preview yet.' }) => {
+  if (!text || !text.trim()) {
+    return <div className="markdown-preview px-2 py-1 text-sm text-gray-400 italic">{emptyText}</div>;
+  }
+  return (
+    <div className="markdown-preview px-2 py-1 text-base leading-relaxed text-gray-800">
+      <ReactMarkdown remarkPlugins={MARKDOWN_PLUGINS} components={MARKDOWN_COMPONENTS}>
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownPreview;
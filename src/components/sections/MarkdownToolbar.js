@@ -0,0 +1,85 @@
+// FILE: src/components/sections/MarkdownToolbar.js
+import React from 'react';
+import { applyMarkdownCommand, getShortcutCommand } from '../../utils/markdownEditUtils';
+
+const TOOLBAR_BUTTONS = [
+  { command: 'bold', label: 'B', title: 'Bold (Ctrl+B)', className: 'font-bold' },
+  { command: 'italic', label: 'I', title: 'Italic (Ctrl+I)', className: 'italic' },
+  { command: 'bulletList', label: '• List', title: 'Bullet list' },
+  { command: 'numberedList', label: '1. List', title: 'Numbered list' },
+  { command: 'table', label: 'Table', title: 'Insert a table' },
+  { command: 'math', label: '$x$', title: 'Inline math (LaTeX, e.g. $x^2$)', className: 'font-serif italic' }
+];
+
+const buttonClasses = 'px-1.5 py-0.5 text-xs text-gray-600 rounded hover:bg-gray-200 hover:text-gray-900 disabled:text-gray-300 disabled:hover:bg-transparent';
+
+/**
+ * Apply an editing command to a textarea
+ * The new text goes through onChange (the store); the selection is restored
+ * once the textarea shows it.
+ * @param {HTMLTextAreaElement} textarea - The editor's textarea
+ * @param {string} command - See markdownEditUtils
+ * @param {Function} onChange - Receives the new text
+ * @returns {boolean} - Whether the command changed anything
+ */
+export const runMarkdownCommand = (textarea, command, onChange) => {
+  if (!textarea) return false;
+  const result = applyMarkdownCommand(command, textarea.value, textarea.selectionStart, textarea.selectionEnd);
+  if (!result) return false;
+  onChange(result.value);
+  requestAnimationFrame(() => {
+    textarea.focus();
+    textarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+  });
+  return true;
+};
+
+/**
+ * keydown handler of an editor textarea: Ctrl/Cmd+B, Ctrl/Cmd+I and list continuation on Enter
+ * @param {Object} e - keydown event
+ * @param {Function} onChange - Receives the new text
+ */
+export const handleMarkdownKeyDown = (e, onChange) => {
+  if (e.nativeEvent?.isComposing) return;
+  const command = getShortcutCommand(e);
+  if (command && runMarkdownCommand(e.target, command, onChange)) e.preventDefault();
+};
+
+/**
+ * Formatting buttons and the preview switch of the section editor
+ * Buttons keep the focus in the textarea, so the command applies to its selection.
+ */
+const MarkdownToolbar = ({ onCommand, showPreview, onTogglePreview }) => {
+  const keepFocus = (e) => e.preventDefault();
+
+  return (
+    <div className="markdown-toolbar flex items-center flex-wrap gap-0.5 px-1 pb-1 border-b border-gray-100 mb-1">
+      {TOOLBAR_BUTTONS.map(({ command, label, title, className = '' }) => (
+        <button
+          key={command}
+          type="button"
+          onMouseDown={keepFocus}
+          onClick={(e) => { e.stopPropagation(); onCommand(command); }}
+          disabled={showPreview}
+          className={`${buttonClasses} ${className}`}
+          title={title}
+          aria-label={title}
+        >
+          {label}
+        </button>
+      ))}
+      <button
+        type="button"
+        onMouseDown={keepFocus}
+        onClick={(e) => { e.stopPropagation(); onTogglePreview(); }}
+        className={`${buttonClasses} ml-auto`}
+        aria-pressed={showPreview}
+        title={showPreview ? 'Back to editing' : 'Show the formatted text'}
+      >
+        {showPreview ? 'Edit' : 'Preview'}
+      </button>
+    </div>
+  );
+};
+
+export default MarkdownToolbar;
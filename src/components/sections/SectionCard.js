@@ -1,12 +1,19 @@
 // FILE: src/components/sections/SectionCard.js
 // UPDATED: Modified to always show expanded content and use new navigation
+// UPDATED: Feedback requests pass options (e.g. { force: true } to re-evaluate unchanged text)
+// ADDED: "History" link opening the section's revision timeline, diff and restore
+// ADDED: selectedOptions and multiSelect for categories with several selected sections
+// ADDED: "Structured" / "Free text" switch; structured sections get one field per subsection
+// MODIFIED: Both editors write Markdown and report new text through onContentChange
 
 import React, { useState, useCallback, useEffect } from 'react';
 import useAppStore from '../../store/appStore';
 import SectionHeader from './SectionHeader';
 import ToggleHeader from './ToggleHeader';
 import SectionEditor from './SectionEditor';
+import StructuredSectionEditor from './StructuredSectionEditor';
 import FeedbackButton from './FeedbackButton';
+import SectionHistoryDrawer from './SectionHistoryDrawer';
 
 const SectionCard = ({
   sectionId,
@@ -15,6 +22,8 @@ const SectionCard = ({
   handleSectionFocus,
   options = null,
   activeOption = null,
+  selectedOptions = null, // Every selected option when the category allows several
+  multiSelect = false,
   onToggle = null,
   isToggleSection = false,
   onSwitchToGuide = null, // Callback to switch to guide mode
@@ -24,26 +33,30 @@ const SectionCard = ({
   const section = useAppStore((state) => state.sections[sectionId]);
   const updateSectionContent = useAppStore((state) => state.updateSectionContent);
   const toggleMinimize = useAppStore((state) => state.toggleMinimize);
+  const setSectionLayout = useAppStore((state) => state.setSectionLayout);
 
   // Local state
   const [isHovered, setIsHovered] = useState(false);
   const [isTextareaFocused, setIsTextareaFocused] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
 
   // Derived State
   const {
     title = 'Untitled', content = '', placeholder = 'Start writing...',
     isMinimized = false, // Now always set to false to show expanded content
     aiInstructions, feedbackRating, editedSinceFeedback,
-    maxLength
+    maxLength, originalInstructions = [], layout
   } = section || {};
   const hasFeedback = !!feedbackRating;
+  const canStructure = originalInstructions.length > 0;
+  const isStructured = canStructure && layout === 'structured';
   
   // This is what determines if the button should be gray
   const isPlaceholderContent = content === placeholder || content.trim() === '';
 
   // Callbacks
-  const handleTextChange = useCallback((e) => {
-    updateSectionContent(sectionId, e.target.value);
+  const handleContentChange = useCallback((content) => {
+    updateSectionContent(sectionId, content);
   }, [sectionId, updateSectionContent]);
 
   // Keep this for potential future use
@@ -60,9 +73,9 @@ const SectionCard = ({
     }
   }, [sectionId, toggleMinimize, isMinimized, handleSectionFocus]);
 
-  const handleFeedbackRequest = useCallback(() => {
+  const handleFeedbackRequest = useCallback((options = {}) => {
     if (typeof onRequestFeedback === 'function') {
-      onRequestFeedback(sectionId);
+      onRequestFeedback(sectionId, options);
     }
   }, [sectionId, onRequestFeedback]);
 
@@ -116,6 +129,8 @@ const SectionCard = ({
         <ToggleHeader
           options={options || []}
           activeOption={activeOption} // Use prop from parent
+          selectedOptions={selectedOptions}
+          multiSelect={multiSelect}
           onToggle={onToggle}
           isMinimized={isMinimized}
           isHovered={isHovered || isTextareaFocused}
@@ -138,26 +153,61 @@ const SectionCard = ({
       )}
 
       {/* Always render Editor now */}
-      <SectionEditor
-        sectionId={sectionId}
-        textValue={content}
-        placeholder={placeholder || "Start writing..."}
-        maxLength={maxLength}
-        onFocus={handleEditorFocus}
-        onBlur={handleEditorBlur}
-        handleTextChange={handleTextChange}
-      />
-      
-      <FeedbackButton
-        hasEditedContent={!isPlaceholderContent}
-        hasFeedback={hasFeedback}
-        editedSinceFeedback={editedSinceFeedback}
-        feedbackRating={feedbackRating}
-        handleFeedbackRequest={handleFeedbackRequest}
-        sectionId={sectionId}
-        isPlaceholderContent={isPlaceholderContent}
-        onSwitchToGuide={onSwitchToGuide} // Pass the mode switch function
-      />
+      {isStructured ? (
+        <StructuredSectionEditor
+          sectionId={sectionId}
+          textValue={content}
+          subsections={originalInstructions}
+          aiInstructions={aiInstructions}
+          onFocus={handleEditorFocus}
+          onBlur={handleEditorBlur}
+          onContentChange={handleContentChange}
+        />
+      ) : (
+        <SectionEditor
+          sectionId={sectionId}
+          textValue={content}
+          maxLength={maxLength}
+          onFocus={handleEditorFocus}
+          onBlur={handleEditorBlur}
+          onContentChange={handleContentChange}
+        />
+      )}
+
+      {showHistory && (
+        <SectionHistoryDrawer sectionId={sectionId} onClose={() => setShowHistory(false)} />
+      )}
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={(e) => { e.stopPropagation(); setShowHistory(!showHistory); }}
+          className="mt-2 text-xs text-gray-500 hover:text-gray-700 hover:underline"
+          title="Earlier versions of this section"
+        >
+          {showHistory ? 'Hide history' : 'History'}
+        </button>
+        {canStructure && (
+          <button
+            onClick={(e) => { e.stopPropagation(); setSectionLayout(sectionId, isStructured ? 'flat' : 'structured'); }}
+            className="mt-2 ml-3 text-xs text-gray-500 hover:text-gray-700 hover:underline"
+            title={isStructured ? 'Write this section as one text' : 'Write this section in one field per subsection'}
+          >
+            {isStructured ? 'Free text' : 'Structured'}
+          </button>
+        )}
+        <div className="flex-grow">
+          <FeedbackButton
+            hasEditedContent={!isPlaceholderContent}
+            hasFeedback={hasFeedback}
+            editedSinceFeedback={editedSinceFeedback}
+            feedbackRating={feedbackRating}
+            handleFeedbackRequest={handleFeedbackRequest}
+            sectionId={sectionId}
+            isPlaceholderContent={isPlaceholderContent}
+            onSwitchToGuide={onSwitchToGuide} // Pass the mode switch function
+          />
+        </div>
+      </div>
     </div>
   );
 };
@@ -1,18 +1,22 @@
 // src/components/sections/SectionEditor.js
-import React, { useRef, useEffect } from 'react';
+// MODIFIED: Markdown editor: formatting toolbar, shortcuts, list continuation and a live preview
+//           toggle (see markdownUtils); focus and hover are tracked here and reported via onFocus/onBlur
+import React, { useRef, useEffect, useState } from 'react';
+import MarkdownToolbar, { runMarkdownCommand, handleMarkdownKeyDown } from './MarkdownToolbar';
+import MarkdownPreview from './MarkdownPreview';
 
-const SectionEditor = ({ 
-  textValue, 
-  placeholder, 
-  maxLength, 
+const SectionEditor = ({
+  textValue,
+  maxLength,
   inputPlaceholder,
-  isFocused, 
-  setIsFocused, 
-  isHovered, 
-  setIsHovered,
-  handleTextChange
+  onFocus,
+  onBlur,
+  onContentChange
 }) => {
   const textareaRef = useRef(null);
+  const [isFocused, setIsFocused] = useState(false);
+  const [isHovered, setIsHovered] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
 
   // Auto-resize textarea height
   const adjustTextareaHeight = () => {
@@ -22,10 +26,10 @@ const SectionEditor = ({
     }
   };
 
-  // Adjust on initial render and when text changes
+  // Adjust on initial render, when text changes and when coming back from the preview
   useEffect(() => {
     adjustTextareaHeight();
-  }, [textValue]);
+  }, [textValue, showPreview]);
 
   useEffect(() => {
     const timer = setTimeout(adjustTextareaHeight, 10);
@@ -34,71 +38,79 @@ const SectionEditor = ({
 
   const getTextareaClasses = () => {
     const baseClasses = `w-full py-1 px-2 border-0 rounded focus:ring-1 focus:ring-blue-300 outline-none resize-none overflow-hidden text-base leading-relaxed bg-inherit font-normal`;
-    
+
     if (isFocused) {
       return `${baseClasses} edit-mode-focused`;
     } else if (isHovered) {
       return `${baseClasses} edit-mode-hover`;
     }
-    
+
     return baseClasses;
   };
 
-  // Safe event handlers that check if the setters are functions
-  const handleMouseEnter = () => {
-    if (typeof setIsHovered === 'function') {
-      setIsHovered(true);
-    }
-  };
-  
-  const handleMouseLeave = () => {
-    if (typeof setIsHovered === 'function') {
-      setIsHovered(false);
-    }
-  };
-  
   const handleFocus = () => {
-    if (typeof setIsFocused === 'function') {
-      setIsFocused(true);
+    setIsFocused(true);
+    if (typeof onFocus === 'function') {
+      onFocus();
     }
   };
-  
+
   const handleBlur = () => {
-    if (typeof setIsFocused === 'function') {
-      setIsFocused(false);
+    setIsFocused(false);
+    if (typeof onBlur === 'function') {
+      onBlur();
     }
   };
 
+  const handleCommand = (command) => {
+    runMarkdownCommand(textareaRef.current, command, onContentChange);
+  };
+
   return (
-    <div 
-      className="relative"
-      onMouseEnter={handleMouseEnter}
-      onMouseLeave={handleMouseLeave}
+    // section-editor keeps swipes in the editor and preview (e.g. over a wide table) from switching panels
+    <div
+      className="section-editor relative"
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
     >
-      {/* Visual edit indicator for empty textareas */}
-      {textValue.trim() === '' && !isFocused && (
-        <div className="absolute inset-0 flex items-center justify-center pointer-events-none text-gray-400 text-sm italic">
-          Click to edit...
+      <MarkdownToolbar
+        onCommand={handleCommand}
+        showPreview={showPreview}
+        onTogglePreview={() => setShowPreview(!showPreview)}
+      />
+
+      {showPreview ? (
+        <MarkdownPreview text={textValue} />
+      ) : (
+        <div className="relative">
+          {/* Visual edit indicator for empty textareas */}
+          {textValue.trim() === '' && !isFocused && (
+            <div className="absolute inset-0 flex items-center justify-center pointer-events-none text-gray-400 text-sm italic">
+              Click to edit...
+            </div>
+          )}
+
+          <textarea
+            ref={textareaRef}
+            data-section-editor
+            className={getTextareaClasses()}
+            value={textValue}
+            onChange={(e) => onContentChange(e.target.value)}
+            onKeyDown={(e) => handleMarkdownKeyDown(e, onContentChange)}
+            onInput={adjustTextareaHeight}
+            onFocus={handleFocus}
+            onBlur={handleBlur}
+            rows="1"
+            maxLength={maxLength}
+            placeholder={inputPlaceholder || "Start writing..."}
+            style={{
+              minHeight: '2rem',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif',
+              cursor: 'text'
+            }}
+          />
         </div>
       )}
-      
-      <textarea
-        ref={textareaRef}
-        className={getTextareaClasses()}
-        value={textValue}
-        onChange={handleTextChange}
-        onInput={adjustTextareaHeight}
-        onFocus={handleFocus}
-        onBlur={handleBlur}
-        rows="1"
-        maxLength={maxLength}
-        placeholder={inputPlaceholder || "Start writing..."}
-        style={{ 
-          minHeight: '2rem',
-          fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif',
-          cursor: 'text'
-        }}
-      />
     </div>
   );
 };
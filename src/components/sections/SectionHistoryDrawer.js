@@ -0,0 +1,136 @@
+// FILE: src/components/sections/SectionHistoryDrawer.js
+
+import React, { useState, useEffect, useMemo } from 'react';
+import useAppStore from '../../store/appStore';
+import { listRevisions } from '../../services/revisionHistoryService';
+import { diffWords, countChangedWords } from '../../utils/diffUtils';
+import DiffColumn from '../common/DiffColumn';
+
+const CURRENT_ID = 'current';
+
+const REASON_LABELS = {
+  feedback: 'Feedback',
+  checkpoint: 'Checkpoint',
+  restore: 'Before restore'
+};
+
+/**
+ * Revision history drawer for a section card
+ * Timeline of feedback rounds and checkpoints, a word-level diff between any
+ * two of them (or the current text), and one-click restore.
+ */
+const SectionHistoryDrawer = ({ sectionId, onClose }) => {
+  const projectId = useAppStore((state) => state.projectId);
+  const section = useAppStore((state) => state.sections[sectionId]);
+  const revisionsUpdatedAt = useAppStore((state) => state.revisionsUpdatedAt);
+  const recordSectionRevision = useAppStore((state) => state.recordSectionRevision);
+  const restoreSectionRevision = useAppStore((state) => state.restoreSectionRevision);
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(CURRENT_ID);
+
+  useEffect(() => {
+    let cancelled = false;
+    listRevisions(projectId, sectionId).then(list => {
+      if (cancelled) return;
+      setRevisions(list);
+      setIsLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [projectId, sectionId, revisionsUpdatedAt]);
+
+  const entries = useMemo(() => [
+    { id: CURRENT_ID, content: section?.content || '', feedbackRating: section?.feedbackRating, isCurrent: true },
+    ...revisions
+  ], [section, revisions]);
+
+  // Compare the newest revision with the current text until the user picks others
+  const fromEntry = entries.find(entry => entry.id === fromId) || revisions[0] || null;
+  const toEntry = entries.find(entry => entry.id === toId) || entries[0];
+
+  const diff = useMemo(
+    () => (fromEntry && toEntry ? diffWords(fromEntry.content, toEntry.content) : []),
+    [fromEntry, toEntry]
+  );
+  const changes = countChangedWords(diff);
+
+  const describe = (entry) => (entry.isCurrent ? 'Current text' : new Date(entry.createdAt).toLocaleString());
+
+  const handleRestore = async (revision) => {
+    await restoreSectionRevision(sectionId, revision);
+    setFromId(null);
+    setToId(CURRENT_ID);
+  };
+
+  const pickerClasses = (isSelected) =>
+    `px-1.5 py-0.5 rounded text-xs border ${isSelected ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-600 hover:bg-gray-100'}`;
+
+  return (
+    <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-md" onClick={(e) => e.stopPropagation()}>
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">History</h4>
+        <div className="space-x-3">
+          <button
+            onClick={() => recordSectionRevision(sectionId, 'checkpoint')}
+            className="text-xs text-blue-600 hover:underline"
+            title="Save the current text as a revision"
+          >
+            Save checkpoint
+          </button>
+          <button onClick={onClose} className="text-xs text-gray-500 hover:text-gray-700" aria-label="Close history">
+            Close
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-xs text-gray-500">Loading revisions…</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          No revisions yet. A revision is saved each time you get feedback, or when you save a checkpoint.
+        </p>
+      ) : (
+        <>
+          <ol className="max-h-48 overflow-y-auto mb-3 divide-y divide-gray-100 bg-white border border-gray-200 rounded">
+            {entries.map(entry => (
+              <li key={entry.id} className="px-2 py-1.5 flex items-center justify-between text-xs">
+                <div className="min-w-0">
+                  <span className="text-gray-800">{describe(entry)}</span>
+                  {!entry.isCurrent && (
+                    <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600">{REASON_LABELS[entry.reason] || entry.reason}</span>
+                  )}
+                  {entry.feedbackRating ? <span className="ml-2 text-purple-700">{entry.feedbackRating}/10</span> : null}
+                  <span className="ml-2 text-gray-400">{entry.content.split(/\s+/).filter(Boolean).length} words</span>
+                </div>
+                <div className="flex-shrink-0 flex items-center space-x-1 ml-2">
+                  <button onClick={() => setFromId(entry.id)} className={pickerClasses(fromEntry?.id === entry.id)} title="Compare from this version">A</button>
+                  <button onClick={() => setToId(entry.id)} className={pickerClasses(toEntry?.id === entry.id)} title="Compare to this version">B</button>
+                  {!entry.isCurrent && (
+                    <button onClick={() => handleRestore(entry)} className="pl-1 text-blue-600 hover:underline">Restore</button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          {fromEntry && toEntry && (
+            <>
+              <div className="text-xs text-gray-500 mb-1">
+                {fromEntry.id === toEntry.id
+                  ? 'Pick two different versions to compare.'
+                  : `${changes.added} words added, ${changes.removed} words removed`}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <DiffColumn title={`A: ${describe(fromEntry)}`} parts={diff} side="old" />
+                <DiffColumn title={`B: ${describe(toEntry)}`} parts={diff} side="new" />
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SectionHistoryDrawer;
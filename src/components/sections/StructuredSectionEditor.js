@@ -0,0 +1,140 @@
+// FILE: src/components/sections/StructuredSectionEditor.js
+// MODIFIED: Markdown toolbar for the last focused field, shortcuts and a preview of the whole section
+import React, { useRef, useEffect, useMemo, useState } from 'react';
+import { splitSubsectionContent, joinSubsectionContent } from '../../utils/subsectionContentUtils';
+import MarkdownToolbar, { runMarkdownCommand, handleMarkdownKeyDown } from './MarkdownToolbar';
+import MarkdownPreview from './MarkdownPreview';
+
+const textareaClasses = 'w-full py-1 px-2 border-0 rounded focus:ring-1 focus:ring-blue-300 outline-none resize-none overflow-hidden text-base leading-relaxed bg-inherit font-normal';
+
+/**
+ * One auto-resizing field of the structured editor
+ * isComplete is null for fields without a feedback tick.
+ */
+const SubsectionField = ({ id, label, hint, value, isComplete, onChange, onFocus, onBlur, registerTextarea }) => {
+  const textareaRef = useRef(null);
+  const setTextarea = (element) => {
+    textareaRef.current = element;
+    registerTextarea(element);
+  };
+
+  // Auto-resize textarea height
+  const adjustTextareaHeight = () => {
+    if (textareaRef.current) {
+      textareaRef.current.style.height = 'auto';
+      textareaRef.current.style.height = `${textareaRef.current.scrollHeight}px`;
+    }
+  };
+
+  useEffect(() => {
+    adjustTextareaHeight();
+  }, [value]);
+
+  return (
+    <div className="structured-field mb-2">
+      <label htmlFor={id} className="flex items-center text-sm font-medium text-gray-700 px-2">
+        {isComplete !== null && (
+          <span
+            className={`mr-1.5 ${isComplete ? 'text-green-600' : 'text-gray-300'}`}
+            title={isComplete ? 'Complete in the last feedback' : 'Not complete in the last feedback'}
+            aria-label={isComplete ? 'complete' : 'not complete'}
+          >
+            ✓
+          </span>
+        )}
+        {label}
+      </label>
+      <textarea
+        ref={setTextarea}
+        id={id}
+        data-section-editor
+        className={textareaClasses}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => handleMarkdownKeyDown(e, onChange)}
+        onInput={adjustTextareaHeight}
+        onFocus={onFocus}
+        onBlur={onBlur}
+        rows="1"
+        placeholder={hint || 'Start writing...'}
+      />
+    </div>
+  );
+};
+
+/**
+ * Section editor with one field per subsection
+ * The fields are views of the section's single text (see subsectionContentUtils):
+ * every edit joins them back into it, so switching to the flat editor keeps all
+ * text. Ticks show which subsections the last AI feedback found complete. Text
+ * outside the subsections (e.g. written in the flat editor) gets its own field.
+ * The toolbar formats the field that had the focus last.
+ */
+const StructuredSectionEditor = ({
+  sectionId,
+  textValue,
+  subsections = [],
+  aiInstructions,
+  onFocus,
+  onBlur,
+  onContentChange
+}) => {
+  const parts = useMemo(() => splitSubsectionContent(textValue, subsections), [textValue, subsections]);
+  const textareas = useRef({}); // Field key ('notes' or subsection id) -> textarea
+  const activeField = useRef(null);
+  const [showPreview, setShowPreview] = useState(false);
+
+  const handleFieldChange = (changes) => {
+    onContentChange(joinSubsectionContent({ ...parts, ...changes, fields: { ...parts.fields, ...changes.fields } }, subsections));
+  };
+  const changeField = (key, text) => handleFieldChange(key === 'notes' ? { notes: text } : { fields: { [key]: text } });
+
+  const fieldProps = (key) => ({
+    onChange: (text) => changeField(key, text),
+    onFocus: () => {
+      activeField.current = key;
+      if (typeof onFocus === 'function') onFocus();
+    },
+    onBlur,
+    registerTextarea: (element) => { textareas.current[key] = element; }
+  });
+
+  const handleCommand = (command) => {
+    const key = textareas.current[activeField.current] ? activeField.current : subsections[0]?.id;
+    runMarkdownCommand(textareas.current[key], command, (text) => changeField(key, text));
+  };
+
+  return (
+    <div className="section-editor">
+      <MarkdownToolbar
+        onCommand={handleCommand}
+        showPreview={showPreview}
+        onTogglePreview={() => setShowPreview(!showPreview)}
+      />
+      {showPreview && <MarkdownPreview text={textValue} />}
+      {!showPreview && parts.notes !== '' && (
+        <SubsectionField
+          id={`${sectionId}-notes`}
+          label="Other text"
+          hint="Move this text into the fields below, or keep it here"
+          value={parts.notes}
+          isComplete={null}
+          {...fieldProps('notes')}
+        />
+      )}
+      {!showPreview && subsections.map(subsection => (
+        <SubsectionField
+          key={subsection.id}
+          id={`${sectionId}-${subsection.id}`}
+          label={subsection.title}
+          hint={subsection.instruction}
+          value={parts.fields[subsection.id]}
+          isComplete={!!aiInstructions?.subsections?.find(feedback => feedback?.id === subsection.id)?.isComplete}
+          {...fieldProps(subsection.id)}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default StructuredSectionEditor;
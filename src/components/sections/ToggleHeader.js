@@ -4,10 +4,14 @@ import React from 'react';
 /**
  * A component that displays toggle options within a section header
  * UPDATED: Removed minimization and added guide mode switch icon
+ * ADDED: multiSelect - options work as checkboxes; activeOption is the one this card shows,
+ *        selectedOptions all selected ones (each has its own card)
  */
 const ToggleHeader = ({
   options,
   activeOption,
+  selectedOptions = null,
+  multiSelect = false,
   onToggle,
   isMinimized, // Keeping this for future use but not using currently
   isHovered,
@@ -15,6 +19,13 @@ const ToggleHeader = ({
   toggleMinimized, // Keeping this for future use but not using currently
   onSwitchToGuide // New prop for switching to guide mode
 }) => {
+  const selected = selectedOptions || [activeOption];
+  const getTitle = (option) => {
+    if (!multiSelect) return activeOption === option.id ? `${option.label} (Selected)` : option.label;
+    if (!selected.includes(option.id)) return `Add ${option.label}`;
+    return selected.length > 1 ? `Remove ${option.label}` : `${option.label} (Selected; keep at least one)`;
+  };
+
   return (
     <div className="flex flex-col mb-1">      
       {/* Toggle button header */}
@@ -29,18 +40,20 @@ const ToggleHeader = ({
                   onToggle(option.id);
                 }}
                 className={`font-semibold py-1 px-2 rounded-md transition-colors flex-1 ${
-                  // Enhanced visual distinction between active and inactive
+                  // Enhanced visual distinction between active, also selected (shown in its own card) and inactive
                   activeOption === option.id
                     ? 'text-black bg-white border-2 border-blue-500 shadow-sm active-toggle'
-                    : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100 border border-gray-200 inactive-toggle'
+                    : selected.includes(option.id)
+                      ? 'text-blue-700 bg-blue-50 hover:bg-blue-100 border border-blue-300 selected-toggle'
+                      : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100 border border-gray-200 inactive-toggle'
                 }`}
                 style={{ fontSize: 'calc(1.2 * 1rem)' }} // Slightly smaller for better fit
-                aria-pressed={activeOption === option.id} // Accessibility: indicate if pressed
-                title={activeOption === option.id ? `${option.label} (Selected)` : option.label}
+                aria-pressed={selected.includes(option.id)} // Accessibility: indicate if pressed
+                title={getTitle(option)}
               >
                 {/* Add visual indicator for selected state */}
-                {activeOption === option.id && (
-                  <span className="mr-1 text-blue-500">•</span>
+                {selected.includes(option.id) && (
+                  <span className="mr-1 text-blue-500">{multiSelect ? '✓' : '•'}</span>
                 )}
                 {option.label}
               </button>
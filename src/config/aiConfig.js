@@ -0,0 +1,83 @@
+// FILE: src/config/aiConfig.js
+/**
+ * AI backend configuration
+ * Selects which LLM provider callOpenAI talks to. All values come from
+ * build-time environment variables so a deployment (or a local test run
+ * against a stand-in server) can switch backends without code changes.
+ *
+ * By default every call goes through the server-side proxy (api/ai.js), which
+ * holds the API key. CRA inlines REACT_APP_* values into the public bundle, so
+ * a key should only be set here for local, direct-to-provider development:
+ *
+ *   REACT_APP_AI_PROVIDER   - 'openai' (default), 'anthropic', 'ollama', 'openai-compatible' / 'vllm'.
+ *                             Picks the request format; must match the proxy's upstream.
+ *   REACT_APP_AI_PROXY_URL  - Proxy base path (default '/api/ai'); 'off' calls the provider directly
+ *   REACT_APP_AI_BASE_URL   - Direct mode only: override the provider's base URL (e.g. http://localhost:8000/v1)
+ *   REACT_APP_AI_API_KEY    - Direct mode only: API key. Only read when REACT_APP_AI_PROXY_URL is 'off',
+ *                             so proxy builds drop it from the bundle. The old REACT_APP_OPENAI_API_KEY is
+ *                             ignored: existing .env files that still set it must not leak it.
+ *   REACT_APP_AI_MODEL      - Model name (falls back to REACT_APP_OPENAI_MODEL)
+ *
+ * A user can override the connection from the Settings modal (bring your own key).
+ * Their provider, base URL and key come from services/aiSettingsService.js and
+ * switch calls to direct mode.
+ *
+ * The USE_MOCK_AI feature flag (REACT_APP_USE_MOCK_AI=true) overrides everything
+ * and answers every call offline with the mock provider.
+ */
+import { getUserConnectionSettings } from '../services/aiSettingsService';
+import { isFeatureEnabled } from './featureFlags';
+
+const DEFAULT_PROXY_URL = '/api/ai';
+
+// CRA replaces process.env.REACT_APP_* with literals, so in a proxy build this is a constant
+// false and the key lookup below is removed from the bundle
+const DIRECT_MODE_KEY = (process.env.REACT_APP_AI_PROXY_URL === 'off' || process.env.REACT_APP_AI_PROXY_URL === 'false')
+  ? (process.env.REACT_APP_AI_API_KEY || null)
+  : null;
+
+/**
+ * Resolve the proxy base path, or null when direct mode is requested
+ * @returns {string|null}
+ */
+const getProxyUrl = () => {
+  const value = process.env.REACT_APP_AI_PROXY_URL;
+  if (value === 'off' || value === 'false') return null;
+  return value || DEFAULT_PROXY_URL;
+};
+
+/**
+ * Get the configured AI backend
+ * @returns {{ provider: string, proxyUrl: string|null, baseUrl: string|null, apiKey: string|null, model: string|null, isKeyLocked: boolean }}
+ */
+export const getAIConfig = () => {
+  if (isFeatureEnabled('USE_MOCK_AI')) {
+    return { provider: 'mock', proxyUrl: null, baseUrl: null, apiKey: null, model: null, isKeyLocked: false };
+  }
+
+  const user = getUserConnectionSettings();
+  // A user-supplied key or base URL means the user talks to their own provider
+  if (user.hasKey || user.baseUrl) {
+    return {
+      provider: user.provider || process.env.REACT_APP_AI_PROVIDER || 'openai',
+      proxyUrl: null,
+      baseUrl: user.baseUrl || null,
+      apiKey: user.apiKey || null,
+      model: process.env.REACT_APP_AI_MODEL || process.env.REACT_APP_OPENAI_MODEL || null,
+      isKeyLocked: user.isKeyLocked,
+    };
+  }
+
+  // The proxy's upstream is fixed server-side, so its request format comes from the build config
+  const proxyUrl = getProxyUrl();
+  return {
+    provider: process.env.REACT_APP_AI_PROVIDER || 'openai',
+    proxyUrl,
+    baseUrl: proxyUrl ? null : (process.env.REACT_APP_AI_BASE_URL || null),
+    apiKey: proxyUrl ? null : DIRECT_MODE_KEY,
+    model: process.env.REACT_APP_AI_MODEL || process.env.REACT_APP_OPENAI_MODEL || null,
+    isKeyLocked: false,
+  };
+};
+
+export default getAIConfig;
@@ -0,0 +1,57 @@
+// FILE: src/config/aiPricing.js
+/**
+ * Approximate model prices used for the Usage panel's cost estimates.
+ * USD per million tokens (input / output), matched by model-name prefix; the
+ * first match wins, so more specific prefixes come first. Update these when
+ * providers change their prices - they only drive estimates and the budget cap.
+ */
+
+const MODEL_PRICES = [
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+  { prefix: 'gpt-4o', input: 2.5, output: 10 },
+  { prefix: 'gpt-4.1-nano', input: 0.1, output: 0.4 },
+  { prefix: 'gpt-4.1-mini', input: 0.4, output: 1.6 },
+  { prefix: 'gpt-4.1', input: 2, output: 8 },
+  { prefix: 'gpt-4-turbo', input: 10, output: 30 },
+  { prefix: 'gpt-4', input: 30, output: 60 },
+  { prefix: 'gpt-3.5-turbo', input: 0.5, output: 1.5 },
+  { prefix: 'o3-mini', input: 1.1, output: 4.4 },
+  { prefix: 'o4-mini', input: 1.1, output: 4.4 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-opus', input: 15, output: 75 },
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+];
+
+// Providers that never bill (self-hosted or offline)
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+/**
+ * Look up the price of a model
+ * @param {string} provider - Provider id
+ * @param {string} model - Model name
+ * @returns {{ input: number, output: number }|null} - USD per million tokens, or null if unknown
+ */
+export const getModelPrice = (provider, model) => {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  const name = (model || '').toLowerCase();
+  const match = MODEL_PRICES.find(price => name.startsWith(price.prefix));
+  return match ? { input: match.input, output: match.output } : null;
+};
+
+/**
+ * Estimate the cost of one call
+ * @param {string} provider - Provider id
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|null} - USD, or null when the model has no known price
+ */
+export const estimateCost = (provider, model, promptTokens, completionTokens) => {
+  const price = getModelPrice(provider, model);
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+};
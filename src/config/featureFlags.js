@@ -5,11 +5,32 @@
  * without exposing them to general users
  */
 
+/**
+ * Parse "promptId=variant" pairs separated by commas
+ * @param {string} value - e.g. "feedback.task=B,review.task=A"
+ * @returns {Object} - { promptId: variant }
+ */
+function parsePromptVariants(value = '') {
+  return value.split(',').reduce((pins, pair) => {
+    const [id, variant] = pair.split('=').map(part => part && part.trim());
+    if (id && variant) pins[id] = variant;
+    return pins;
+  }, {});
+}
+
 // The main feature flags object
 const featureFlags = {
   // Analysis mode: 'single' processes only the current section, 'batch' processes all eligible sections
   FEEDBACK_MODE: 'single', // 'single' or 'batch'
   
+  // Route every AI call to the offline mock provider (services/providers/mockProvider.js).
+  // Deterministic replies, no network or API key. Also enabled by REACT_APP_USE_MOCK_AI=true.
+  USE_MOCK_AI: process.env.REACT_APP_USE_MOCK_AI === 'true',
+
+  // Pin prompt A/B variants by prompt id (utils/promptRegistry.js), e.g. { 'feedback.task': 'B' }.
+  // Also set by REACT_APP_PROMPT_VARIANTS="feedback.task=B,review.task=A".
+  PROMPT_VARIANTS: parsePromptVariants(process.env.REACT_APP_PROMPT_VARIANTS),
+
   // Other experimental features can be added here
   ENABLE_DEBUG_LOGS: false,
 };
@@ -7,10 +7,15 @@
  * MODIFIED: Explicitly call expandAllSections after successful import
  * MODIFIED: Changed toggle detection order to prioritize expected keys
  * MODIFIED: Added more detailed logging and simplified checks in detection logic
+ * MODIFIED: Import runs as a cancellable request; cancelling does not raise an alert
+ * MODIFIED: Toggles are detected for every category in sectionContent.json (detectActiveToggles)
+ * MODIFIED: Documents are imported into the open project's template; no sectionContent parameter
  */
 import { useState, useCallback } from 'react';
 import { importDocumentContent } from '../services/documentImportService';
+import { isCancelledError } from '../services/aiErrors';
 import useAppStore from '../store/appStore'; // Import store
+import { detectActiveToggles } from '../utils/sectionOrderUtils';
 
 // Custom confirmation dialog setup (assuming it exists and works via store)
 const showCustomConfirmation = async (message) => {
@@ -28,9 +33,10 @@ const showCustomConfirmation = async (message) => {
   });
 };
 
-export const useDocumentImport = (loadProject, sectionContent, resetAllProjectState) => {
+export const useDocumentImport = (loadProject, resetAllProjectState) => {
   const [importLoading, setImportLoading] = useState(false);
-  const setLoading = useAppStore((state) => state.setLoading);
+  const beginCancellableRequest = useAppStore((state) => state.beginCancellableRequest);
+  const endCancellableRequest = useAppStore((state) => state.endCancellableRequest);
   const expandAllSections = useAppStore((state) => state.expandAllSections);
 
   const handleDocumentImport = useCallback(async (file) => {
@@ -40,7 +46,7 @@ export const useDocumentImport = (loadProject, sectionContent, resetAllProjectSt
 
     try {
       const confirmed = await showCustomConfirmation(
-        "Creating an example from this document will replace your current work. Continue?"
+        "Creating an example from this document starts a new project. Your current project stays in the project list. Continue?"
       );
 
       if (!confirmed) {
@@ -59,54 +65,16 @@ export const useDocumentImport = (loadProject, sectionContent, resetAllProjectSt
 
       console.log("Setting loading states to TRUE after confirmation and reset");
       setImportLoading(true);
-      setLoading('import', true);
+      const signal = beginCancellableRequest('import');
       await new Promise(resolve => setTimeout(resolve, 50));
 
-      const importedData = await importDocumentContent(file, sectionContent);
+      const importedData = await importDocumentContent(file, null, { signal });
 
       if (importedData && importedData.userInputs) {
 
-        // --- REVISED: Toggle Detection Logic with Detailed Logging ---
-        console.log("DEBUG: Starting Toggle Detection. userInputs object:", importedData.userInputs);
-        const userInputs = importedData.userInputs; // Local variable for easier access
-
-        let detectedApproach = 'hypothesis'; // Default
-        let detectedDataMethod = 'experiment'; // Default
-
-        // Approach Detection
-        console.log("DEBUG: Checking Approach...");
-        if (userInputs && typeof userInputs === 'object' && userInputs.hasOwnProperty('hypothesis')) {
-            console.log("DEBUG: Found 'hypothesis' key.");
-            detectedApproach = 'hypothesis';
-        } else if (userInputs && typeof userInputs === 'object' && userInputs.hasOwnProperty('needsresearch')) {
-            console.log("DEBUG: Found 'needsresearch' key.");
-            detectedApproach = 'needsresearch';
-        } else if (userInputs && typeof userInputs === 'object' && userInputs.hasOwnProperty('exploratoryresearch')) {
-            console.log("DEBUG: Found 'exploratoryresearch' key.");
-            detectedApproach = 'exploratoryresearch';
-        } else {
-             console.log("DEBUG: No specific approach key found, using default:", detectedApproach);
-        }
-
-        // Data Method Detection
-        console.log("DEBUG: Checking Data Method...");
-        if (userInputs && typeof userInputs === 'object' && userInputs.hasOwnProperty('experiment')) {
-             console.log("DEBUG: Found 'experiment' key.");
-            detectedDataMethod = 'experiment';
-        } else if (userInputs && typeof userInputs === 'object' && userInputs.hasOwnProperty('theorysimulation')) {
-             console.log("DEBUG: Found 'theorysimulation' key.");
-            detectedDataMethod = 'theorysimulation';
-        } else if (userInputs && typeof userInputs === 'object' && userInputs.hasOwnProperty('existingdata')) {
-             console.log("DEBUG: Found 'existingdata' key.");
-            detectedDataMethod = 'existingdata';
-        } else {
-            console.log("DEBUG: No specific data method key found, using default:", detectedDataMethod);
-        }
-        // --- END REVISED ---
-
-
-        importedData.detectedToggles = { approach: detectedApproach, dataMethod: detectedDataMethod };
-        console.log(`[handleDocumentImport] Detected toggles: Approach=${detectedApproach}, Method=${detectedDataMethod}`);
+        // Each category's active section is its first member the import filled in
+        importedData.detectedToggles = detectActiveToggles(importedData.userInputs);
+        console.log("[handleDocumentImport] Detected toggles:", importedData.detectedToggles);
 
         try {
             loadProject(importedData);
@@ -127,15 +95,19 @@ export const useDocumentImport = (loadProject, sectionContent, resetAllProjectSt
           throw new Error("Failed to retrieve valid data from document processing service.");
       }
     } catch (error) {
+      if (isCancelledError(error)) {
+        console.log("Document import cancelled by user");
+        return false;
+      }
       console.error("Error importing document:", error);
       alert("Error importing document: " + (error.message || "Unknown error"));
       return false; // Failure
     } finally {
         console.log("Setting loading states to FALSE after import process finishes (in finally block)");
         setImportLoading(false);
-        setLoading('import', false);
+        endCancellableRequest('import');
     }
-  }, [loadProject, sectionContent, resetAllProjectState, setLoading, expandAllSections]);
+  }, [loadProject, resetAllProjectState, beginCancellableRequest, endCancellableRequest, expandAllSections]);
 
   return {
     importLoading,
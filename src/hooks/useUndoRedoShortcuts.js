@@ -0,0 +1,51 @@
+// FILE: src/hooks/useUndoRedoShortcuts.js
+
+/**
+ * Hook for the global undo/redo keyboard shortcuts
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo, using the store's history.
+ * Single-line inputs (chat box, modal fields) keep the browser's own undo;
+ * in section textareas the store history replaces it so edits, toggles and
+ * AI changes are undone in one consistent order.
+ */
+import { useEffect } from 'react';
+import useAppStore from '../store/appStore';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+/**
+ * Shortcut text for menus, e.g. "⌘Z" on macOS and "Ctrl+Z" elsewhere
+ * @param {string} keys - Keys after the modifier, e.g. 'Z' or 'Shift+Z'
+ * @returns {string}
+ */
+export const getShortcutLabel = (keys) => (isMac ? `⌘${keys.replace('Shift+', '⇧')}` : `Ctrl+${keys}`);
+
+// Elements whose native undo stays in charge
+const keepsNativeUndo = (target) => {
+  if (!target) return false;
+  if (target.tagName === 'INPUT' || target.tagName === 'SELECT') return true;
+  // Textareas outside the section editors (chat, modals) opt in with data-section-editor
+  return target.tagName === 'TEXTAREA' && !target.closest('[data-section-editor]');
+};
+
+const useUndoRedoShortcuts = () => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      const isUndo = key === 'z' && !event.shiftKey;
+      const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.metaKey);
+      if (!isUndo && !isRedo) return;
+      if (keepsNativeUndo(event.target)) return;
+
+      event.preventDefault();
+      const { undo, redo } = useAppStore.getState();
+      if (isUndo) undo();
+      else redo();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
+
+export default useUndoRedoShortcuts;
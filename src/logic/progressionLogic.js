@@ -1,102 +1,332 @@
 // FILE: src/logic/progressionLogic.js
-import sectionContent from '../data/sectionContent.json'; // Adjust path as needed
-import { getApproachSectionIds, getDataMethodSectionIds } from '../utils/sectionOrderUtils'; // Adjust path as needed
+// MODIFIED: Unlock chain and thresholds come from declarative rules in sectionContent.json (validated, cycles rejected)
+// ADDED: selectVisibility, a memoized selector that replaces the isVisible flags stored on sections
+// MODIFIED: Toggle groups are the categories in sectionContent.json
+// MODIFIED: activeSection conditions wait for every selected section of a multi-select category
+// MODIFIED: Rules come from the open project's template; selectVisibility follows the state's templateId
+// MODIFIED: selectVisibility includes the project's custom sections (open from the start)
+import { getCategories, getFirstSectionId, normalizeActiveToggles } from '../utils/sectionOrderUtils'; // Adjust path as needed
+import { getActiveTemplate, getTemplate } from '../utils/templateRegistry';
+import { withCustomSections } from '../utils/customSectionUtils';
+import { isValidRating } from '../services/feedbackSchema';
 
-const MINIMUM_SCORE_TO_UNLOCK = 6;
+// Used when the template's progression sets no minimumScore
+const DEFAULT_MINIMUM_SCORE = 6;
 
 /**
- * Calculates which sections and toggles should be unlocked based on scores.
- * This logic is extracted from the previous progressionStateService.
- *
- * @param {Object} scores - Object mapping section IDs to their scores (e.g., { question: 7, hypothesis: 5 })
- * @param {Object} activeToggles - Current active toggles (e.g., { approach: 'hypothesis', dataMethod: 'experiment' })
- * @returns {{ unlockedSections: string[], unlockedToggles: string[] }} - Arrays of unlocked section and toggle IDs.
+ * Toggle groups of a template: activeSection conditions name one of these
+ * groups and refer to whichever of its sections are active
+ * @param {Object} definition - Template definition
+ * @returns {Object} - { categoryId: sectionId[] }
+ */
+const getToggleGroups = (definition) => getCategories(definition).reduce((groups, category) => {
+  groups[category.id] = category.sectionIds;
+  return groups;
+}, {});
+
+/**
+ * How describeUnlockRule names a toggle group
+ * @param {Object} definition - Template definition
+ * @param {string} categoryId - Toggle group
+ * @returns {string}
+ */
+const getToggleGroupLabel = (definition, categoryId) => {
+  const category = getCategories(definition).find(candidate => candidate.id === categoryId);
+  const label = (category?.label || categoryId).toLowerCase();
+  return category?.multiSelect ? `every chosen ${label} section` : `the chosen ${label} section`;
+};
+
+/*
+ * Unlock rules (every template, e.g. sectionContent.json)
+ * A section's "unlock" condition, and the entry of progression.toggles for a
+ * category (which shows that category's toggle card), is one of:
+ *   { "section": "question", "minScore": 7 }   - that section is rated at least minScore
+ *   { "activeSection": "approach" }            - every active section of a toggle group is rated high enough
+ *   { "allOf": [condition, ...] }              - every condition holds
+ *   { "anyOf": [condition, ...] }              - at least one condition holds
+ * minScore defaults to progression.minimumScore. Sections without "unlock", and
+ * categories without a toggles entry, are open from the start. Conditions look at ratings only, so a rating given in pro mode counts.
  */
-export const calculateUnlockedSections = (scores = {}, activeToggles = {}) => {
-  const unlockedSectionsSet = new Set(['question']); // Start with 'question'
-  const unlockedTogglesSet = new Set();
-  const approachIds = getApproachSectionIds();
-  const dataMethodIds = getDataMethodSectionIds();
-
-  const checkAndUnlock = (requiredSectionId, scoreThreshold, unlockTargets) => {
-    if (scores[requiredSectionId] >= scoreThreshold) {
-      unlockTargets.forEach(target => {
-        if (target.includes('_toggle')) {
-          unlockedTogglesSet.add(target);
-        } else {
-          unlockedSectionsSet.add(target);
-        }
-      });
-    }
-  };
 
-  // Unlock logic based on section completion scores
-  checkAndUnlock('question', MINIMUM_SCORE_TO_UNLOCK, ['approach_toggle', ...approachIds]);
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
 
-  // Unlock based on the *active* approach section
-  const activeApproachId = activeToggles?.approach;
-  if (activeApproachId && approachIds.includes(activeApproachId)) {
-     checkAndUnlock(activeApproachId, MINIMUM_SCORE_TO_UNLOCK, ['audience']);
+/**
+ * Problems in one condition
+ * @param {*} condition - Condition to check
+ * @param {string} path - Where it is, for the messages
+ * @param {Set<string>} sectionIds - Known section ids
+ * @param {Object} toggleGroups - The template's toggle groups
+ * @returns {string[]}
+ */
+const validateCondition = (condition, path, sectionIds, toggleGroups) => {
+  if (!isPlainObject(condition)) return [`${path}: must be an object`];
+  const kinds = ['section', 'activeSection', 'allOf', 'anyOf'].filter(kind => kind in condition);
+  if (kinds.length !== 1) return [`${path}: needs exactly one of "section", "activeSection", "allOf" or "anyOf"`];
+
+  const [kind] = kinds;
+  if (kind === 'allOf' || kind === 'anyOf') {
+    const conditions = condition[kind];
+    if (!Array.isArray(conditions) || conditions.length === 0) return [`${path}.${kind}: must be a non-empty list`];
+    return conditions.flatMap((nested, index) => validateCondition(nested, `${path}.${kind}[${index}]`, sectionIds, toggleGroups));
   }
 
-  checkAndUnlock('audience', MINIMUM_SCORE_TO_UNLOCK, ['relatedpapers']);
-  checkAndUnlock('relatedpapers', MINIMUM_SCORE_TO_UNLOCK, ['data_toggle', ...dataMethodIds]);
+  const errors = [];
+  if (kind === 'section' && !sectionIds.has(condition.section)) {
+    errors.push(`${path}: unknown section "${condition.section}"`);
+  }
+  if (kind === 'activeSection' && !toggleGroups[condition.activeSection]) {
+    errors.push(`${path}: unknown toggle group "${condition.activeSection}" (use ${Object.keys(toggleGroups).join(' or ') || 'a category of the template'})`);
+  }
+  if ('minScore' in condition && !isValidRating(condition.minScore)) {
+    errors.push(`${path}.minScore: must be a whole number from 1 to 10`);
+  }
+  return errors;
+};
 
-  // Unlock based on the *active* data method section
-  const activeDataMethodId = activeToggles?.dataMethod;
-   if (activeDataMethodId && dataMethodIds.includes(activeDataMethodId)) {
-      checkAndUnlock(activeDataMethodId, MINIMUM_SCORE_TO_UNLOCK, ['analysis']);
-   }
+/**
+ * Section ids a condition depends on
+ * @param {Object} condition - A valid condition
+ * @param {Object} toggleGroups - The template's toggle groups
+ * @returns {string[]}
+ */
+const getConditionSectionIds = (condition, toggleGroups) => {
+  if (condition.allOf || condition.anyOf) {
+    return (condition.allOf || condition.anyOf).flatMap(nested => getConditionSectionIds(nested, toggleGroups));
+  }
+  if (condition.activeSection) return toggleGroups[condition.activeSection];
+  return [condition.section];
+};
 
-  checkAndUnlock('analysis', MINIMUM_SCORE_TO_UNLOCK, ['process']);
-  checkAndUnlock('process', MINIMUM_SCORE_TO_UNLOCK, ['abstract']);
+/**
+ * Check the unlock rules of a template
+ * Rejects malformed conditions, unknown sections and cycles (sections that can
+ * only unlock each other would never open).
+ * @param {Object} definition - Template definition, e.g. the contents of sectionContent.json
+ * @returns {string[]} - Problems found; empty when the rules can be used
+ */
+export const validateProgressionRules = (definition) => {
+  const sections = Array.isArray(definition?.sections) ? definition.sections : [];
+  const sectionIds = new Set(sections.map(section => section.id));
+  const progression = definition?.progression || {};
+  const toggleGroups = getToggleGroups({ ...definition, sections });
+  const errors = [];
 
-  return {
-    unlockedSections: Array.from(unlockedSectionsSet),
-    unlockedToggles: Array.from(unlockedTogglesSet),
+  if ('minimumScore' in progression && !isValidRating(progression.minimumScore)) {
+    errors.push('progression.minimumScore: must be a whole number from 1 to 10');
+  }
+  Object.entries(progression.toggles || {}).forEach(([toggleKey, condition]) => {
+    if (!toggleGroups[toggleKey]) {
+      errors.push(`progression.toggles.${toggleKey}: unknown category (use ${Object.keys(toggleGroups).join(' or ') || 'a category of the template'})`);
+      return;
+    }
+    errors.push(...validateCondition(condition, `progression.toggles.${toggleKey}`, sectionIds, toggleGroups));
+  });
+  sections.forEach(section => {
+    if (section.unlock !== undefined) errors.push(...validateCondition(section.unlock, `${section.id}.unlock`, sectionIds, toggleGroups));
+  });
+  if (errors.length) return errors;
+
+  // Depth-first search over "unlocks after" edges
+  const dependencies = sections.reduce((graph, section) => {
+    graph[section.id] = section.unlock ? getConditionSectionIds(section.unlock, toggleGroups) : [];
+    return graph;
+  }, {});
+  const finished = new Set();
+  const visit = (sectionId, trail) => {
+    if (finished.has(sectionId)) return;
+    const repeatAt = trail.indexOf(sectionId);
+    if (repeatAt !== -1) {
+      errors.push(`Cycle in unlock rules: ${[...trail.slice(repeatAt), sectionId].join(' -> ')}`);
+      return;
+    }
+    dependencies[sectionId].forEach(dependencyId => visit(dependencyId, [...trail, sectionId]));
+    finished.add(sectionId);
   };
+  sections.forEach(section => visit(section.id, []));
+  return errors;
 };
 
 /**
- * Determines the visibility of a specific section based on the current state.
- * @param {string} sectionId - The ID of the section to check.
- * @param {Object} state - The current Zustand store state (needs sections, activeToggles, scores, proMode).
- * @returns {boolean} - True if the section should be visible.
+ * Unlock rules from the section definitions, or null when they are invalid
+ * @param {Object} definition - Template definition
+ * @returns {{ minimumScore: number, sections: Object, toggles: Object }|null}
  */
-export const isSectionVisible = (sectionId, state) => {
-  if (!state || !state.sections || !state.activeToggles || !state.scores) {
-    return sectionId === 'question'; // Default safe visibility
+const buildProgressionRules = (definition) => {
+  const errors = validateProgressionRules(definition);
+  if (errors.length) {
+    // Rather than locking users out, everything stays open until the rules are fixed
+    console.error(`[progression] Invalid unlock rules in template "${definition.id}"; all sections are unlocked:`, errors);
+    return null;
   }
+  return {
+    minimumScore: definition.progression?.minimumScore ?? DEFAULT_MINIMUM_SCORE,
+    sections: definition.sections.reduce((rules, section) => {
+      if (section.unlock) rules[section.id] = section.unlock;
+      return rules;
+    }, {}),
+    toggles: definition.progression?.toggles || {}
+  };
+};
 
-  const { sections, activeToggles, scores, proMode } = state;
+// Rules of each template, validated on first use
+const rulesByTemplate = new WeakMap();
 
-  // Pro mode overrides all visibility rules
-  if (proMode) {
-    return true;
-  }
+const getProgressionRules = (definition) => {
+  if (!rulesByTemplate.has(definition)) rulesByTemplate.set(definition, buildProgressionRules(definition));
+  return rulesByTemplate.get(definition);
+};
 
-  // Check progression
-  const { unlockedSections } = calculateUnlockedSections(scores, activeToggles);
-  if (!unlockedSections.includes(sectionId)) {
-    return false;
+/**
+ * Whether a condition holds for the current ratings
+ * @param {Object} condition - A valid condition
+ * @param {Object} scores - { sectionId: rating }
+ * @param {Object} activeToggles - { categoryId: sectionId[] }
+ * @param {number} minimumScore - Threshold when the condition sets none
+ * @returns {boolean}
+ */
+const isConditionMet = (condition, scores, activeToggles, minimumScore) => {
+  if (condition.allOf) return condition.allOf.every(nested => isConditionMet(nested, scores, activeToggles, minimumScore));
+  if (condition.anyOf) return condition.anyOf.some(nested => isConditionMet(nested, scores, activeToggles, minimumScore));
+
+  // Several sections of a multi-select group may be active; all of them have to be rated high enough
+  const sectionIds = condition.activeSection ? activeToggles?.[condition.activeSection] || [] : [condition.section];
+  if (sectionIds.length === 0) return false;
+  // Only well-formed ratings count; anything else (e.g. "7", 12, NaN) never unlocks
+  return sectionIds.every(sectionId => {
+    const score = scores[sectionId];
+    return isValidRating(score) && score >= (condition.minScore ?? minimumScore);
+  });
+};
+
+/**
+ * Calculates which sections and toggles should be unlocked based on scores,
+ * following the unlock rules of the template.
+ *
+ * @param {Object} scores - Object mapping section IDs to their scores (e.g., { question: 7, hypothesis: 5 })
+ * @param {Object} activeToggles - Current active toggles (e.g., { approach: ['hypothesis'], dataMethod: ['experiment', 'existingdata'] })
+ * @param {Object} definition - Template definition; the open project's when omitted
+ * @returns {{ unlockedSections: string[], unlockedToggles: string[] }} - Arrays of unlocked section and toggle IDs.
+ */
+export const calculateUnlockedSections = (scores = {}, activeToggles = {}, definition = getActiveTemplate()) => {
+  const sectionIds = definition.sections.map(section => section.id);
+  const toggleKeys = Object.keys(getToggleGroups(definition));
+  const rules = getProgressionRules(definition);
+  if (!rules) {
+    return {
+      unlockedSections: sectionIds,
+      unlockedToggles: toggleKeys.map(toggleKey => `${toggleKey}_toggle`)
+    };
   }
 
-  // Check toggles
-  const sectionDef = sectionContent.sections.find(s => s.id === sectionId);
-  if (sectionDef?.category === 'approach' && sectionId !== activeToggles.approach) {
-      return false;
+  const { minimumScore, sections, toggles } = rules;
+  // Categories added since the toggles were saved count with their default section
+  const currentToggles = normalizeActiveToggles(activeToggles, definition);
+  const isOpen = (condition) => !condition || isConditionMet(condition, scores || {}, currentToggles, minimumScore);
+
+  return {
+    unlockedSections: sectionIds.filter(sectionId => isOpen(sections[sectionId])),
+    unlockedToggles: toggleKeys.filter(toggleKey => isOpen(toggles[toggleKey])).map(toggleKey => `${toggleKey}_toggle`),
+  };
+};
+
+/**
+ * Plain-language description of a condition
+ * @param {Object} condition - A valid condition
+ * @param {number} minimumScore - Threshold when the condition sets none
+ * @param {Object} definition - Template definition
+ * @returns {string}
+ */
+const describeCondition = (condition, minimumScore, definition) => {
+  if (condition.allOf || condition.anyOf) {
+    const nested = condition.allOf || condition.anyOf;
+    const parts = nested.map(part => {
+      const text = describeCondition(part, minimumScore, definition);
+      return part.allOf || part.anyOf ? `(${text})` : text;
+    });
+    return parts.join(condition.allOf ? ' and ' : ' or ');
   }
-  if (sectionDef?.category === 'dataMethod' && sectionId !== activeToggles.dataMethod) {
-      return false;
+  const name = condition.activeSection
+    ? getToggleGroupLabel(definition, condition.activeSection)
+    : `"${definition.sections.find(section => section.id === condition.section)?.title || condition.section}"`;
+  return `${name} is rated ${condition.minScore ?? minimumScore} or higher`;
+};
+
+/**
+ * What unlocks a section, e.g. for a locked section's tooltip
+ * @param {string} sectionId - The ID of the section
+ * @returns {string|null} - e.g. '"Target Audience" is rated 6 or higher'; null if the section is always open
+ */
+export const describeUnlockRule = (sectionId) => {
+  const definition = getActiveTemplate();
+  const rules = getProgressionRules(definition);
+  const condition = rules?.sections[sectionId];
+  return condition ? describeCondition(condition, rules.minimumScore, definition) : null;
+};
+
+/**
+ * Visibility of every section and toggle group
+ * @param {Object} scores - { sectionId: rating }
+ * @param {Object} activeToggles - { categoryId: sectionId[] }
+ * @param {boolean} proMode - Shows everything
+ * @param {Object} definition - Template definition
+ * @returns {{ sections: Object<string, boolean>, toggles: Object<string, boolean> }} - toggles keyed by category id
+ */
+const computeVisibility = (scores, activeToggles, proMode, definition) => {
+  const { unlockedSections, unlockedToggles } = calculateUnlockedSections(scores, activeToggles, definition);
+  const currentToggles = normalizeActiveToggles(activeToggles, definition);
+  const toggleGroups = getToggleGroups(definition);
+  const sections = {};
+  definition.sections.forEach(sectionDef => {
+    // Pro mode overrides all visibility rules; otherwise progression, then the active toggles decide
+    const isInactiveOption = !!toggleGroups[sectionDef.category] && !currentToggles[sectionDef.category].includes(sectionDef.id);
+    sections[sectionDef.id] = proMode || (unlockedSections.includes(sectionDef.id) && !isInactiveOption);
+  });
+  const toggles = Object.keys(toggleGroups).reduce((visible, toggleKey) => {
+    visible[toggleKey] = proMode || unlockedToggles.includes(`${toggleKey}_toggle`);
+    return visible;
+  }, {});
+  return { sections, toggles };
+};
+
+// Last inputs and result of selectVisibility; the store replaces these objects on every change,
+// so comparing references is enough
+let visibilityCache = null;
+
+/**
+ * Zustand selector for the visibility of all sections and toggle groups
+ * Derived from templateId, customSections, scores, activeToggles and proMode only, and memoized: components
+ * using it re-render when visibility can have changed, not on every edit.
+ * @param {Object} state - Store state
+ * @returns {{ sections: Object<string, boolean>, toggles: Object<string, boolean> }} - Same object while the inputs are unchanged
+ */
+export const selectVisibility = (state) => {
+  const scores = state?.scores || {};
+  const activeToggles = state?.activeToggles || {};
+  const proMode = !!state?.proMode;
+  const definition = withCustomSections(getTemplate(state?.templateId), state?.customSections);
+  if (!visibilityCache || visibilityCache.definition !== definition || visibilityCache.scores !== scores ||
+      visibilityCache.activeToggles !== activeToggles || visibilityCache.proMode !== proMode) {
+    visibilityCache = { definition, scores, activeToggles, proMode, result: computeVisibility(scores, activeToggles, proMode, definition) };
   }
+  return visibilityCache.result;
+};
 
-  // If progression and toggles allow, it's visible
-  return true;
+/**
+ * Determines the visibility of a specific section based on the current state.
+ * @param {string} sectionId - The ID of the section to check.
+ * @param {Object} state - The current Zustand store state (needs activeToggles, scores, proMode).
+ * @returns {boolean} - True if the section should be visible.
+ */
+export const isSectionVisible = (sectionId, state) => {
+  if (!state || !state.activeToggles || !state.scores) {
+    return sectionId === getFirstSectionId(); // Default safe visibility
+  }
+  return !!selectVisibility(state).sections[sectionId];
 };
 
 /**
  * Determines if a toggle group is unlocked.
- * @param {string} toggleKey - 'approach' or 'dataMethod'.
+ * @param {string} toggleKey - Category id, e.g. 'approach' or 'dataMethod'.
  * @param {Object} state - The current Zustand store state.
  * @returns {boolean} - True if the toggle group is unlocked.
  */
@@ -104,9 +334,5 @@ export const isToggleVisible = (toggleKey, state) => {
     if (!state || !state.scores || !state.activeToggles) {
         return false;
     }
-     if (state.proMode) {
-        return true;
-    }
-    const { unlockedToggles } = calculateUnlockedSections(state.scores, state.activeToggles);
-    return unlockedToggles.includes(`${toggleKey}_toggle`);
+    return !!selectVisibility(state).toggles[toggleKey];
 };
@@ -0,0 +1,165 @@
+// FILE: src/logic/progressionLogic.test.js
+import sectionContent from '../data/sectionContent.json';
+import registeredReport from '../data/templates/registeredReport.json';
+import specificAims from '../data/templates/specificAims.json';
+import thesisChapter from '../data/templates/thesisChapter.json';
+import { validateProgressionRules, calculateUnlockedSections } from './progressionLogic';
+
+// A question, a multi-select approach category, a section waiting for the approach and a combined rule
+const createDefinition = (overrides = {}) => ({
+  id: 'test',
+  categories: [{ id: 'approach', label: 'Approach', multiSelect: true, defaultSection: 'hypothesis' }],
+  progression: { minimumScore: 6, toggles: { approach: { section: 'question' } } },
+  sections: [
+    { id: 'question' },
+    { id: 'hypothesis', category: 'approach', unlock: { section: 'question' } },
+    { id: 'exploratory', category: 'approach', unlock: { section: 'question' } },
+    { id: 'analysis', unlock: { activeSection: 'approach' } },
+    {
+      id: 'abstract',
+      unlock: { anyOf: [{ section: 'analysis', minScore: 8 }, { allOf: [{ section: 'question', minScore: 9 }, { section: 'hypothesis' }] }] }
+    }
+  ],
+  ...overrides
+});
+
+describe('validateProgressionRules', () => {
+  it('accepts the rules of every bundled template', () => {
+    [sectionContent, registeredReport, specificAims, thesisChapter].forEach(template => {
+      expect(validateProgressionRules(template)).toEqual([]);
+    });
+  });
+
+  it('accepts nested allOf and anyOf conditions', () => {
+    expect(validateProgressionRules(createDefinition())).toEqual([]);
+  });
+
+  it('reports unknown sections, categories and toggle groups', () => {
+    const definition = createDefinition({
+      progression: { toggles: { method: { section: 'question' } } },
+      sections: [
+        { id: 'question' },
+        { id: 'hypothesis', category: 'approach', unlock: { section: 'nowhere' } },
+        { id: 'analysis', unlock: { activeSection: 'method' } }
+      ]
+    });
+    const errors = validateProgressionRules(definition);
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch(/^progression\.toggles\.method: unknown category/);
+    expect(errors[1]).toBe('hypothesis.unlock: unknown section "nowhere"');
+    expect(errors[2]).toMatch(/^analysis\.unlock: unknown toggle group "method"/);
+  });
+
+  it('reports malformed conditions and thresholds', () => {
+    const definition = createDefinition({
+      progression: { minimumScore: 11 },
+      categories: [],
+      sections: [
+        { id: 'question' },
+        { id: 'a', unlock: { section: 'question', activeSection: 'approach' } },
+        { id: 'b', unlock: { allOf: [] } },
+        { id: 'c', unlock: { section: 'question', minScore: 6.5 } },
+        { id: 'd', unlock: 'question' }
+      ]
+    });
+
+    expect(validateProgressionRules(definition)).toEqual([
+      'progression.minimumScore: must be a whole number from 1 to 10',
+      'a.unlock: needs exactly one of "section", "activeSection", "allOf" or "anyOf"',
+      'b.unlock.allOf: must be a non-empty list',
+      'c.unlock.minScore: must be a whole number from 1 to 10',
+      'd.unlock: must be an object'
+    ]);
+  });
+
+  it('reports sections that can only unlock each other', () => {
+    const definition = createDefinition({
+      progression: {},
+      categories: [],
+      sections: [
+        { id: 'question' },
+        { id: 'a', unlock: { section: 'b' } },
+        { id: 'b', unlock: { anyOf: [{ section: 'question' }, { section: 'a' }] } }
+      ]
+    });
+
+    expect(validateProgressionRules(definition)).toEqual(['Cycle in unlock rules: a -> b -> a']);
+  });
+});
+
+describe('calculateUnlockedSections', () => {
+  it('opens only sections without a rule before anything is rated', () => {
+    expect(calculateUnlockedSections({}, {}, createDefinition())).toEqual({
+      unlockedSections: ['question'],
+      unlockedToggles: []
+    });
+  });
+
+  it('opens sections and toggles once their condition is rated high enough', () => {
+    const definition = createDefinition();
+    expect(calculateUnlockedSections({ question: 5 }, {}, definition).unlockedSections).toEqual(['question']);
+    expect(calculateUnlockedSections({ question: 6 }, {}, definition)).toEqual({
+      unlockedSections: ['question', 'hypothesis', 'exploratory'],
+      unlockedToggles: ['approach_toggle']
+    });
+  });
+
+  it('waits for every chosen section of a multi-select category', () => {
+    const definition = createDefinition();
+    const toggles = { approach: ['hypothesis', 'exploratory'] };
+
+    expect(calculateUnlockedSections({ question: 7, hypothesis: 7 }, toggles, definition).unlockedSections)
+      .not.toContain('analysis');
+    expect(calculateUnlockedSections({ question: 7, hypothesis: 7, exploratory: 6 }, toggles, definition).unlockedSections)
+      .toContain('analysis');
+  });
+
+  it('follows changes to a multi-select choice', () => {
+    const definition = createDefinition();
+    const scores = { question: 7, hypothesis: 7 };
+    const isAnalysisOpen = (approach) =>
+      calculateUnlockedSections(scores, { approach }, definition).unlockedSections.includes('analysis');
+
+    expect(isAnalysisOpen(['hypothesis'])).toBe(true);
+    expect(isAnalysisOpen(['hypothesis', 'exploratory'])).toBe(false); // An unrated section was added
+    expect(isAnalysisOpen(['exploratory'])).toBe(false);
+  });
+
+  it('uses the default section of a category without a saved choice', () => {
+    expect(calculateUnlockedSections({ question: 7, hypothesis: 7 }, {}, createDefinition()).unlockedSections)
+      .toContain('analysis');
+  });
+
+  it('applies anyOf, allOf and per-condition thresholds', () => {
+    const definition = createDefinition();
+    const isAbstractOpen = (scores) =>
+      calculateUnlockedSections(scores, {}, definition).unlockedSections.includes('abstract');
+
+    expect(isAbstractOpen({ question: 6, hypothesis: 6, analysis: 7 })).toBe(false);
+    expect(isAbstractOpen({ question: 6, hypothesis: 6, analysis: 8 })).toBe(true);
+    expect(isAbstractOpen({ question: 9, hypothesis: 6 })).toBe(true);
+    expect(isAbstractOpen({ question: 9, hypothesis: 5 })).toBe(false);
+  });
+
+  it('ignores ratings that are not whole numbers from 1 to 10', () => {
+    const definition = createDefinition();
+    ['7', 12, NaN, 6.5, null].forEach(score => {
+      expect(calculateUnlockedSections({ question: score }, {}, definition).unlockedSections).toEqual(['question']);
+    });
+  });
+
+  it('opens everything when the rules are invalid', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const definition = createDefinition({
+      sections: [{ id: 'question' }, { id: 'hypothesis', category: 'approach', unlock: { section: 'nowhere' } }]
+    });
+
+    expect(calculateUnlockedSections({}, {}, definition)).toEqual({
+      unlockedSections: ['question', 'hypothesis'],
+      unlockedToggles: ['approach_toggle']
+    });
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,126 @@
+// FILE: src/services/aiErrors.js
+
+/**
+ * Typed errors for AI calls.
+ * openaiService turns every failure into an AIServiceError so the UI can show
+ * a meaningful message and the retry logic can tell transient errors
+ * (rate limits, 5xx, network blips) apart from permanent ones (auth, quota).
+ */
+
+export const AI_ERROR_TYPES = {
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate_limit',
+  AUTH: 'auth',
+  TIMEOUT: 'timeout',
+  CONTENT_FILTER: 'content_filter',
+  NETWORK: 'network',
+  SERVER: 'server',
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_RESPONSE: 'invalid_response',
+  CANCELLED: 'cancelled',
+  CONFIG: 'config',
+  BUDGET: 'budget', // Usage budget cap reached (see usageService.js)
+  UNKNOWN: 'unknown',
+};
+
+// Error types worth retrying automatically
+const TRANSIENT_TYPES = new Set([
+  AI_ERROR_TYPES.RATE_LIMIT,
+  AI_ERROR_TYPES.TIMEOUT,
+  AI_ERROR_TYPES.NETWORK,
+  AI_ERROR_TYPES.SERVER,
+]);
+
+export class AIServiceError extends Error {
+  /**
+   * @param {string} type - One of AI_ERROR_TYPES
+   * @param {string} message - User-facing message
+   * @param {Object} [details] - { status, detail, retryAfterMs, provider, retryable }
+   */
+  constructor(type, message, { status = null, detail = null, retryAfterMs = null, provider = null, retryable } = {}) {
+    super(message);
+    this.name = 'AIServiceError';
+    this.type = type;
+    this.status = status;
+    this.detail = detail; // Raw provider message, for logs
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+    this.retryable = retryable !== undefined ? retryable : TRANSIENT_TYPES.has(type);
+  }
+}
+
+const CONTENT_FILTER_PATTERN = /content[_ ]filter|content[_ ](management )?policy|safety system|flagged/i;
+const QUOTA_PATTERN = /insufficient_quota|quota|billing|credit balance/i;
+
+/**
+ * Classify a failed HTTP response
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Parsed error body
+ * @returns {string} - One of AI_ERROR_TYPES
+ */
+export const classifyHttpError = (status, body) => {
+  const error = body?.error;
+  const code = [error?.code, error?.type, body?.type].filter(Boolean).join(' ');
+  const message = `${code} ${error?.message || (typeof error === 'string' ? error : '') || body?.message || ''}`;
+
+  if (status === 401 || status === 403) return AI_ERROR_TYPES.AUTH;
+  if (status === 402 || ((status === 429 || status === 400) && QUOTA_PATTERN.test(message))) return AI_ERROR_TYPES.QUOTA;
+  if (status === 429) return AI_ERROR_TYPES.RATE_LIMIT;
+  if (status === 408 || status === 504) return AI_ERROR_TYPES.TIMEOUT;
+  if (CONTENT_FILTER_PATTERN.test(message)) return AI_ERROR_TYPES.CONTENT_FILTER;
+  if (status >= 500) return AI_ERROR_TYPES.SERVER; // Includes Anthropic's 529 "overloaded"
+  if (status >= 400) return AI_ERROR_TYPES.INVALID_REQUEST;
+  return AI_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * User-facing message for an error type
+ * @param {string} type - One of AI_ERROR_TYPES
+ * @param {string} providerLabel - e.g. 'OpenAI'
+ * @param {string} [fallback] - Message for types without a canned text
+ * @returns {string}
+ */
+export const describeAIError = (type, providerLabel, fallback) => {
+  switch (type) {
+    case AI_ERROR_TYPES.QUOTA:
+      return `The ${providerLabel} account has run out of quota or credit. Check its billing, or add your own API key in AI Settings.`;
+    case AI_ERROR_TYPES.RATE_LIMIT:
+      return `${providerLabel} is receiving too many requests right now. Please wait a moment and try again.`;
+    case AI_ERROR_TYPES.AUTH:
+      return `${providerLabel} rejected the API key. Check the key in AI Settings.`;
+    case AI_ERROR_TYPES.TIMEOUT:
+      return `${providerLabel} took too long to respond. Please try again.`;
+    case AI_ERROR_TYPES.CONTENT_FILTER:
+      return `${providerLabel}'s content filter blocked this request or its reply. Try rephrasing the text.`;
+    case AI_ERROR_TYPES.NETWORK:
+      return `Could not reach ${providerLabel}. Please check your internet connection.`;
+    case AI_ERROR_TYPES.SERVER:
+      return `${providerLabel} is temporarily unavailable. Please try again in a few minutes.`;
+    case AI_ERROR_TYPES.CANCELLED:
+      return 'Request cancelled.';
+    default:
+      return fallback || `${providerLabel} request failed.`;
+  }
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Whether an error means the user cancelled the request
+ * @param {Error} error - Any error
+ * @returns {boolean}
+ */
+export const isCancelledError = (error) =>
+  !!error && (error.type === AI_ERROR_TYPES.CANCELLED || error.name === 'AbortError');
+
@@ -0,0 +1,47 @@
+// FILE: src/services/aiErrors.test.js
+import { AIServiceError, AI_ERROR_TYPES, classifyHttpError, parseRetryAfter, isCancelledError } from './aiErrors';
+
+describe('classifyHttpError', () => {
+  it('tells transient failures from permanent ones', () => {
+    expect(classifyHttpError(401, null)).toBe(AI_ERROR_TYPES.AUTH);
+    expect(classifyHttpError(402, null)).toBe(AI_ERROR_TYPES.QUOTA);
+    expect(classifyHttpError(429, { error: { code: 'insufficient_quota' } })).toBe(AI_ERROR_TYPES.QUOTA);
+    expect(classifyHttpError(400, { error: { message: 'Your credit balance is too low' } })).toBe(AI_ERROR_TYPES.QUOTA);
+    expect(classifyHttpError(429, { error: { message: 'Slow down' } })).toBe(AI_ERROR_TYPES.RATE_LIMIT);
+    expect(classifyHttpError(504, null)).toBe(AI_ERROR_TYPES.TIMEOUT);
+    expect(classifyHttpError(400, { error: { code: 'content_filter' } })).toBe(AI_ERROR_TYPES.CONTENT_FILTER);
+    expect(classifyHttpError(529, { type: 'error', error: { type: 'overloaded_error' } })).toBe(AI_ERROR_TYPES.SERVER);
+    expect(classifyHttpError(404, null)).toBe(AI_ERROR_TYPES.INVALID_REQUEST);
+  });
+});
+
+describe('AIServiceError', () => {
+  it('is retryable for rate limits, timeouts, network and server errors only', () => {
+    const retryable = Object.values(AI_ERROR_TYPES).filter(type => new AIServiceError(type, '').retryable);
+    expect(retryable.sort()).toEqual([
+      AI_ERROR_TYPES.NETWORK, AI_ERROR_TYPES.RATE_LIMIT, AI_ERROR_TYPES.SERVER, AI_ERROR_TYPES.TIMEOUT
+    ].sort());
+    expect(new AIServiceError(AI_ERROR_TYPES.TIMEOUT, '', { retryable: false }).retryable).toBe(false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00Z'));
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT')).toBe(10000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT')).toBe(0);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+    Date.now.mockRestore();
+  });
+});
+
+describe('isCancelledError', () => {
+  it('recognizes cancelled requests and aborted fetches', () => {
+    expect(isCancelledError(new AIServiceError(AI_ERROR_TYPES.CANCELLED, ''))).toBe(true);
+    expect(isCancelledError(Object.assign(new Error(''), { name: 'AbortError' }))).toBe(true);
+    expect(isCancelledError(new AIServiceError(AI_ERROR_TYPES.TIMEOUT, ''))).toBe(false);
+    expect(isCancelledError(null)).toBe(false);
+  });
+});
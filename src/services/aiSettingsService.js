@@ -0,0 +1,235 @@
+// FILE: src/services/aiSettingsService.js
+
+/**
+ * User-level AI settings edited in the Settings modal:
+ * - an optional bring-your-own API key (plus provider / base URL) that makes
+ *   calls go straight to the provider instead of through the app's proxy
+ * - model, temperature and max_tokens for each task type
+ *
+ * Settings live only in this browser's localStorage. The API key can be
+ * encrypted with a passphrase (AES-GCM, key derived with PBKDF2); the
+ * decrypted key is then kept in memory for the current session only.
+ */
+
+const SETTINGS_STORAGE_KEY = 'aiSettings';
+const PBKDF2_ITERATIONS = 250000;
+
+// Task types that callers pass to getTaskSettings()
+export const AI_TASKS = {
+  chat: { label: 'Chat', description: 'Section chat assistant' },
+  feedback: { label: 'Feedback', description: 'Section feedback and ratings' },
+  import: { label: 'Import', description: 'PDF/Word to example project' },
+  review: { label: 'Review', description: 'Full paper review' },
+};
+
+// Defaults match the values the services used before settings existed.
+// An empty model means "use the provider's configured default".
+export const DEFAULT_TASK_SETTINGS = {
+  chat: { model: '', temperature: 0.9, max_tokens: 2048 },
+  feedback: { model: '', temperature: 0.0, max_tokens: 4096 },
+  import: { model: '', temperature: 0.3, max_tokens: 3000 },
+  review: { model: '', temperature: 0.0, max_tokens: 4000 },
+};
+
+const DEFAULT_SETTINGS = {
+  provider: '',        // '' = app default (REACT_APP_AI_PROVIDER)
+  baseUrl: '',         // '' = provider default
+  apiKey: '',          // Plain-text key (only when not encrypted)
+  encryptedApiKey: null, // { salt, iv, data } base64 strings when encrypted
+  tasks: DEFAULT_TASK_SETTINGS,
+};
+
+// Decrypted key for this session when the stored key is encrypted
+let unlockedApiKey = null;
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const clampNumber = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Normalize task settings, filling gaps with defaults
+ * @param {Object} tasks - Possibly partial task settings
+ * @returns {Object} - Complete task settings
+ */
+const normalizeTasks = (tasks = {}) =>
+  Object.keys(DEFAULT_TASK_SETTINGS).reduce((acc, task) => {
+    const defaults = DEFAULT_TASK_SETTINGS[task];
+    const value = tasks[task] || {};
+    acc[task] = {
+      model: typeof value.model === 'string' ? value.model.trim() : defaults.model,
+      temperature: clampNumber(value.temperature, 0, 2, defaults.temperature),
+      max_tokens: Math.round(clampNumber(value.max_tokens, 1, 128000, defaults.max_tokens)),
+    };
+    return acc;
+  }, {});
+
+/**
+ * Load settings from localStorage
+ * @returns {Object} - Settings (defaults when nothing is stored)
+ */
+export const loadAISettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (!stored || typeof stored !== 'object') {
+      return { ...DEFAULT_SETTINGS, tasks: normalizeTasks() };
+    }
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      tasks: normalizeTasks(stored.tasks),
+    };
+  } catch (error) {
+    console.error('[aiSettingsService] Error loading AI settings:', error);
+    return { ...DEFAULT_SETTINGS, tasks: normalizeTasks() };
+  }
+};
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveKey = async (passphrase, salt) => {
+  const baseKey = await window.crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Encrypt an API key with a passphrase
+ * @param {string} apiKey - Plain API key
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<{salt: string, iv: string, data: string}>}
+ */
+export const encryptApiKey = async (apiKey, passphrase) => {
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+  return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+};
+
+/**
+ * Decrypt an API key encrypted with encryptApiKey
+ * @param {Object} encrypted - { salt, iv, data }
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>}
+ * @throws {Error} - If the passphrase is wrong
+ */
+export const decryptApiKey = async (encrypted, passphrase) => {
+  try {
+    const key = await deriveKey(passphrase, fromBase64(encrypted.salt));
+    const data = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch (error) {
+    throw new Error('Incorrect passphrase.');
+  }
+};
+
+/**
+ * Save settings. When a passphrase is given the API key is stored encrypted.
+ * @param {Object} settings - { provider, baseUrl, apiKey, tasks }
+ * @param {Object} [options] - { passphrase, keepEncryptedKey }
+ * @returns {Promise<boolean>} - Whether saving succeeded
+ */
+export const saveAISettings = async (settings, { passphrase = '', keepEncryptedKey = false } = {}) => {
+  const current = loadAISettings();
+  const apiKey = (settings.apiKey || '').trim();
+  const toStore = {
+    provider: settings.provider || '',
+    baseUrl: (settings.baseUrl || '').trim(),
+    apiKey: '',
+    encryptedApiKey: null,
+    tasks: normalizeTasks(settings.tasks),
+  };
+
+  if (keepEncryptedKey && !apiKey) {
+    // Key field left blank while an encrypted key exists: keep it as is
+    toStore.encryptedApiKey = current.encryptedApiKey;
+  } else if (apiKey && passphrase) {
+    toStore.encryptedApiKey = await encryptApiKey(apiKey, passphrase);
+    unlockedApiKey = apiKey;
+  } else {
+    toStore.apiKey = apiKey;
+    unlockedApiKey = null;
+  }
+
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(toStore));
+    return true;
+  } catch (error) {
+    console.error('[aiSettingsService] Error saving AI settings:', error);
+    return false;
+  }
+};
+
+/**
+ * Unlock an encrypted key for this session
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<boolean>}
+ */
+export const unlockApiKey = async (passphrase) => {
+  const { encryptedApiKey } = loadAISettings();
+  if (!encryptedApiKey) return false;
+  unlockedApiKey = await decryptApiKey(encryptedApiKey, passphrase);
+  return true;
+};
+
+/**
+ * Remove all saved AI settings, including the key
+ */
+export const clearAISettings = () => {
+  unlockedApiKey = null;
+  try {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+  } catch (error) {
+    console.error('[aiSettingsService] Error clearing AI settings:', error);
+  }
+};
+
+/**
+ * Connection overrides for config/aiConfig.js
+ * @returns {{ provider: string, baseUrl: string, apiKey: string, hasKey: boolean, isKeyLocked: boolean }}
+ */
+export const getUserConnectionSettings = () => {
+  const settings = loadAISettings();
+  const isEncrypted = !!settings.encryptedApiKey;
+  const apiKey = isEncrypted ? (unlockedApiKey || '') : settings.apiKey;
+  return {
+    provider: settings.provider,
+    baseUrl: settings.baseUrl,
+    apiKey,
+    hasKey: isEncrypted || !!settings.apiKey,
+    isKeyLocked: isEncrypted && !unlockedApiKey,
+  };
+};
+
+/**
+ * Options for a task, ready to spread into callOpenAI / streamOpenAI options
+ * @param {string} task - One of AI_TASKS
+ * @returns {{ temperature: number, max_tokens: number, model?: string }}
+ */
+export const getTaskSettings = (task) => {
+  const { tasks } = loadAISettings();
+  if (!tasks[task]) {
+    console.warn(`[aiSettingsService] Unknown AI task "${task}"`);
+    return {};
+  }
+  const { model, temperature, max_tokens } = tasks[task];
+  return model ? { model, temperature, max_tokens } : { temperature, max_tokens };
+};
@@ -1,28 +1,38 @@
 // FILE: src/services/documentImportService.js
 // Fixed: Escaped backslashes in documentText before embedding in template literal.
 // MODIFIED: Prevent adding missing toggle section placeholders during import
+// MODIFIED: Required fields and the one-of-each-category rule come from the categories in sectionContent.json
+// MODIFIED: Multi-select categories may be filled with several sections
+// MODIFIED: Sections and categories come from the open project's template; the result records its id
 
 /**
  * Document import service for PDF and Word documents
  * UPDATED: Now uses the refactored documentProcessor
  * UPDATED: Removed import from deleted sectionStateService
+ * UPDATED: Model, temperature and max_tokens come from the 'import' task settings
+ * UPDATED: Accepts options.signal; AI errors (incl. cancellation) are rethrown instead of
+ *          falling back, so the caller can report them
+ * UPDATED: Prompts come from the prompt registry ('import.system', 'import.task')
  */
 import { callOpenAI } from './openaiService';
+import { getTaskSettings } from './aiSettingsService';
+import { AIServiceError } from './aiErrors';
 import { loadPDFJS, extractTextFromDocument } from './documentProcessor';
-import { buildSystemPrompt, buildTaskPrompt } from '../utils/promptUtils';
+import { renderPrompt } from '../utils/promptRegistry';
 // REMOVED: import { initializeSectionStates } from './sectionStateService';
-import sectionContentData from '../data/sectionContent.json';
-import { getApproachSectionIds, getDataMethodSectionIds } from '../utils/sectionOrderUtils'; // Import toggle IDs
+import { getCategories, getToggleGroup } from '../utils/sectionOrderUtils'; // Import toggle IDs
+import { getActiveTemplate } from '../utils/templateRegistry';
 
 /**
- * Extract grading criteria from sectionContent.json for the AI prompt
+ * Extract grading criteria from a template for the AI prompt
+ * @param {Object} template - Template definition; the open project's when omitted
  * @returns {string} Formatted criteria string
  */
-function extractGradingCriteria() {
+function extractGradingCriteria(template = getActiveTemplate()) {
   // ... (function remains the same) ...
   const criteria = [];
 
-  sectionContentData.sections.forEach(section => {
+  template.sections.forEach(section => {
     if (!section || !section.id || !section.subsections) return;
     criteria.push(`## ${section.title} [id: ${section.id}]`);
     if (section.introText) {
@@ -41,11 +51,13 @@ function extractGradingCriteria() {
 /**
  * Processes extracted scientific paper text and generates structured data using OpenAI's JSON mode.
  * @param {File} file - The document file object (used for filename in errors)
- * @param {Object} sections - The sectionContent data for context (optional)
+ * @param {Object} sections - Template definition for context (optional; the open project's template)
+ * @param {Object} options - { signal } to cancel the request
  * @returns {Promise<Object>} - The structured data for loading into the planner
  */
-export async function importDocumentContent(file, sections = null) {
-  const sectionContent = sections || sectionContentData;
+export async function importDocumentContent(file, sections = null, options = {}) {
+  const sectionContent = sections || getActiveTemplate();
+  const isToggleSection = (sectionId) => getToggleGroup(sectionId, sectionContent) !== null;
   let documentText = '';
 
   try {
@@ -60,26 +72,46 @@ export async function importDocumentContent(file, sections = null) {
     console.log(`Extraction successful for ${file.name}. Text length: ${documentText.length}`);
 
     // Extract grading criteria
-    const gradingCriteria = extractGradingCriteria();
+    const gradingCriteria = extractGradingCriteria(sectionContent);
     console.log("Extracted grading criteria for prompt context");
 
-    // Build prompts (enhancedSystemPrompt, enhancedTaskPrompt remain the same)
-    const enhancedSystemPrompt = `You are analyzing a scientific paper to extract its structure based on specific grading criteria. Be methodical, accurate, and ensure your output aligns with the evaluation standards. IMPORTANT: Your output will be graded based on how well it meets the criteria for each section outlined below. **CRITICAL REQUIREMENTS:** 1. Your response MUST include ALL of these REQUIRED fields: question, audience, hypothesis, relatedpapers, analysis, process, abstract 2. You MUST choose EXACTLY ONE research approach: either hypothesis OR needsresearch OR exploratoryresearch 3. You MUST choose EXACTLY ONE data collection method: either experiment OR existingdata OR theorysimulation 4. DO NOT include placeholder comments in your response 5. Each field must be populated with substantial content 6. Fill out every component that the placeholders ask for 7. The text should be easily readable for masters students. Use line feeds and bullet points where useful for readability and always when separating distinct placeholder points. 8. IMPORTANT: All field values MUST be simple strings, NOT nested objects or arrays GRADING CRITERIA:\n${gradingCriteria}\n\nDocument text (first part): ${documentText.substring(0, 500)}\n\nCreate comprehensive examples that address each criterion from the grading rubric.`;
+    // Build prompts from the prompt registry
+    // Sections outside categories are always required; of each category exactly one section is
+    const requiredSectionIds = sectionContent.sections.map(section => section?.id).filter(id => id && !isToggleSection(id));
+    const categories = getCategories(sectionContent);
+    const categoryChoices = categories
+      .map(category => `${(category.label || category.id).toLowerCase()}: ${category.multiSelect
+        ? `ONE OR MORE of ${category.sectionIds.join(', ')} (only those the paper really uses)`
+        : `EXACTLY ONE of ${category.sectionIds.join(' OR ')}`}`)
+      .join('; ') || '(none)';
+    const { text: enhancedSystemPrompt } = renderPrompt('import.system', {
+      requiredFields: requiredSectionIds.join(', '),
+      categoryChoices,
+      gradingCriteria,
+      documentTextSnippet: documentText.substring(0, 500)
+    });
     const placeholderExamples = {};
     sectionContent.sections.forEach(section => { if (section && section.id && section.placeholder) { placeholderExamples[section.id] = section.placeholder; } });
+    const formatExamples = (ids) => ids.map(id => `${id}: ${placeholderExamples[id] || "..."}`).join('\n');
     const escapedDocumentText = (documentText || '').replace(/\\/g, '\\\\');
-    const enhancedTaskPrompt = `# Scientific Paper Extraction with Essential Fields\n\nExtract key components from the provided scientific paper text and format them in a JSON structure. Be VERY GENEROUS in your interpretation - read between the lines and create a high-quality educational example - the user should see how a great scientist thinks about all this.\n\n## Output Format\nYour output should follow this general structure for each field (shown here with examples from our template system):\n\nquestion: ${placeholderExamples.question || "..."}\naudience: ${placeholderExamples.audience || "..."}\nhypothesis: ${placeholderExamples.hypothesis || "..."}\nrelatedpapers: ${placeholderExamples.relatedpapers || "..."}\nanalysis: ${placeholderExamples.analysis || "..."}\nprocess: ${placeholderExamples.process || "..."}\nabstract: ${placeholderExamples.abstract || "..."}\n\nFor data methods, choose ONE of:\nexperiment: ${placeholderExamples.experiment || "..."}\nexistingdata: ${placeholderExamples.existingdata || "..."}\ntheorysimulation: ${placeholderExamples.theorysimulation || "..."}\n\nYour output must be valid JSON with "userInputs" as the top-level key.\n\n--- DOCUMENT TEXT START ---\n${escapedDocumentText.substring(0, 8000)}${escapedDocumentText.length > 10000 ? '... [truncated]' : ''}\n--- DOCUMENT TEXT END ---`;
-
+    const { text: enhancedTaskPrompt } = renderPrompt('import.task', {
+      fieldExamples: formatExamples(requiredSectionIds),
+      categoryExamples: categories
+        .map(category => `For the ${(category.label || category.id).toLowerCase()}, choose ${category.multiSelect ? 'ONE OR MORE' : 'ONE'} of:\n${formatExamples(category.sectionIds)}`)
+        .join('\n\n'),
+      documentText: `${escapedDocumentText.substring(0, 8000)}${escapedDocumentText.length > 10000 ? '... [truncated]' : ''}`
+    });
 
     // Call OpenAI
     console.log("Sending request to OpenAI with improved prompts");
     const apiResponse = await callOpenAI(
       enhancedTaskPrompt, 'document_import_task', {}, [],
-      { temperature: 0.3, max_tokens: 3000 }, [], enhancedSystemPrompt, true
+      { ...getTaskSettings('import'), signal: options.signal }, [], enhancedSystemPrompt, true
     );
 
     // Format the result
     let result = {
+      templateId: sectionContent.id, // Loaded into a project of this template
       userInputs: {},
       chatMessages: {},
       timestamp: new Date().toISOString(),
@@ -91,7 +123,7 @@ export async function importDocumentContent(file, sections = null) {
        if (apiResponse.userInputs && typeof apiResponse.userInputs === 'object') {
          result.userInputs = apiResponse.userInputs;
          console.log("Processed userInputs from API response structure");
-       } else if (Object.keys(apiResponse).length > 0 && (apiResponse.question || apiResponse.abstract || apiResponse.audience)) {
+       } else if (Object.keys(apiResponse).length > 0 && requiredSectionIds.some(sectionId => apiResponse[sectionId])) {
          result.userInputs = apiResponse;
          console.log("Using API response directly as userInputs");
        } else {
@@ -103,8 +135,7 @@ export async function importDocumentContent(file, sections = null) {
      }
 
      // Validate required fields
-     const validateFields = ['question', 'audience', 'abstract']; // Basic required fields
-     const missingRequiredFields = validateFields.filter(field =>
+     const missingRequiredFields = requiredSectionIds.filter(field =>
        !result.userInputs[field] || typeof result.userInputs[field] !== 'string' ||
        result.userInputs[field].trim() === ''
      );
@@ -117,10 +148,6 @@ export async function importDocumentContent(file, sections = null) {
      }
 
      // --- MODIFIED: Add missing fields logic ---
-     const approachIds = getApproachSectionIds();
-     const dataMethodIds = getDataMethodSectionIds();
-     const allToggleIds = [...approachIds, ...dataMethodIds];
-
      if (sectionContent && Array.isArray(sectionContent.sections)) {
        sectionContent.sections.forEach(section => {
          const sectionId = section?.id;
@@ -133,7 +160,7 @@ export async function importDocumentContent(file, sections = null) {
 
          if (isMissingOrEmpty) {
            // Only add placeholder if it's NOT a toggle field
-           if (!allToggleIds.includes(sectionId)) {
+           if (!isToggleSection(sectionId)) {
               console.log(`DEBUG: Adding placeholder for missing non-toggle field: ${sectionId}`);
               result.userInputs[sectionId] = section.placeholder;
            } else {
@@ -157,6 +184,9 @@ export async function importDocumentContent(file, sections = null) {
 
    } catch (error) {
      console.error('Error during document import process:', error);
+     if (error instanceof AIServiceError) {
+       throw error;
+     }
      // Fallback result generation (remains the same)
      const fallbackResult = { /* ... */ };
      if (sectionContent && Array.isArray(sectionContent.sections)) { /* ... */ }
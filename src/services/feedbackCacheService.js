@@ -0,0 +1,176 @@
+// FILE: src/services/feedbackCacheService.js
+
+/**
+ * Content-addressed cache for section feedback
+ * improveBatchInstructions looks up each section by a hash of everything that
+ * determines the model's answer: the section text, its subsection definitions,
+ * the prompt version and system prompt, and the provider/model. Identical
+ * requests are answered from the cache, which saves cost and keeps ratings
+ * stable for unchanged text. Entries live in IndexedDB; without IndexedDB the
+ * cache is simply skipped.
+ */
+import { openDatabase, idbGet, idbGetAll, idbPut, idbDelete, idbClear } from './indexedDbService';
+
+const DB_NAME = 'scientific-project-planner-feedback-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'feedback';
+const MAX_ENTRIES = 500; // Least recently used entries are dropped beyond this
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      }
+    }).catch(error => {
+      console.warn("[feedbackCache] Cache disabled:", error.message);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Fallback string hash (cyrb53) for browsers without crypto.subtle (e.g. plain http)
+ * @param {string} text - Input
+ * @returns {string} - Hex digest
+ */
+const fallbackHash = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+};
+
+/**
+ * Hash a string with SHA-256 when available
+ * @param {string} text - Input
+ * @returns {Promise<string>} - Hex digest
+ */
+const hashText = async (text) => {
+  if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  return fallbackHash(text);
+};
+
+/**
+ * Cache key for one section's feedback request
+ * @param {Object} parts - { content, subsections: [{ id, title, instruction }], promptVersion, systemPrompt, model }
+ * @returns {Promise<string>}
+ */
+export const createFeedbackCacheKey = ({ content, subsections, promptVersion, systemPrompt, model }) =>
+  hashText(JSON.stringify({
+    content,
+    subsections: (subsections || []).map(({ id, title, instruction }) => ({ id, title, instruction })),
+    promptVersion,
+    systemPrompt,
+    model
+  }));
+
+/**
+ * Look up cached feedback
+ * @param {string} key - From createFeedbackCacheKey
+ * @returns {Promise<Object|null>} - The cached feedback result, or null
+ */
+export const getCachedFeedback = async (key) => {
+  const db = await getDatabase();
+  if (!db || !key) return null;
+  try {
+    const entry = await idbGet(db, STORE_NAME, key);
+    if (!entry) return null;
+    // Track use for the inspector and for least-recently-used eviction
+    await idbPut(db, STORE_NAME, { ...entry, hits: (entry.hits || 0) + 1, lastUsedAt: Date.now() });
+    return entry.result;
+  } catch (error) {
+    console.warn("[feedbackCache] Lookup failed:", error);
+    return null;
+  }
+};
+
+/**
+ * Store feedback for a section
+ * @param {string} key - From createFeedbackCacheKey
+ * @param {Object} result - Validated feedback result for the section
+ * @param {Object} meta - { sectionId, model, promptVersion, content }
+ */
+export const setCachedFeedback = async (key, result, { sectionId, model, promptVersion, content = '' }) => {
+  const db = await getDatabase();
+  if (!db || !key) return;
+  const now = Date.now();
+  try {
+    await idbPut(db, STORE_NAME, {
+      key,
+      sectionId,
+      model,
+      promptVersion,
+      rating: result.rating,
+      contentPreview: content.substring(0, 120),
+      contentLength: content.length,
+      result,
+      hits: 0,
+      createdAt: now,
+      lastUsedAt: now
+    });
+
+    const entries = await idbGetAll(db, STORE_NAME);
+    if (entries.length > MAX_ENTRIES) {
+      const oldest = entries.sort((a, b) => a.lastUsedAt - b.lastUsedAt).slice(0, entries.length - MAX_ENTRIES);
+      for (const entry of oldest) {
+        await idbDelete(db, STORE_NAME, entry.key);
+      }
+    }
+  } catch (error) {
+    console.warn("[feedbackCache] Could not store feedback:", error);
+  }
+};
+
+/**
+ * All cache entries for the inspector, most recently used first
+ * @returns {Promise<Array>} - Entries without the full result payload
+ */
+export const listCachedFeedback = async () => {
+  const db = await getDatabase();
+  if (!db) return [];
+  try {
+    const entries = await idbGetAll(db, STORE_NAME);
+    return entries
+      .map(({ result, ...entry }) => entry)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  } catch (error) {
+    console.warn("[feedbackCache] Could not list entries:", error);
+    return [];
+  }
+};
+
+/**
+ * Remove one entry
+ * @param {string} key - Entry key
+ */
+export const deleteCachedFeedback = async (key) => {
+  const db = await getDatabase();
+  if (db) await idbDelete(db, STORE_NAME, key);
+};
+
+/**
+ * Remove every entry
+ */
+export const clearFeedbackCache = async () => {
+  const db = await getDatabase();
+  if (db) await idbClear(db, STORE_NAME);
+};
+
+/**
+ * Whether the cache can be used in this browser
+ * @returns {Promise<boolean>}
+ */
+export const isFeedbackCacheAvailable = async () => !!(await getDatabase());
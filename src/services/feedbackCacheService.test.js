@@ -0,0 +1,43 @@
+// FILE: src/services/feedbackCacheService.test.js
+import { createFeedbackCacheKey } from './feedbackCacheService';
+
+const keyParts = (overrides = {}) => ({
+  content: 'Does sleep consolidate motor memories?',
+  subsections: [{ id: 'gap', title: 'Gap', instruction: 'Name the gap.' }],
+  promptVersion: 'system@2 + feedback.task@3',
+  systemPrompt: 'You are a reviewer.',
+  model: 'gpt-4o-mini',
+  ...overrides
+});
+
+describe('createFeedbackCacheKey', () => {
+  it('returns the same key for the same request', async () => {
+    const key = await createFeedbackCacheKey(keyParts());
+
+    expect(key).toMatch(/^[0-9a-f]+$/);
+    expect(await createFeedbackCacheKey(keyParts())).toBe(key);
+  });
+
+  it('ignores subsection fields the model never sees', async () => {
+    const withTooltip = keyParts({
+      subsections: [{ id: 'gap', title: 'Gap', instruction: 'Name the gap.', tooltip: 'Hint', isComplete: true }]
+    });
+
+    expect(await createFeedbackCacheKey(withTooltip)).toBe(await createFeedbackCacheKey(keyParts()));
+  });
+
+  it('changes with the content, instructions, prompt or model', async () => {
+    const key = await createFeedbackCacheKey(keyParts());
+    const variants = [
+      { content: 'Does sleep consolidate motor memories? ' },
+      { subsections: [{ id: 'gap', title: 'Gap', instruction: 'Name the gap precisely.' }] },
+      { promptVersion: 'system@2 + feedback.task@4' },
+      { systemPrompt: 'You are a strict reviewer.' },
+      { model: 'gpt-4o' }
+    ];
+
+    for (const overrides of variants) {
+      expect(await createFeedbackCacheKey(keyParts(overrides))).not.toBe(key);
+    }
+  });
+});
@@ -0,0 +1,281 @@
+// FILE: src/services/feedbackSchema.js
+
+/**
+ * Schema and validator for structured section feedback
+ * The 'improve_instructions_structured' call must return { results: [...] }, one
+ * result per evaluated section. validateFeedbackPayload checks every result
+ * against FEEDBACK_RESULT_SCHEMA, repairs what can safely be repaired (numeric
+ * strings, "true"/"false", unknown or missing subsections) and reports what
+ * cannot, so the caller can re-prompt. Each returned result carries a
+ * `validation` record; a rating that had to be repaired is flagged with
+ * `ratingRepaired` so it is shown but never used to unlock sections.
+ */
+import { getActiveTemplate } from '../utils/templateRegistry';
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 10;
+
+// Declarative description of one result item
+export const FEEDBACK_RESULT_SCHEMA = {
+  id: { type: 'string', required: true },
+  rating: { type: 'integer', required: true, min: MIN_RATING, max: MAX_RATING },
+  overallFeedback: { type: 'string', default: '' },
+  completionStatus: { type: 'string', default: 'progress' },
+  subsections: {
+    type: 'array',
+    default: [],
+    items: {
+      id: { type: 'string', required: true },
+      isComplete: { type: 'boolean', default: false },
+      feedback: { type: 'string', default: '' }
+    }
+  }
+};
+
+/**
+ * Whether a value is a rating that can be trusted for progression
+ * @param {*} rating - Stored rating
+ * @returns {boolean}
+ */
+export const isValidRating = (rating) =>
+  Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING;
+
+const getSubsectionIds = (sectionId, sectionDefs) => {
+  const sectionDef = (sectionDefs?.sections || []).find(s => s.id === sectionId);
+  return sectionDef ? (sectionDef.subsections || []).map(sub => sub.id) : null;
+};
+
+/**
+ * Coerce a value to a field's type
+ * @param {*} value - Raw value
+ * @param {Object} field - Schema field
+ * @returns {{ value: *, ok: boolean, coerced: boolean }}
+ */
+const coerceField = (value, field) => {
+  switch (field.type) {
+    case 'string':
+      if (typeof value === 'string') return { value, ok: true, coerced: false };
+      if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value), ok: true, coerced: true };
+      return { value, ok: false, coerced: false };
+    case 'boolean':
+      if (typeof value === 'boolean') return { value, ok: true, coerced: false };
+      if (value === 'true' || value === 1) return { value: true, ok: true, coerced: true };
+      if (value === 'false' || value === 0) return { value: false, ok: true, coerced: true };
+      return { value, ok: false, coerced: false };
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { value, ok: false, coerced: false };
+      return { value: number, ok: true, coerced: number !== value };
+    }
+    case 'array':
+      return Array.isArray(value) ? { value, ok: true, coerced: false } : { value, ok: false, coerced: false };
+    default:
+      return { value, ok: true, coerced: false };
+  }
+};
+
+/**
+ * Validate and repair the rating field
+ * @returns {{ rating: number|null, repairs: string[], error: string|null }}
+ */
+const validateRating = (rawRating, field, label) => {
+  const repairs = [];
+  const { value, ok, coerced } = coerceField(rawRating, field);
+  if (!ok) {
+    return { rating: null, repairs, error: `${label}: 'rating' must be an integer from ${field.min} to ${field.max} (got ${JSON.stringify(rawRating)})` };
+  }
+
+  let rating = value;
+  if (coerced) repairs.push(`rating converted from ${JSON.stringify(rawRating)}`);
+  if (!Number.isInteger(rating)) {
+    rating = Math.round(rating);
+    repairs.push(`rating ${value} rounded to ${rating}`);
+  }
+  if (rating < field.min || rating > field.max) {
+    const clamped = Math.min(field.max, Math.max(field.min, rating));
+    repairs.push(`rating ${rating} clamped to ${clamped}`);
+    rating = clamped;
+  }
+  return { rating, repairs, error: null };
+};
+
+/**
+ * Validate and repair the subsections of one result
+ * @returns {{ subsections: Array, repairs: string[] }}
+ */
+const validateSubsections = (rawSubsections, field, expectedIds, label) => {
+  const repairs = [];
+  const itemSchema = field.items;
+  let items = rawSubsections;
+
+  if (!Array.isArray(items)) {
+    if (items !== undefined && items !== null) repairs.push(`'subsections' was not an array`);
+    items = [];
+  }
+
+  const byId = {};
+  items.forEach((item, index) => {
+    const id = item && typeof item.id === 'string' ? item.id : null;
+    if (!id) {
+      repairs.push(`subsection #${index + 1} without an id dropped`);
+      return;
+    }
+    if (expectedIds && !expectedIds.includes(id)) {
+      repairs.push(`unknown subsection '${id}' dropped`);
+      return;
+    }
+    if (byId[id]) {
+      repairs.push(`duplicate subsection '${id}' dropped`);
+      return;
+    }
+
+    const subsection = { id };
+    Object.entries(itemSchema).forEach(([key, subField]) => {
+      if (key === 'id') return;
+      if (item[key] === undefined || item[key] === null) {
+        subsection[key] = subField.default;
+        return;
+      }
+      const { value, ok, coerced } = coerceField(item[key], subField);
+      if (!ok) {
+        subsection[key] = subField.default;
+        repairs.push(`${id}.${key} reset to default`);
+      } else {
+        subsection[key] = value;
+        if (coerced) repairs.push(`${id}.${key} converted from ${JSON.stringify(item[key])}`);
+      }
+    });
+    byId[id] = subsection;
+  });
+
+  // Keep the order of the template and fill in anything the model left out
+  const orderedIds = expectedIds || Object.keys(byId);
+  const subsections = orderedIds.map(id => {
+    if (byId[id]) return byId[id];
+    repairs.push(`missing subsection '${id}' added as incomplete`);
+    return { id, isComplete: false, feedback: '' };
+  });
+
+  return { subsections, repairs: repairs.map(repair => `${label}: ${repair}`) };
+};
+
+/**
+ * Validate one result item against FEEDBACK_RESULT_SCHEMA
+ * @returns {{ result: Object|null, repairs: string[], errors: string[] }}
+ */
+const validateResult = (item, index, expectedSectionIds, sectionDefs) => {
+  const errors = [];
+  const repairs = [];
+  const label = item && typeof item.id === 'string' ? `Section '${item.id}'` : `Result #${index + 1}`;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { result: null, repairs, errors: [`${label}: must be an object`] };
+  }
+  if (typeof item.id !== 'string' || !item.id) {
+    return { result: null, repairs, errors: [`${label}: missing 'id'`] };
+  }
+  if (expectedSectionIds && !expectedSectionIds.includes(item.id)) {
+    return { result: null, repairs, errors: [`${label}: 'id' is not one of the evaluated sections (${expectedSectionIds.join(', ')})`] };
+  }
+
+  const result = { id: item.id };
+  let ratingRepaired = false;
+
+  Object.entries(FEEDBACK_RESULT_SCHEMA).forEach(([key, field]) => {
+    if (key === 'id') return;
+
+    if (key === 'rating') {
+      if (item.rating === undefined || item.rating === null) {
+        errors.push(`${label}: missing 'rating'`);
+        return;
+      }
+      const rating = validateRating(item.rating, field, label);
+      if (rating.error) {
+        errors.push(rating.error);
+        return;
+      }
+      result.rating = rating.rating;
+      if (rating.repairs.length > 0) {
+        ratingRepaired = true;
+        repairs.push(...rating.repairs.map(repair => `${label}: ${repair}`));
+      }
+      return;
+    }
+
+    if (key === 'subsections') {
+      const subsections = validateSubsections(item.subsections, field, getSubsectionIds(item.id, sectionDefs), label);
+      result.subsections = subsections.subsections;
+      repairs.push(...subsections.repairs);
+      return;
+    }
+
+    if (item[key] === undefined || item[key] === null) {
+      result[key] = field.default;
+      return;
+    }
+    const { value, ok, coerced } = coerceField(item[key], field);
+    if (!ok) {
+      result[key] = field.default;
+      repairs.push(`${label}: '${key}' reset to default`);
+    } else {
+      result[key] = value;
+      if (coerced) repairs.push(`${label}: '${key}' converted from ${JSON.stringify(item[key])}`);
+    }
+  });
+
+  if (errors.length > 0) return { result: null, repairs, errors };
+
+  result.validation = {
+    repaired: repairs.length > 0,
+    ratingRepaired,
+    repairs
+  };
+  return { result, repairs, errors };
+};
+
+/**
+ * Validate a feedback payload from the AI
+ * Accepts { results: [...] } or a bare array.
+ *
+ * @param {Object|Array} payload - Parsed JSON response
+ * @param {Object} options - { expectedSectionIds, sectionDefs } (sectionDefs: the open project's template by default)
+ * @returns {{ results: Array, errors: string[], repairs: string[], isValid: boolean }}
+ *   results holds only the items that passed (possibly after repair); errors lists
+ *   problems that need a new response; isValid is true when there are no errors.
+ */
+export const validateFeedbackPayload = (payload, { expectedSectionIds = null, sectionDefs = getActiveTemplate() } = {}) => {
+  const errors = [];
+  const repairs = [];
+
+  let items;
+  if (Array.isArray(payload)) {
+    items = payload;
+  } else if (payload && Array.isArray(payload.results)) {
+    items = payload.results;
+  } else {
+    return { results: [], errors: [`Response must be an object with a 'results' array`], repairs, isValid: false };
+  }
+
+  const results = [];
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const validated = validateResult(item, index, expectedSectionIds, sectionDefs);
+    errors.push(...validated.errors);
+    if (!validated.result) return;
+    if (seen.has(validated.result.id)) {
+      repairs.push(`Section '${validated.result.id}': duplicate result dropped`);
+      return;
+    }
+    seen.add(validated.result.id);
+    repairs.push(...validated.repairs);
+    results.push(validated.result);
+  });
+
+  (expectedSectionIds || []).forEach(id => {
+    if (!seen.has(id) && !errors.some(error => error.startsWith(`Section '${id}'`))) {
+      errors.push(`Section '${id}': no result returned`);
+    }
+  });
+
+  return { results, errors, repairs, isValid: errors.length === 0 };
+};
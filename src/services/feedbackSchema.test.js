@@ -0,0 +1,139 @@
+// FILE: src/services/feedbackSchema.test.js
+import { validateFeedbackPayload, isValidRating } from './feedbackSchema';
+
+const sectionDefs = {
+  sections: [
+    { id: 'question', subsections: [{ id: 'gap' }, { id: 'scope' }] },
+    { id: 'audience', subsections: [] }
+  ]
+};
+
+const validate = (payload, options = {}) => validateFeedbackPayload(payload, { sectionDefs, ...options });
+
+const questionResult = (overrides = {}) => ({
+  id: 'question',
+  rating: 7,
+  overallFeedback: 'Clear question.',
+  completionStatus: 'complete',
+  subsections: [
+    { id: 'gap', isComplete: true, feedback: 'Good' },
+    { id: 'scope', isComplete: false, feedback: 'Narrow it down' }
+  ],
+  ...overrides
+});
+
+describe('isValidRating', () => {
+  it('accepts whole numbers from 1 to 10 only', () => {
+    expect([1, 6, 10].every(isValidRating)).toBe(true);
+    expect([0, 11, 6.5, '7', null, undefined, NaN].some(isValidRating)).toBe(false);
+  });
+});
+
+describe('validateFeedbackPayload', () => {
+  it('accepts a well-formed result unchanged', () => {
+    const { results, errors, repairs, isValid } = validate({ results: [questionResult()] });
+
+    expect(isValid).toBe(true);
+    expect(errors).toEqual([]);
+    expect(repairs).toEqual([]);
+    expect(results).toEqual([{
+      ...questionResult(),
+      validation: { repaired: false, ratingRepaired: false, repairs: [] }
+    }]);
+  });
+
+  it('accepts a bare array of results and fills in defaults', () => {
+    const { results, isValid } = validate([{ id: 'audience', rating: 5 }]);
+
+    expect(isValid).toBe(true);
+    expect(results[0]).toMatchObject({ id: 'audience', rating: 5, overallFeedback: '', completionStatus: 'progress', subsections: [] });
+  });
+
+  it('repairs ratings and flags them so they do not unlock sections', () => {
+    [['7', 7], [7.6, 8], [14, 10], [0, 1]].forEach(([raw, repaired]) => {
+      const { results, isValid } = validate({ results: [questionResult({ rating: raw })] });
+      expect(isValid).toBe(true);
+      expect(results[0].rating).toBe(repaired);
+      expect(results[0].validation).toMatchObject({ repaired: true, ratingRepaired: true });
+    });
+  });
+
+  it('rejects results without a usable rating', () => {
+    expect(validate({ results: [questionResult({ rating: undefined })] }).errors)
+      .toEqual(["Section 'question': missing 'rating'"]);
+    expect(validate({ results: [questionResult({ rating: 'high' })] }).errors[0])
+      .toMatch(/^Section 'question': 'rating' must be an integer from 1 to 10/);
+  });
+
+  it('repairs subsections into the order of the template', () => {
+    const { results } = validate({
+      results: [questionResult({
+        subsections: [
+          { id: 'scope', isComplete: 'true' },
+          { id: 'extra', isComplete: true },
+          { isComplete: true },
+          { id: 'scope', isComplete: false }
+        ]
+      })]
+    });
+
+    expect(results[0].subsections).toEqual([
+      { id: 'gap', isComplete: false, feedback: '' },
+      { id: 'scope', isComplete: true, feedback: '' }
+    ]);
+    expect(results[0].validation.ratingRepaired).toBe(false);
+    expect(results[0].validation.repairs).toEqual([
+      "Section 'question': scope.isComplete converted from \"true\"",
+      "Section 'question': unknown subsection 'extra' dropped",
+      "Section 'question': subsection #3 without an id dropped",
+      "Section 'question': duplicate subsection 'scope' dropped",
+      "Section 'question': missing subsection 'gap' added as incomplete"
+    ]);
+  });
+
+  it('converts and resets other fields', () => {
+    const { results } = validate({ results: [questionResult({ overallFeedback: 42, completionStatus: {} })] });
+
+    expect(results[0].overallFeedback).toBe('42');
+    expect(results[0].completionStatus).toBe('progress');
+    expect(results[0].validation.repairs).toEqual([
+      "Section 'question': 'overallFeedback' converted from 42",
+      "Section 'question': 'completionStatus' reset to default"
+    ]);
+  });
+
+  it('reports missing, unexpected and malformed results', () => {
+    const { results, errors, isValid } = validate(
+      { results: [questionResult(), { id: 'abstract', rating: 6 }, 'text', {}] },
+      { expectedSectionIds: ['question', 'audience'] }
+    );
+
+    expect(isValid).toBe(false);
+    expect(results.map(result => result.id)).toEqual(['question']);
+    expect(errors).toEqual([
+      "Section 'abstract': 'id' is not one of the evaluated sections (question, audience)",
+      'Result #3: must be an object',
+      "Result #4: missing 'id'",
+      "Section 'audience': no result returned"
+    ]);
+  });
+
+  it('drops a second result for the same section', () => {
+    const { results, repairs } = validate({ results: [questionResult(), questionResult({ rating: 3 })] });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].rating).toBe(7);
+    expect(repairs).toEqual(["Section 'question': duplicate result dropped"]);
+  });
+
+  it('rejects payloads without results', () => {
+    [null, 'text', { result: [] }].forEach(payload => {
+      expect(validate(payload)).toEqual({
+        results: [],
+        errors: ["Response must be an object with a 'results' array"],
+        repairs: [],
+        isValid: false
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// FILE: src/services/indexedDbService.js
+
+/**
+ * Minimal promise wrapper around IndexedDB
+ * Each feature opens its own database with openDatabase() and then uses the
+ * get/put/delete/getAll/clear helpers on one object store. When IndexedDB is
+ * unavailable (some private browsing modes, tests), openDatabase rejects and
+ * callers fall back to working without persistence.
+ */
+
+/**
+ * Whether this browser exposes IndexedDB
+ * @returns {boolean}
+ */
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * Open (and create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - (db, oldVersion, transaction) => void; creates object stores and indexes
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  if (!isIndexedDbAvailable()) {
+    reject(new Error('IndexedDB is not available in this browser.'));
+    return;
+  }
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => console.warn(`[indexedDbService] Upgrade of "${name}" is blocked by another open tab.`);
+});
+
+/**
+ * Run one request against an object store and wait for its transaction
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+export const runInStore = (db, storeName, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, mode);
+  let result;
+  const request = operation(transaction.objectStore(storeName));
+  request.onsuccess = () => { result = request.result; };
+  transaction.oncomplete = () => resolve(result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+});
+
+export const idbGet = (db, storeName, key) => runInStore(db, storeName, 'readonly', store => store.get(key));
+export const idbGetAll = (db, storeName) => runInStore(db, storeName, 'readonly', store => store.getAll());
+export const idbPut = (db, storeName, value) => runInStore(db, storeName, 'readwrite', store => store.put(value));
+export const idbDelete = (db, storeName, key) => runInStore(db, storeName, 'readwrite', store => store.delete(key));
+export const idbClear = (db, storeName) => runInStore(db, storeName, 'readwrite', store => store.clear());
+
+/**
+ * Run several write requests in one transaction, so they are saved together or not at all
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {Function} operations - (store) => void; issues the requests
+ * @returns {Promise<void>} - Resolves when the transaction commits
+ */
+export const runBatchInStore = (db, storeName, operations) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, 'readwrite');
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+  operations(transaction.objectStore(storeName));
+});
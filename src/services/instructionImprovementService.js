@@ -6,10 +6,22 @@
  * UPDATED: Filters sections to only send those edited since last feedback (or never reviewed).
  * UPDATED: Excludes 'tooltip' text from subsection data sent to OpenAI to reduce payload size.
  * UPDATED: Includes previous feedback context for more consistent ratings
+ * UPDATED: Model, temperature and max_tokens come from the 'feedback' task settings
+ * UPDATED: Accepts options.signal for cancellation; failures report the typed error
+ * UPDATED: Responses are validated against feedbackSchema; malformed ones are re-prompted once
+ * UPDATED: Results are cached in IndexedDB by a hash of content, subsections, prompt and model;
+ *          forceImprovement bypasses the cache and options.sectionIds re-evaluates unchanged sections
+ * UPDATED: Prompts come from the prompt registry; each result records the prompt revisions used
+ * UPDATED: Section definitions default to the open project's template
  */
-import { callOpenAI } from './openaiService';
-import { buildSystemPrompt } from '../utils/promptUtils';
-import sectionContentData from '../data/sectionContent.json';
+import { callOpenAI, getActiveModelId } from './openaiService';
+import { getTaskSettings } from './aiSettingsService';
+import { AIServiceError, AI_ERROR_TYPES, isCancelledError } from './aiErrors';
+import { validateFeedbackPayload } from './feedbackSchema';
+import { createFeedbackCacheKey, getCachedFeedback, setCachedFeedback } from './feedbackCacheService';
+import { renderSystemPrompt } from '../utils/promptUtils';
+import { renderPrompt, getPrompt, fillTemplate, formatPromptRef } from '../utils/promptRegistry';
+import { getActiveTemplate } from '../utils/templateRegistry';
 import useAppStore from '../store/appStore'; // Import Zustand store to access full section state
 
 /**
@@ -20,8 +32,9 @@ import useAppStore from '../store/appStore'; // Import Zustand store to access f
  *
  * @param {Array} currentSections - Deprecated: This is no longer used directly. State is fetched from the store.
  * @param {Object} userInputs - Deprecated: This is no longer used directly. State is fetched from the store.
- * @param {Object} sectionContent - The full, original section content definition object (still needed for definitions).
- * @param {Boolean} forceImprovement - Deprecated: Filtering logic now determines which sections are sent.
+ * @param {Object} sectionContent - Section definitions (a template); the open project's template when null.
+ * @param {Boolean} forceImprovement - Skip the feedback cache and ask the model again.
+ * @param {Object} options - { signal } to cancel the request; { sectionIds } to include these sections even if unchanged
  * @returns {Promise<Object>} - Result with success flag and raw analysis data from AI for the relevant sections.
  */
 export const improveBatchInstructions = async (
@@ -29,7 +42,8 @@ export const improveBatchInstructions = async (
   currentSections, // Not directly used anymore
   userInputs,      // Not directly used anymore
   sectionContent,  // Still used for definitions
-  forceImprovement = false // Not used anymore due to filtering logic
+  forceImprovement = false, // Bypass the feedback cache
+  options = {}
 ) => {
   try {
     console.log("[Instruction Improvement] Starting instruction improvement process (filtered for edited sections, excluding tooltips)");
@@ -37,7 +51,7 @@ export const improveBatchInstructions = async (
 
     // Get the full, current sections state from the Zustand store
     const allSectionsState = useAppStore.getState().sections;
-    const sectionDefs = sectionContent || sectionContentData; // Use passed-in or imported definitions
+    const sectionDefs = sectionContent || getActiveTemplate(); // Use passed-in or the project's template
 
     // Prepare sections for analysis: Filter based on content AND edit status
     const sectionsForAnalysis = Object.values(allSectionsState)
@@ -48,7 +62,8 @@ export const improveBatchInstructions = async (
         const content = sectionState.content;
         const placeholder = sectionDef?.placeholder || '';
         const hasMeaningfulContent = typeof content === 'string' && content.trim() !== '' && content !== placeholder;
-        const needsFeedback = sectionState.editedSinceFeedback || sectionState.feedbackRating === null; // Edited OR never reviewed
+        const isForced = (options.sectionIds || []).includes(sectionState.id);
+        const needsFeedback = sectionState.editedSinceFeedback || sectionState.feedbackRating === null || isForced; // Edited OR never reviewed OR re-evaluation requested
 
         // Include section only if definition exists, has content, AND needs feedback
         if (sectionDef && hasMeaningfulContent && needsFeedback) {
@@ -95,63 +110,136 @@ export const improveBatchInstructions = async (
     }
 
 
-    // Build system prompt (unchanged)
-    const systemPrompt = buildSystemPrompt('instructionImprovement');
+    // Build system prompt from the prompt registry
+    const { text: systemPrompt, prompt: systemPromptRef } = renderSystemPrompt('instructionImprovement');
+    const { template: taskTemplate, ...taskPromptRef } = getPrompt('feedback.task');
+    // Stored with every result so ratings can be compared across prompt revisions
+    const prompts = [systemPromptRef, taskPromptRef];
+    const promptVersion = prompts.map(formatPromptRef).join(' + ');
+    const taskSettings = getTaskSettings('feedback');
 
-    // Create the user prompt (structure unchanged, but subsection context is smaller)
+    // Serve sections whose exact request was answered before from the cache
+    const modelId = getActiveModelId(taskSettings.model);
+    const cacheKeys = {};
+    if (modelId) {
+      await Promise.all(sectionsForAnalysis.map(async section => {
+        cacheKeys[section.id] = await createFeedbackCacheKey({
+          content: section.userContent,
+          subsections: section.subsections,
+          promptVersion,
+          systemPrompt,
+          model: modelId
+        });
+      }));
+    }
+
+    const cachedResults = [];
+    if (!forceImprovement) {
+      for (const section of sectionsForAnalysis) {
+        const cached = await getCachedFeedback(cacheKeys[section.id]);
+        if (cached) cachedResults.push({ ...cached, fromCache: true });
+      }
+    }
+    const cachedIds = new Set(cachedResults.map(result => result.id));
+    const sectionsToEvaluate = sectionsForAnalysis.filter(section => !cachedIds.has(section.id));
+    const orderResults = (results) => results.sort((a, b) =>
+      sectionsForAnalysis.findIndex(section => section.id === a.id) - sectionsForAnalysis.findIndex(section => section.id === b.id));
+
+    if (sectionsToEvaluate.length === 0) {
+      console.log(`[Instruction Improvement] Served ${cachedResults.length} section(s) from the feedback cache.`);
+      console.timeEnd("instructionImprovementTime");
+      return { success: true, improvedData: orderResults(cachedResults) };
+    }
+
+    // Create the user prompt ('feedback.task' in the prompt registry)
     // ENHANCEMENT: Now includes notes about previous feedback for consistency
-    const userPrompt = `
-      I need you to evaluate the following research sections based on their content against the provided instructions for each subsection.
-      Return your response as a JSON object with the following structure: { "results": [ ... ] } where each result object contains 'id', 'overallFeedback', 'completionStatus', 'rating', and a 'subsections' array.
-      The 'subsections' array should contain objects with 'id', 'isComplete' (boolean), and 'feedback' (string).
-      
-      RATING SCALE: Provide a numerical rating from 1-10 for each section based on the quality and completeness of the user's content against the instructions. 1=very poor, 5=average student work, 10=publication quality.
-      
-      IMPORTANT FOR CONSISTENCY: Some sections include previous feedback. If a section shows only minor improvements from the previous feedback, maintain a similar rating. If significant improvements were made, the rating should increase accordingly.
-      
-      Here are the sections and their subsection instructions to evaluate:
-      ${JSON.stringify(sectionsForAnalysis, null, 2)}
-    `; 
-
-    console.log(`[Instruction Improvement] Analyzing ${sectionsForAnalysis.length} edited/new sections with JSON structure (tooltips excluded).`);
+    const userPrompt = fillTemplate(taskTemplate, { sectionsJson: JSON.stringify(sectionsToEvaluate, null, 2) });
+
+    console.log(`[Instruction Improvement] Analyzing ${sectionsToEvaluate.length} edited/new sections with JSON structure (tooltips excluded)${cachedResults.length ? `, ${cachedResults.length} served from cache` : ''}.`);
     // console.log("Sections being sent:", sectionsForAnalysis.map(s => s.id));
 
-    // Call OpenAI with JSON mode and INCREASED max_tokens
-    const response = await callOpenAI(
-      userPrompt,
+    const requestFeedback = (prompt, chatHistory = []) => callOpenAI(
+      prompt,
       "improve_instructions_structured",
       // Pass the *current content* of only the sections being analyzed for context
-      sectionsForAnalysis.reduce((acc, section) => { acc[section.id] = section.userContent; return acc; }, {}),
+      sectionsToEvaluate.reduce((acc, section) => { acc[section.id] = section.userContent; return acc; }, {}),
       sectionDefs?.sections || [], // Pass section definitions for context
-      {
-        temperature: 0.0,
-        max_tokens: 4096 // Keep increased tokens
-      },
-      [],
+      { ...taskSettings, signal: options.signal }, // Model, temperature and max_tokens from Settings
+      chatHistory,
       systemPrompt,
       true // Use JSON mode
     );
+    const validationOptions = {
+      expectedSectionIds: sectionsToEvaluate.map(section => section.id),
+      sectionDefs
+    };
 
+    // Call OpenAI with JSON mode (max_tokens defaults to 4096 in task settings)
+    const response = await requestFeedback(userPrompt);
     console.log("[Instruction Improvement] Response received from OpenAI");
 
-    // Extract results (unchanged, relies on openaiService parsing)
-    let analysisResults = [];
-    if (response && response.results && Array.isArray(response.results)) {
-      analysisResults = response.results;
-    } else if (Array.isArray(response)) { // Handle cases where API might return array directly
-        analysisResults = response;
-    } else {
-      console.error("[Instruction Improvement] Unexpected response format:", response);
-      throw new Error("Invalid or unexpected response format from OpenAI");
+    let validation = validateFeedbackPayload(response, validationOptions);
+
+    // Re-prompt once with the validation errors if the response is malformed
+    if (!validation.isValid) {
+      console.warn("[Instruction Improvement] Response failed validation, re-prompting:", validation.errors);
+      const { text: retryPrompt } = renderPrompt('feedback.retry', {
+        errors: validation.errors.map(error => `- ${error}`).join('\n'),
+        sectionIds: validationOptions.expectedSectionIds.join(', ')
+      });
+      const retryResponse = await requestFeedback(retryPrompt, [
+        { role: 'user', content: userPrompt },
+        { role: 'assistant', content: JSON.stringify(response) }
+      ]);
+      const retryValidation = validateFeedbackPayload(retryResponse, validationOptions);
+
+      // Keep first-attempt results for any section the retry still got wrong
+      const retriedIds = new Set(retryValidation.results.map(result => result.id));
+      validation = {
+        ...retryValidation,
+        results: [
+          ...retryValidation.results,
+          ...validation.results.filter(result => !retriedIds.has(result.id))
+        ]
+      };
+      if (!retryValidation.isValid) {
+        console.warn("[Instruction Improvement] Response still invalid after re-prompt:", retryValidation.errors);
+      }
+    }
+
+    if (validation.repairs.length > 0) {
+      console.warn("[Instruction Improvement] Repaired feedback response:", validation.repairs);
     }
 
+    const analysisResults = validation.results.map(result => ({ ...result, prompts }));
+    if (analysisResults.length === 0) {
+      throw new AIServiceError(
+        AI_ERROR_TYPES.INVALID_RESPONSE,
+        "The AI returned feedback in an unexpected format. Please try again.",
+        { detail: validation.errors.join('; ') }
+      );
+    }
+
+    // Cache fresh results; a repaired rating is not worth keeping stable
+    await Promise.all(analysisResults
+      .filter(result => !result.validation?.ratingRepaired)
+      .map(result => {
+        const section = sectionsToEvaluate.find(s => s.id === result.id);
+        return setCachedFeedback(cacheKeys[result.id], result, {
+          sectionId: result.id,
+          model: modelId,
+          promptVersion,
+          content: section?.userContent
+        });
+      }));
+
     console.log(`[Instruction Improvement] Successfully processed ${analysisResults.length} analysis results for edited sections`);
     console.timeEnd("instructionImprovementTime");
 
-    // Return the raw analysis data for the sections that were analyzed.
+    // Return the analysis data for the sections that were analyzed (fresh and cached).
     return {
       success: true,
-      improvedData: analysisResults
+      improvedData: orderResults([...analysisResults, ...cachedResults])
     };
 
   } catch (error) {
@@ -163,7 +251,8 @@ export const improveBatchInstructions = async (
         success: false,
         improvedData: [],
         errorMessage: error.message || "An error occurred while improving instructions",
-        errorType: error.name || "UnknownError"
+        errorType: error.type || error.name || "UnknownError",
+        cancelled: isCancelledError(error)
     };
   }
 };
@@ -0,0 +1,74 @@
+// FILE: src/services/instructionImprovementService.test.js
+import useAppStore from '../store/appStore';
+import { improveBatchInstructions } from './instructionImprovementService';
+import { callOpenAI, getActiveModelId } from './openaiService';
+import { createFeedbackCacheKey, getCachedFeedback, setCachedFeedback } from './feedbackCacheService';
+
+jest.mock('./openaiService', () => ({
+  callOpenAI: jest.fn(),
+  getActiveModelId: jest.fn()
+}));
+
+jest.mock('./feedbackCacheService', () => ({
+  createFeedbackCacheKey: jest.fn(),
+  getCachedFeedback: jest.fn(),
+  setCachedFeedback: jest.fn()
+}));
+
+const feedback = (rating) => ({
+  results: [{ id: 'question', rating, overallFeedback: 'Narrow it down.', completionStatus: 'progress', subsections: [] }]
+});
+
+describe('improveBatchInstructions caching', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'time').mockImplementation(() => {});
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => {});
+    getActiveModelId.mockReturnValue('gpt-4o-mini');
+    createFeedbackCacheKey.mockImplementation(async ({ content }) => `key:${content}`);
+    getCachedFeedback.mockResolvedValue(null);
+    setCachedFeedback.mockResolvedValue(undefined);
+    useAppStore.getState().resetState('paper');
+    useAppStore.getState().updateSectionContent('question', 'Does sleep consolidate motor memories?');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('caches a valid rating under the key of its request', async () => {
+    callOpenAI.mockResolvedValue(feedback(7));
+
+    const result = await improveBatchInstructions(null, null, null);
+
+    expect(result.improvedData[0]).toMatchObject({ id: 'question', rating: 7 });
+    expect(setCachedFeedback).toHaveBeenCalledWith(
+      'key:Does sleep consolidate motor memories?',
+      expect.objectContaining({ id: 'question', rating: 7 }),
+      expect.objectContaining({ sectionId: 'question', model: 'gpt-4o-mini' })
+    );
+  });
+
+  it('does not cache a repaired rating', async () => {
+    callOpenAI.mockResolvedValue(feedback('7'));
+
+    const result = await improveBatchInstructions(null, null, null);
+
+    expect(result.improvedData[0].validation.ratingRepaired).toBe(true);
+    expect(setCachedFeedback).not.toHaveBeenCalled();
+  });
+
+  it('answers from the cache without calling the model, unless forced', async () => {
+    getCachedFeedback.mockResolvedValue({ id: 'question', rating: 8, subsections: [] });
+    callOpenAI.mockResolvedValue(feedback(5));
+
+    const cached = await improveBatchInstructions(null, null, null);
+    expect(cached.improvedData).toEqual([{ id: 'question', rating: 8, subsections: [], fromCache: true }]);
+    expect(callOpenAI).not.toHaveBeenCalled();
+
+    const forced = await improveBatchInstructions(null, null, null, true);
+    expect(forced.improvedData[0].rating).toBe(5);
+    expect(callOpenAI).toHaveBeenCalledTimes(1);
+  });
+});
@@ -3,12 +3,219 @@
 /**
  * Modernized OpenAI service using JSON mode for structured responses
  * UPDATED: Reduced logging, keeping only key request/response info.
+ * UPDATED: Requests are routed through the provider registry (OpenAI, Anthropic,
+ *          Ollama, any OpenAI-compatible base URL) selected in config/aiConfig.js.
+ * UPDATED: Added streamOpenAI for incremental (SSE / chunked) chat responses and
+ *          an optional options.signal so callers can cancel a request.
+ * UPDATED: Calls go through the server-side proxy (api/ai.js) by default so the
+ *          API key stays off the client; direct mode is kept for local development.
+ * UPDATED: options.model overrides the configured model (per-task settings), and a
+ *          user's own key from the Settings modal is used when present.
+ * UPDATED: Transient failures (429, 5xx, network) are retried with exponential backoff
+ *          and jitter, honoring Retry-After. Every failure is thrown as a typed
+ *          AIServiceError (see aiErrors.js).
+ * UPDATED: Providers may supply their own fetch (the offline mock provider does), and
+ *          receive the task (contextType) when building a request.
+ * UPDATED: Every call's token usage, latency and estimated cost is recorded in
+ *          usageService, and calls are refused once the usage budget is reached.
  */
 import { buildSystemPrompt } from '../utils/promptUtils';
+import { getAIConfig } from '../config/aiConfig';
+import { getProvider, parseJsonContent, readEventStream } from './providers';
+import {
+  AIServiceError,
+  AI_ERROR_TYPES,
+  classifyHttpError,
+  describeAIError,
+  parseRetryAfter
+} from './aiErrors';
+import { recordUsage, assertWithinBudget } from './usageService';
 
-const apiKey = process.env.REACT_APP_OPENAI_API_KEY;
-const model = process.env.REACT_APP_OPENAI_MODEL || "gpt-4o";
 const API_TIMEOUT_MS = 180000; // 180 seconds timeout
+const MAX_RETRIES = 3; // Retries after the first attempt
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 60000; // Longer server-requested waits are reported instead of retried
+
+/**
+ * Resolve the active provider and its connection settings.
+ * In proxy mode the provider builds its usual request against the proxy path
+ * and the proxy adds the key.
+ * @returns {{ provider: Object, baseUrl: string, apiKey: string|null, model: string, viaProxy: boolean }}
+ */
+const resolveProvider = () => {
+  const config = getAIConfig();
+  const provider = getProvider(config.provider);
+  if (!provider) {
+    throw new AIServiceError(AI_ERROR_TYPES.CONFIG, `Unknown AI provider "${config.provider}". Check REACT_APP_AI_PROVIDER.`);
+  }
+  if (config.isKeyLocked) {
+    throw new AIServiceError(AI_ERROR_TYPES.CONFIG, "Your saved API key is encrypted. Open AI Settings and enter your passphrase to unlock it.");
+  }
+  return {
+    provider,
+    baseUrl: config.proxyUrl || config.baseUrl || provider.defaultBaseUrl,
+    apiKey: config.apiKey,
+    model: config.model || provider.defaultModel,
+    viaProxy: !!config.proxyUrl
+  };
+};
+
+/**
+ * Identify the provider and model a call would use, e.g. for cache keys
+ * @param {string} [modelOverride] - options.model the caller will pass
+ * @returns {string|null} - 'provider:model', or null when no provider can be resolved
+ */
+export const getActiveModelId = (modelOverride) => {
+  try {
+    const { provider, model } = resolveProvider();
+    return `${provider.id}:${modelOverride || model}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Add proxy-only headers (the proxy logs the task; providers ignore it)
+ * @param {Object} headers - Headers from provider.buildRequest
+ * @param {boolean} viaProxy - Whether the request goes through the proxy
+ * @param {string} contextType - Task label, e.g. 'chat' or 'document_import_task'
+ * @returns {Object}
+ */
+const withProxyHeaders = (headers, viaProxy, contextType) =>
+  viaProxy ? { ...headers, "X-AI-Task": contextType } : headers;
+
+/**
+ * Create an AbortController that fires on timeout or when the caller's signal aborts
+ * @param {AbortSignal} [externalSignal] - Optional caller-owned signal (e.g. a Stop button)
+ * @returns {{ controller: AbortController, clear: Function }}
+ */
+const createRequestController = (externalSignal) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+      console.warn(`[openaiService] API call timed out after ${API_TIMEOUT_MS / 1000} seconds.`);
+      controller.abort();
+  }, API_TIMEOUT_MS);
+
+  const abortFromCaller = () => controller.abort();
+  if (externalSignal) {
+    if (externalSignal.aborted) controller.abort();
+    else externalSignal.addEventListener('abort', abortFromCaller);
+  }
+
+  const clear = () => {
+    clearTimeout(timeoutId);
+    if (externalSignal) externalSignal.removeEventListener('abort', abortFromCaller);
+  };
+  return { controller, clear };
+};
+
+/**
+ * Turn a failed HTTP response into a typed error
+ * @param {Object} provider - Active provider
+ * @param {Response} response - fetch response with !ok
+ * @returns {Promise<AIServiceError>}
+ */
+const buildResponseError = async (provider, response) => {
+  let errorBody = null;
+  try {
+    errorBody = await response.json();
+    console.error("[openaiService] API Error Response:", errorBody); // Keep error log
+  } catch (parseError) { /* console.error("[openaiService] Failed to parse error response:", parseError); */ } // Commented out
+  const type = classifyHttpError(response.status, errorBody);
+  const detail = provider.mapError(response.status, errorBody || { message: response.statusText });
+  return new AIServiceError(type, describeAIError(type, provider.label, detail), {
+    status: response.status,
+    detail,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+    provider: provider.id
+  });
+};
+
+/**
+ * Normalize errors thrown while calling a provider
+ * @param {Object} provider - Active provider
+ * @param {Error} error - Original error
+ * @param {AbortSignal} [externalSignal] - Caller's signal, to tell cancellation from timeout
+ * @returns {AIServiceError}
+ */
+const toServiceError = (provider, error, externalSignal) => {
+  if (error instanceof AIServiceError) return error;
+  const details = { detail: error.message, provider: provider.id };
+  if (error.name === 'AbortError') {
+    if (externalSignal?.aborted) {
+      return new AIServiceError(AI_ERROR_TYPES.CANCELLED, describeAIError(AI_ERROR_TYPES.CANCELLED), details);
+    }
+    // Our own timeout already waited API_TIMEOUT_MS; don't make the user wait that long again
+    return new AIServiceError(AI_ERROR_TYPES.TIMEOUT, describeAIError(AI_ERROR_TYPES.TIMEOUT, provider.label), { ...details, retryable: false });
+  }
+  if (error instanceof TypeError || error.message.includes('Failed to fetch')) {
+    return new AIServiceError(AI_ERROR_TYPES.NETWORK, describeAIError(AI_ERROR_TYPES.NETWORK, provider.label), details);
+  }
+  return new AIServiceError(AI_ERROR_TYPES.UNKNOWN, `${provider.label} API Error: ${error.message || 'Unknown error'}`, details);
+};
+
+/**
+ * Wait before the next attempt; rejects straight away if the caller cancels
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const cancelled = () => new AIServiceError(AI_ERROR_TYPES.CANCELLED, describeAIError(AI_ERROR_TYPES.CANCELLED));
+  if (signal?.aborted) {
+    reject(cancelled());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(cancelled());
+  };
+  const timeoutId = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Delay before retry number `attempt` (0-based): Retry-After when the server
+ * sent one, otherwise exponential backoff with full jitter
+ * @param {number} attempt - Retry index
+ * @param {AIServiceError} error - Error from the failed attempt
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempt, error) => {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs + Math.random() * 250;
+  }
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.random() * ceiling;
+};
+
+/**
+ * Run one provider request, retrying transient failures
+ * @param {Object} provider - Active provider
+ * @param {Function} attempt - async () => result; throws on failure
+ * @param {Object} [options] - { signal, canRetry } - canRetry() can veto a retry (e.g. after streaming started)
+ * @returns {Promise<*>}
+ */
+const withRetries = async (provider, attempt, { signal, canRetry = () => true } = {}) => {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt();
+    } catch (rawError) {
+      const error = toServiceError(provider, rawError, signal);
+      const tooLongToWait = error.retryAfterMs !== null && error.retryAfterMs > MAX_RETRY_AFTER_MS;
+      if (!error.retryable || retry >= MAX_RETRIES || tooLongToWait || !canRetry()) {
+        throw error;
+      }
+      const delay = getRetryDelay(retry, error);
+      console.warn(`[openaiService] ${error.type} error (${error.detail || error.message}). Retry ${retry + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms.`);
+      await sleep(delay, signal);
+    }
+  }
+};
 
 /**
  * Build messages for API call
@@ -27,7 +234,16 @@ const buildMessages = (prompt, contextType, currentChatHistory = [], systemPromp
 };
 
 /**
- * Call OpenAI API
+ * Text of all messages, for estimating prompt tokens when the provider reports none
+ * @param {Array} messages - Chat messages
+ * @returns {string}
+ */
+const getMessagesText = (messages) => messages.map(msg => msg.content).join('\n');
+
+/**
+ * Call the configured LLM provider.
+ * The name is kept for compatibility; chat, instruction improvement, document
+ * import and paper review all go through here regardless of the backend.
  */
 export const callOpenAI = async (
     prompt,
@@ -40,76 +256,78 @@ export const callOpenAI = async (
     useJsonMode = contextType !== "general"
  ) => {
 
+  const { provider, baseUrl, apiKey, model: configuredModel, viaProxy } = resolveProvider();
+  const model = options.model || configuredModel;
+
   // Keep minimal request start log
-  console.log(`[openaiService] Sending API Request - Context: ${contextType}, Model: ${model}, JSON Mode: ${useJsonMode}`);
+  console.log(`[openaiService] Sending API Request - Provider: ${provider.id}${viaProxy ? ' (via proxy)' : ''}, Context: ${contextType}, Model: ${model}, JSON Mode: ${useJsonMode}`);
 
-  if (!apiKey) {
-    throw new Error("OpenAI API key not configured.");
+  if (provider.requiresApiKey && !apiKey && !viaProxy) {
+    throw new AIServiceError(AI_ERROR_TYPES.CONFIG, `${provider.label} API key not configured.`);
   }
+  assertWithinBudget();
 
-  const apiUrl = "https://api.openai.com/v1/chat/completions";
   const messages = buildMessages(prompt, contextType, chatHistory, systemPrompt);
   const temperature = options.temperature ?? 0.7;
   const max_tokens = options.max_tokens ?? 2048;
 
-  const requestBody = {
-    model: model,
-    messages: messages,
-    temperature: temperature,
-    max_tokens: max_tokens
-  };
-
-  if (useJsonMode) {
-    requestBody.response_format = { type: "json_object" };
-  }
+  const { url: apiUrl, headers, body: requestBody } = provider.buildRequest({
+    baseUrl,
+    apiKey,
+    model,
+    messages,
+    temperature,
+    maxTokens: max_tokens,
+    jsonMode: useJsonMode,
+    task: contextType
+  });
 
   // --- KEEP THIS LOG: Shows the actual request body ---
   console.log(`[openaiService] Request Body:`, JSON.stringify(requestBody, null, 2));
   // ---
 
-  let timeoutId;
+  const attemptRequest = async () => {
+    const { controller, clear } = createRequestController(options.signal);
+    try {
+      const response = await (provider.fetch || fetch)(apiUrl, {
+        method: "POST",
+        headers: withProxyHeaders(headers, viaProxy, contextType),
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await buildResponseError(provider, response);
+      }
+      return await response.json();
+    } finally {
+      clear();
+    }
+  };
 
   try {
-    // console.log(`[openaiService] Sending request to OpenAI API (Timeout: ${API_TIMEOUT_MS / 1000}s)...`); // Removed
     console.time("openaiApiCallTime");
-
-    const controller = new AbortController();
-    timeoutId = setTimeout(() => {
-        console.warn(`[openaiService] API call timed out after ${API_TIMEOUT_MS / 1000} seconds.`);
-        controller.abort();
-    }, API_TIMEOUT_MS);
-
-    const fetchPromise = fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal
-    });
-
-    const response = await fetchPromise;
-    clearTimeout(timeoutId);
+    const startTime = Date.now();
+    const data = await withRetries(provider, attemptRequest, { signal: options.signal });
+    const latencyMs = Date.now() - startTime;
     console.timeEnd("openaiApiCallTime");
 
-    if (!response.ok) {
-      let errorMessage = `API request failed with status ${response.status}`;
-      try {
-        const errorBody = await response.json();
-        console.error("[openaiService] API Error Response:", errorBody); // Keep error log
-        errorMessage += `: ${errorBody?.error?.message || response.statusText}`;
-      } catch (parseError) { /* console.error("[openaiService] Failed to parse error response:", parseError); */ } // Commented out
-      throw new Error(errorMessage);
+    const responseContent = provider.parseResponse(data, { jsonMode: useJsonMode })?.trim();
+    // Recorded before any check: filtered and empty replies are billed too
+    recordUsage({
+      contextType,
+      provider: provider.id,
+      model,
+      usage: provider.parseUsage?.(data),
+      promptText: getMessagesText(messages),
+      completionText: responseContent || '',
+      latencyMs
+    });
+    if (provider.isContentFiltered?.(data)) {
+      throw new AIServiceError(AI_ERROR_TYPES.CONTENT_FILTER, describeAIError(AI_ERROR_TYPES.CONTENT_FILTER, provider.label), { provider: provider.id });
     }
-
-    const data = await response.json();
-    // console.log("[openaiService] API Response received successfully"); // Removed
-    // console.log("[openaiService] Complete API Response:", data); // Removed (redundant with below)
-
-    const responseContent = data.choices?.[0]?.message?.content?.trim();
     if (!responseContent) {
-        throw new Error("Received empty or invalid response content from API.");
+        throw new AIServiceError(AI_ERROR_TYPES.INVALID_RESPONSE, "Received empty or invalid response content from API.", { provider: provider.id });
     }
 
     // --- KEEP THIS LOG: Shows the actual response content ---
@@ -118,26 +336,147 @@ export const callOpenAI = async (
 
     if (useJsonMode) {
       try {
-        // console.log("[openaiService] Parsing JSON response..."); // Removed
-        const jsonObj = JSON.parse(responseContent);
-        // console.log("[openaiService] Successfully parsed JSON:", jsonObj); // Removed
-        return jsonObj;
+        return parseJsonContent(responseContent);
       } catch (error) {
         console.error("[openaiService] Error parsing JSON response:", error, "Raw:", responseContent); // Keep error log
-        throw new Error(`Failed to parse JSON response: ${error.message}`);
+        throw new AIServiceError(AI_ERROR_TYPES.INVALID_RESPONSE, `Failed to parse JSON response: ${error.message}`, { provider: provider.id });
       }
     }
 
     return responseContent;
 
   } catch (error) {
-    if (timeoutId) { clearTimeout(timeoutId); }
-    console.error("[openaiService] Error calling OpenAI API:", error); // Keep error log
-    if (error.name === 'AbortError') { throw new Error(`OpenAI API request timed out after ${API_TIMEOUT_MS / 1000} seconds`); }
-    else if (error.message.includes('Failed to fetch')) {
-      throw new Error("Network error connecting to OpenAI API. Please check your internet connection.");
+    console.error(`[openaiService] Error calling ${provider.label} API:`, error); // Keep error log
+    throw toServiceError(provider, error, options.signal);
+  }
+};
+
+/**
+ * Stream a plain-text completion from the configured provider.
+ * Tokens are delivered through onToken as they arrive, so the UI can render
+ * long answers incrementally instead of waiting for the whole response.
+ *
+ * @param {string} prompt - The user message
+ * @param {string} contextType - Context label for logging (e.g. 'chat')
+ * @param {Object} options - { model, temperature, max_tokens, signal }
+ * @param {Array} chatHistory - Previous { role, content } messages
+ * @param {string|null} systemPrompt - System prompt
+ * @param {Function} onToken - Called with (deltaText, fullTextSoFar) for every chunk
+ * @returns {Promise<string>} - The complete response text
+ */
+export const streamOpenAI = async (
+    prompt,
+    contextType = "chat",
+    options = {},
+    chatHistory = [],
+    systemPrompt = null,
+    onToken = () => {}
+ ) => {
+  const { provider, baseUrl, apiKey, model: configuredModel, viaProxy } = resolveProvider();
+  const model = options.model || configuredModel;
+
+  console.log(`[openaiService] Sending streaming API Request - Provider: ${provider.id}${viaProxy ? ' (via proxy)' : ''}, Context: ${contextType}, Model: ${model}`);
+
+  if (provider.requiresApiKey && !apiKey && !viaProxy) {
+    throw new AIServiceError(AI_ERROR_TYPES.CONFIG, `${provider.label} API key not configured.`);
+  }
+  assertWithinBudget();
+
+  const messages = buildMessages(prompt, contextType, chatHistory, systemPrompt);
+  const { url: apiUrl, headers, body: requestBody } = provider.buildRequest({
+    baseUrl,
+    apiKey,
+    model,
+    messages,
+    temperature: options.temperature ?? 0.7,
+    maxTokens: options.max_tokens ?? 2048,
+    jsonMode: false,
+    stream: true,
+    task: contextType
+  });
+
+  let fullText = '';
+  let filtered = false;
+  let usage = null; // Merged from stream events; providers may split it across events
+  const startTime = Date.now();
+  const emit = (text) => {
+    if (!text) return;
+    fullText += text;
+    onToken(text, fullText);
+  };
+
+  let usageRecorded = false;
+  const recordStreamUsage = () => {
+    if (usageRecorded) return;
+    usageRecorded = true;
+    recordUsage({
+      contextType,
+      provider: provider.id,
+      model,
+      usage,
+      promptText: getMessagesText(messages),
+      completionText: fullText,
+      latencyMs: Date.now() - startTime
+    });
+  };
+
+  const attemptStream = async () => {
+    const { controller, clear } = createRequestController(options.signal);
+    try {
+      const response = await (provider.fetch || fetch)(apiUrl, {
+        method: "POST",
+        headers: withProxyHeaders(headers, viaProxy, contextType),
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await buildResponseError(provider, response);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.body || typeof provider.parseStreamEvent !== 'function' || contentType.includes('application/json')) {
+        // Backend ignored the stream flag: deliver the whole answer at once
+        const data = await response.json();
+        filtered = !!provider.isContentFiltered?.(data);
+        usage = provider.parseUsage?.(data) || null;
+        emit(provider.parseResponse(data, { jsonMode: false }) || '');
+      } else {
+        await readEventStream(response.body, (event) => {
+          const { text, done, filtered: eventFiltered, usage: eventUsage } = provider.parseStreamEvent(event);
+          if (eventFiltered) filtered = true;
+          if (eventUsage) usage = { ...usage, ...eventUsage };
+          emit(text);
+          return done;
+        });
+      }
+    } finally {
+      clear();
     }
-    throw new Error(`OpenAI API Error: ${error.message || 'Unknown error'}`);
+  };
+
+  try {
+    // Only retry while nothing has been shown yet; a half-rendered answer is kept instead
+    await withRetries(provider, attemptStream, { signal: options.signal, canRetry: () => fullText === '' });
+    recordStreamUsage();
+
+    if (filtered) {
+      throw new AIServiceError(AI_ERROR_TYPES.CONTENT_FILTER, describeAIError(AI_ERROR_TYPES.CONTENT_FILTER, provider.label), { provider: provider.id });
+    }
+    if (!fullText.trim()) {
+      throw new AIServiceError(AI_ERROR_TYPES.INVALID_RESPONSE, "Received empty or invalid response content from API.", { provider: provider.id });
+    }
+    console.log("[openaiService] Streamed Response Content:", fullText);
+    return fullText;
+
+  } catch (error) {
+    console.error(`[openaiService] Error streaming from ${provider.label} API:`, error); // Keep error log
+    const serviceError = toServiceError(provider, error, options.signal);
+    // A stopped or broken stream still used tokens for the text that arrived
+    if (fullText) recordStreamUsage();
+    // Let callers keep whatever arrived before the stream was interrupted
+    serviceError.partialText = fullText;
+    throw serviceError;
   }
 };
 
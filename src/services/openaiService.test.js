@@ -0,0 +1,153 @@
+// FILE: src/services/openaiService.test.js
+import { callOpenAI } from './openaiService';
+import { AI_ERROR_TYPES } from './aiErrors';
+import { recordUsage } from './usageService';
+
+jest.mock('./usageService', () => ({
+  recordUsage: jest.fn(),
+  assertWithinBudget: jest.fn()
+}));
+
+// Minimal fetch Response for a JSON body
+const jsonResponse = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body
+});
+
+const completion = (content, finishReason = 'stop') => ({
+  choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }],
+  usage: { prompt_tokens: 12, completion_tokens: 3 }
+});
+
+describe('callOpenAI', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'time').mockImplementation(() => {});
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  it('sends the request through the proxy and records the usage of the reply', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion('Hello')));
+
+    await expect(callOpenAI('Hi', 'general', {}, [], { model: 'gpt-test' })).resolves.toBe('Hello');
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('/api/ai/chat/completions');
+    expect(init.headers['X-AI-Task']).toBe('general');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'gpt-test', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(recordUsage).toHaveBeenCalledWith(expect.objectContaining({
+      contextType: 'general',
+      model: 'gpt-test',
+      usage: { promptTokens: 12, completionTokens: 3 },
+      completionText: 'Hello'
+    }));
+  });
+
+  it('records the usage of a filtered reply before reporting it', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion('', 'content_filter')));
+
+    await expect(callOpenAI('Hi', 'general')).rejects.toMatchObject({ type: AI_ERROR_TYPES.CONTENT_FILTER });
+    expect(recordUsage).toHaveBeenCalledTimes(1);
+    expect(recordUsage.mock.calls[0][0].usage).toEqual({ promptTokens: 12, completionTokens: 3 });
+  });
+});
+
+describe('callOpenAI retries', () => {
+  let delays;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'time').mockImplementation(() => {});
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    // Backoff waits run at once and are recorded; the 180 s request timeout is left alone
+    delays = [];
+    const realSetTimeout = global.setTimeout;
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms, ...args) => {
+      if (ms >= 180000) return realSetTimeout(callback, ms, ...args);
+      delays.push(ms);
+      return realSetTimeout(callback, 0, ...args);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  const failure = (status, body = null, headers = {}) => jsonResponse(body, { status, headers });
+
+  it('retries server errors with growing, jittered backoff', async () => {
+    fetch
+      .mockResolvedValueOnce(failure(503))
+      .mockResolvedValueOnce(failure(502))
+      .mockResolvedValueOnce(jsonResponse(completion('Hello')));
+
+    await expect(callOpenAI('Hi', 'general')).resolves.toBe('Hello');
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(delays).toEqual([500, 1000]);
+  });
+
+  it('retries network failures and gives up after three retries', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(callOpenAI('Hi', 'general')).rejects.toMatchObject({ type: AI_ERROR_TYPES.NETWORK });
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(delays).toEqual([500, 1000, 2000]);
+  });
+
+  it('waits as long as Retry-After asks, but not longer than a minute', async () => {
+    fetch
+      .mockResolvedValueOnce(failure(429, null, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(jsonResponse(completion('Hello')));
+    await expect(callOpenAI('Hi', 'general')).resolves.toBe('Hello');
+    expect(delays).toEqual([2125]);
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(failure(429, null, { 'retry-after': '120' }));
+    await expect(callOpenAI('Hi', 'general')).rejects.toMatchObject({ type: AI_ERROR_TYPES.RATE_LIMIT, retryAfterMs: 120000 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry key, quota or request errors', async () => {
+    const cases = [
+      [failure(401, { error: { message: 'Invalid key' } }), AI_ERROR_TYPES.AUTH],
+      [failure(429, { error: { code: 'insufficient_quota' } }), AI_ERROR_TYPES.QUOTA],
+      [failure(400, { error: { message: 'Bad request' } }), AI_ERROR_TYPES.INVALID_REQUEST]
+    ];
+    for (const [response, type] of cases) {
+      fetch.mockReset();
+      fetch.mockResolvedValue(response);
+      await expect(callOpenAI('Hi', 'general')).rejects.toMatchObject({ type });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    }
+    expect(delays).toEqual([]);
+  });
+
+  it('stops waiting for a retry when the caller cancels', async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation(async () => {
+      controller.abort();
+      return failure(503);
+    });
+
+    await expect(callOpenAI('Hi', 'general', {}, [], { signal: controller.signal }))
+      .rejects.toMatchObject({ type: AI_ERROR_TYPES.CANCELLED });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
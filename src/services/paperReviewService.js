@@ -3,19 +3,29 @@
 /**
  * Paper review service for analyzing scientific papers against quality criteria
  * Now uses the dedicated documentProcessor for text extraction
+ * Model, temperature and max_tokens come from the 'review' task settings
+ * Calls are tagged 'paper_review' (plain text, not JSON mode)
+ * Prompts come from the prompt registry ('review.system', 'review.task'); the result records their revisions
+ * The alternatives the reviewer chooses between are the categories in sectionContent.json
+ * Criteria, categories and prompts follow the open project's template (templateRegistry)
  */
 import { callOpenAI } from './openaiService';
+import { getTaskSettings } from './aiSettingsService';
+import { isCancelledError } from './aiErrors';
+import { renderPrompt } from '../utils/promptRegistry';
 import { loadPDFJS, extractTextFromDocument } from './documentProcessor';
-import sectionContentData from '../data/sectionContent.json';
+import { getCategories } from '../utils/sectionOrderUtils';
+import { getActiveTemplate } from '../utils/templateRegistry';
 
 /**
- * Extracts the section criteria from sectionContent.json for the review prompt
+ * Extracts the section criteria from a template for the review prompt
+ * @param {Object} template - Template definition
  * @returns {string} Formatted criteria string
  */
-const extractReviewCriteria = () => {
+const extractReviewCriteria = (template) => {
   const criteria = [];
   
-  sectionContentData.sections.forEach(section => {
+  template.sections.forEach(section => {
     if (!section || !section.id || !section.subsections) return;
     
     // Add section title
@@ -39,11 +49,26 @@ const extractReviewCriteria = () => {
 };
 
 /**
- * Reviews a scientific paper against the criteria from sectionContent.json
+ * One line per category for the review prompt, naming its sections as they appear in the criteria
+ * @param {Object} template - Template definition
+ * @returns {string} e.g. "    - Research approach (one or more): Hypothesis, Needs-Based or Exploratory"
+ */
+const extractCategoryChecks = (template) =>
+  getCategories(template).map(category => {
+    const titles = category.sectionIds.map(sectionId =>
+      template.sections.find(section => section.id === sectionId)?.title || sectionId
+    );
+    const options = titles.length > 1 ? `${titles.slice(0, -1).join(', ')} or ${titles[titles.length - 1]}` : titles[0];
+    return `    - ${category.label || category.id}${category.multiSelect ? ' (one or more)' : ''}: ${options}`;
+  }).join('\n');
+
+/**
+ * Reviews a scientific paper against the criteria of the open project's template
  * @param {File} file - The paper file (PDF/DOCX)
+ * @param {Object} options - { signal } to cancel the request
  * @returns {Promise<Object>} Review results
  */
-export const reviewScientificPaper = async (file) => {
+export const reviewScientificPaper = async (file, options = {}) => {
   try {
     // Load PDF.js if needed for PDF files
     if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
@@ -55,57 +80,31 @@ export const reviewScientificPaper = async (file) => {
     const documentText = await extractTextFromDocument(file);
     console.log(`Extraction successful. Text length: ${documentText.length}`);
     
-    // Get the review criteria from sectionContent.json
-    const reviewCriteria = extractReviewCriteria();
+    // Get the review criteria from the project's template
+    const template = getActiveTemplate();
+    const reviewCriteria = extractReviewCriteria(template);
     console.log("Extracted review criteria. Length:", reviewCriteria.length);
     
     // Build the review prompt
-    const systemPrompt = `You are a critical but constructive reviewer, similar to an Ivy League professor 
-with a focus on scientific quality. You evaluate scientific papers on their clarity, logic, 
-methodology, and overall scientific rigor. Be thorough but fair in your assessment.`;
-
-    const userPrompt = `I want you to model a critical but constructive reviewer, similar to an Ivy League professor with a focus on scientific quality. 
-You want the logic of papers to be clear and tight. Use the following criteria to review this paper:
-
-${reviewCriteria}
-
-Use these criteria to evaluate the paper taking into account all the sections and subsections of the review criteria. 
-
-Format your review as follows:
-1. Paper Summary (1-2 paragraphs)
-2. Section-by-Section list Major issues (violations of criteria provided). Spend something like 3 sentences on each point if it presents a problem. Only focus on the major issues with the paper. If there are no issues about a subsection or section, do not mention it.
-  2a. While doing so, make sure that the paper is one of experimental, data generation, or theory, and check only the corresponding subsection. If the paper is a mixture comment on that.
-  2b. Also check if this is hypothesis driven, needs driven, or exploratory research and check if the key criteria of those sections are fulfilled. If it is unclear what it is, say so.
-  2c. Ignore the Audience section
-  2d. Make sure that you check if the paper properly cites and relates to its relevant intellectual traditions.
-  2e. Focus on relations. e.g. Do the hypotheses go with the question? Are they answered?
-  2f. Make sure that all the relevant subsections are labeled with the same titles as in the json so the reader knows how it maps onto their knowledge base.
-  2g. Be very careful about flagging the following logic of a paper. Often times papers set up a big question (e.g. in their abstract), then their research does not really answer the question, but their text suggested that it contributed to answering the question using soft words. If the paper uses this structure, flag it.
-With all these criteria, doublecheck found criticism, it is embarrassing to accuse a paper of a mistake it did not make. When pointing out problems, where possible summarize the aspects with which the paper goes into the right direction before highlighting how it should have gone further.
-
-Key background.
-The goal of this is to show readers the ins and outs of writing good papers, so clarity is of utmost importance while politeness is less central. 
-Refer to the authors as "the authors".
-Make the section names boldfaced.
-Throughout the review mention papers that should be cited (giving the reference, make sure to only add references when you are sure, and do not refer to references published after the paper being reviewed) and flag papers that are miscited if there should be any.
-
-The paper for review:
-${documentText.substring(0, 50000)}${documentText.length > 50000 ? ' [truncated]' : ''}`;
+    const { text: systemPrompt, prompt: systemPromptRef } = renderPrompt('review.system');
+    const { text: userPrompt, prompt: taskPromptRef } = renderPrompt('review.task', {
+      reviewCriteria,
+      categoryChecks: extractCategoryChecks(template),
+      documentText: `${documentText.substring(0, 50000)}${documentText.length > 50000 ? ' [truncated]' : ''}`
+    });
 
     // Call OpenAI API to generate the review
     console.log("Sending review request to OpenAI...");
     
     const reviewResult = await callOpenAI(
       userPrompt,                 // The prompt with paper text and criteria
-      "general",                  // Use "general" context type to avoid JSON mode
+      "paper_review",             // Task label (used by the proxy logs and the mock provider)
       {},                         // Empty user inputs (not needed)
-      sectionContentData.sections, // Section info for context
-      {                           // Options
-        temperature: 0.0,
-        max_tokens: 4000
-      },
+      template.sections,          // Section info for context
+      { ...getTaskSettings('review'), signal: options.signal }, // Options (model, temperature, max_tokens) from Settings
       [],                         // No chat history needed
-      systemPrompt               // System prompt for the reviewer persona
+      systemPrompt,               // System prompt for the reviewer persona
+      false                       // Plain-text review, not JSON mode
     );
     
     console.log("Review generated successfully.");
@@ -115,13 +114,16 @@ ${documentText.substring(0, 50000)}${documentText.length > 50000 ? ' [truncated]
       success: true,
       review: reviewResult,
       paperName: file.name,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      prompts: [systemPromptRef, taskPromptRef]
     };
   } catch (error) {
     console.error("Error reviewing paper:", error);
     return {
       success: false,
       error: error.message || "Unknown error occurred during paper review",
+      errorType: error.type || error.name,
+      cancelled: isCancelledError(error),
       paperName: file.name
     };
   }
@@ -0,0 +1,91 @@
+// FILE: src/services/providers/anthropicProvider.js
+
+/**
+ * Anthropic Messages API provider.
+ * The Messages API has no response_format switch, so JSON mode is emulated by
+ * adding an instruction to the system prompt and prefilling the reply with "{".
+ */
+import { trimBaseUrl, splitSystemMessage, defaultErrorMessage, JSON_ONLY_INSTRUCTION } from './providerBase';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  defaultModel: 'claude-3-5-sonnet-latest',
+  requiresApiKey: true,
+
+  buildRequest: ({ baseUrl, apiKey, model, messages, temperature, maxTokens, jsonMode, stream = false }) => {
+    const { system, turns } = splitSystemMessage(messages);
+
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      // Anthropic accepts 0-1, OpenAI-style callers may pass up to 2
+      temperature: Math.min(temperature, 1),
+      messages: turns.map(msg => ({ role: msg.role, content: msg.content }))
+    };
+
+    const systemText = jsonMode ? [system, JSON_ONLY_INSTRUCTION].filter(Boolean).join('\n\n') : system;
+    if (systemText) {
+      body.system = systemText;
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    if (jsonMode) {
+      body.messages.push({ role: 'assistant', content: '{' });
+    }
+
+    const headers = {
+      "Content-Type": "application/json",
+      "anthropic-version": ANTHROPIC_VERSION,
+      // Required for calls made directly from the browser
+      "anthropic-dangerous-direct-browser-access": "true"
+    };
+    if (apiKey) {
+      headers["x-api-key"] = apiKey;
+    }
+
+    return {
+      url: `${trimBaseUrl(baseUrl || anthropicProvider.defaultBaseUrl)}/messages`,
+      headers,
+      body
+    };
+  },
+
+  parseResponse: (data, { jsonMode } = {}) => {
+    const text = (data?.content || [])
+      .filter(block => block?.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!text) return text;
+    // Restore the prefilled opening brace
+    return jsonMode && !text.trim().startsWith('{') ? `{${text}` : text;
+  },
+
+  parseUsage: (data) => data?.usage
+    ? { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens }
+    : null,
+
+  // Input tokens arrive with message_start, output tokens with message_delta
+  parseStreamEvent: (event) => {
+    let usage = null;
+    if (event?.type === 'message_start' && event.message?.usage) {
+      usage = { promptTokens: event.message.usage.input_tokens };
+    } else if (event?.type === 'message_delta' && event.usage) {
+      usage = { completionTokens: event.usage.output_tokens };
+    }
+    return {
+      text: event?.type === 'content_block_delta' ? (event.delta?.text || '') : '',
+      done: event?.type === 'message_stop',
+      filtered: event?.type === 'message_delta' && event.delta?.stop_reason === 'refusal',
+      usage
+    };
+  },
+
+  isContentFiltered: (data) => data?.stop_reason === 'refusal',
+
+  mapError: (status, body) => defaultErrorMessage(anthropicProvider.label, status, body)
+};
@@ -0,0 +1,50 @@
+// FILE: src/services/providers/anthropicProvider.test.js
+import { anthropicProvider } from './anthropicProvider';
+import { JSON_ONLY_INSTRUCTION } from './providerBase';
+
+const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }];
+const request = { baseUrl: null, apiKey: 'key', model: 'claude', messages, temperature: 1.5, maxTokens: 100 };
+
+describe('anthropicProvider', () => {
+  it('builds a Messages API request with the system prompt apart and temperature capped at 1', () => {
+    expect(anthropicProvider.buildRequest(request)).toEqual({
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true',
+        'x-api-key': 'key'
+      },
+      body: { model: 'claude', max_tokens: 100, temperature: 1, system: 'Be brief.', messages: [{ role: 'user', content: 'Hi' }] }
+    });
+  });
+
+  it('asks for JSON in the system prompt and prefills the opening brace', () => {
+    const { body } = anthropicProvider.buildRequest({ ...request, jsonMode: true });
+    expect(body.system).toBe(`Be brief.\n\n${JSON_ONLY_INSTRUCTION}`);
+    expect(body.messages[body.messages.length - 1]).toEqual({ role: 'assistant', content: '{' });
+    expect(anthropicProvider.parseResponse({ content: [{ type: 'text', text: '"a": 1}' }] }, { jsonMode: true })).toBe('{"a": 1}');
+  });
+
+  it('reads text blocks, usage and refusals from a response', () => {
+    const data = {
+      content: [{ type: 'text', text: 'Hel' }, { type: 'tool_use' }, { type: 'text', text: 'lo' }],
+      usage: { input_tokens: 10, output_tokens: 2 },
+      stop_reason: 'end_turn'
+    };
+    expect(anthropicProvider.parseResponse(data)).toBe('Hello');
+    expect(anthropicProvider.parseUsage(data)).toEqual({ promptTokens: 10, completionTokens: 2 });
+    expect(anthropicProvider.isContentFiltered(data)).toBe(false);
+    expect(anthropicProvider.isContentFiltered({ stop_reason: 'refusal' })).toBe(true);
+  });
+
+  it('collects usage from the start and delta events of a stream', () => {
+    expect(anthropicProvider.parseStreamEvent({ type: 'message_start', message: { usage: { input_tokens: 10 } } }).usage)
+      .toEqual({ promptTokens: 10 });
+    expect(anthropicProvider.parseStreamEvent({ type: 'content_block_delta', delta: { text: 'Hi' } }))
+      .toEqual({ text: 'Hi', done: false, filtered: false, usage: null });
+    expect(anthropicProvider.parseStreamEvent({ type: 'message_delta', delta: { stop_reason: 'refusal' }, usage: { output_tokens: 2 } }))
+      .toEqual({ text: '', done: false, filtered: true, usage: { completionTokens: 2 } });
+    expect(anthropicProvider.parseStreamEvent({ type: 'message_stop' }).done).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+// FILE: src/services/providers/index.js
+
+/**
+ * Registry of LLM providers that callOpenAI can route requests through
+ */
+import { openaiProvider, openaiCompatibleProvider } from './openaiProvider';
+import { anthropicProvider } from './anthropicProvider';
+import { ollamaProvider } from './ollamaProvider';
+import { mockProvider } from './mockProvider';
+
+const providers = {
+  [openaiProvider.id]: openaiProvider,
+  [openaiCompatibleProvider.id]: openaiCompatibleProvider,
+  [anthropicProvider.id]: anthropicProvider,
+  [ollamaProvider.id]: ollamaProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+// Aliases so config values like "vllm" or "local" resolve to a real provider
+const providerAliases = {
+  vllm: openaiCompatibleProvider.id,
+  local: openaiCompatibleProvider.id,
+  compatible: openaiCompatibleProvider.id,
+  claude: anthropicProvider.id,
+};
+
+/**
+ * Registers an additional provider (e.g. a test double)
+ * @param {Object} provider - Provider object implementing the common interface
+ */
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id || typeof provider.buildRequest !== 'function' || typeof provider.parseResponse !== 'function') {
+    throw new Error("Invalid provider: id, buildRequest and parseResponse are required.");
+  }
+  providers[provider.id] = provider;
+};
+
+/**
+ * Looks up a provider by id or alias
+ * @param {string} providerId - Provider id
+ * @returns {Object|null} - Provider object or null if unknown
+ */
+export const getProvider = (providerId) => {
+  const key = (providerId || '').toLowerCase();
+  return providers[providerAliases[key] || key] || null;
+};
+
+/**
+ * Lists registered providers for settings UIs (hidden providers such as the mock are left out)
+ * @returns {Array<{id: string, label: string}>}
+ */
+export const listProviders = () =>
+  Object.values(providers).filter(provider => !provider.hidden).map(({ id, label }) => ({ id, label }));
+
+export { parseJsonContent, readEventStream } from './providerBase';
@@ -0,0 +1,22 @@
+// FILE: src/services/providers/index.test.js
+import { getProvider, registerProvider, listProviders } from './index';
+
+describe('provider registry', () => {
+  it('resolves ids and aliases regardless of case', () => {
+    expect(getProvider('OpenAI').id).toBe('openai');
+    expect(getProvider('vllm').id).toBe('openai-compatible');
+    expect(getProvider('claude').id).toBe('anthropic');
+    expect(getProvider('unknown')).toBeNull();
+    expect(getProvider(undefined)).toBeNull();
+  });
+
+  it('leaves the mock provider out of the settings list', () => {
+    expect(listProviders().map(provider => provider.id)).toEqual(['openai', 'openai-compatible', 'anthropic', 'ollama']);
+  });
+
+  it('registers complete providers only', () => {
+    expect(() => registerProvider({ id: 'broken', buildRequest: () => ({}) })).toThrow(/Invalid provider/);
+    registerProvider({ id: 'stub', label: 'Stub', buildRequest: () => ({}), parseResponse: () => '' });
+    expect(getProvider('stub').label).toBe('Stub');
+  });
+});
@@ -0,0 +1,308 @@
+// FILE: src/services/providers/mockProvider.js
+
+/**
+ * Offline mock provider for development, demos and integration tests.
+ * Enabled with the USE_MOCK_AI feature flag (config/featureFlags.js). It speaks
+ * the OpenAI chat completions format, but instead of going over the network its
+ * `fetch` builds a deterministic, content-sensitive reply from the prompt:
+ *   - chat: points to the least-covered instructions of the current section
+ *   - improve_instructions_structured: generateMockStructuredAnalysis
+ *   - document_import_task: the document's sentences sorted into the template's subsections
+ *   - paper_review: a review listing criteria the paper never mentions
+ * The same prompt always produces the same reply.
+ * Import fields, review criteria and chat instructions come from the open
+ * project's template, including its custom sections.
+ */
+import { createOpenAICompatibleProvider } from './openaiProvider';
+import { generateMockStructuredAnalysis, extractMockKeywords } from '../../utils/promptUtils';
+import { estimateTokens } from '../usageService';
+import { getActiveTemplate } from '../../utils/templateRegistry';
+import { getCategories } from '../../utils/sectionOrderUtils';
+import { joinSubsectionContent } from '../../utils/subsectionContentUtils';
+// Markers in the prompts built by the services
+const FEEDBACK_SECTIONS_MARKER = 'Here are the sections and their subsection instructions to evaluate:';
+const DOCUMENT_START_MARKER = '--- DOCUMENT TEXT START ---';
+const DOCUMENT_END_MARKER = '--- DOCUMENT TEXT END ---';
+const REVIEW_PAPER_MARKER = 'The paper for review:';
+
+const STREAM_CHUNK_DELAY_MS = 15;
+const MAX_IMPORT_SENTENCES = 2; // Per subsection
+
+/**
+ * Small stable hash so "random" choices are repeatable
+ * @param {string} text - Input
+ * @returns {number}
+ */
+const hashString = (text = '') => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+const getLastUserMessage = (messages) =>
+  [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+const getSystemPrompt = (messages) =>
+  messages.find(message => message.role === 'system')?.content || '';
+
+const textBetween = (text, start, end) => {
+  const startIndex = text.indexOf(start);
+  if (startIndex === -1) return '';
+  const from = startIndex + start.length;
+  const endIndex = end ? text.indexOf(end, from) : -1;
+  return text.substring(from, endIndex === -1 ? text.length : endIndex).trim();
+};
+
+/**
+ * Mock section feedback: re-reads the sections embedded in the feedback prompt
+ * (including the first prompt when this is a re-prompt)
+ */
+const mockFeedback = (messages) => {
+  const prompt = [...messages].reverse().find(message => message.role === 'user' && message.content.includes(FEEDBACK_SECTIONS_MARKER));
+  let sectionsForAnalysis = [];
+  try {
+    sectionsForAnalysis = JSON.parse(textBetween(prompt?.content || '', FEEDBACK_SECTIONS_MARKER));
+  } catch (error) {
+    console.warn("[mockProvider] Could not read sections from the feedback prompt:", error.message);
+  }
+  return JSON.stringify({ results: generateMockStructuredAnalysis(sectionsForAnalysis) });
+};
+
+/**
+ * Mock document import: fills each subsection of the open project's template with the
+ * document sentences sharing the most keywords with its instructions. Of each category
+ * only the best-matching section is filled, as the import prompt asks of the model.
+ */
+const mockDocumentImport = (messages) => {
+  const documentText = textBetween(getLastUserMessage(messages), DOCUMENT_START_MARKER, DOCUMENT_END_MARKER);
+  const sentences = (documentText.match(/[^.!?\n]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .map(text => ({ text, keywords: new Set(extractMockKeywords(text)) }));
+
+  const template = getActiveTemplate();
+  const matches = template.sections.reduce((byId, section) => {
+    const subsections = section.subsections || [];
+    const fields = {};
+    let score = 0;
+    subsections.forEach(subsection => {
+      const keywords = extractMockKeywords(`${subsection.title} ${subsection.instruction}`);
+      const best = sentences
+        .map(sentence => ({ text: sentence.text, hits: keywords.filter(keyword => sentence.keywords.has(keyword)).length }))
+        .filter(sentence => sentence.hits > 0)
+        .sort((a, b) => b.hits - a.hits)
+        .slice(0, MAX_IMPORT_SENTENCES);
+      if (best.length === 0) return;
+      fields[subsection.id] = best.map(sentence => sentence.text).join(' ');
+      score += best.reduce((sum, sentence) => sum + sentence.hits, 0);
+    });
+    byId[section.id] = { score, text: joinSubsectionContent({ fields }, subsections) };
+    return byId;
+  }, {});
+
+  // Of each category the section with the highest score; the default one on a tie
+  const categories = getCategories(template);
+  const categoryChoices = new Set(categories.map(category => category.sectionIds.reduce(
+    (bestId, sectionId) => (matches[sectionId].score > matches[bestId].score ? sectionId : bestId),
+    category.defaultSection
+  )));
+  const categorySectionIds = new Set(categories.flatMap(category => category.sectionIds));
+
+  const userInputs = {};
+  template.sections.forEach(section => {
+    const { text } = matches[section.id];
+    if (!text || (categorySectionIds.has(section.id) && !categoryChoices.has(section.id))) return;
+    userInputs[section.id] = text;
+  });
+  return JSON.stringify({ userInputs });
+};
+
+/**
+ * Mock paper review: flags every review criterion whose keywords the paper never uses
+ */
+const mockPaperReview = (messages) => {
+  const paperText = textBetween(getLastUserMessage(messages), REVIEW_PAPER_MARKER);
+  const paperKeywords = new Set(extractMockKeywords(paperText));
+  const wordCount = (paperText.match(/\S+/g) || []).length;
+  const firstSentence = (paperText.match(/^[^.!?]*[.!?]?/)[0] || '').trim().substring(0, 200);
+
+  const issues = getActiveTemplate().sections
+    .filter(section => section.id !== 'audience')
+    .map(section => {
+      const missing = (section.subsections || []).filter(subsection => {
+        const keywords = extractMockKeywords(`${subsection.title} ${subsection.instruction}`);
+        return keywords.filter(keyword => paperKeywords.has(keyword)).length < Math.min(2, keywords.length);
+      });
+      if (missing.length === 0) return null;
+      const points = missing.map(subsection => `- ${subsection.title}: the paper does not clearly address this. ${subsection.instruction}`);
+      return `**${section.title}**\n${points.join('\n')}`;
+    })
+    .filter(Boolean);
+
+  return [
+    '**Paper Summary**',
+    `The authors present a ${wordCount}-word manuscript beginning: "${firstSentence}"`,
+    '(This review was generated offline by the mock AI and only checks which criteria the text mentions.)',
+    '',
+    '**Major Issues**',
+    issues.length ? issues.join('\n\n') : 'The paper touches on every review criterion.'
+  ].join('\n');
+};
+
+/**
+ * Mock chat reply: answers with the instructions the current draft covers least
+ */
+const mockChat = (messages) => {
+  const systemPrompt = getSystemPrompt(messages);
+  const question = getLastUserMessage(messages);
+  const sectionTitle = (systemPrompt.match(/specifically the "([^"]+)" section/) || [])[1];
+  const sectionDef = getActiveTemplate().sections.find(section => section.title === sectionTitle);
+  const draftKeywords = new Set(extractMockKeywords(textBetween(systemPrompt, "Scientist's current work:")));
+
+  const suggestions = (sectionDef?.subsections || [])
+    .map(subsection => {
+      const keywords = extractMockKeywords(`${subsection.title} ${subsection.instruction}`);
+      return { subsection, covered: keywords.filter(keyword => draftKeywords.has(keyword)).length };
+    })
+    .sort((a, b) => a.covered - b.covered)
+    .slice(0, 2)
+    .map(({ subsection }) => `- **${subsection.title}**: ${subsection.instruction.split('. ')[0].replace(/\.?$/, '.')}`);
+
+  const openers = [
+    'Good question!',
+    "Let's think this through.",
+    'Happy to help with that.',
+    'Interesting point.'
+  ];
+  const quoted = question.length > 120 ? `${question.substring(0, 117)}...` : question;
+
+  return [
+    `${openers[hashString(question) % openers.length]} You asked: "${quoted}"`,
+    '',
+    suggestions.length
+      ? `Looking at your ${sectionTitle.toLowerCase()} so far, these points could use more attention:\n${suggestions.join('\n')}`
+      : 'Try to be as specific as you can, and tie every claim back to your research question.',
+    '',
+    '_(Mock AI reply - no model was called.)_'
+  ].join('\n');
+};
+
+/**
+ * Build the reply text for a request body
+ * @param {Object} body - Request body from buildRequest (includes the task)
+ * @returns {string}
+ */
+export const generateMockReply = (body) => {
+  const messages = body.messages || [];
+  switch (body.task) {
+    case 'improve_instructions_structured':
+      return mockFeedback(messages);
+    case 'document_import_task':
+      return mockDocumentImport(messages);
+    case 'paper_review':
+      return mockPaperReview(messages);
+    default:
+      return body.response_format ? JSON.stringify({ response: mockChat(messages) }) : mockChat(messages);
+  }
+};
+
+const abortError = () => {
+  const error = new Error('The mock request was aborted.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timeoutId = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    reject(abortError());
+  }, { once: true });
+});
+
+/**
+ * Reader over SSE lines in the OpenAI streaming format, paced like a real model
+ */
+const createStreamBody = (text, usage, signal) => {
+  const chunks = text.match(/\S+\s*|\s+/g) || [];
+  const encoder = new TextEncoder();
+  let index = 0;
+  let cancelled = false;
+  const toEvent = (payload) => encoder.encode(`data: ${JSON.stringify(payload)}\n\n`);
+
+  return {
+    getReader: () => ({
+      read: async () => {
+        if (cancelled || index > chunks.length + 1) return { done: true, value: undefined };
+        await wait(STREAM_CHUNK_DELAY_MS, signal);
+        if (index === chunks.length) {
+          index++;
+          return { done: false, value: toEvent({ choices: [{ delta: {}, finish_reason: 'stop' }] }) };
+        }
+        if (index > chunks.length) {
+          index++;
+          return { done: false, value: toEvent({ choices: [], usage }) };
+        }
+        const content = chunks[index++];
+        return { done: false, value: toEvent({ choices: [{ delta: { content }, finish_reason: null }] }) };
+      },
+      cancel: async () => { cancelled = true; }
+    })
+  };
+};
+
+const baseProvider = createOpenAICompatibleProvider({
+  id: 'mock',
+  label: 'Mock AI',
+  defaultBaseUrl: 'mock://ai',
+  defaultModel: 'mock-model',
+  requiresApiKey: false,
+  streamUsage: true
+});
+
+export const mockProvider = {
+  ...baseProvider,
+  hidden: true, // Selected through the feature flag, not the Settings modal
+
+  // Remember the task so the mock knows which kind of reply to build
+  buildRequest: (params) => {
+    const request = baseProvider.buildRequest(params);
+    return { ...request, body: { ...request.body, task: params.task } };
+  },
+
+  /**
+   * Stands in for window.fetch; returns a minimal Response-like object
+   * @param {string} url - Ignored
+   * @param {Object} init - fetch init with a JSON body and an optional signal
+   * @returns {Promise<Object>}
+   */
+  fetch: async (url, init = {}) => {
+    const body = JSON.parse(init.body || '{}');
+    const text = generateMockReply(body);
+    const streaming = !!body.stream && typeof TextEncoder !== 'undefined';
+    console.log(`[mockProvider] Mock ${streaming ? 'stream' : 'reply'} for task: ${body.task || 'general'}`);
+
+    // Token counts estimated the same way the usage service does for providers without usage data
+    const usage = {
+      prompt_tokens: estimateTokens((body.messages || []).map(message => message.content).join('\n')),
+      completion_tokens: estimateTokens(text)
+    };
+
+    if (!streaming) await wait(STREAM_CHUNK_DELAY_MS, init.signal);
+    const data = { choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }], usage };
+    return {
+      ok: true,
+      status: 200,
+      statusText: 'OK',
+      headers: { get: (name) => (name.toLowerCase() === 'content-type' ? (streaming ? 'text/event-stream' : 'application/json') : null) },
+      body: streaming ? createStreamBody(text, usage, init.signal) : null,
+      json: async () => data
+    };
+  }
+};
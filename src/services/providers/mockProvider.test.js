@@ -0,0 +1,136 @@
+// FILE: src/services/providers/mockProvider.test.js
+import featureFlags from '../../config/featureFlags';
+import useAppStore from '../../store/appStore';
+import { selectVisibility } from '../../logic/progressionLogic';
+import { getActiveTemplate } from '../../utils/templateRegistry';
+import { callOpenAI } from '../openaiService';
+import { improveBatchInstructions } from '../instructionImprovementService';
+import { importDocumentContent } from '../documentImportService';
+import { reviewScientificPaper } from '../paperReviewService';
+import { extractTextFromDocument } from '../documentProcessor';
+
+jest.mock('../documentProcessor', () => ({
+  loadPDFJS: jest.fn(),
+  extractTextFromDocument: jest.fn()
+}));
+
+const docxFile = (name) => ({ name, type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+
+// Text that mentions every instruction of a section, long enough for the top rating
+const coveringText = (sectionId) => getActiveTemplate().sections
+  .find(section => section.id === sectionId).subsections
+  .map(subsection => `${subsection.title}. ${subsection.instruction}`)
+  .join('\n\n');
+
+// Feedback on every section that needs it, applied to the store as the planner does
+const requestFeedback = async () => {
+  const result = await improveBatchInstructions(null, null, null, true);
+  result.improvedData.forEach(feedback => useAppStore.getState().updateSectionFeedback(feedback.id, feedback));
+  return result;
+};
+
+describe('mock provider', () => {
+  beforeAll(() => {
+    featureFlags.USE_MOCK_AI = true;
+  });
+
+  afterAll(() => {
+    featureFlags.USE_MOCK_AI = false;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'time').mockImplementation(() => {});
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => {});
+    useAppStore.getState().resetState('paper');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers without a key or network and returns the same reply for the same prompt', async () => {
+    const fetchSpy = jest.spyOn(window, 'fetch').mockImplementation(() => Promise.reject(new Error('offline')));
+    const ask = () => callOpenAI('How do I narrow my question?', 'general', {}, [], {}, [], 'You are a helpful assistant.');
+
+    const reply = await ask();
+    expect(reply).toContain('How do I narrow my question?');
+    expect(await ask()).toBe(reply);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('rates feedback by the instructions the text covers, and a high rating unlocks the next sections', async () => {
+    useAppStore.getState().updateSectionContent('question', 'A short question.');
+    const weak = await requestFeedback();
+
+    expect(weak.success).toBe(true);
+    expect(weak.improvedData.map(feedback => feedback.id)).toEqual(['question']);
+    expect(useAppStore.getState().scores.question).toBeLessThan(6);
+    expect(selectVisibility(useAppStore.getState()).sections.hypothesis).toBe(false);
+
+    useAppStore.getState().updateSectionContent('question', coveringText('question'));
+    const strong = await requestFeedback();
+
+    expect(strong.improvedData[0].subsections.every(subsection => subsection.isComplete)).toBe(true);
+    expect(useAppStore.getState().scores.question).toBe(10);
+    expect(selectVisibility(useAppStore.getState()).sections.hypothesis).toBe(true);
+    expect(selectVisibility(useAppStore.getState()).sections.relatedpapers).toBe(false);
+  });
+
+  it("imports a document into the open template's sections, including custom ones", async () => {
+    useAppStore.getState().resetState('thesisChapter');
+    const customId = useAppStore.getState().addCustomSection({
+      title: 'Outreach',
+      subsections: [{ title: 'Public Engagement', instruction: 'Describe workshops planned for school students.' }]
+    });
+    extractTextFromDocument.mockResolvedValue([
+      'This chapter asks whether sleep consolidates motor memories.',
+      'We ran workshops with school students about sleep.',
+      'Limitations include the small sample.'
+    ].join(' '));
+
+    const result = await importDocumentContent(docxFile('chapter.docx'));
+    const sectionIds = getActiveTemplate().sections.map(section => section.id);
+
+    expect(result.templateId).toBe('thesisChapter');
+    expect(Object.keys(result.userInputs).every(id => sectionIds.includes(id))).toBe(true);
+    expect(result.userInputs[customId]).toBe('### Public Engagement\nWe ran workshops with school students about sleep.');
+    expect(result.userInputs.discussion).toContain('Limitations include the small sample.');
+  });
+
+  it('fills only the best-matching section of each category on import', async () => {
+    extractTextFromDocument.mockResolvedValue(
+      'We simulate a computational model and state its key assumptions. The model framework is validated against data.'
+    );
+
+    const { userInputs } = await importDocumentContent(docxFile('paper.docx'));
+
+    expect(userInputs.theorysimulation).toContain('computational model');
+    expect(userInputs.experiment).toBeUndefined();
+    expect(userInputs.existingdata).toBeUndefined();
+  });
+
+  it('reviews a paper against the criteria it never mentions', async () => {
+    extractTextFromDocument.mockResolvedValue('We test a hypothesis about memory. Our hypotheses are distinct and we discuss alternatives.');
+
+    const result = await reviewScientificPaper(docxFile('paper.docx'));
+
+    expect(result.success).toBe(true);
+    expect(result.review).toMatch(/^\*\*Paper Summary\*\*/);
+    expect(result.review).toContain('**Analysis**');
+    expect(result.review).not.toContain('Formulate 2+ Distinct Hypotheses');
+  });
+
+  it("answers a chat message with the current section's least covered instructions", async () => {
+    useAppStore.getState().setCurrentChatSectionId('question');
+    await useAppStore.getState().sendMessage('What should I work on next?');
+
+    const [question, reply] = useAppStore.getState().chatMessages.question;
+    expect(question).toMatchObject({ role: 'user', content: 'What should I work on next?' });
+    expect(reply.role).toBe('assistant');
+    expect(reply.isStreaming).toBe(false);
+    expect(reply.content).toContain('You asked: "What should I work on next?"');
+    expect(reply.content).toContain('these points could use more attention');
+  });
+});
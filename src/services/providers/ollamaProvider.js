@@ -0,0 +1,57 @@
+// FILE: src/services/providers/ollamaProvider.js
+
+/**
+ * Ollama native /api/chat provider for self-hosted models.
+ * Ollama supports JSON mode through its `format: "json"` option.
+ */
+import { trimBaseUrl, defaultErrorMessage } from './providerBase';
+
+export const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama',
+  defaultBaseUrl: 'http://localhost:11434',
+  defaultModel: 'llama3.1',
+  requiresApiKey: false,
+
+  buildRequest: ({ baseUrl, apiKey, model, messages, temperature, maxTokens, jsonMode, stream = false }) => {
+    const body = {
+      model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (jsonMode) {
+      body.format = 'json';
+    }
+
+    const headers = { "Content-Type": "application/json" };
+    // Ollama itself has no auth, but reverse proxies in front of it often do
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+      url: `${trimBaseUrl(baseUrl || ollamaProvider.defaultBaseUrl)}/api/chat`,
+      headers,
+      body
+    };
+  },
+
+  parseResponse: (data) => data?.message?.content,
+
+  parseUsage: (data) => data?.done
+    ? { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count }
+    : null,
+
+  // Ollama streams newline-delimited JSON rather than SSE; the final line carries the token counts
+  parseStreamEvent: (event) => ({
+    text: event?.message?.content || '',
+    done: !!event?.done,
+    usage: event?.done ? { promptTokens: event.prompt_eval_count, completionTokens: event.eval_count } : null
+  }),
+
+  mapError: (status, body) => defaultErrorMessage(ollamaProvider.label, status, body)
+};
@@ -0,0 +1,24 @@
+// FILE: src/services/providers/ollamaProvider.test.js
+import { ollamaProvider } from './ollamaProvider';
+
+describe('ollamaProvider', () => {
+  it('builds an /api/chat request with JSON format and generation options', () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+    expect(ollamaProvider.buildRequest({
+      baseUrl: 'http://gpu-box:11434/', model: 'llama3.1', messages, temperature: 0.2, maxTokens: 50, jsonMode: true
+    })).toEqual({
+      url: 'http://gpu-box:11434/api/chat',
+      headers: { 'Content-Type': 'application/json' },
+      body: { model: 'llama3.1', messages, stream: false, options: { temperature: 0.2, num_predict: 50 }, format: 'json' }
+    });
+  });
+
+  it('reads the reply and the token counts of the final message', () => {
+    const data = { message: { content: 'Hello' }, done: true, prompt_eval_count: 10, eval_count: 2 };
+    expect(ollamaProvider.parseResponse(data)).toBe('Hello');
+    expect(ollamaProvider.parseUsage(data)).toEqual({ promptTokens: 10, completionTokens: 2 });
+    expect(ollamaProvider.parseStreamEvent({ message: { content: 'Hel' }, done: false }))
+      .toEqual({ text: 'Hel', done: false, usage: null });
+    expect(ollamaProvider.parseStreamEvent(data)).toEqual({ text: 'Hello', done: true, usage: { promptTokens: 10, completionTokens: 2 } });
+  });
+});
@@ -0,0 +1,93 @@
+// FILE: src/services/providers/openaiProvider.js
+
+/**
+ * OpenAI chat completions provider, plus a generic variant for any
+ * OpenAI-compatible server (vLLM, LM Studio, Ollama's /v1 endpoint, local stand-ins).
+ */
+import { trimBaseUrl, defaultErrorMessage } from './providerBase';
+
+/**
+ * Creates a provider that speaks the OpenAI /chat/completions protocol
+ * @param {Object} config - Provider identity and defaults
+ * @returns {Object} - Provider object
+ */
+export const createOpenAICompatibleProvider = ({
+  id,
+  label,
+  defaultBaseUrl,
+  defaultModel,
+  requiresApiKey,
+  streamUsage = false // Ask for a final usage chunk when streaming (OpenAI's stream_options)
+}) => ({
+  id,
+  label,
+  defaultBaseUrl,
+  defaultModel,
+  requiresApiKey,
+
+  buildRequest: ({ baseUrl, apiKey, model, messages, temperature, maxTokens, jsonMode, stream = false }) => {
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (stream) {
+      body.stream = true;
+      if (streamUsage) {
+        body.stream_options = { include_usage: true };
+      }
+    }
+    if (jsonMode) {
+      body.response_format = { type: "json_object" };
+    }
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+      url: `${trimBaseUrl(baseUrl || defaultBaseUrl)}/chat/completions`,
+      headers,
+      body
+    };
+  },
+
+  parseResponse: (data) => data?.choices?.[0]?.message?.content,
+
+  parseUsage: (data) => data?.usage
+    ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+    : null,
+
+  // With stream_options the usage chunk follows the finish_reason chunk, so keep reading until [DONE]
+  parseStreamEvent: (event) => ({
+    text: event?.choices?.[0]?.delta?.content || '',
+    done: !streamUsage && !!event?.choices?.[0]?.finish_reason,
+    filtered: event?.choices?.[0]?.finish_reason === 'content_filter',
+    usage: event?.usage
+      ? { promptTokens: event.usage.prompt_tokens, completionTokens: event.usage.completion_tokens }
+      : null
+  }),
+
+  isContentFiltered: (data) => data?.choices?.[0]?.finish_reason === 'content_filter',
+
+  mapError: (status, body) => defaultErrorMessage(label, status, body)
+});
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  defaultModel: 'gpt-4o',
+  requiresApiKey: true,
+  streamUsage: true
+});
+
+export const openaiCompatibleProvider = createOpenAICompatibleProvider({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible server',
+  defaultBaseUrl: 'http://localhost:8000/v1',
+  defaultModel: 'default',
+  requiresApiKey: false
+});
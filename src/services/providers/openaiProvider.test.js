@@ -0,0 +1,54 @@
+// FILE: src/services/providers/openaiProvider.test.js
+import { openaiProvider, openaiCompatibleProvider } from './openaiProvider';
+
+const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }];
+const request = { baseUrl: null, apiKey: 'sk-test', model: 'gpt-4o', messages, temperature: 0.5, maxTokens: 100 };
+
+describe('openaiProvider', () => {
+  it('builds a chat completions request with the key, JSON mode and streaming usage', () => {
+    expect(openaiProvider.buildRequest({ ...request, jsonMode: true })).toEqual({
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer sk-test' },
+      body: { model: 'gpt-4o', messages, temperature: 0.5, max_tokens: 100, response_format: { type: 'json_object' } }
+    });
+    expect(openaiProvider.buildRequest({ ...request, stream: true }).body).toMatchObject({
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+  });
+
+  it('reads the reply, usage and content filter from a response', () => {
+    const data = {
+      choices: [{ message: { content: 'Hello' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 2 }
+    };
+    expect(openaiProvider.parseResponse(data)).toBe('Hello');
+    expect(openaiProvider.parseUsage(data)).toEqual({ promptTokens: 10, completionTokens: 2 });
+    expect(openaiProvider.parseUsage({ choices: [] })).toBeNull();
+    expect(openaiProvider.isContentFiltered(data)).toBe(false);
+    expect(openaiProvider.isContentFiltered({ choices: [{ finish_reason: 'content_filter' }] })).toBe(true);
+  });
+
+  it('keeps reading a stream after finish_reason for the usage chunk', () => {
+    expect(openaiProvider.parseStreamEvent({ choices: [{ delta: { content: 'Hel' }, finish_reason: null }] }))
+      .toEqual({ text: 'Hel', done: false, filtered: false, usage: null });
+    expect(openaiProvider.parseStreamEvent({ choices: [{ delta: {}, finish_reason: 'stop' }] }).done).toBe(false);
+    expect(openaiProvider.parseStreamEvent({ choices: [], usage: { prompt_tokens: 10, completion_tokens: 2 } }).usage)
+      .toEqual({ promptTokens: 10, completionTokens: 2 });
+  });
+});
+
+describe('openaiCompatibleProvider', () => {
+  it('uses the configured base URL, no key header without a key and no stream options', () => {
+    const { url, headers, body } = openaiCompatibleProvider.buildRequest({
+      ...request, baseUrl: 'http://localhost:8000/v1/', apiKey: null, stream: true
+    });
+    expect(url).toBe('http://localhost:8000/v1/chat/completions');
+    expect(headers).toEqual({ 'Content-Type': 'application/json' });
+    expect(body.stream_options).toBeUndefined();
+  });
+
+  it('ends a stream at finish_reason', () => {
+    expect(openaiCompatibleProvider.parseStreamEvent({ choices: [{ delta: {}, finish_reason: 'stop' }] }).done).toBe(true);
+  });
+});
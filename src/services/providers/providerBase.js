@@ -0,0 +1,135 @@
+// FILE: src/services/providers/providerBase.js
+
+/**
+ * Shared helpers for LLM providers.
+ *
+ * Every provider module exports an object with the same shape:
+ *   id, label                 - registry key and human readable name
+ *   defaultBaseUrl            - used when no base URL is configured
+ *   defaultModel              - used when no model is configured
+ *   requiresApiKey            - whether a call without a key should fail early
+ *   buildRequest(request)     - returns { url, headers, body } for fetch; `request.stream`
+ *                               asks for an incremental (SSE / NDJSON) response and
+ *                               `request.task` is the caller's context type
+ *   parseResponse(data)       - returns the assistant text from a response body
+ *   parseStreamEvent(event)   - returns { text, done, filtered, usage } for one parsed stream event;
+ *                               usage may hold only promptTokens or completionTokens
+ *   parseUsage(data)          - optional; { promptTokens, completionTokens } from a response body
+ *   isContentFiltered(data)   - optional; true when the provider's safety filter cut the reply
+ *   mapError(status, body)    - returns a readable message for a failed response
+ *   fetch(url, init)          - optional; replaces window.fetch (used by the offline mock)
+ *   hidden                    - optional; leave out of the Settings provider list
+ */
+
+/**
+ * Removes a trailing slash so paths can be appended safely
+ * @param {string} url - Base URL
+ * @returns {string} - URL without trailing slash
+ */
+export const trimBaseUrl = (url = '') => url.replace(/\/+$/, '');
+
+/**
+ * Instruction appended to the system prompt for providers without a native JSON mode
+ */
+export const JSON_ONLY_INSTRUCTION =
+  'Respond ONLY with a single valid JSON object. Do not wrap it in markdown code fences and do not add any text before or after it.';
+
+/**
+ * Splits an OpenAI-style message list into a system prompt and the remaining turns
+ * @param {Array} messages - Array of { role, content }
+ * @returns {{ system: string, turns: Array }}
+ */
+export const splitSystemMessage = (messages = []) => {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content)
+    .join('\n\n');
+  const turns = messages.filter(msg => msg.role !== 'system');
+  return { system, turns };
+};
+
+/**
+ * Parses JSON returned by a model, tolerating markdown fences or leading chatter
+ * @param {string} text - Raw model output
+ * @returns {Object|Array} - Parsed JSON
+ * @throws {Error} - If no JSON value can be found
+ */
+export const parseJsonContent = (text) => {
+  const trimmed = (text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (firstError) {
+    // Strip ```json fences
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+      return JSON.parse(fenced[1].trim());
+    }
+    // Fall back to the outermost object or array
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      return JSON.parse(trimmed.substring(start, end + 1));
+    }
+    throw firstError;
+  }
+};
+
+/**
+ * Default error mapping shared by providers that return { error: { message } }
+ * @param {string} label - Provider label for the message prefix
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Parsed error body (if any)
+ * @returns {string} - Error message
+ */
+export const defaultErrorMessage = (label, status, body) => {
+  const detail = body?.error?.message || (typeof body?.error === 'string' ? body.error : null) || body?.message;
+  if (status === 401 || status === 403) {
+    return `${label} rejected the API key (status ${status})${detail ? `: ${detail}` : ''}`;
+  }
+  if (status === 429) {
+    return `${label} rate limit or quota exceeded${detail ? `: ${detail}` : ''}`;
+  }
+  return `API request failed with status ${status}${detail ? `: ${detail}` : ''}`;
+};
+
+/**
+ * Reads a streamed response body line by line, handling both SSE ("data: {...}")
+ * and newline-delimited JSON. Calls onEvent with each parsed JSON payload.
+ * @param {ReadableStream} body - fetch response body
+ * @param {Function} onEvent - Receives each parsed event; return true to stop reading
+ * @returns {Promise<void>}
+ */
+export const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.trim();
+    // Skip blank lines, SSE comments and event-name lines
+    if (!line || line.startsWith(':') || line.startsWith('event:')) return false;
+    const payload = line.startsWith('data:') ? line.substring(5).trim() : line;
+    if (payload === '[DONE]') return true;
+    try {
+      return onEvent(JSON.parse(payload)) === true;
+    } catch (parseError) {
+      console.warn("[providers] Skipping unparseable stream line:", payload);
+      return false;
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (handleLine(line)) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  }
+  if (buffer) handleLine(buffer);
+};
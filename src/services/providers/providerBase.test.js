@@ -0,0 +1,78 @@
+// FILE: src/services/providers/providerBase.test.js
+import { TextDecoder, TextEncoder } from 'util';
+import { parseJsonContent, readEventStream, splitSystemMessage, defaultErrorMessage, trimBaseUrl } from './providerBase';
+
+// A response body that delivers the given strings as chunks
+const streamBody = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  const reader = {
+    read: async () => (queue.length ? { done: false, value: encoder.encode(queue.shift()) } : { done: true }),
+    cancel: jest.fn(() => Promise.resolve())
+  };
+  return { getReader: () => reader, reader };
+};
+
+describe('parseJsonContent', () => {
+  it('parses plain, fenced and surrounded JSON', () => {
+    expect(parseJsonContent('{"a": 1}')).toEqual({ a: 1 });
+    expect(parseJsonContent('Here it is:\n```json\n{"a": [1, 2]}\n```')).toEqual({ a: [1, 2] });
+    expect(parseJsonContent('Sure! {"results": []} Hope this helps.')).toEqual({ results: [] });
+    expect(parseJsonContent('The list: [1, 2, 3]')).toEqual([1, 2, 3]);
+  });
+
+  it('throws when there is no JSON value', () => {
+    expect(() => parseJsonContent('No JSON here')).toThrow(SyntaxError);
+    expect(() => parseJsonContent('')).toThrow(SyntaxError);
+  });
+});
+
+describe('readEventStream', () => {
+  const originalDecoder = global.TextDecoder;
+  beforeAll(() => { global.TextDecoder = TextDecoder; });
+  afterAll(() => { global.TextDecoder = originalDecoder; });
+
+  it('reads SSE and NDJSON lines split across chunks, skipping comments and bad lines', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const events = [];
+    const body = streamBody([': keep-alive\nevent: message\ndata: {"n"', ':1}\n\ndata: not json\n{"n":2}\n', '{"n":3}']);
+
+    await readEventStream(body, (event) => { events.push(event); });
+
+    expect(events).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  it('stops at [DONE] or when the handler returns true', async () => {
+    const events = [];
+    const body = streamBody(['data: {"n":1}\ndata: [DONE]\ndata: {"n":2}\n']);
+    await readEventStream(body, (event) => { events.push(event); });
+    expect(events).toEqual([{ n: 1 }]);
+    expect(body.reader.cancel).toHaveBeenCalled();
+
+    const stopped = [];
+    await readEventStream(streamBody(['{"n":1}\n{"n":2}\n']), (event) => { stopped.push(event); return true; });
+    expect(stopped).toEqual([{ n: 1 }]);
+  });
+});
+
+describe('request helpers', () => {
+  it('splits system messages from the conversation', () => {
+    expect(splitSystemMessage([
+      { role: 'system', content: 'One' },
+      { role: 'user', content: 'Hi' },
+      { role: 'system', content: 'Two' }
+    ])).toEqual({ system: 'One\n\nTwo', turns: [{ role: 'user', content: 'Hi' }] });
+  });
+
+  it('trims trailing slashes from base URLs', () => {
+    expect(trimBaseUrl('http://localhost:8000/v1//')).toBe('http://localhost:8000/v1');
+  });
+
+  it('describes key, rate-limit and other failures', () => {
+    expect(defaultErrorMessage('OpenAI', 401, { error: { message: 'Bad key' } })).toBe('OpenAI rejected the API key (status 401): Bad key');
+    expect(defaultErrorMessage('OpenAI', 429, null)).toBe('OpenAI rate limit or quota exceeded');
+    expect(defaultErrorMessage('OpenAI', 500, { message: 'Down' })).toBe('API request failed with status 500: Down');
+  });
+});
@@ -0,0 +1,120 @@
+// FILE: src/services/revisionHistoryService.js
+
+/**
+ * Per-section revision history
+ * A revision is a snapshot of one section's content, AI feedback and rating,
+ * taken when feedback arrives, on a manual checkpoint, and before a restore.
+ * Revisions live in IndexedDB (not localStorage) keyed by project and section,
+ * so long timelines do not slow down the store's persistence. Without
+ * IndexedDB they are kept in memory for the current page load.
+ */
+import { openDatabase, idbPut, idbDelete, runInStore } from './indexedDbService';
+
+const DB_NAME = 'scientific-project-planner-revisions';
+const DB_VERSION = 1;
+const STORE_NAME = 'revisions';
+const SECTION_INDEX = 'bySection';
+const MAX_REVISIONS_PER_SECTION = 50; // Oldest revisions are dropped beyond this
+
+let dbPromise = null;
+let memoryRevisions = [];
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex(SECTION_INDEX, ['projectId', 'sectionId']);
+      }
+    }).catch(error => {
+      console.warn("[revisionHistory] IndexedDB unavailable, revisions are kept in memory only:", error.message);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const readSectionRevisions = async (projectId, sectionId) => {
+  const db = await getDatabase();
+  if (!db) return memoryRevisions.filter(rev => rev.projectId === projectId && rev.sectionId === sectionId);
+  return runInStore(db, STORE_NAME, 'readonly', store => store.index(SECTION_INDEX).getAll([projectId, sectionId]));
+};
+
+/**
+ * Revisions of one section, newest first
+ * @param {string} projectId - Project id
+ * @param {string} sectionId - Section id
+ * @returns {Promise<Array<{ id, createdAt, reason, content, aiInstructions, feedbackRating }>>}
+ */
+export const listRevisions = async (projectId, sectionId) => {
+  try {
+    const revisions = await readSectionRevisions(projectId, sectionId);
+    return revisions.sort((a, b) => b.createdAt - a.createdAt);
+  } catch (error) {
+    console.warn("[revisionHistory] Could not list revisions:", error);
+    return [];
+  }
+};
+
+/**
+ * Save a snapshot of a section
+ * Skipped when nothing changed since the newest revision.
+ * @param {Object} revision - { projectId, sectionId, reason: 'feedback'|'checkpoint'|'restore', content, aiInstructions, feedbackRating }
+ * @returns {Promise<Object|null>} - The saved revision, or null if skipped
+ */
+export const saveRevision = async ({ projectId, sectionId, reason, content = '', aiInstructions = null, feedbackRating = null }) => {
+  if (!projectId || !sectionId) return null;
+  try {
+    const existing = await listRevisions(projectId, sectionId);
+    const latest = existing[0];
+    if (latest && latest.content === content && latest.feedbackRating === feedbackRating
+      && JSON.stringify(latest.aiInstructions) === JSON.stringify(aiInstructions)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const revision = {
+      id: `${projectId}:${sectionId}:${now}:${Math.random().toString(36).slice(2, 6)}`,
+      projectId,
+      sectionId,
+      reason,
+      content,
+      aiInstructions,
+      feedbackRating,
+      createdAt: now
+    };
+    const stale = existing.slice(MAX_REVISIONS_PER_SECTION - 1);
+
+    const db = await getDatabase();
+    if (db) {
+      await idbPut(db, STORE_NAME, revision);
+      for (const old of stale) {
+        await idbDelete(db, STORE_NAME, old.id);
+      }
+    } else {
+      const staleIds = new Set(stale.map(old => old.id));
+      memoryRevisions = [...memoryRevisions.filter(rev => !staleIds.has(rev.id)), revision];
+    }
+    console.log(`[revisionHistory] Saved ${reason} revision of ${sectionId}`);
+    return revision;
+  } catch (error) {
+    console.warn("[revisionHistory] Could not save revision:", error);
+    return null;
+  }
+};
+
+/**
+ * Remove every revision of a project
+ * @param {string} projectId - Project id
+ */
+export const deleteProjectRevisions = async (projectId) => {
+  const db = await getDatabase();
+  if (!db) {
+    memoryRevisions = memoryRevisions.filter(rev => rev.projectId !== projectId);
+    return;
+  }
+  const revisions = await runInStore(db, STORE_NAME, 'readonly', store => store.getAll());
+  for (const revision of revisions.filter(rev => rev.projectId === projectId)) {
+    await idbDelete(db, STORE_NAME, revision.id);
+  }
+};
@@ -0,0 +1,167 @@
+// FILE: src/services/stateStorageService.js
+
+/**
+ * Storage for the app store's persisted state, one record per slice
+ * Every top-level key the store persists (sections, chatMessages, scores, ...)
+ * is a record of its own, so saving an edit rewrites the sections record but
+ * not the chat history. Records are kept in IndexedDB, which has far more room
+ * than localStorage; without IndexedDB each slice is a separate localStorage key.
+ * Changes still unsaved when the page is hidden are also copied synchronously
+ * to one localStorage key (writeStateSnapshot).
+ */
+import { openDatabase, idbGetAll, runBatchInStore } from './indexedDbService';
+import { isStorageAvailable } from './storageService';
+
+const DB_NAME = 'scientific-project-planner-state';
+const DB_VERSION = 1;
+const SLICES_STORE = 'slices';
+const VERSION_SLICE = '_version'; // Holds the persisted state's version next to its slices
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(SLICES_STORE)) {
+        db.createObjectStore(SLICES_STORE, { keyPath: 'id' });
+      }
+    }).catch(error => {
+      console.warn("[stateStorageService] IndexedDB unavailable, state is saved in localStorage:", error.message);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const getSliceId = (name, slice) => `${name}/${slice}`;
+const getSnapshotKey = (name) => `${name}:unsaved`;
+
+/**
+ * Whether a write failed because the browser's storage quota is used up
+ * @param {Error} error - From a write
+ * @returns {boolean}
+ */
+export const isQuotaExceededError = (error) =>
+  !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+
+/**
+ * Read all slices of a persisted state
+ * @param {string} name - The persisted store's key
+ * @returns {Promise<{ state: Object, version: number }|null>} - null when nothing is saved yet
+ */
+export const readStateSlices = async (name) => {
+  const db = await getDatabase();
+  const slices = {};
+
+  if (db) {
+    const records = await idbGetAll(db, SLICES_STORE);
+    records.filter(record => record.name === name).forEach(record => { slices[record.slice] = record.value; });
+  } else if (isStorageAvailable()) {
+    const prefix = getSliceId(name, '');
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix)) slices[key.slice(prefix.length)] = JSON.parse(localStorage.getItem(key));
+    }
+  }
+
+  if (!(VERSION_SLICE in slices)) return null;
+  const { [VERSION_SLICE]: version, ...state } = slices;
+  return { state, version };
+};
+
+/**
+ * Save some slices of a persisted state, all or none
+ * @param {string} name - The persisted store's key
+ * @param {Object} slices - { slice: value } for the slices that changed
+ * @param {number} version - The state's version
+ * @returns {Promise<void>} - Rejects when the data could not be saved (see isQuotaExceededError)
+ */
+export const writeStateSlices = async (name, slices, version) => {
+  const entries = [...Object.entries(slices), [VERSION_SLICE, version]];
+  const db = await getDatabase();
+
+  if (db) {
+    await runBatchInStore(db, SLICES_STORE, (store) => {
+      entries.forEach(([slice, value]) => store.put({ id: getSliceId(name, slice), name, slice, value }));
+    });
+    return;
+  }
+
+  // Encode everything first, so a failing slice does not leave the others half-written
+  const encoded = entries.map(([slice, value]) => [getSliceId(name, slice), JSON.stringify(value)]);
+  const previous = encoded.map(([key]) => [key, localStorage.getItem(key)]);
+  try {
+    encoded.forEach(([key, json]) => localStorage.setItem(key, json));
+  } catch (error) {
+    previous.forEach(([key, json]) => {
+      try {
+        if (json === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, json);
+      } catch (restoreError) { /* Nothing more can be done with a full storage */ }
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete all slices of a persisted state
+ * @param {string} name - The persisted store's key
+ * @returns {Promise<void>}
+ */
+export const removeStateSlices = async (name) => {
+  const db = await getDatabase();
+  if (db) {
+    const records = await idbGetAll(db, SLICES_STORE);
+    await runBatchInStore(db, SLICES_STORE, (store) => {
+      records.filter(record => record.name === name).forEach(record => store.delete(record.id));
+    });
+  } else if (isStorageAvailable()) {
+    const prefix = getSliceId(name, '');
+    Object.keys(localStorage).filter(key => key.startsWith(prefix)).forEach(key => localStorage.removeItem(key));
+  }
+};
+
+/**
+ * Save slices synchronously in localStorage
+ * For a page that is being hidden or closed: the browser need not finish
+ * IndexedDB writes started then. readStateSnapshot returns the slices on the
+ * next load until removeStateSnapshot.
+ * @param {string} name - The persisted store's key
+ * @param {Object} slices - { slice: value } not saved in the slices yet
+ * @param {number} version - The state's version
+ * @returns {boolean} - Whether the snapshot was saved
+ */
+export const writeStateSnapshot = (name, slices, version) => {
+  if (!isStorageAvailable()) return false;
+  try {
+    localStorage.setItem(getSnapshotKey(name), JSON.stringify({ state: slices, version }));
+    return true;
+  } catch (error) {
+    console.warn("[stateStorageService] Could not save a snapshot of unsaved changes:", error.message);
+    return false;
+  }
+};
+
+/**
+ * Slices saved by writeStateSnapshot and not yet saved in the slices
+ * @param {string} name - The persisted store's key
+ * @returns {{ state: Object, version: number }|null}
+ */
+export const readStateSnapshot = (name) => {
+  if (!isStorageAvailable()) return null;
+  try {
+    const snapshot = JSON.parse(localStorage.getItem(getSnapshotKey(name)));
+    return snapshot && typeof snapshot.state === 'object' ? snapshot : null;
+  } catch (error) {
+    console.warn("[stateStorageService] Ignoring an unreadable snapshot of unsaved changes:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Delete the snapshot once its slices are saved
+ * @param {string} name - The persisted store's key
+ */
+export const removeStateSnapshot = (name) => {
+  if (isStorageAvailable()) localStorage.removeItem(getSnapshotKey(name));
+};
@@ -263,3 +263,62 @@ export const saveToStorage = (userInputs, chatMessages) => {
 
 // Export the isStorageAvailable function for backward compatibility
 export { isStorageAvailable };
+
+// ========== LEGACY IMPORT AND RECOVERY ==========
+
+/**
+ * Read every legacy key the planner used before the zustand store
+ * @returns {Object|null} - { projectData, sectionStates, chatMessages, feedbackData }, or null if none is set
+ */
+export const loadLegacyData = () => {
+  if (!isStorageAvailable()) return null;
+  const legacy = {
+    projectData: storageService.loadProject(),
+    sectionStates: storageService.loadSectionStates(),
+    chatMessages: storageService.loadChatMessages(),
+    feedbackData: storageService.loadFeedbackData()
+  };
+  return Object.values(legacy).some(value => value && typeof value === 'object') ? legacy : null;
+};
+
+/**
+ * Key under which unreadable stored state is kept for the recovery screen
+ * @param {string} name - The persisted store's key
+ * @returns {string}
+ */
+export const getRecoveryKey = (name) => `${name}:recovery`;
+
+/**
+ * Keep a copy of stored state that could not be loaded, before the store overwrites it
+ * @param {string} name - The persisted store's key
+ * @param {string} raw - The stored string
+ * @returns {boolean} Success indicator
+ */
+export const saveRecoveryBackup = (name, raw) => {
+  if (!isStorageAvailable() || raw === null || raw === undefined) return false;
+  try {
+    localStorage.setItem(getRecoveryKey(name), raw);
+    return true;
+  } catch (error) {
+    console.error('[storageService] Could not keep a recovery copy:', error);
+    return false;
+  }
+};
+
+/**
+ * The recovery copy, if any
+ * @param {string} name - The persisted store's key
+ * @returns {string|null}
+ */
+export const loadRecoveryBackup = (name) => {
+  if (!isStorageAvailable()) return null;
+  return localStorage.getItem(getRecoveryKey(name));
+};
+
+/**
+ * Remove the recovery copy
+ * @param {string} name - The persisted store's key
+ */
+export const clearRecoveryBackup = (name) => {
+  if (isStorageAvailable()) localStorage.removeItem(getRecoveryKey(name));
+};
@@ -0,0 +1,229 @@
+// FILE: src/services/usageService.js
+
+/**
+ * Token, latency and cost accounting for AI calls
+ * openaiService records one entry per completed call: prompt/completion tokens
+ * (from the provider's usage data, or estimated from the text when the provider
+ * sends none), latency and an estimated cost from config/aiPricing.js, tagged
+ * with the call's context type.
+ *
+ * Session entries (this page load) are kept in memory. Per-project totals and
+ * the optional budget cap are stored in localStorage. Once the budget is
+ * reached, assertWithinBudget() blocks further calls until it is raised.
+ */
+import { estimateCost } from '../config/aiPricing';
+import { AIServiceError, AI_ERROR_TYPES } from './aiErrors';
+import useAppStore from '../store/appStore';
+
+const USAGE_STORAGE_KEY = 'aiUsage';
+const MAX_RECENT_ENTRIES = 50;
+const CHARS_PER_TOKEN = 4; // Rough average for English text
+
+// Display names for the context types passed to callOpenAI / streamOpenAI
+export const USAGE_CONTEXT_LABELS = {
+  chat: 'Chat',
+  improve_instructions_structured: 'Section feedback',
+  document_import_task: 'Document import',
+  paper_review: 'Paper review',
+};
+
+export const BUDGET_SCOPES = {
+  session: 'This session',
+  project: 'This project',
+};
+
+const DEFAULT_BUDGET = { maxCostUsd: null, maxTokens: null, scope: 'project' };
+
+const sessionEntries = [];
+const listeners = new Set();
+
+const emptyTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  costUsd: 0,
+  latencyMs: 0,
+  unpricedCalls: 0,
+  estimatedCalls: 0,
+  byContext: {}
+});
+
+/**
+ * Add one entry to a totals object (mutates and returns it)
+ */
+const addToTotals = (totals, entry) => {
+  const apply = (target) => {
+    target.calls += 1;
+    target.promptTokens += entry.promptTokens;
+    target.completionTokens += entry.completionTokens;
+    target.totalTokens += entry.totalTokens;
+    target.costUsd += entry.costUsd || 0;
+    target.latencyMs += entry.latencyMs;
+    if (entry.costUsd === null) target.unpricedCalls += 1;
+    if (entry.estimated) target.estimatedCalls += 1;
+  };
+  apply(totals);
+  const { byContext, ...rest } = emptyTotals();
+  totals.byContext[entry.contextType] = totals.byContext[entry.contextType] || rest;
+  apply(totals.byContext[entry.contextType]);
+  return totals;
+};
+
+const loadStoredUsage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY) || 'null');
+    return {
+      projects: stored?.projects && typeof stored.projects === 'object' ? stored.projects : {},
+      recent: Array.isArray(stored?.recent) ? stored.recent : [],
+      budget: { ...DEFAULT_BUDGET, ...(stored?.budget || {}) }
+    };
+  } catch (error) {
+    console.warn("[usageService] Could not read stored usage:", error);
+    return { projects: {}, recent: [], budget: { ...DEFAULT_BUDGET } };
+  }
+};
+
+const saveStoredUsage = (usage) => {
+  try {
+    localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(usage));
+  } catch (error) {
+    console.warn("[usageService] Could not save usage:", error);
+  }
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+const getCurrentProjectId = () => useAppStore.getState().projectId || 'default';
+
+/**
+ * Rough token count for text the provider did not report usage for
+ * @param {string} text - Prompt or completion text
+ * @returns {number}
+ */
+export const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+/**
+ * Record one AI call
+ * @param {Object} call - { contextType, provider, model, usage: { promptTokens, completionTokens } | null,
+ *                          promptText, completionText, latencyMs }
+ * @returns {Object} - The stored entry
+ */
+export const recordUsage = ({ contextType, provider, model, usage, promptText = '', completionText = '', latencyMs = 0 }) => {
+  const promptTokens = Number.isFinite(usage?.promptTokens) ? usage.promptTokens : estimateTokens(promptText);
+  const completionTokens = Number.isFinite(usage?.completionTokens) ? usage.completionTokens : estimateTokens(completionText);
+  const entry = {
+    timestamp: new Date().toISOString(),
+    projectId: getCurrentProjectId(),
+    contextType: contextType || 'general',
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    latencyMs: Math.round(latencyMs),
+    costUsd: estimateCost(provider, model, promptTokens, completionTokens),
+    estimated: !Number.isFinite(usage?.promptTokens) || !Number.isFinite(usage?.completionTokens)
+  };
+
+  sessionEntries.push(entry);
+  const stored = loadStoredUsage();
+  stored.projects[entry.projectId] = addToTotals(stored.projects[entry.projectId] || emptyTotals(), entry);
+  stored.recent = [entry, ...stored.recent].slice(0, MAX_RECENT_ENTRIES);
+  saveStoredUsage(stored);
+
+  console.log(`[usageService] ${entry.contextType}: ${entry.promptTokens} in / ${entry.completionTokens} out${entry.estimated ? ' (estimated)' : ''}, ${entry.latencyMs}ms, ${entry.costUsd === null ? 'unknown cost' : `$${entry.costUsd.toFixed(4)}`}`);
+  notify();
+  return entry;
+};
+
+/**
+ * Usage totals for the Usage panel
+ * @returns {{ session: Object, project: Object, recent: Array, budget: Object }}
+ */
+export const getUsageSummary = () => {
+  const stored = loadStoredUsage();
+  const projectId = getCurrentProjectId();
+  return {
+    session: sessionEntries.reduce(addToTotals, emptyTotals()),
+    project: stored.projects[projectId] || emptyTotals(),
+    recent: stored.recent.filter(entry => entry.projectId === projectId),
+    budget: stored.budget
+  };
+};
+
+/**
+ * Current budget cap
+ * @returns {{ maxCostUsd: number|null, maxTokens: number|null, scope: string }}
+ */
+export const getUsageBudget = () => loadStoredUsage().budget;
+
+/**
+ * Save the budget cap; null limits mean "no cap"
+ * @param {Object} budget - { maxCostUsd, maxTokens, scope }
+ */
+export const setUsageBudget = ({ maxCostUsd = null, maxTokens = null, scope = 'project' }) => {
+  const toLimit = (value) => {
+    const number = Number(value);
+    return value === null || value === '' || !Number.isFinite(number) || number <= 0 ? null : number;
+  };
+  const stored = loadStoredUsage();
+  stored.budget = {
+    maxCostUsd: toLimit(maxCostUsd),
+    maxTokens: toLimit(maxTokens) === null ? null : Math.round(toLimit(maxTokens)),
+    scope: BUDGET_SCOPES[scope] ? scope : DEFAULT_BUDGET.scope
+  };
+  saveStoredUsage(stored);
+  notify();
+};
+
+/**
+ * Compare usage against the budget
+ * @returns {{ exceeded: boolean, message: string|null }}
+ */
+export const checkUsageBudget = () => {
+  const { session, project, budget } = getUsageSummary();
+  const totals = budget.scope === 'session' ? session : project;
+  const scopeLabel = BUDGET_SCOPES[budget.scope].toLowerCase();
+
+  if (budget.maxCostUsd !== null && totals.costUsd >= budget.maxCostUsd) {
+    return { exceeded: true, message: `The AI budget of $${budget.maxCostUsd.toFixed(2)} for ${scopeLabel} has been reached. Raise or remove it in the Usage panel.` };
+  }
+  if (budget.maxTokens !== null && totals.totalTokens >= budget.maxTokens) {
+    return { exceeded: true, message: `The AI budget of ${budget.maxTokens.toLocaleString()} tokens for ${scopeLabel} has been reached. Raise or remove it in the Usage panel.` };
+  }
+  return { exceeded: false, message: null };
+};
+
+/**
+ * Throw before a call when the budget is used up
+ * @throws {AIServiceError} - type 'budget'
+ */
+export const assertWithinBudget = () => {
+  const { exceeded, message } = checkUsageBudget();
+  if (exceeded) {
+    throw new AIServiceError(AI_ERROR_TYPES.BUDGET, message);
+  }
+};
+
+/**
+ * Forget the usage recorded for the current project (the budget is kept)
+ */
+export const resetProjectUsage = () => {
+  const projectId = getCurrentProjectId();
+  const stored = loadStoredUsage();
+  delete stored.projects[projectId];
+  stored.recent = stored.recent.filter(entry => entry.projectId !== projectId);
+  saveStoredUsage(stored);
+  notify();
+};
+
+/**
+ * Subscribe to usage changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToUsage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,166 @@
+// FILE: src/services/workspaceService.js
+
+/**
+ * Multi-project workspace storage
+ * Every project has a metadata record (name, template, archived flag, timestamps) and a
+ * snapshot of its planner state (sections, scores, toggles, pro mode, chat),
+ * kept in two IndexedDB object stores so the project list stays cheap to read.
+ * The store's live state is persisted separately for the active project
+ * (persistStorage.js); appStore's workspace sync writes it back here (see initializeWorkspace).
+ *
+ * Without IndexedDB the workspace lives in memory for the current page load.
+ */
+import { openDatabase, idbGet, idbGetAll, idbPut, idbDelete } from './indexedDbService';
+
+const DB_NAME = 'scientific-project-planner-workspace';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const PROJECT_DATA_STORE = 'projectData';
+
+export const DEFAULT_PROJECT_NAME = 'Untitled project';
+
+let dbPromise = null;
+const memoryStores = { [PROJECTS_STORE]: new Map(), [PROJECT_DATA_STORE]: new Map() };
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+        db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(PROJECT_DATA_STORE)) {
+        db.createObjectStore(PROJECT_DATA_STORE, { keyPath: 'id' });
+      }
+    }).catch(error => {
+      console.warn("[workspaceService] IndexedDB unavailable, projects are kept in memory only:", error.message);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+// Small adapter so every operation works with or without IndexedDB
+const readRecord = async (storeName, id) => {
+  const db = await getDatabase();
+  return db ? idbGet(db, storeName, id) : memoryStores[storeName].get(id);
+};
+const readAllRecords = async (storeName) => {
+  const db = await getDatabase();
+  return db ? idbGetAll(db, storeName) : [...memoryStores[storeName].values()];
+};
+const writeRecord = async (storeName, record) => {
+  const db = await getDatabase();
+  if (db) await idbPut(db, storeName, record);
+  else memoryStores[storeName].set(record.id, record);
+};
+const deleteRecord = async (storeName, id) => {
+  const db = await getDatabase();
+  if (db) await idbDelete(db, storeName, id);
+  else memoryStores[storeName].delete(id);
+};
+
+/**
+ * Whether projects survive a page reload in this browser
+ * @returns {Promise<boolean>}
+ */
+export const isWorkspacePersistent = async () => !!(await getDatabase());
+
+/**
+ * All projects, most recently updated first
+ * @param {Object} options - { includeArchived }
+ * @returns {Promise<Array<{ id, name, templateId, archived, createdAt, updatedAt }>>}
+ */
+export const listProjects = async ({ includeArchived = true } = {}) => {
+  const projects = await readAllRecords(PROJECTS_STORE);
+  return projects
+    .filter(project => includeArchived || !project.archived)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Metadata for one project
+ * @param {string} id - Project id
+ * @returns {Promise<Object|null>}
+ */
+export const getProject = async (id) => (await readRecord(PROJECTS_STORE, id)) || null;
+
+/**
+ * Add a project
+ * @param {Object} project - { id, name, templateId, snapshot }
+ * @returns {Promise<Object>} - The metadata record
+ */
+export const createProject = async ({ id, name = DEFAULT_PROJECT_NAME, templateId, snapshot }) => {
+  const now = Date.now();
+  const record = {
+    id,
+    name: name.trim() || DEFAULT_PROJECT_NAME,
+    templateId: templateId || snapshot?.templateId,
+    archived: false,
+    createdAt: now,
+    updatedAt: now
+  };
+  await writeRecord(PROJECT_DATA_STORE, { id, snapshot });
+  await writeRecord(PROJECTS_STORE, record);
+  console.log(`[workspaceService] Created project "${record.name}" (${id})`);
+  return record;
+};
+
+/**
+ * Saved planner state of a project
+ * @param {string} id - Project id
+ * @returns {Promise<Object|null>} - { templateId, sections, activeToggles, proMode, scores, chatMessages }
+ */
+export const loadProjectSnapshot = async (id) => (await readRecord(PROJECT_DATA_STORE, id))?.snapshot || null;
+
+/**
+ * Save a project's planner state and bump its updatedAt
+ * @param {string} id - Project id (must exist)
+ * @param {Object} snapshot - Planner state slices
+ */
+export const saveProjectSnapshot = async (id, snapshot) => {
+  if (!(await getProject(id))) return;
+  await writeRecord(PROJECT_DATA_STORE, { id, snapshot });
+  // Re-read right before writing so a concurrent rename or archive is kept
+  const project = await getProject(id);
+  if (project) await writeRecord(PROJECTS_STORE, { ...project, updatedAt: Date.now() });
+};
+
+/**
+ * Update name or archived flag
+ * @param {string} id - Project id
+ * @param {Object} changes - { name, archived }
+ * @returns {Promise<Object|null>} - The updated record
+ */
+export const updateProject = async (id, changes) => {
+  const project = await getProject(id);
+  if (!project) return null;
+  const updated = { ...project, ...changes };
+  if (typeof changes.name === 'string') {
+    updated.name = changes.name.trim() || project.name;
+  }
+  await writeRecord(PROJECTS_STORE, updated);
+  return updated;
+};
+
+/**
+ * Copy a project under a new id
+ * @param {string} id - Source project id
+ * @param {string} newId - Id for the copy
+ * @returns {Promise<Object|null>} - The new metadata record
+ */
+export const duplicateProject = async (id, newId) => {
+  const project = await getProject(id);
+  if (!project) return null;
+  const snapshot = await loadProjectSnapshot(id);
+  return createProject({ id: newId, name: `${project.name} (copy)`, templateId: project.templateId, snapshot });
+};
+
+/**
+ * Remove a project and its data
+ * @param {string} id - Project id
+ */
+export const deleteProject = async (id) => {
+  await deleteRecord(PROJECT_DATA_STORE, id);
+  await deleteRecord(PROJECTS_STORE, id);
+  console.log(`[workspaceService] Deleted project ${id}`);
+};
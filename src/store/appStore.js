@@ -3,49 +3,182 @@
 // MODIFIED: Added setActiveSectionId and enhanced setUiMode functions
 // MODIFIED: Enhanced setUiMode with scroll position management
 // MODIFIED: Added sectionDefinitions to store state for guide mode display
+// MODIFIED: Chat replies now stream into the last assistant message; stopChatMessage aborts them
+// MODIFIED: Streamed chat replies are written to the store at most every STREAM_UPDATE_INTERVAL_MS;
+//           replies cut off by closing the page are settled when saved state is loaded
+// MODIFIED: Added settingsModal flag; chat reads model/temperature/max_tokens from AI settings
+// MODIFIED: AI requests tied to a loading flag can be cancelled (beginCancellableRequest / cancelRequest)
+// MODIFIED: Repaired feedback ratings are not recorded in scores, so they cannot unlock sections
+// MODIFIED: Added projectId (new for each new or loaded project) and the usageModal flag
+// MODIFIED: Multi-project workspace: project list, switch/rename/duplicate/archive/delete actions,
+//           and initializeWorkspace(), which keeps the active project saved in IndexedDB
+// MODIFIED: Undo/redo history (not persisted) for edits, toggles, pro mode, AI feedback, loads and resets
+// ADDED: Section revision snapshots (revisionHistoryService) with checkpoint and restore actions
+// ADDED: ratingHistory keeps every feedback round's rating and subsection completion per section
+// MODIFIED: Persisted state is migrated step by step (storeMigrations.js), imports the legacy
+//           localStorage keys on first load, and keeps a recovery copy when it cannot be loaded
+// ADDED: syncConflicts (sections edited in two tabs at once, see tabSync.js) and resolveSyncConflict
+// MODIFIED: State is saved per slice in IndexedDB after a pause in updates (persistStorage.js);
+//           hasHydrated, storageWarning and archiveOldChat for a full storage
+// MODIFIED: storageWarning also reports saved state that could not be read or migrated (reason 'unreadable')
+// MODIFIED: Sections no longer store isVisible; visibility is derived (selectVisibility in progressionLogic)
+// MODIFIED: activeToggles has one entry per category in sectionContent.json (normalizeActiveToggles)
+// MODIFIED: activeToggles entries are lists of sections; toggleCategorySection adds or removes one
+// ADDED: templateId (the project's planning template, see templateRegistry); sections, toggles and
+//        definitions follow it, and saved projects are fitted to the template's current revision
+// ADDED: customSections (the project's own sections after the template's) with add/update/move/remove actions
+// ADDED: setSectionLayout switches a section between free text and one field per subsection (layout: 'structured')
+// MODIFIED: Project names derived from section text leave out Markdown formatting and subsection headings
 
 import { create } from 'zustand';
-import { persist, createJSONStorage } from 'zustand/middleware';
-import sectionContent from '../data/sectionContent.json';
-import { calculateUnlockedSections, isSectionVisible } from '../logic/progressionLogic';
-import { callOpenAI } from '../services/openaiService';
+import { persist } from 'zustand/middleware';
+import { streamOpenAI } from '../services/openaiService';
+import { getTaskSettings } from '../services/aiSettingsService';
+import { isCancelledError } from '../services/aiErrors';
 import { buildSystemPrompt } from '../utils/promptUtils';
 import { validateProjectData } from '../utils/export';
+import { createRatingPoint, appendRatingPoint } from '../utils/progressUtils';
+import { toPlainText } from '../utils/markdownUtils';
+import { STORE_VERSION, migrateStoreState, handleRehydrationFailure } from './storeMigrations';
+import { createSlicedStorage } from './persistStorage';
+import { getDefaultActiveToggles, getFirstSectionId, normalizeActiveToggles, toggleCategorySelection } from '../utils/sectionOrderUtils';
+import {
+    DEFAULT_TEMPLATE_ID,
+    getTemplate,
+    getActiveTemplate,
+    resolveTemplateId,
+    setActiveTemplateId,
+    setActiveCustomSections,
+    getCurrentSectionId,
+    renameTemplateSectionKeys
+} from '../utils/templateRegistry';
+import { createCustomSection, normalizeCustomSections, withCustomSections } from '../utils/customSectionUtils';
+import {
+    DEFAULT_PROJECT_NAME,
+    listProjects,
+    getProject,
+    createProject as createWorkspaceProject,
+    loadProjectSnapshot,
+    saveProjectSnapshot,
+    updateProject,
+    duplicateProject as duplicateWorkspaceProject,
+    deleteProject as deleteWorkspaceProject
+} from '../services/workspaceService';
+import { saveRevision, deleteProjectRevisions } from '../services/revisionHistoryService';
 
-// Helper to generate initial state for all sections
-const getInitialSectionStates = () => {
-    if (!sectionContent || !Array.isArray(sectionContent.sections)) {
-        console.error("sectionContent is missing or invalid!");
+// AbortControllers for in-flight AI requests, keyed by loading flag
+// (kept outside the store so they are never persisted)
+const requestControllers = {};
+
+// Name of the persisted store (its saved slices, and the localStorage key it used before them)
+export const PERSIST_KEY = 'scientific-project-planner-state';
+
+// Chat messages kept per section when older ones are archived to free storage
+export const ARCHIVE_KEEP_CHAT_MESSAGES = 10;
+
+// Streamed chat text is written to the store at most this often; every store write
+// schedules a save, a workspace snapshot and a broadcast to other tabs
+const STREAM_UPDATE_INTERVAL_MS = 50;
+
+/**
+ * Calls update with the latest value at most once per interval
+ * @param {Function} update - Receives the latest pushed value
+ * @param {number} interval - Milliseconds between updates
+ * @returns {{ push: Function, cancel: Function }} - cancel drops a pending update
+ */
+const createThrottledUpdater = (update, interval) => {
+    let pending;
+    let timer = null;
+    const flush = () => {
+        timer = null;
+        update(pending);
+    };
+    return {
+        push: (value) => {
+            pending = value;
+            if (!timer) timer = setTimeout(flush, interval);
+        },
+        cancel: () => {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+};
+
+// Warns through storageWarning (StorageWarningModal) while the browser's storage is full,
+// and when saved state could not be read, so this session's changes are not saved
+const persistStorage = createSlicedStorage({
+    onQuotaExceeded: () => useAppStore.setState({ storageWarning: { at: Date.now(), reason: 'full' } }),
+    onQuotaRecovered: () => useAppStore.setState({ storageWarning: null }),
+    onReadFailed: () => useAppStore.setState({ storageWarning: { at: Date.now(), reason: 'unreadable' } })
+});
+
+// Identifies the current project, e.g. for per-project AI usage totals
+const createProjectId = () => `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Initial state of one section from its definition
+const createSectionState = (section) => ({
+    id: section.id,
+    title: section.title || 'Untitled Section',
+    content: section.placeholder || '',
+    originalInstructions: section.subsections || [], // Keep original instructions
+    aiInstructions: null, // AI feedback starts as null
+    isMinimized: false, // Start with only question expanded
+    feedbackRating: null, // Feedback rating starts as null
+    editedSinceFeedback: false, // Not edited initially
+    lastEditTimestamp: 0, // Timestamp for edit tracking
+});
+
+// Helper to generate initial state for all sections of a template
+const getInitialSectionStates = (template = getActiveTemplate()) => {
+    if (!template || !Array.isArray(template.sections)) {
+        console.error("Template sections are missing or invalid!");
         return {}; // Return empty object to avoid crashing
     }
-    return sectionContent.sections.reduce((acc, section) => {
+    return template.sections.reduce((acc, section) => {
         if (!section || !section.id) return acc; // Skip invalid sections
-        const isQuestion = section.id === 'question';
-        acc[section.id] = {
-            id: section.id,
-            title: section.title || 'Untitled Section',
-            content: section.placeholder || '',
-            originalInstructions: section.subsections || [], // Keep original instructions
-            aiInstructions: null, // AI feedback starts as null
-            isMinimized: false, // Start with only question expanded
-            isVisible: isQuestion, // Start with only question visible (progression logic handles others)
-            feedbackRating: null, // Feedback rating starts as null
-            editedSinceFeedback: false, // Not edited initially
-            lastEditTimestamp: 0, // Timestamp for edit tracking
-        };
+        acc[section.id] = createSectionState(section);
         return acc;
     }, {});
 };
 
+/**
+ * Section states matching the custom sections: missing ones are added, titles and checklists follow the definition
+ * @param {Object} sections - Section states
+ * @param {Array} customSections - The project's custom sections
+ * @returns {Object} - sections itself when nothing changed
+ */
+const syncCustomSectionStates = (sections, customSections = []) => {
+    const changed = customSections.filter(custom => {
+        const section = sections?.[custom.id];
+        return !section || section.title !== custom.title || section.originalInstructions !== custom.subsections;
+    });
+    if (changed.length === 0) return sections;
+    return changed.reduce((synced, custom) => {
+        const initial = createSectionState({ ...custom, placeholder: '' });
+        synced[custom.id] = { ...initial, ...synced[custom.id], title: initial.title, originalInstructions: initial.originalInstructions };
+        return synced;
+    }, { ...sections });
+};
+
+// New projects use this template unless another one is picked
+const defaultTemplate = getTemplate(DEFAULT_TEMPLATE_ID);
+
 // Define the complete initial state structure
 const initialState = {
-    sections: getInitialSectionStates(),
-    activeToggles: { approach: 'hypothesis', dataMethod: 'experiment' },
+    projectId: createProjectId(),
+    templateId: DEFAULT_TEMPLATE_ID, // The project's planning template
+    customSections: [], // The project's own sections, shown after the template's: [{ id, title, introText, subsections }]
+    sections: getInitialSectionStates(defaultTemplate),
+    activeToggles: getDefaultActiveToggles(defaultTemplate), // { categoryId: [active sectionId, ...] }
     scores: {},
+    ratingHistory: {}, // { sectionId: [{ at, rating, subsectionsCompleted, subsectionsTotal }] }, one point per feedback round
     proMode: false, // Start with proMode false
     modals: {
         confirmDialog: false, examplesDialog: false, reviewModal: false,
-        privacyPolicy: false, saveDialog: false
+        privacyPolicy: false, saveDialog: false, settingsModal: false,
+        usageModal: false, projectsModal: false, progressModal: false,
+        customSectionsModal: false
     },
     loading: {
         project: false, import: false, export: false, review: false,
@@ -57,14 +190,163 @@ const initialState = {
     _importConfirmOperation: { active: false, message: null },
     chatMessages: {},
     currentChatMessage: '',
-    currentChatSectionId: 'question',
+    currentChatSectionId: getFirstSectionId(defaultTemplate),
     _forceUpdate: 0, // Dummy state for workaround
     
     // --- UI MODE STATE ---
     uiMode: 'write', // 'write' or 'guide'
     
     // --- SECTION DEFINITIONS ---
-    sectionDefinitions: sectionContent.sections || [], // Store section definitions for guide mode
+    sectionDefinitions: defaultTemplate.sections, // The project template's section definitions, for guide mode
+
+    // --- WORKSPACE (not persisted; loaded from IndexedDB) ---
+    projects: [], // Metadata of all projects, most recently updated first
+    workspaceReady: false,
+
+    // --- UNDO/REDO (not persisted) ---
+    history: { past: [], future: [] },
+    revisionsUpdatedAt: 0, // Bumped when a section revision is saved, so open history drawers reload
+
+    // --- CROSS-TAB SYNC (not persisted) ---
+    syncConflicts: {}, // { sectionId: { local, remote, title, at } } for sections edited in two tabs at once
+
+    // --- PERSISTENCE (not persisted) ---
+    hasHydrated: false, // Saved state is read asynchronously; the app waits for it
+    storageWarning: null, // { at, reason } while changes are not saved: 'full' storage or 'unreadable' saved state
+};
+
+// --- Undo/redo ---
+// Each history entry keeps the values the action replaced, for only the keys it changed.
+// Entries share unchanged section objects with the live state, so they are cheap to keep.
+const MAX_HISTORY_ENTRIES = 100;
+const TYPING_PAUSE_MS = 1000; // Keystrokes closer together than this are undone as one edit
+const PROJECT_HISTORY_KEYS = ['projectId', 'templateId', 'customSections', 'sections', 'activeToggles', 'proMode', 'scores', 'ratingHistory', 'chatMessages'];
+
+/**
+ * History update for an action about to change `keys`
+ * @param {Object} state - State before the action
+ * @param {string} label - Shown in the menu, e.g. "Edit Research Question"
+ * @param {string[]} keys - State keys the action changes
+ * @param {string} coalesceKey - Consecutive entries with the same key within TYPING_PAUSE_MS are merged
+ * @returns {{ history: Object }} - Partial state to merge into the action's update
+ */
+const recordHistory = (state, label, keys, coalesceKey = null) => {
+    const now = Date.now();
+    const past = state.history?.past || [];
+    const last = past[past.length - 1];
+    if (coalesceKey && last?.coalesceKey === coalesceKey && now - last.at < TYPING_PAUSE_MS) {
+        // Keep the older "before" values; only extend the typing burst
+        return { history: { past: [...past.slice(0, -1), { ...last, at: now }], future: [] } };
+    }
+    const before = keys.reduce((values, key) => { values[key] = state[key]; return values; }, {});
+    const entry = { label, before, at: now, coalesceKey };
+    return { history: { past: [...past, entry].slice(-MAX_HISTORY_ENTRIES), future: [] } };
+};
+
+const getSectionTitle = (state, sectionId) => state.sections?.[sectionId]?.title || sectionId;
+
+// Planner state saved per project in the workspace
+const PROJECT_SNAPSHOT_KEYS = ['templateId', 'customSections', 'sections', 'activeToggles', 'proMode', 'scores', 'ratingHistory', 'chatMessages'];
+
+const getProjectSnapshot = (state) =>
+    PROJECT_SNAPSHOT_KEYS.reduce((snapshot, key) => { snapshot[key] = state[key]; return snapshot; }, {});
+
+const getPlaceholder = (sectionId, template = getActiveTemplate()) => template.sections.find(s => s.id === sectionId)?.placeholder || '';
+
+// A project nobody has worked on yet (fresh "New" project) is not worth a workspace entry
+const isPristineProject = (state) =>
+    Object.values(state.sections || {}).every(section => !section?.content || section.content === getPlaceholder(section.id, getTemplate(state.templateId))) &&
+    Object.values(state.scores || {}).every(score => score === null || score === undefined) &&
+    Object.values(state.chatMessages || {}).every(messages => !messages?.length) &&
+    !state.customSections?.length;
+
+/**
+ * Default project name from the first section (e.g. the research question)
+ * @param {Object} sections - Section states
+ * @param {Object} template - The project's template
+ * @returns {string}
+ */
+const deriveProjectName = (sections, template = getActiveTemplate()) => {
+    const firstSectionId = getFirstSectionId(template);
+    const content = sections?.[firstSectionId]?.content || '';
+    if (!content.trim() || content === getPlaceholder(firstSectionId, template)) return DEFAULT_PROJECT_NAME;
+    const firstLine = content.split('\n')
+        .filter(line => !/^#{1,6}\s/.test(line)) // e.g. subsection headings of structured sections
+        .map(line => toPlainText(line).replace(/^research question:\s*/i, '').trim())
+        .find(Boolean) || '';
+    if (!firstLine) return DEFAULT_PROJECT_NAME;
+    return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine;
+};
+
+// --- Saved projects and template revisions ---
+// A project is saved with the id of its template. Templates change, so saved state is fitted
+// to the template's current revision when a project opens: renamed sections move to their
+// new id, new sections start empty, titles and instructions follow the template, and
+// sections the template no longer has keep their content (they are just not shown).
+const SECTION_KEYED_KEYS = ['sections', 'scores', 'ratingHistory', 'chatMessages'];
+
+const renameSavedSections = (saved, template) => SECTION_KEYED_KEYS.reduce((renamed, key) => {
+    if (saved?.[key]) renamed[key] = renameTemplateSectionKeys(saved[key], template);
+    return renamed;
+}, {});
+
+const mergeSavedSections = (savedSections, template) => {
+    const initialSections = getInitialSectionStates(template);
+    return Object.keys(initialSections).reduce((acc, id) => {
+        const { isVisible, ...savedSection } = savedSections?.[id] || {}; // Derived now; older snapshots still have it
+        const { title, originalInstructions } = initialSections[id];
+        acc[id] = { ...initialSections[id], ...savedSection, title, originalInstructions };
+        return acc;
+    }, { ...(savedSections || {}) });
+};
+
+const normalizeSavedToggles = (activeToggles, template) => {
+    if (!activeToggles || typeof activeToggles !== 'object') return normalizeActiveToggles({}, template);
+    const renamed = Object.entries(activeToggles).reduce((toggles, [categoryId, selection]) => {
+        toggles[categoryId] = [].concat(selection).map(sectionId => getCurrentSectionId(sectionId, template));
+        return toggles;
+    }, {});
+    return normalizeActiveToggles(renamed, template);
+};
+
+// A reply that was still streaming when the page closed never finishes: an empty one is dropped,
+// and one with text keeps it with a note. The same object is returned when nothing was streaming.
+const settleStreamingMessages = (chatMessages) => {
+    if (!chatMessages || typeof chatMessages !== 'object') return {};
+    const interrupted = Object.keys(chatMessages).filter(sectionId =>
+        Array.isArray(chatMessages[sectionId]) && chatMessages[sectionId].some(message => message?.isStreaming));
+    if (interrupted.length === 0) return chatMessages;
+    return interrupted.reduce((settled, sectionId) => {
+        settled[sectionId] = chatMessages[sectionId]
+            .filter(message => !message?.isStreaming || message.content)
+            .map(message => (message?.isStreaming
+                ? { ...message, content: `${message.content}\n\n*(The response was interrupted. Please try again.)*`, isStreaming: false }
+                : message));
+        return settled;
+    }, { ...chatMessages });
+};
+
+// State for a project loaded from the workspace; missing sections fall back to their initial state
+const getStateFromSnapshot = (projectId, snapshot) => {
+    const template = getTemplate(resolveTemplateId(snapshot.templateId));
+    const saved = { ...snapshot, ...renameSavedSections(snapshot, template) };
+    const customSections = normalizeCustomSections(saved.customSections);
+    return {
+        projectId,
+        templateId: template.id,
+        customSections,
+        sections: mergeSavedSections(saved.sections, withCustomSections(template, customSections)),
+        activeToggles: normalizeSavedToggles(saved.activeToggles, template),
+        proMode: saved.proMode ?? initialState.proMode,
+        scores: saved.scores || {},
+        ratingHistory: saved.ratingHistory || {},
+        chatMessages: settleStreamingMessages(saved.chatMessages),
+        currentChatMessage: '',
+        currentChatSectionId: getFirstSectionId(template),
+        reviewData: null,
+        history: initialState.history, // Undo does not cross project switches
+        syncConflicts: {},
+    };
 };
 
 
@@ -98,7 +380,7 @@ const useAppStore = create(
         // Get section info
         const currentSectionId = state.currentChatSectionId;
         const lastSectionId = localStorage.getItem('lastActiveSectionId');
-        const targetSectionId = currentSectionId || lastSectionId || 'question';
+        const targetSectionId = currentSectionId || lastSectionId || getFirstSectionId();
         
         // Check if we're switching from write to guide or vice versa
         const prevMode = state.uiMode;
@@ -170,73 +452,147 @@ const useAppStore = create(
       // --- Actions for Core State ---
       updateSectionContent: (sectionId, content) => set((state) => {
           if (!state.sections[sectionId]) return state;
-            return { sections: { ...state.sections, [sectionId]: { ...state.sections[sectionId], content: content, lastEditTimestamp: Date.now(), editedSinceFeedback: state.sections[sectionId]?.feedbackRating !== null, }, }, };
+            return { ...recordHistory(state, `Edit ${getSectionTitle(state, sectionId)}`, ['sections'], `edit:${sectionId}`),
+              sections: { ...state.sections, [sectionId]: { ...state.sections[sectionId], content: content, lastEditTimestamp: Date.now(), editedSinceFeedback: state.sections[sectionId]?.feedbackRating !== null, }, }, };
+      }),
+      // 'structured' edits the section in one field per subsection, 'flat' in one text field; the text stays the same
+      setSectionLayout: (sectionId, layout) => set((state) => {
+          const section = state.sections[sectionId];
+          if (!section) return state;
+          const structured = layout === 'structured';
+          if ((section.layout === 'structured') === structured) return {};
+          // The placeholder is example text, not an answer to split up
+          const clearPlaceholder = structured && section.content === getPlaceholder(sectionId);
+          return {
+              ...recordHistory(state, `${structured ? 'Structure' : 'Unstructure'} ${getSectionTitle(state, sectionId)}`, ['sections']),
+              sections: { ...state.sections, [sectionId]: { ...section, layout: structured ? 'structured' : 'flat', ...(clearPlaceholder ? { content: '' } : {}) } }
+          };
       }),
       toggleMinimize: (sectionId) => set((state) => {
           if (!state.sections[sectionId]) return state;
           return { sections: { ...state.sections, [sectionId]: { ...state.sections[sectionId], isMinimized: !state.sections[sectionId].isMinimized, }, }, };
       }),
+      // Make sectionId (or a list of sections) the category's selection
       setActiveToggle: (groupKey, sectionId) => set((state) => {
-          const newActiveToggles = { ...state.activeToggles, [groupKey]: sectionId };
-            const updatedSections = { ...state.sections };
-            const { unlockedSections } = calculateUnlockedSections(state.scores, newActiveToggles);
-            Object.keys(updatedSections).forEach(sId => {
-              if (!updatedSections[sId]) return;
-              const sectionDef = sectionContent.sections.find(s => s.id === sId);
-              let isVisible = state.proMode || unlockedSections.includes(sId);
-              if (isVisible) {
-                if (sectionDef?.category === 'approach' && sId !== newActiveToggles.approach) isVisible = false;
-                else if (sectionDef?.category === 'dataMethod' && sId !== newActiveToggles.dataMethod) isVisible = false;
-              }
-              updatedSections[sId] = { ...updatedSections[sId], isVisible: isVisible };
-            });
-            return { activeToggles: newActiveToggles, sections: updatedSections };
+          const newActiveToggles = normalizeActiveToggles({ ...state.activeToggles, [groupKey]: sectionId });
+          const firstId = newActiveToggles[groupKey]?.[0];
+          return { ...recordHistory(state, `Switch to ${getSectionTitle(state, firstId)}`, ['activeToggles']), activeToggles: newActiveToggles };
        }),
-       setProMode: (enabled) => set((state) => {
-          const updatedSections = { ...state.sections };
-          const currentScores = state.scores;
-          const currentToggles = state.activeToggles;
-          const { unlockedSections } = calculateUnlockedSections(currentScores, currentToggles);
-          Object.keys(updatedSections).forEach(sId => {
-              if (!updatedSections[sId]) return;
-              const sectionDef = sectionContent.sections.find(s => s.id === sId);
-              let isVisible = enabled || unlockedSections.includes(sId);
-              if (isVisible) {
-                  if (sectionDef?.category === 'approach' && sId !== currentToggles.approach) isVisible = false;
-                  else if (sectionDef?.category === 'dataMethod' && sId !== currentToggles.dataMethod) isVisible = false;
-              }
-              updatedSections[sId] = { ...updatedSections[sId], isVisible: isVisible };
-          });
-          return { proMode: enabled, sections: updatedSections };
-      }),
+      // A click on a category option: switches single-select categories, adds or removes the option in multi-select ones
+      toggleCategorySection: (groupKey, sectionId) => set((state) => {
+          const selection = toggleCategorySelection(state.activeToggles, groupKey, sectionId);
+          const current = normalizeActiveToggles(state.activeToggles)[groupKey] || [];
+          if (selection.join() === current.join()) return {}; // e.g. the last selected option
+          const title = getSectionTitle(state, sectionId);
+          const label = !selection.includes(sectionId) ? `Remove ${title}` : selection.length > current.length ? `Add ${title}` : `Switch to ${title}`;
+          return {
+              ...recordHistory(state, label, ['activeToggles']),
+              activeToggles: { ...normalizeActiveToggles(state.activeToggles), [groupKey]: selection }
+          };
+       }),
+       setProMode: (enabled) => set((state) => ({
+          ...recordHistory(state, enabled ? 'Turn on pro mode' : 'Turn off pro mode', ['proMode']),
+          proMode: enabled
+      })),
       updateSectionFeedback: (sectionId, feedbackData) => set((state) => {
             if (!state.sections[sectionId]) return state;
             const rating = feedbackData?.rating;
-            const newScores = { ...state.scores, [sectionId]: rating };
-            const { unlockedSections } = calculateUnlockedSections(newScores, state.activeToggles);
-            const updatedSections = { ...state.sections };
-            Object.keys(updatedSections).forEach(sId => {
-                if (!updatedSections[sId]) return;
-                const isCurrentSection = sId === sectionId;
-                const sectionDef = sectionContent.sections.find(s => s.id === sId);
-                let isVisible = state.proMode || unlockedSections.includes(sId);
-                 if (isVisible) {
-                    if (sectionDef?.category === 'approach' && sId !== state.activeToggles.approach) isVisible = false;
-                    else if (sectionDef?.category === 'dataMethod' && sId !== state.activeToggles.dataMethod) isVisible = false;
-                 }
-                updatedSections[sId] = {
-                    ...updatedSections[sId],
-                    isVisible: isVisible,
-                    aiInstructions: isCurrentSection ? feedbackData : updatedSections[sId].aiInstructions,
-                    feedbackRating: isCurrentSection ? rating : updatedSections[sId].feedbackRating,
-                    editedSinceFeedback: isCurrentSection ? false : updatedSections[sId].editedSinceFeedback,
-                };
-            });
-            return { sections: updatedSections, scores: newScores };
+            // A rating the feedback validator had to repair is shown, but does not count towards unlocking
+            const trustedRating = feedbackData?.validation?.ratingRepaired ? null : rating;
+            const newScores = { ...state.scores, [sectionId]: trustedRating };
+            const updatedSections = {
+                ...state.sections,
+                [sectionId]: {
+                    ...state.sections[sectionId],
+                    aiInstructions: feedbackData,
+                    feedbackRating: rating,
+                    editedSinceFeedback: false,
+                }
+            };
+            return {
+                ...recordHistory(state, `AI feedback on ${getSectionTitle(state, sectionId)}`, ['sections', 'scores', 'ratingHistory']),
+                sections: updatedSections,
+                scores: newScores,
+                ratingHistory: appendRatingPoint(state.ratingHistory, sectionId, createRatingPoint(sectionId, feedbackData))
+            };
        }),
-      resetState: () => set({
-        ...initialState,
-        onboarding: { ...initialState.onboarding, showHelpSplash: get().onboarding.showHelpSplash }
+      // Start a new project, with the given template or the current project's
+      resetState: (templateId = get().templateId) => {
+        const template = getTemplate(resolveTemplateId(templateId));
+        set({
+          ...initialState,
+          projectId: createProjectId(),
+          templateId: template.id,
+          sections: getInitialSectionStates(template),
+          activeToggles: getDefaultActiveToggles(template),
+          currentChatSectionId: getFirstSectionId(template),
+          sectionDefinitions: template.sections,
+          onboarding: { ...initialState.onboarding, showHelpSplash: get().onboarding.showHelpSplash },
+          // The workspace outlives the project; the previous project stays in it
+          projects: get().projects,
+          workspaceReady: get().workspaceReady,
+          // Undo brings the previous project back
+          ...recordHistory(get(), 'New project', PROJECT_HISTORY_KEYS)
+        });
+      },
+
+      // --- Custom sections (the project's own sections after the template's) ---
+      // Add a section with its own title, intro text and checklist; returns its id (null without a title)
+      addCustomSection: (fields) => {
+        const customSection = createCustomSection(fields);
+        if (!customSection) return null;
+        set((state) => {
+          const customSections = [...state.customSections, customSection];
+          return {
+            ...recordHistory(state, `Add ${customSection.title}`, ['customSections', 'sections']),
+            customSections,
+            sections: syncCustomSectionStates(state.sections, customSections)
+          };
+        });
+        return customSection.id;
+      },
+      // Change a custom section's title, intro text or checklist; its content and feedback stay
+      updateCustomSection: (sectionId, fields) => set((state) => {
+        const index = state.customSections.findIndex(section => section.id === sectionId);
+        if (index === -1) return {};
+        const customSection = createCustomSection({ ...state.customSections[index], ...fields, id: sectionId });
+        if (!customSection) return {}; // The title cannot be removed
+        const customSections = state.customSections.map((section, i) => (i === index ? customSection : section));
+        return {
+          ...recordHistory(state, `Edit ${customSection.title}`, ['customSections', 'sections']),
+          customSections,
+          sections: syncCustomSectionStates(state.sections, customSections)
+        };
+      }),
+      // Move a custom section up (-1) or down (+1) among the custom sections
+      moveCustomSection: (sectionId, offset) => set((state) => {
+        const index = state.customSections.findIndex(section => section.id === sectionId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= state.customSections.length) return {};
+        const customSections = [...state.customSections];
+        [customSections[index], customSections[target]] = [customSections[target], customSections[index]];
+        return {
+          ...recordHistory(state, `Move ${state.customSections[index].title}`, ['customSections']),
+          customSections
+        };
+      }),
+      // Remove a custom section with its content, feedback and chat (undo brings them back)
+      removeCustomSection: (sectionId) => set((state) => {
+        const customSection = state.customSections.find(section => section.id === sectionId);
+        if (!customSection) return {};
+        const without = (byId) => {
+          const { [sectionId]: removed, ...rest } = byId || {};
+          return rest;
+        };
+        return {
+          ...recordHistory(state, `Remove ${customSection.title}`, ['customSections', 'sections', 'scores', 'ratingHistory', 'chatMessages']),
+          customSections: state.customSections.filter(section => section.id !== sectionId),
+          sections: without(state.sections),
+          scores: without(state.scores),
+          ratingHistory: without(state.ratingHistory),
+          chatMessages: without(state.chatMessages),
+          ...(state.currentChatSectionId === sectionId && { currentChatSectionId: getFirstSectionId() })
+        };
       }),
 
       // --- New function to set the active section ID ---
@@ -271,8 +627,7 @@ const useAppStore = create(
         // Default values
         let loadedUserInputs = {};
         let loadedChatMessages = {};
-        let detectedApproach = 'hypothesis';
-        let detectedDataMethod = 'experiment';
+        let detectedToggles = null; // Categories not given here start at their default section
 
         // --- Determine loaded content and detected toggles ---
         if (data && typeof data === 'object') {
@@ -281,8 +636,7 @@ const useAppStore = create(
                 loadedChatMessages = data.chatMessages || {};
                 // Check for detected toggles if structure provides them
                 if (data.detectedToggles) {
-                   detectedApproach = data.detectedToggles.approach || detectedApproach;
-                   detectedDataMethod = data.detectedToggles.dataMethod || detectedDataMethod;
+                   detectedToggles = data.detectedToggles;
                 }
             } else if (data.sections && typeof data.sections === 'object') {
                 // Assume keys are section IDs
@@ -293,16 +647,14 @@ const useAppStore = create(
                 loadedChatMessages = data.chatMessages || {};
                 // Use passed detected toggles
                  if(data.detectedToggles) {
-                    detectedApproach = data.detectedToggles.approach || detectedApproach;
-                    detectedDataMethod = data.detectedToggles.dataMethod || detectedDataMethod;
+                    detectedToggles = data.detectedToggles;
                  }
             } else if (data.question || data.abstract || data.audience) {
                 loadedUserInputs = data; // Assume data is the userInputs
                 loadedChatMessages = {};
                 // Use passed detected toggles if available (might be from import hook)
                  if(data.detectedToggles) {
-                    detectedApproach = data.detectedToggles.approach || detectedApproach;
-                    detectedDataMethod = data.detectedToggles.dataMethod || detectedDataMethod;
+                    detectedToggles = data.detectedToggles;
                  }
             } else {
                  console.error("Invalid project data format for loading. Aborting load.");
@@ -315,20 +667,29 @@ const useAppStore = create(
              return; // Exit early
         }
 
-        const initialSections = getInitialSectionStates(); // Get fresh initial structure
+        // Files saved before templates existed are research paper plans
+        const customSections = normalizeCustomSections(data.customSections);
+        const template = withCustomSections(getTemplate(resolveTemplateId(data.templateId)), customSections);
+        loadedUserInputs = renameTemplateSectionKeys(loadedUserInputs, template);
+        loadedChatMessages = renameTemplateSectionKeys(loadedChatMessages, template);
+        const initialSections = getInitialSectionStates(template); // Get fresh initial structure
         const mergedSections = {};
-        const newActiveToggles = { approach: detectedApproach, dataMethod: detectedDataMethod };
-        const loadedScores = data.scores || {};
+        // Saved project files keep the selection in activeToggles
+        const newActiveToggles = normalizeSavedToggles(detectedToggles || data.activeToggles, template);
+        const loadedScores = renameTemplateSectionKeys(data.scores || {}, template);
         const loadedProMode = data.proMode !== undefined ? data.proMode : true;
 
         // Merge logic (simplified explanation, assumes full logic is complex but aims to create mergedSections)
         const sourceSections = data.sections && typeof data.sections === 'object' && typeof Object.values(data.sections)[0] === 'object'
-            ? data.sections : initialSections;
+            ? renameTemplateSectionKeys(data.sections, template) : initialSections;
         Object.keys(initialSections).forEach(id => {
             const loadedContent = loadedUserInputs[id];
-            const sourceSectionData = sourceSections[id] || initialSections[id];
+            // Files saved by earlier versions still carry the isVisible flag, which is derived now
+            const { isVisible, ...sourceSectionData } = sourceSections[id] || initialSections[id];
             mergedSections[id] = {
                 ...initialSections[id], ...sourceSectionData,
+                title: initialSections[id].title, // Titles and instructions follow the template
+                originalInstructions: initialSections[id].originalInstructions,
                 content: loadedContent !== undefined ? loadedContent : sourceSectionData.content,
                 aiInstructions: sourceSectionData.aiInstructions || null,
                 feedbackRating: sourceSectionData.feedbackRating || null,
@@ -336,25 +697,21 @@ const useAppStore = create(
                 isMinimized: sourceSectionData.isMinimized !== undefined ? sourceSectionData.isMinimized : false,
             };
         });
-
-        // Recalculate visibility based on loaded toggles and scores
-        const { unlockedSections } = calculateUnlockedSections(loadedScores, newActiveToggles);
-        Object.keys(mergedSections).forEach(sId => {
-            const sectionDef = sectionContent.sections.find(s => s.id === sId);
-            let isVisible = loadedProMode || unlockedSections.includes(sId);
-            if (isVisible) {
-                if (sectionDef?.category === 'approach' && sId !== newActiveToggles.approach) isVisible = false;
-                else if (sectionDef?.category === 'dataMethod' && sId !== newActiveToggles.dataMethod) isVisible = false;
-            }
-             if (sId === 'question') isVisible = true;
-            mergedSections[sId].isVisible = isVisible;
+        // Sections the template no longer has keep their content; they are not shown
+        Object.keys(sourceSections).filter(id => !initialSections[id]).forEach(id => {
+            const { isVisible, ...orphanSection } = sourceSections[id] || {};
+            mergedSections[id] = orphanSection;
         });
 
         // Prepare the final state object for the initial set
         const newState = {
+            projectId: createProjectId(),
+            templateId: template.id,
+            customSections,
             sections: mergedSections,
             activeToggles: newActiveToggles,
             scores: loadedScores,
+            ratingHistory: data.ratingHistory && typeof data.ratingHistory === 'object' ? renameTemplateSectionKeys(data.ratingHistory, template) : {},
             proMode: loadedProMode,
             chatMessages: loadedChatMessages,
             // Reset UI state on load
@@ -363,10 +720,10 @@ const useAppStore = create(
             globalAiLoading: false,
             reviewData: null,
             currentChatMessage: '',
-            currentChatSectionId: 'question',
-            // Keep section definitions
-            sectionDefinitions: sectionContent.sections || [],
+            currentChatSectionId: getFirstSectionId(template),
             // onboarding: data.onboarding || initialState.onboarding, // Optionally load onboarding state
+            syncConflicts: {},
+            ...recordHistory(get(), 'Load project', PROJECT_HISTORY_KEYS),
         };
 
         // --- Perform the main state update ---
@@ -399,6 +756,171 @@ const useAppStore = create(
          set((state) => ({ loading: { ...state.loading, [loadingType]: status } }));
        },
        clearLoading: (loadingType) => set((state) => ({ loading: { ...state.loading, [loadingType]: false } })),
+       // Start an AI request under a loading flag; returns the AbortSignal to pass to the service
+       beginCancellableRequest: (loadingType) => {
+         if (requestControllers[loadingType]) requestControllers[loadingType].abort();
+         const controller = new AbortController();
+         requestControllers[loadingType] = controller;
+         get().setLoading(loadingType, true);
+         return controller.signal;
+       },
+       endCancellableRequest: (loadingType) => {
+         delete requestControllers[loadingType];
+         get().setLoading(loadingType, false);
+       },
+       cancelRequest: (loadingType) => {
+         const controller = requestControllers[loadingType];
+         if (controller) {
+           console.log(`Cancelling in-flight ${loadingType} request`);
+           controller.abort();
+         }
+       },
+       cancelAllRequests: () => Object.keys(requestControllers).forEach(type => get().cancelRequest(type)),
+
+       // --- Actions for the Project Workspace ---
+       refreshProjects: async () => {
+           const projects = await listProjects();
+           set({ projects });
+           return projects;
+       },
+       // Save the current project, then load another one from the workspace
+       switchProject: async (projectId) => {
+           if (!projectId || projectId === get().projectId) return true;
+           await flushWorkspaceSave();
+           const snapshot = await loadProjectSnapshot(projectId);
+           if (!snapshot) {
+               console.error(`[workspace] Project ${projectId} has no saved data.`);
+               return false;
+           }
+           get().cancelAllRequests();
+           set(getStateFromSnapshot(projectId, snapshot));
+           await get().refreshProjects();
+           return true;
+       },
+       renameProject: async (projectId, name) => {
+           await updateProject(projectId, { name });
+           await get().refreshProjects();
+       },
+       // Copy a project; returns the new project's metadata
+       duplicateProject: async (projectId) => {
+           if (projectId === get().projectId) await flushWorkspaceSave();
+           const copy = await duplicateWorkspaceProject(projectId, createProjectId());
+           await get().refreshProjects();
+           return copy;
+       },
+       archiveProject: async (projectId, archived = true) => {
+           if (archived && projectId === get().projectId) await get()._leaveProject(projectId);
+           await updateProject(projectId, { archived });
+           await get().refreshProjects();
+       },
+       deleteProject: async (projectId) => {
+           deletedProjectIds.add(projectId); // Stops pending saves from re-creating it
+           if (projectId === get().projectId) await get()._leaveProject(projectId);
+           await deleteWorkspaceProject(projectId);
+           await deleteProjectRevisions(projectId);
+           await get().refreshProjects();
+       },
+       // Move away from a project that is being archived or deleted
+       _leaveProject: async (projectId) => {
+           const next = (await listProjects({ includeArchived: false })).find(project => project.id !== projectId);
+           if (next) {
+               await get().switchProject(next.id);
+           } else {
+               await flushWorkspaceSave();
+               get().resetState();
+               get().clearHistory(); // The project being left cannot be restored by undo
+           }
+       },
+
+       // --- Actions for Section Revisions ---
+       // Snapshot a section's content, feedback and rating; reason is 'feedback', 'checkpoint' or 'restore'
+       recordSectionRevision: async (sectionId, reason = 'checkpoint') => {
+           const { projectId, sections } = get();
+           const section = sections[sectionId];
+           if (!section) return null;
+           const revision = await saveRevision({
+               projectId,
+               sectionId,
+               reason,
+               content: section.content,
+               aiInstructions: section.aiInstructions,
+               feedbackRating: section.feedbackRating
+           });
+           if (revision) set({ revisionsUpdatedAt: revision.createdAt });
+           return revision;
+       },
+       // Bring back a revision; the current version is saved first so the restore can be reverted
+       restoreSectionRevision: async (sectionId, revision) => {
+           if (!get().sections[sectionId] || !revision) return;
+           await get().recordSectionRevision(sectionId, 'restore');
+           set((state) => {
+               const trustedRating = revision.aiInstructions?.validation?.ratingRepaired ? null : revision.feedbackRating;
+               const newScores = { ...state.scores, [sectionId]: trustedRating };
+               const updatedSections = { ...state.sections };
+               updatedSections[sectionId] = {
+                   ...updatedSections[sectionId],
+                   content: revision.content,
+                   aiInstructions: revision.aiInstructions,
+                   feedbackRating: revision.feedbackRating,
+                   editedSinceFeedback: false,
+                   lastEditTimestamp: Date.now()
+               };
+               return {
+                   ...recordHistory(state, `Restore ${getSectionTitle(state, sectionId)}`, ['sections', 'scores']),
+                   sections: updatedSections,
+                   scores: newScores
+               };
+           });
+           console.log(`[revisionHistory] Restored ${sectionId} to the revision from ${new Date(revision.createdAt).toLocaleString()}`);
+       },
+
+       // --- Actions for Cross-Tab Sync ---
+       // Settle a section edited in two tabs with the chosen (or merged) text; the other tabs receive it
+       resolveSyncConflict: (sectionId, content) => {
+           set((state) => {
+               const { [sectionId]: resolved, ...syncConflicts } = state.syncConflicts;
+               return { syncConflicts };
+           });
+           if (typeof content === 'string') get().updateSectionContent(sectionId, content);
+       },
+
+       // --- Actions for Storage ---
+       dismissStorageWarning: () => set({ storageWarning: null }),
+       // Drop all but the latest chat messages of each section; returns the dropped ones (for download), or null
+       archiveOldChat: (keepLatest = ARCHIVE_KEEP_CHAT_MESSAGES) => {
+           const archived = {};
+           const chatMessages = { ...get().chatMessages };
+           Object.entries(chatMessages).forEach(([sectionId, messages]) => {
+               if (!Array.isArray(messages) || messages.length <= keepLatest) return;
+               archived[sectionId] = messages.slice(0, messages.length - keepLatest);
+               chatMessages[sectionId] = messages.slice(-keepLatest);
+           });
+           if (Object.keys(archived).length === 0) return null;
+           set({ chatMessages });
+           console.log(`[storage] Archived older chat messages of ${Object.keys(archived).length} section(s)`);
+           return archived;
+       },
+
+       // --- Actions for Undo/Redo ---
+       // Restore the values the last action replaced; the current values move to the other stack
+       undo: () => set((state) => {
+           const { past, future } = state.history;
+           if (past.length === 0) return state;
+           const entry = past[past.length - 1];
+           const current = Object.keys(entry.before).reduce((values, key) => { values[key] = state[key]; return values; }, {});
+           console.log(`[history] Undo: ${entry.label}`);
+           return { ...entry.before, history: { past: past.slice(0, -1), future: [...future, { ...entry, before: current, coalesceKey: null }] } };
+       }),
+       redo: () => set((state) => {
+           const { past, future } = state.history;
+           if (future.length === 0) return state;
+           const entry = future[future.length - 1];
+           const current = Object.keys(entry.before).reduce((values, key) => { values[key] = state[key]; return values; }, {});
+           console.log(`[history] Redo: ${entry.label}`);
+           return { ...entry.before, history: { past: [...past, { ...entry, before: current, coalesceKey: null }], future: future.slice(0, -1) } };
+       }),
+       clearHistory: () => set({ history: initialState.history }),
+
        setReviewData: (data) => set({ reviewData: data }),
        clearReviewData: () => set({ reviewData: null }),
        setOnboardingStep: (step) => set((state) => ({ onboarding: { ...state.onboarding, step: step } })),
@@ -419,7 +941,7 @@ const useAppStore = create(
 
        // --- Actions for Chat State ---
        setCurrentChatMessage: (message) => set({ currentChatMessage: message }),
-       setCurrentChatSectionId: (sectionId) => set({ currentChatSectionId: sectionId || 'question' }),
+       setCurrentChatSectionId: (sectionId) => set({ currentChatSectionId: sectionId || getFirstSectionId() }),
        addChatMessage: (sectionId, message) => set((state) => {
            const currentMessages = state.chatMessages[sectionId] || [];
            return { chatMessages: { ...state.chatMessages, [sectionId]: [...currentMessages, { ...message, timestamp: Date.now() }] } };
@@ -434,65 +956,124 @@ const useAppStore = create(
            currentChatSectionId: get().currentChatSectionId,
            loading: { ...get().loading, chat: false }
        }),
+       // Replace the content of the last message in a section's chat (used while streaming)
+       updateLastChatMessage: (sectionId, updates) => set((state) => {
+           const currentMessages = state.chatMessages[sectionId] || [];
+           if (currentMessages.length === 0) return state;
+           const lastIndex = currentMessages.length - 1;
+           const updatedMessages = [...currentMessages];
+           updatedMessages[lastIndex] = { ...updatedMessages[lastIndex], ...updates };
+           return { chatMessages: { ...state.chatMessages, [sectionId]: updatedMessages } };
+       }),
+       stopChatMessage: () => get().cancelRequest('chat'),
        sendMessage: async (content = null) => {
             const messageContent = content || get().currentChatMessage;
             const currentSectionId = get().currentChatSectionId;
             if (!messageContent.trim() || !currentSectionId) return;
+            // History is captured before the new turn is added; the prompt itself is sent separately
+            const historyForApi = get().chatMessages[currentSectionId] || [];
             get().addChatMessage(currentSectionId, { role: 'user', content: messageContent });
             set({ currentChatMessage: '' });
-            get().setLoading('chat', true);
+            const signal = get().beginCancellableRequest('chat');
+            // Placeholder assistant message that fills in as tokens arrive
+            get().addChatMessage(currentSectionId, { role: 'assistant', content: '', isStreaming: true });
+            const streamedText = createThrottledUpdater(
+                (fullText) => get().updateLastChatMessage(currentSectionId, { content: fullText }),
+                STREAM_UPDATE_INTERVAL_MS
+            );
             try {
                 const state = get();
                 const userInputs = Object.entries(state.sections).reduce((acc, [id, data]) => { acc[id] = data.content; return acc; }, {});
-                const sectionDef = sectionContent.sections.find(s => s.id === currentSectionId) || {};
-                const historyForApi = state.chatMessages[currentSectionId] || [];
+                const sectionDef = getActiveTemplate().sections.find(s => s.id === currentSectionId) || {};
                 const systemPrompt = buildSystemPrompt('chat', {
                     sectionTitle: sectionDef.title || 'section',
-                    instructionsText: sectionDef.originalInstructions?.map(s => `${s.title}: ${s.instruction}`).join('\n') || '',
+                    instructionsText: sectionDef.subsections?.map(s => `${s.title}: ${s.instruction}`).join('\n') || '',
                     userContent: userInputs[currentSectionId] || "They haven't written anything substantial yet."
                 });
-                const response = await callOpenAI(
-                    messageContent, currentSectionId, userInputs,
-                    sectionContent.sections || [], { temperature: 0.9 },
-                    historyForApi, systemPrompt, false
+                const response = await streamOpenAI(
+                    messageContent, 'chat',
+                    { ...getTaskSettings('chat'), signal },
+                    historyForApi, systemPrompt,
+                    (delta, fullText) => streamedText.push(fullText)
                 );
-                get().addChatMessage(currentSectionId, { role: 'assistant', content: response });
+                streamedText.cancel();
+                get().updateLastChatMessage(currentSectionId, { content: response, isStreaming: false });
             } catch (error) {
-                console.error('Error sending chat message via Zustand:', error);
-                get().addChatMessage(currentSectionId, {
-                    role: 'assistant',
-                    content: "I'm sorry, I encountered an error processing your message. Please try again."
-                });
+                streamedText.cancel();
+                const partialText = error.partialText || '';
+                if (isCancelledError(error)) {
+                    console.log("Chat response stopped by user.");
+                    get().updateLastChatMessage(currentSectionId, {
+                        content: partialText ? `${partialText}\n\n*(stopped)*` : '*(stopped)*',
+                        isStreaming: false
+                    });
+                } else {
+                    console.error('Error sending chat message via Zustand:', error);
+                    get().updateLastChatMessage(currentSectionId, {
+                        content: partialText
+                            ? `${partialText}\n\n*(The response was interrupted. Please try again.)*`
+                            : `I'm sorry, I couldn't answer that. ${error.message || 'Please try again.'}`,
+                        isStreaming: false
+                    });
+                }
             } finally {
-                get().setLoading('chat', false);
+                get().endCancellableRequest('chat');
             }
        },
     }),
     // Persistence Options
     {
-      name: 'scientific-project-planner-state',
-      storage: createJSONStorage(() => localStorage),
+      name: PERSIST_KEY,
+      storage: persistStorage,
       partialize: (state) => ({
+         projectId: state.projectId,
+         templateId: state.templateId,
+         customSections: state.customSections,
          sections: state.sections,
          activeToggles: state.activeToggles,
          proMode: state.proMode,
          scores: state.scores,
+         ratingHistory: state.ratingHistory,
          chatMessages: state.chatMessages,
          onboarding: state.onboarding,
          uiMode: state.uiMode, // Persist UI mode
       }),
-      version: 5, // Incremented version since we've added uiMode
-      onRehydrateStorage: (state) => {
-        console.log("Zustand state hydration starting (v5)...");
+      version: STORE_VERSION, // Bump with a new step in storeMigrations.js whenever the persisted shape changes
+      // State saved before templates existed is a research paper plan
+      migrate: (persistedState, version) => migrateStoreState(persistedState, version, {
+        initialSections: getInitialSectionStates(defaultTemplate),
+        defaults: initialState,
+        createProjectId
+      }),
+      // Fitted to the template's current revision, e.g. categories added since the state was saved
+      // start at their default section
+      merge: (persistedState, currentState) => {
+        const template = getTemplate(resolveTemplateId(persistedState?.templateId));
+        const saved = { ...persistedState, ...renameSavedSections(persistedState, template) };
+        const customSections = normalizeCustomSections(saved.customSections);
+        return {
+          ...currentState,
+          ...saved,
+          templateId: template.id,
+          customSections,
+          sections: mergeSavedSections(saved.sections, withCustomSections(template, customSections)),
+          activeToggles: normalizeSavedToggles(saved.activeToggles, template),
+          chatMessages: settleStreamingMessages(saved.chatMessages ?? currentState.chatMessages)
+        };
+      },
+      onRehydrateStorage: () => {
+        console.log(`Zustand state hydration starting (v${STORE_VERSION})...`);
         return (hydratedState, error) => {
           if (error) {
-            console.error("Error rehydrating Zustand state (v5):", error);
-            // Consider resetting state on critical hydration error
-            // useAppStore.getState().resetState();
+            // The app starts fresh and shows the recovery screen with the unreadable data
+            handleRehydrationFailure(PERSIST_KEY, error, persistStorage.getReadState());
           } else {
-            console.log("Zustand state hydration finished successfully (v5).");
-            // Optionally add migration logic here if needed based on version
+            console.log(`Zustand state hydration finished successfully (v${STORE_VERSION}).`);
           }
+          // Nothing is saved after an error, so the data that could not be loaded stays as it is
+          persistStorage.markHydrated(error);
+          // Also saves migrated or imported state in slices
+          useAppStore.setState({ hasHydrated: true });
         }
       },
     }
@@ -501,6 +1082,125 @@ const useAppStore = create(
 
 export default useAppStore;
 
+// Modules that read section definitions resolve them from the open project's template and
+// custom sections. Custom sections changed elsewhere (another tab) get their section state here.
+useAppStore.subscribe((state, prevState) => {
+    if (state.templateId === prevState.templateId && state.customSections === prevState.customSections) return;
+    setActiveTemplateId(state.templateId);
+    setActiveCustomSections(state.customSections);
+    const sections = syncCustomSectionStates(state.sections, state.customSections);
+    useAppStore.setState({ sectionDefinitions: getActiveTemplate().sections, ...(sections !== state.sections && { sections }) });
+});
+
+/**
+ * Save pending state changes now instead of after the save delay
+ * @returns {Promise<void>}
+ */
+export const flushPersistedState = () => persistStorage.flush();
+
+// --- Workspace sync ---
+// The active project is written to the workspace shortly after each change, and
+// immediately when another project becomes active.
+const WORKSPACE_SAVE_DELAY_MS = 1000;
+let workspaceSaveTimer = null;
+const deletedProjectIds = new Set();
+
+/**
+ * Write a project's state to the workspace, adding it on first save
+ * @param {Object} state - Store state of the project
+ */
+const saveProjectToWorkspace = async (state) => {
+    const { projectId } = state;
+    if (!projectId || deletedProjectIds.has(projectId)) return;
+    try {
+        if (await getProject(projectId)) {
+            await saveProjectSnapshot(projectId, getProjectSnapshot(state));
+        } else if (!isPristineProject(state)) {
+            await createWorkspaceProject({
+                id: projectId,
+                name: deriveProjectName(state.sections, getTemplate(state.templateId)),
+                templateId: state.templateId,
+                snapshot: getProjectSnapshot(state)
+            });
+        } else {
+            return;
+        }
+        await useAppStore.getState().refreshProjects();
+    } catch (error) {
+        console.error("[workspace] Could not save project:", error);
+    }
+};
+
+const scheduleWorkspaceSave = () => {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(() => {
+        workspaceSaveTimer = null;
+        saveProjectToWorkspace(useAppStore.getState());
+    }, WORKSPACE_SAVE_DELAY_MS);
+};
+
+/**
+ * Save a pending change of the active project right away
+ */
+const flushWorkspaceSave = async () => {
+    if (!workspaceSaveTimer) return;
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = null;
+    await saveProjectToWorkspace(useAppStore.getState());
+};
+
+useAppStore.subscribe((state, prevState) => {
+    if (!state.workspaceReady) return;
+    if (state.projectId !== prevState.projectId) {
+        // New, loaded or switched project: save unsaved changes of the one we are leaving
+        const hadPendingSave = workspaceSaveTimer !== null;
+        clearTimeout(workspaceSaveTimer);
+        workspaceSaveTimer = null;
+        if (hadPendingSave) saveProjectToWorkspace(prevState);
+        scheduleWorkspaceSave();
+    } else if (PROJECT_SNAPSHOT_KEYS.some(key => state[key] !== prevState[key])) {
+        scheduleWorkspaceSave();
+    }
+});
+
+/**
+ * Load the project list and reconcile it with the store's persisted project.
+ * On first run the existing single-project state becomes the first workspace project.
+ * Call once after the store has hydrated.
+ */
+export const initializeWorkspace = async () => {
+    const state = useAppStore.getState();
+    if (state.workspaceReady) return;
+    try {
+        const projects = await listProjects();
+        const current = projects.find(project => project.id === state.projectId);
+        if (current) {
+            // The store's persisted state is the newest copy of the active project
+            await saveProjectSnapshot(current.id, getProjectSnapshot(state));
+        } else if (projects.length === 0 || !isPristineProject(state)) {
+            await createWorkspaceProject({
+                id: state.projectId,
+                name: deriveProjectName(state.sections, getTemplate(state.templateId)),
+                templateId: state.templateId,
+                snapshot: getProjectSnapshot(state)
+            });
+            console.log("[workspace] Added the current project to the workspace.");
+        } else {
+            // Fresh local state but saved projects exist: reopen the most recent one
+            const recent = projects.find(project => !project.archived);
+            const snapshot = recent && await loadProjectSnapshot(recent.id);
+            if (snapshot) useAppStore.setState(getStateFromSnapshot(recent.id, snapshot));
+        }
+    } catch (error) {
+        console.error("[workspace] Could not initialize the workspace:", error);
+    }
+    useAppStore.setState({ workspaceReady: true });
+    await useAppStore.getState().refreshProjects();
+    // Best effort: the browser need not finish this write. The persisted store keeps a synchronous
+    // copy of unsaved changes (persistStorage.js), which the next initializeWorkspace saves here.
+    window.addEventListener('pagehide', () => { flushWorkspaceSave(); });
+};
+
 // Action to be called from App component
 export const initializeOnboardingFromLocalStorage = () => {
     useAppStore.getState()._initializeOnboarding();
@@ -0,0 +1,69 @@
+// FILE: src/store/appStore.test.js
+import useAppStore from './appStore';
+import { selectVisibility } from '../logic/progressionLogic';
+
+describe('persisted state', () => {
+  it('settles chat replies that were still streaming when the page closed', () => {
+    const { merge } = useAppStore.persist.getOptions();
+    const saved = {
+      chatMessages: {
+        question: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: '', isStreaming: true }],
+        audience: [{ role: 'assistant', content: 'Half an answer', isStreaming: true }],
+        abstract: [{ role: 'assistant', content: 'Done' }]
+      }
+    };
+
+    const { chatMessages } = merge(saved, useAppStore.getState());
+
+    expect(chatMessages.question).toEqual([{ role: 'user', content: 'Hi' }]);
+    expect(chatMessages.audience).toEqual([{
+      role: 'assistant',
+      content: 'Half an answer\n\n*(The response was interrupted. Please try again.)*',
+      isStreaming: false
+    }]);
+    expect(chatMessages.abstract).toBe(saved.chatMessages.abstract);
+  });
+});
+
+describe('toggleCategorySection', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    useAppStore.getState().resetState('paper');
+    useAppStore.setState({ scores: { question: 7, hypothesis: 7 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const isAudienceOpen = () => selectVisibility(useAppStore.getState()).sections.audience;
+
+  it('adds and removes approaches, and unlocks once every chosen one is rated', () => {
+    expect(isAudienceOpen()).toBe(true);
+
+    useAppStore.getState().toggleCategorySection('approach', 'exploratoryresearch');
+    expect(useAppStore.getState().activeToggles.approach).toEqual(['hypothesis', 'exploratoryresearch']);
+    expect(isAudienceOpen()).toBe(false);
+
+    useAppStore.setState(state => ({ scores: { ...state.scores, exploratoryresearch: 6 } }));
+    expect(isAudienceOpen()).toBe(true);
+
+    useAppStore.getState().toggleCategorySection('approach', 'hypothesis');
+    expect(useAppStore.getState().activeToggles.approach).toEqual(['exploratoryresearch']);
+    expect(isAudienceOpen()).toBe(true);
+  });
+
+  it('keeps the last chosen approach and undoes a change in one step', () => {
+    useAppStore.getState().toggleCategorySection('approach', 'hypothesis');
+    expect(useAppStore.getState().activeToggles.approach).toEqual(['hypothesis']);
+
+    useAppStore.getState().toggleCategorySection('approach', 'needsresearch');
+    expect(useAppStore.getState().history.past.slice(-1)[0].label).toMatch(/^Add /);
+
+    useAppStore.getState().undo();
+    expect(useAppStore.getState().activeToggles.approach).toEqual(['hypothesis']);
+    expect(isAudienceOpen()).toBe(true);
+  });
+});
+
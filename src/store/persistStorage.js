@@ -0,0 +1,203 @@
+// FILE: src/store/persistStorage.js
+
+/**
+ * Storage for zustand's persist middleware with debounced, per-slice writes
+ * persist calls setItem with the partialized state after every store update.
+ * This storage keeps only the latest value and saves it once updates pause
+ * (at the latest MAX_WAIT_MS after the first unsaved one), and then only the
+ * slices whose object changed since the last save; the store replaces a
+ * slice's object whenever something in it changes. Pending changes are saved
+ * right away when the page is hidden or closed. The browser need not finish
+ * that IndexedDB write, so the unsaved slices are first copied synchronously
+ * to localStorage (writeStateSnapshot); the next load applies the copy over
+ * the slices until they are saved.
+ *
+ * Values are handed to stateStorageService as they are, so typing no longer
+ * serializes the whole chat history on every keystroke.
+ *
+ * Nothing is saved before hydration has finished (markHydrated), so the
+ * initial state cannot overwrite saved data that is still being read. When
+ * the saved state cannot be read or loaded (e.g. a migration throws), nothing
+ * is saved for the rest of the session and onReadFailed lets the app warn
+ * about it. getReadState keeps a copy of what was read for the recovery screen.
+ */
+import {
+  readStateSlices, writeStateSlices, removeStateSlices, isQuotaExceededError,
+  writeStateSnapshot, readStateSnapshot, removeStateSnapshot
+} from '../services/stateStorageService';
+import { readUnslicedState, removeUnslicedState } from './storeMigrations';
+
+const SAVE_DELAY_MS = 1000;
+const MAX_WAIT_MS = 5000;
+
+/**
+ * Create the storage
+ * @param {Object} callbacks - { onQuotaExceeded(error), onQuotaRecovered() }, called once per change of state,
+ *   and onReadFailed(), called at hydration when changes will not be saved
+ * @returns {Object} - PersistStorage ({ getItem, setItem, removeItem }) plus markHydrated(error), flush()
+ *   and getReadState()
+ */
+export const createSlicedStorage = ({ onQuotaExceeded = () => {}, onQuotaRecovered = () => {}, onReadFailed = () => {} } = {}) => {
+  const savedSlices = {}; // { slice: value } as last saved
+  let savedVersion = null;
+  let pending = null; // { name, value } not saved yet
+  let latest = null; // { name, value } last passed to setItem, until it is saved
+  let hasSnapshot = false; // A snapshot of unsaved changes is in localStorage
+  let pendingSince = 0;
+  let timer = null;
+  let writing = null;
+  let isHydrated = false;
+  let readFailed = false; // Set when saved state could not be read or loaded; nothing is saved then
+  let readState = null; // JSON of the state getItem returned, kept for a failed load
+  let unslicedName = null; // Set while the state still comes from the old localStorage string
+  let quotaExceeded = false;
+
+  const getChangedSlices = (state) => Object.keys(state)
+    .filter(slice => state[slice] !== savedSlices[slice])
+    .reduce((slices, slice) => { slices[slice] = state[slice]; return slices; }, {});
+
+  // Everything passed to setItem so far is saved; the snapshot is no longer needed
+  const markSaved = (name) => {
+    if (pending) return;
+    latest = null;
+    if (hasSnapshot) {
+      removeStateSnapshot(name);
+      hasSnapshot = false;
+    }
+  };
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    while (writing) await writing;
+    if (!pending) return;
+
+    const { name, value } = pending;
+    pending = null;
+    pendingSince = 0;
+    const changed = getChangedSlices(value.state);
+    if (Object.keys(changed).length === 0 && value.version === savedVersion) {
+      markSaved(name);
+      return;
+    }
+
+    writing = writeStateSlices(name, changed, value.version)
+      .then(() => {
+        Object.assign(savedSlices, changed);
+        savedVersion = value.version;
+        markSaved(name);
+        if (unslicedName) {
+          removeUnslicedState(unslicedName);
+          unslicedName = null;
+        }
+        if (quotaExceeded) {
+          quotaExceeded = false;
+          onQuotaRecovered();
+        }
+      })
+      .catch(error => {
+        // Retry with the next update (which still includes these slices)
+        if (!pending) pending = { name, value };
+        if (!isQuotaExceededError(error)) {
+          console.error("[persistStorage] Could not save state:", error);
+        } else if (!quotaExceeded) {
+          quotaExceeded = true;
+          console.warn("[persistStorage] Storage is full, state is not being saved.");
+          onQuotaExceeded(error);
+        }
+      })
+      .finally(() => { writing = null; });
+    await writing;
+  };
+
+  const scheduleFlush = () => {
+    const now = Date.now();
+    if (!pendingSince) pendingSince = now;
+    clearTimeout(timer);
+    timer = setTimeout(flush, Math.max(0, Math.min(SAVE_DELAY_MS, pendingSince + MAX_WAIT_MS - now)));
+  };
+
+  // Synchronous copy of what is not saved yet; all slices when the version changed
+  const saveSnapshot = () => {
+    if (!latest) return;
+    const { name, value } = latest;
+    const slices = value.version === savedVersion ? getChangedSlices(value.state) : value.state;
+    if (Object.keys(slices).length === 0 && value.version === savedVersion) return;
+    if (writeStateSnapshot(name, slices, value.version)) hasSnapshot = true;
+  };
+
+  const handlePageHidden = () => {
+    saveSnapshot();
+    flush();
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', handlePageHidden);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') handlePageHidden();
+    });
+  }
+
+  return {
+    getItem: async (name) => {
+      let stored;
+      try {
+        stored = await readStateSlices(name);
+      } catch (error) {
+        // Saved state exists but cannot be read right now; never overwrite it
+        readFailed = true;
+        throw error;
+      }
+      let saved = stored;
+      if (stored) {
+        Object.assign(savedSlices, stored.state);
+        savedVersion = stored.version;
+      } else {
+        // Unreadable strings are dropped too once saved again; the recovery copy keeps them
+        unslicedName = name;
+        saved = readUnslicedState(name);
+      }
+      const snapshot = readStateSnapshot(name);
+      if (snapshot) {
+        // Changes of a page closed before they were saved; saved in slices after hydration
+        console.log("[persistStorage] Restoring changes that were not saved when the page was closed");
+        hasSnapshot = true;
+        saved = { state: { ...(saved?.state || {}), ...snapshot.state }, version: snapshot.version };
+      }
+      // Serialized now, before migrations change it
+      readState = saved ? JSON.stringify(saved) : null;
+      return saved;
+    },
+    setItem: (name, value) => {
+      if (!isHydrated || readFailed) return;
+      pending = { name, value };
+      latest = pending;
+      scheduleFlush();
+    },
+    removeItem: async (name) => {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      latest = null;
+      Object.keys(savedSlices).forEach(slice => delete savedSlices[slice]);
+      savedVersion = null;
+      removeStateSnapshot(name);
+      hasSnapshot = false;
+      await removeStateSlices(name);
+    },
+    // Call when persist has merged the saved state, or with its error when it failed to; updates are
+    // saved from then on unless it failed, so the state that could not be loaded is not overwritten
+    markHydrated: (error) => {
+      isHydrated = true;
+      if (error) readFailed = true;
+      if (readFailed) {
+        console.warn("[persistStorage] Saved state could not be read; changes are not saved in this session.");
+        onReadFailed();
+      }
+    },
+    // Save pending changes now
+    flush,
+    // The state read at hydration as a JSON string, or null
+    getReadState: () => readState,
+  };
+};
@@ -0,0 +1,147 @@
+// FILE: src/store/persistStorage.test.js
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { createSlicedStorage } from './persistStorage';
+import {
+  readStateSlices, writeStateSlices, writeStateSnapshot, readStateSnapshot, removeStateSnapshot
+} from '../services/stateStorageService';
+
+jest.mock('../services/stateStorageService', () => ({
+  readStateSlices: jest.fn(),
+  writeStateSlices: jest.fn(),
+  removeStateSlices: jest.fn(),
+  isQuotaExceededError: jest.fn(),
+  writeStateSnapshot: jest.fn(),
+  readStateSnapshot: jest.fn(),
+  removeStateSnapshot: jest.fn()
+}));
+
+jest.mock('./storeMigrations', () => ({
+  readUnslicedState: jest.fn(),
+  removeUnslicedState: jest.fn()
+}));
+
+const NAME = 'test-store';
+
+const hidePage = () => window.dispatchEvent(new Event('pagehide'));
+
+describe('createSlicedStorage', () => {
+  beforeEach(() => {
+    // react-scripts resets mock implementations before each test
+    writeStateSnapshot.mockReturnValue(true);
+    readStateSnapshot.mockReturnValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  it('copies unsaved slices to a snapshot when the page is hidden and removes it once they are saved', async () => {
+    const sections = { question: { content: 'Saved' } };
+    const scores = { question: 5 };
+    readStateSlices.mockResolvedValue({ state: { sections, scores }, version: 10 });
+    let finishWrite;
+    writeStateSlices.mockReturnValue(new Promise(resolve => { finishWrite = resolve; }));
+
+    const storage = createSlicedStorage();
+    await storage.getItem(NAME);
+    storage.markHydrated();
+
+    const edited = { question: { content: 'Edited' } };
+    storage.setItem(NAME, { state: { sections: edited, scores }, version: 10 });
+    hidePage();
+
+    expect(writeStateSnapshot).toHaveBeenCalledWith(NAME, { sections: edited }, 10);
+    expect(writeStateSlices).toHaveBeenCalledWith(NAME, { sections: edited }, 10);
+    expect(removeStateSnapshot).not.toHaveBeenCalled();
+
+    finishWrite();
+    await storage.flush();
+    expect(removeStateSnapshot).toHaveBeenCalledWith(NAME);
+  });
+
+  it('writes no snapshot when everything is saved', async () => {
+    readStateSlices.mockResolvedValue({ state: { sections: {} }, version: 10 });
+    const storage = createSlicedStorage();
+    await storage.getItem(NAME);
+    storage.markHydrated();
+
+    hidePage();
+    expect(writeStateSnapshot).not.toHaveBeenCalled();
+  });
+
+  it('applies a snapshot left by a closed page over the saved slices', async () => {
+    readStateSlices.mockResolvedValue({
+      state: { sections: { question: { content: 'Old' } }, scores: { question: 5 } },
+      version: 10
+    });
+    readStateSnapshot.mockReturnValueOnce({ state: { sections: { question: { content: 'Newer' } } }, version: 10 });
+
+    const storage = createSlicedStorage();
+    const restored = await storage.getItem(NAME);
+
+    expect(restored).toEqual({
+      state: { sections: { question: { content: 'Newer' } }, scores: { question: 5 } },
+      version: 10
+    });
+
+    // Saved in slices after hydration, then the snapshot goes away
+    writeStateSlices.mockResolvedValue();
+    storage.markHydrated();
+    storage.setItem(NAME, restored);
+    await storage.flush();
+    expect(writeStateSlices).toHaveBeenCalledWith(NAME, { sections: restored.state.sections }, 10);
+    expect(removeStateSnapshot).toHaveBeenCalledWith(NAME);
+  });
+
+  it('reports saved state that cannot be read and saves nothing afterwards', async () => {
+    readStateSlices.mockRejectedValue(new Error('IndexedDB is broken'));
+    const onReadFailed = jest.fn();
+    const storage = createSlicedStorage({ onReadFailed });
+
+    await expect(storage.getItem(NAME)).rejects.toThrow('IndexedDB is broken');
+    storage.markHydrated();
+    expect(onReadFailed).toHaveBeenCalledTimes(1);
+
+    storage.setItem(NAME, { state: { sections: {} }, version: 10 });
+    hidePage();
+    await storage.flush();
+    expect(writeStateSlices).not.toHaveBeenCalled();
+    expect(writeStateSnapshot).not.toHaveBeenCalled();
+  });
+
+  it('keeps what it read and saves nothing when a migration throws', async () => {
+    const stored = { state: { sections: { question: { content: 'Saved work' } } }, version: 3 };
+    readStateSlices.mockResolvedValue(stored);
+    writeStateSlices.mockResolvedValue();
+    const onReadFailed = jest.fn();
+    const storage = createSlicedStorage({ onReadFailed });
+    let hydrationError = null;
+
+    const useStore = create(persist(() => ({ sections: {} }), {
+      name: NAME,
+      storage,
+      version: 4,
+      skipHydration: true,
+      migrate: () => { throw new Error('Migration failed'); },
+      onRehydrateStorage: () => (state, error) => {
+        hydrationError = error;
+        storage.markHydrated(error);
+      }
+    }));
+    await useStore.persist.rehydrate();
+
+    expect(hydrationError).toEqual(new Error('Migration failed'));
+    expect(JSON.parse(storage.getReadState())).toEqual(stored);
+    expect(onReadFailed).toHaveBeenCalledTimes(1);
+
+    useStore.setState({ sections: { question: { content: 'New' } } });
+    hidePage();
+    await storage.flush();
+    expect(writeStateSlices).not.toHaveBeenCalled();
+    expect(writeStateSnapshot).not.toHaveBeenCalled();
+  });
+});
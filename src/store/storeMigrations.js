@@ -0,0 +1,298 @@
+// FILE: src/store/storeMigrations.js
+
+/**
+ * Persistence migrations for the app store
+ * zustand's persist middleware stores { state, version } under the store's key
+ * and calls migrateStoreState when the stored version is older than
+ * STORE_VERSION. Each step brings the state up by one version and is safe to
+ * run on data that already has the newer shape. Section-id renames are applied
+ * first, so the steps fill in and validate sections under their current ids;
+ * adding a rename only needs a SECTION_ID_RENAMES entry and a version bump.
+ *
+ * Version 0 covers both state saved before the store had a version and data
+ * from the legacy keys in storageService (paperPlannerData, section_states,
+ * paperPlannerChat, savedSectionFeedback), which readUnslicedState imports on
+ * first load when the store has no saved state.
+ *
+ * State saved before the per-slice storage (persistStorage.js) is one JSON
+ * string under the store's key in localStorage. When stored state cannot be
+ * read or migrated, it is copied to a recovery key as JSON (the raw string
+ * for the localStorage one), nothing is saved over it in that session, and
+ * the app shows RecoveryScreen.
+ *
+ * State saved before version 9 is a research paper plan (sectionContent.json);
+ * SECTION_ID_RENAMES are renames in that template. Other templates list their
+ * renames under "renamedSections", which the store applies when a project opens.
+ */
+import sectionContent from '../data/sectionContent.json';
+import { loadLegacyData, saveRecoveryBackup, isStorageAvailable } from '../services/storageService';
+import { normalizeActiveToggles } from '../utils/sectionOrderUtils';
+
+export const STORE_VERSION = 10;
+
+// Section ids that were renamed: { oldId: newId }. Ids that differ from a current id
+// only in case or separators (e.g. 'relatedPapers', 'related_papers') are matched automatically.
+export const SECTION_ID_RENAMES = {};
+
+const SECTION_IDS = sectionContent.sections.map(section => section.id);
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const normalizeId = (id) => String(id).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Current id for a section id found in stored data
+ * @param {string} id - Stored section id
+ * @returns {string} - The current id, or the stored id if it matches no section
+ */
+export const resolveSectionId = (id) => {
+  if (SECTION_ID_RENAMES[id]) return SECTION_ID_RENAMES[id];
+  if (SECTION_IDS.includes(id)) return id;
+  return SECTION_IDS.find(sectionId => normalizeId(sectionId) === normalizeId(id)) || id;
+};
+
+/**
+ * Re-key an object keyed by section id; an entry already under the current id wins
+ * @param {Object} byId - { sectionId: value }
+ * @returns {Object}
+ */
+const renameSectionKeys = (byId) => {
+  if (!isPlainObject(byId)) return byId;
+  return Object.entries(byId).reduce((renamed, [id, value]) => {
+    const currentId = resolveSectionId(id);
+    if (currentId === id || !(currentId in byId)) renamed[currentId] = value;
+    return renamed;
+  }, {});
+};
+
+// --- Migration steps: MIGRATIONS[n] takes a version n-1 state to version n ---
+const MIGRATIONS = {
+  // 1: Section content as objects. The earliest saves kept plain strings, either
+  //    under userInputs or directly under sections.
+  1: (state) => {
+    const sections = isPlainObject(state.sections) ? { ...state.sections } : {};
+    if (isPlainObject(state.userInputs)) {
+      Object.entries(state.userInputs).forEach(([id, content]) => {
+        if (typeof content === 'string') sections[id] = { ...(isPlainObject(sections[id]) ? sections[id] : {}), content };
+      });
+    }
+    Object.keys(sections).forEach(id => {
+      if (typeof sections[id] === 'string') sections[id] = { content: sections[id] };
+      else if (!isPlainObject(sections[id])) delete sections[id];
+    });
+    const { userInputs, ...rest } = state;
+    return { ...rest, sections };
+  },
+
+  // 2: Every section has the full set of fields, filled from the current defaults
+  2: (state, { initialSections }) => {
+    const sections = { ...state.sections };
+    Object.keys(initialSections).forEach(id => {
+      sections[id] = { ...initialSections[id], ...(sections[id] || {}), id };
+      if (typeof sections[id].content !== 'string') sections[id].content = initialSections[id].content;
+    });
+    return { ...state, sections };
+  },
+
+  // 3: Every category's toggle points at one of its own sections (categories in sectionContent.json)
+  3: (state) => ({
+    ...state,
+    activeToggles: normalizeActiveToggles(isPlainObject(state.activeToggles) ? state.activeToggles : {}, sectionContent)
+  }),
+
+  // 4: Scores are numbers or null, chat messages are arrays of { role, content },
+  //    pro mode and onboarding have their current types
+  4: (state, { defaults }) => {
+    const scores = Object.entries(isPlainObject(state.scores) ? state.scores : {}).reduce((acc, [id, score]) => {
+      acc[id] = typeof score === 'number' ? score : null;
+      return acc;
+    }, {});
+    const chatMessages = Object.entries(isPlainObject(state.chatMessages) ? state.chatMessages : {}).reduce((acc, [id, messages]) => {
+      if (Array.isArray(messages)) {
+        acc[id] = messages.filter(message => isPlainObject(message) && typeof message.role === 'string' && typeof message.content === 'string');
+      }
+      return acc;
+    }, {});
+    const onboarding = isPlainObject(state.onboarding) ? state.onboarding : {};
+    return {
+      ...state,
+      scores,
+      chatMessages,
+      proMode: typeof state.proMode === 'boolean' ? state.proMode : defaults.proMode,
+      onboarding: {
+        step: typeof onboarding.step === 'number' ? onboarding.step : defaults.onboarding.step,
+        showHelpSplash: !!onboarding.showHelpSplash
+      }
+    };
+  },
+
+  // 5: Single-panel layout mode
+  5: (state) => ({ ...state, uiMode: state.uiMode === 'guide' ? 'guide' : 'write' }),
+
+  // 6: Project id (per-project usage and the workspace) and the per-section rating history
+  6: (state, { createProjectId }) => ({
+    ...state,
+    projectId: typeof state.projectId === 'string' && state.projectId ? state.projectId : createProjectId(),
+    ratingHistory: isPlainObject(state.ratingHistory) ? state.ratingHistory : {}
+  }),
+
+  // 7: Section visibility is derived from scores, toggles and pro mode instead of stored
+  7: (state) => ({
+    ...state,
+    sections: Object.entries(isPlainObject(state.sections) ? state.sections : {}).reduce((acc, [id, section]) => {
+      if (!isPlainObject(section)) return acc;
+      const { isVisible, ...rest } = section;
+      acc[id] = rest;
+      return acc;
+    }, {})
+  }),
+
+  // 8: Each category's toggle is a list of sections (multi-select categories can have several)
+  8: (state) => ({
+    ...state,
+    activeToggles: normalizeActiveToggles(isPlainObject(state.activeToggles) ? state.activeToggles : {}, sectionContent)
+  }),
+
+  // 9: Projects have a planning template; everything saved so far is a research paper plan
+  9: (state) => ({
+    ...state,
+    templateId: typeof state.templateId === 'string' && state.templateId ? state.templateId : sectionContent.id
+  }),
+
+  // 10: Projects can add their own sections after the template's
+  10: (state) => ({
+    ...state,
+    customSections: Array.isArray(state.customSections) ? state.customSections : []
+  }),
+};
+
+/**
+ * Apply section-id renames to every slice keyed by section id
+ * @param {Object} state - Stored state
+ * @returns {Object}
+ */
+const applySectionIdRenames = (state) => {
+  const renamed = { ...state };
+  ['sections', 'userInputs', 'scores', 'chatMessages', 'ratingHistory'].forEach(key => {
+    if (isPlainObject(state[key])) renamed[key] = renameSectionKeys(state[key]);
+  });
+  if (isPlainObject(renamed.sections)) {
+    Object.keys(renamed.sections).forEach(id => {
+      const section = renamed.sections[id];
+      if (isPlainObject(section) && section.id && section.id !== id) renamed.sections[id] = { ...section, id };
+    });
+  }
+  if (isPlainObject(state.activeToggles)) {
+    renamed.activeToggles = Object.entries(state.activeToggles).reduce((toggles, [categoryId, selection]) => {
+      toggles[categoryId] = Array.isArray(selection) ? selection.map(resolveSectionId) : resolveSectionId(selection);
+      return toggles;
+    }, {});
+  }
+  return renamed;
+};
+
+/**
+ * Bring stored state up to STORE_VERSION
+ * @param {Object} persistedState - State as stored
+ * @param {number} version - Stored version
+ * @param {Object} context - { initialSections, defaults, createProjectId }
+ * @returns {Object} - State in the current shape
+ */
+export const migrateStoreState = (persistedState, version, context) => {
+  if (version > STORE_VERSION) {
+    // Saved by a newer build (e.g. another tab after an update); keep what we understand
+    console.warn(`[storeMigrations] Stored state is version ${version}, newer than ${STORE_VERSION}; loading it unchanged`);
+    return persistedState;
+  }
+  // Renames run before the steps so older ids are filled in and validated like current ones
+  let state = isPlainObject(persistedState) ? persistedState : {};
+  if (!state.templateId || state.templateId === sectionContent.id) state = applySectionIdRenames(state);
+  for (let next = Math.max(version, 0) + 1; next <= STORE_VERSION; next++) {
+    state = MIGRATIONS[next](state, context);
+    console.log(`[storeMigrations] Migrated stored state to version ${next}`);
+  }
+  return state;
+};
+
+/**
+ * Version 0 state from the legacy localStorage keys
+ * @returns {Object|null} - null when no legacy data exists
+ */
+export const buildLegacyState = () => {
+  const legacy = loadLegacyData();
+  if (!legacy) return null;
+
+  const { projectData, sectionStates, chatMessages, feedbackData } = legacy;
+  // saveToStorage wrote both { sections: userInputs } and plain userInputs to the same key
+  const userInputs = isPlainObject(projectData?.sections) ? projectData.sections
+    : isPlainObject(projectData?.userInputs) ? projectData.userInputs
+    : projectData;
+
+  const sections = {};
+  const scores = {};
+  Object.entries(isPlainObject(userInputs) ? userInputs : {}).forEach(([id, value]) => {
+    const content = typeof value === 'string' ? value : value?.content;
+    if (typeof content === 'string') sections[id] = { content };
+  });
+  Object.entries(isPlainObject(sectionStates) ? sectionStates : {}).forEach(([id, value]) => {
+    const isMinimized = typeof value === 'boolean' ? value : (value?.isMinimized ?? value?.minimized);
+    if (typeof isMinimized === 'boolean') sections[id] = { ...(sections[id] || {}), isMinimized };
+  });
+  Object.entries(isPlainObject(feedbackData) ? feedbackData : {}).forEach(([id, feedback]) => {
+    if (!isPlainObject(feedback)) return;
+    const rating = typeof feedback.rating === 'number' ? feedback.rating : null;
+    sections[id] = { ...(sections[id] || {}), aiInstructions: feedback, feedbackRating: rating };
+    scores[id] = rating;
+  });
+
+  return { sections, scores, chatMessages: isPlainObject(chatMessages) ? chatMessages : {} };
+};
+
+// --- State saved in localStorage, with legacy import and a recovery copy ---
+let lastRawState = null;
+let rehydrationFailure = null;
+
+/**
+ * State saved as one localStorage string, or imported from the legacy keys
+ * Remembers the raw string it read so a failed load can be backed up.
+ * @param {string} name - The persisted store's key
+ * @returns {{ state: Object, version: number }|null} - null when there is nothing to import
+ * @throws {SyntaxError} When the saved string is not valid JSON
+ */
+export const readUnslicedState = (name) => {
+  if (!isStorageAvailable()) return null;
+  const raw = localStorage.getItem(name);
+  lastRawState = raw;
+  if (raw !== null) return JSON.parse(raw);
+  const legacyState = buildLegacyState();
+  if (!legacyState) return null;
+  console.log("[storeMigrations] Importing data saved by an older version of the planner");
+  return { state: legacyState, version: 0 };
+};
+
+/**
+ * Drop the localStorage string once its state is saved in slices
+ * @param {string} name - The persisted store's key
+ */
+export const removeUnslicedState = (name) => {
+  if (isStorageAvailable()) localStorage.removeItem(name);
+};
+
+/**
+ * Record a failed rehydration and keep the unreadable data
+ * @param {string} name - The persisted store's key
+ * @param {Error} error - From the persist middleware
+ * @param {string|null} readState - The state read before the failure as a JSON string (e.g. from the
+ *   IndexedDB slices); the string readUnslicedState read is kept when there is none
+ */
+export const handleRehydrationFailure = (name, error, readState = null) => {
+  const hasBackup = saveRecoveryBackup(name, readState ?? lastRawState);
+  rehydrationFailure = { name, message: error?.message || String(error), hasBackup };
+  console.error("[storeMigrations] Could not load saved state:", error);
+};
+
+/**
+ * The failed rehydration of this page load, if any
+ * @returns {Object|null} - { name, message, hasBackup }
+ */
+export const getRehydrationFailure = () => rehydrationFailure;
+
+export const dismissRehydrationFailure = () => { rehydrationFailure = null; };
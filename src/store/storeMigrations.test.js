@@ -0,0 +1,134 @@
+// FILE: src/store/storeMigrations.test.js
+import sectionContent from '../data/sectionContent.json';
+import { STORE_VERSION, migrateStoreState, resolveSectionId } from './storeMigrations';
+
+const initialSections = sectionContent.sections.reduce((acc, section) => {
+  acc[section.id] = { id: section.id, content: section.placeholder || '', isMinimized: false, aiInstructions: null };
+  return acc;
+}, {});
+
+const context = {
+  initialSections,
+  defaults: { proMode: false, onboarding: { step: 0, showHelpSplash: false } },
+  createProjectId: () => 'project-test'
+};
+
+describe('migrateStoreState', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('brings version 0 string content up to the current shape', () => {
+    const state = migrateStoreState({
+      userInputs: { question: 'Why do cells divide?' },
+      sections: { audience: 'Biologists' }
+    }, 0, context);
+
+    expect(state.userInputs).toBeUndefined();
+    expect(state.sections.question).toMatchObject({ id: 'question', content: 'Why do cells divide?' });
+    expect(state.sections.audience).toMatchObject({ id: 'audience', content: 'Biologists' });
+    expect(Object.keys(state.sections)).toEqual(expect.arrayContaining(Object.keys(initialSections)));
+    expect(state.projectId).toBe('project-test');
+    expect(state.templateId).toBe(sectionContent.id);
+    expect(state.customSections).toEqual([]);
+    expect(state.uiMode).toBe('write');
+  });
+
+  it('treats a missing or non-object state as empty', () => {
+    [null, undefined, 'text', []].forEach(persisted => {
+      const state = migrateStoreState(persisted, 0, context);
+      expect(Object.keys(state.sections)).toEqual(Object.keys(initialSections));
+      expect(state.scores).toEqual({});
+      expect(state.chatMessages).toEqual({});
+    });
+  });
+
+  it('drops section values that are not objects, including under unknown ids', () => {
+    const state = migrateStoreState({
+      sections: { question: { content: 'Kept' }, legacyThing: null, other: 42, listy: [] }
+    }, 6, context);
+
+    expect(state.sections.question.content).toBe('Kept');
+    expect(state.sections).not.toHaveProperty('legacyThing');
+    expect(state.sections).not.toHaveProperty('other');
+    expect(state.sections).not.toHaveProperty('listy');
+  });
+
+  it('removes the stored visibility flag from sections (step 7)', () => {
+    const state = migrateStoreState({
+      sections: { question: { content: 'Q', isVisible: false }, extra: { content: 'E', isVisible: true } }
+    }, 6, context);
+
+    expect(state.sections.question).not.toHaveProperty('isVisible');
+    expect(state.sections.extra).toEqual({ content: 'E' });
+  });
+
+  it('cleans scores, chat messages, pro mode and onboarding (step 4)', () => {
+    const state = migrateStoreState({
+      scores: { question: 7, audience: '8' },
+      chatMessages: {
+        question: [{ role: 'user', content: 'Hi' }, { role: 'assistant' }, null],
+        audience: 'not a list'
+      },
+      proMode: 'yes',
+      onboarding: { step: 2, showHelpSplash: 1 }
+    }, 3, context);
+
+    expect(state.scores).toEqual({ question: 7, audience: null });
+    expect(state.chatMessages).toEqual({ question: [{ role: 'user', content: 'Hi' }] });
+    expect(state.proMode).toBe(false);
+    expect(state.onboarding).toEqual({ step: 2, showHelpSplash: true });
+  });
+
+  it('stores each category toggle as a list of its own sections', () => {
+    const state = migrateStoreState({ activeToggles: { approach: 'exploratoryresearch', dataMethod: 'nothere' } }, 2, context);
+
+    expect(state.activeToggles.approach).toEqual(['exploratoryresearch']);
+    expect(Array.isArray(state.activeToggles.dataMethod)).toBe(true);
+    expect(state.activeToggles.dataMethod).not.toContain('nothere');
+  });
+
+  it('keeps existing project ids, templates and custom sections', () => {
+    const customSections = [{ id: 'custom-1', title: 'Ethics' }];
+    const state = migrateStoreState({
+      sections: {},
+      projectId: 'project-kept',
+      templateId: 'grant',
+      customSections
+    }, 8, context);
+
+    expect(state.projectId).toBe('project-kept');
+    expect(state.templateId).toBe('grant');
+    expect(state.customSections).toBe(customSections);
+  });
+
+  it('matches stored section ids that differ only in case or separators', () => {
+    expect(resolveSectionId('relatedPapers')).toBe('relatedpapers');
+    expect(resolveSectionId('related_papers')).toBe('relatedpapers');
+    expect(resolveSectionId('somethingElse')).toBe('somethingElse');
+
+    const state = migrateStoreState({
+      sections: { relatedPapers: { content: 'Smith 2020' } },
+      scores: { relatedPapers: 6 }
+    }, 0, context);
+
+    expect(state.sections.relatedpapers).toMatchObject({ id: 'relatedpapers', content: 'Smith 2020' });
+    expect(state.sections).not.toHaveProperty('relatedPapers');
+    expect(state.scores).toEqual({ relatedpapers: 6 });
+  });
+
+  it('is safe to run on state that is already current', () => {
+    const current = migrateStoreState({}, 0, context);
+    expect(migrateStoreState(current, 0, context)).toEqual(current);
+  });
+
+  it('returns state from a newer version unchanged', () => {
+    const persisted = { sections: { question: 'not migrated' } };
+    expect(migrateStoreState(persisted, STORE_VERSION + 1, context)).toBe(persisted);
+  });
+});
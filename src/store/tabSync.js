@@ -0,0 +1,215 @@
+// FILE: src/store/tabSync.js
+
+/**
+ * Live sync of the planner state between browser tabs
+ * Every tab posts its changes to a BroadcastChannel (throttled) and applies
+ * the changes other tabs post for the same project, so all tabs hold the same
+ * state and the persisted store is no longer clobbered by whichever tab wrote
+ * last.
+ *
+ * Section updates carry the content the sender last synced ("base"). If this
+ * tab changed the section since then too, neither version is applied over the
+ * other: the section is added to syncConflicts and SyncConflictModal asks the
+ * user to keep one version or merge them.
+ *
+ * Remote changes get no undo entry of their own. Instead they are carried into
+ * this tab's undo/redo entries, so undoing a local edit never reverts what the
+ * other tab changed.
+ */
+import useAppStore from './appStore';
+import { isCustomSectionId } from '../utils/customSectionUtils';
+
+const CHANNEL_NAME = 'scientific-project-planner-sync';
+const BROADCAST_INTERVAL_MS = 250;
+
+// Section fields that belong to the shared project (not per-tab UI such as isMinimized)
+const SYNCED_SECTION_FIELDS = ['content', 'aiInstructions', 'feedbackRating', 'editedSinceFeedback', 'lastEditTimestamp', 'layout'];
+// Whole slices replaced on every change
+const SYNCED_KEYS = ['customSections', 'activeToggles', 'proMode', 'scores', 'ratingHistory'];
+
+const tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let channel = null;
+let applyingRemote = false;
+let broadcastTimer = null;
+const pending = { sections: new Set(), chats: new Set(), keys: new Set() };
+const lastSyncedContent = {}; // { sectionId: content } as last sent to or received from the other tabs
+
+const pickSyncedFields = (section) =>
+  SYNCED_SECTION_FIELDS.reduce((fields, field) => { fields[field] = section[field]; return fields; }, {});
+
+const sectionChanged = (section, prevSection) =>
+  section !== prevSection && SYNCED_SECTION_FIELDS.some(field => section?.[field] !== prevSection?.[field]);
+
+const resetSyncBaseline = (state) => {
+  Object.keys(lastSyncedContent).forEach(id => delete lastSyncedContent[id]);
+  Object.entries(state.sections || {}).forEach(([id, section]) => { lastSyncedContent[id] = section?.content; });
+  pending.sections.clear();
+  pending.chats.clear();
+  pending.keys.clear();
+};
+
+/**
+ * Post everything changed since the last broadcast
+ */
+const flushBroadcast = () => {
+  broadcastTimer = null;
+  // A conflict may have taken back everything that was queued
+  if (!channel || !(pending.sections.size || pending.chats.size || pending.keys.size)) return;
+  const state = useAppStore.getState();
+  const message = { type: 'changes', tabId, projectId: state.projectId, sections: {}, chats: {}, values: {} };
+
+  pending.sections.forEach(id => {
+    const section = state.sections[id];
+    if (!section) return;
+    message.sections[id] = { base: lastSyncedContent[id], fields: pickSyncedFields(section) };
+    lastSyncedContent[id] = section.content;
+  });
+  pending.chats.forEach(id => { message.chats[id] = state.chatMessages[id] || []; });
+  pending.keys.forEach(key => { message.values[key] = state[key]; });
+  pending.sections.clear();
+  pending.chats.clear();
+  pending.keys.clear();
+
+  try {
+    channel.postMessage(message);
+  } catch (error) {
+    console.warn("[tabSync] Could not post changes:", error);
+  }
+};
+
+const scheduleBroadcast = () => {
+  if (!broadcastTimer) broadcastTimer = setTimeout(flushBroadcast, BROADCAST_INTERVAL_MS);
+};
+
+/**
+ * Carry another tab's changes into this tab's undo/redo entries
+ * Entries from before a project switch (they hold projectId) are left alone.
+ * @param {Object} history - { past, future }
+ * @param {Object} sectionFields - { sectionId: fields taken from the other tab }
+ * @param {Object} chats - { sectionId: messages }
+ * @param {Object} values - Whole slices from the other tab
+ * @returns {Object} - Rebased history
+ */
+const rebaseHistory = (history, sectionFields, chats, values) => {
+  const rebaseEntry = (entry) => {
+    const before = { ...entry.before };
+    if (before.sections) {
+      before.sections = { ...before.sections };
+      Object.entries(sectionFields).forEach(([id, fields]) => {
+        before.sections[id] = { ...(before.sections[id] || { id }), ...fields };
+      });
+    }
+    if (before.chatMessages) before.chatMessages = { ...before.chatMessages, ...chats };
+    Object.keys(values).forEach(key => { if (key in before) before[key] = values[key]; });
+    return { ...entry, before };
+  };
+
+  // Undo walks past from the end; the entry that switched projects holds the previous project
+  const past = [...history.past];
+  for (let i = past.length - 1; i >= 0 && !('projectId' in past[i].before); i--) past[i] = rebaseEntry(past[i]);
+  // Redo walks future from the end; its project switch holds this project, the entries after it do not
+  const future = [...history.future];
+  for (let i = future.length - 1; i >= 0; i--) {
+    future[i] = rebaseEntry(future[i]);
+    if ('projectId' in future[i].before) break;
+  }
+  return { past, future };
+};
+
+/**
+ * Apply another tab's changes, holding back sections both tabs edited
+ * @param {Object} message - From flushBroadcast
+ */
+const applyRemoteChanges = (message) => {
+  const state = useAppStore.getState();
+  if (message.tabId === tabId || message.projectId !== state.projectId) return;
+
+  const sections = { ...state.sections };
+  const syncConflicts = { ...state.syncConflicts };
+  const appliedFields = {}; // { sectionId: fields taken from the other tab }
+  Object.entries(message.sections || {}).forEach(([id, { base, fields }]) => {
+    const local = sections[id];
+    if (!local) {
+      // A custom section added in the other tab; the store fills in its title and checklist
+      if (isCustomSectionId(id)) {
+        sections[id] = { id, ...fields };
+        appliedFields[id] = fields;
+      }
+      return;
+    }
+    const localContent = local.content;
+    const conflict = localContent !== fields.content && localContent !== base && lastSyncedContent[id] !== localContent;
+    lastSyncedContent[id] = fields.content;
+    if (conflict || syncConflicts[id]) {
+      pending.sections.delete(id); // Resolving the conflict broadcasts the chosen text instead
+      // Keep this tab's text; everything else (feedback, rating) follows the other tab
+      const { content, ...otherFields } = fields;
+      sections[id] = { ...local, ...otherFields };
+      appliedFields[id] = otherFields;
+      syncConflicts[id] = { local: localContent, remote: content, title: local.title, at: Date.now() };
+      console.log(`[tabSync] Section ${id} was edited in two tabs at once`);
+    } else {
+      sections[id] = { ...local, ...fields };
+      appliedFields[id] = fields;
+    }
+  });
+
+  const chatMessages = { ...state.chatMessages, ...(message.chats || {}) };
+  const history = rebaseHistory(state.history, appliedFields, message.chats || {}, message.values || {});
+
+  applyingRemote = true;
+  try {
+    useAppStore.setState({ ...(message.values || {}), sections, chatMessages, syncConflicts, history });
+  } finally {
+    applyingRemote = false;
+  }
+};
+
+/**
+ * Queue this tab's own changes for broadcast
+ */
+const handleLocalChange = (state, prevState) => {
+  if (state.projectId !== prevState.projectId) {
+    // Another project is open now; its content is the new baseline
+    resetSyncBaseline(state);
+    return;
+  }
+  if (applyingRemote) return;
+
+  Object.keys(state.sections || {}).forEach(id => {
+    if (state.syncConflicts?.[id]) return; // Held back until the user settles the conflict
+    if (sectionChanged(state.sections[id], prevState.sections?.[id])) pending.sections.add(id);
+  });
+  Object.keys(state.chatMessages || {}).forEach(id => {
+    if (state.chatMessages[id] !== prevState.chatMessages?.[id]) pending.chats.add(id);
+  });
+  SYNCED_KEYS.forEach(key => {
+    if (state[key] !== prevState[key]) pending.keys.add(key);
+  });
+  if (pending.sections.size || pending.chats.size || pending.keys.size) scheduleBroadcast();
+};
+
+/**
+ * Start syncing with other tabs (no-op without BroadcastChannel)
+ * @returns {Function} - Stops syncing
+ */
+export const initializeTabSync = () => {
+  if (channel || typeof BroadcastChannel === 'undefined') return () => {};
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (event) => {
+    if (event.data?.type === 'changes') applyRemoteChanges(event.data);
+  };
+  resetSyncBaseline(useAppStore.getState());
+  const unsubscribe = useAppStore.subscribe(handleLocalChange);
+  window.addEventListener('pagehide', flushBroadcast);
+  console.log(`[tabSync] Syncing with other tabs as ${tabId}`);
+
+  return () => {
+    unsubscribe();
+    window.removeEventListener('pagehide', flushBroadcast);
+    clearTimeout(broadcastTimer);
+    broadcastTimer = null;
+    channel.close();
+    channel = null;
+  };
+};
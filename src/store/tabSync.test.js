@@ -0,0 +1,121 @@
+// FILE: src/store/tabSync.test.js
+import useAppStore from './appStore';
+import { initializeTabSync } from './tabSync';
+
+// Stands in for the channel to the other tabs; messages are delivered by hand
+class FakeBroadcastChannel {
+  static last = null;
+
+  constructor() {
+    this.posted = [];
+    this.onmessage = null;
+    FakeBroadcastChannel.last = this;
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  close() {}
+}
+
+// A change to one section as another tab posts it
+const receiveSectionChange = (id, base, content) => {
+  const state = useAppStore.getState();
+  FakeBroadcastChannel.last.onmessage({
+    data: {
+      type: 'changes',
+      tabId: 'tab-other',
+      projectId: state.projectId,
+      sections: { [id]: { base, fields: { ...state.sections[id], content } } },
+      chats: {},
+      values: {}
+    }
+  });
+};
+
+const contentOf = (id) => useAppStore.getState().sections[id].content;
+
+describe('tab sync', () => {
+  let stopSync;
+
+  beforeAll(() => {
+    global.BroadcastChannel = FakeBroadcastChannel;
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stopSync = initializeTabSync();
+  });
+
+  afterAll(() => {
+    stopSync();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.BroadcastChannel;
+  });
+
+  beforeEach(() => {
+    useAppStore.getState().resetState('paper');
+    useAppStore.getState().updateSectionContent('question', 'Original question');
+    useAppStore.getState().updateSectionContent('hypothesis', 'Original hypothesis');
+    jest.runOnlyPendingTimers(); // Both tabs now share these texts
+    useAppStore.setState({ syncConflicts: {} });
+    useAppStore.getState().clearHistory();
+    // The next local edit starts its own undo entry
+    jest.setSystemTime(Date.now() + 5000);
+  });
+
+  it('applies changes made to the text this tab last synced', () => {
+    receiveSectionChange('question', 'Original question', 'Remote question');
+
+    expect(contentOf('question')).toBe('Remote question');
+    expect(useAppStore.getState().syncConflicts).toEqual({});
+  });
+
+  it('holds back a section both tabs changed from the same text', () => {
+    useAppStore.getState().updateSectionContent('question', 'Local question');
+    receiveSectionChange('question', 'Original question', 'Remote question');
+
+    expect(contentOf('question')).toBe('Local question');
+    expect(useAppStore.getState().syncConflicts.question).toMatchObject({ local: 'Local question', remote: 'Remote question' });
+  });
+
+  it('applies changes based on the text this tab sent', () => {
+    useAppStore.getState().updateSectionContent('question', 'Local question');
+    jest.runOnlyPendingTimers();
+    expect(FakeBroadcastChannel.last.posted.pop().sections.question).toMatchObject({
+      base: 'Original question',
+      fields: { content: 'Local question' }
+    });
+
+    receiveSectionChange('question', 'Local question', 'Remote question');
+
+    expect(contentOf('question')).toBe('Remote question');
+    expect(useAppStore.getState().syncConflicts).toEqual({});
+  });
+
+  it("undoes local edits without reverting the other tab's changes", () => {
+    useAppStore.getState().updateSectionContent('question', 'Local question');
+    jest.runOnlyPendingTimers();
+    receiveSectionChange('hypothesis', 'Original hypothesis', 'Remote hypothesis');
+
+    useAppStore.getState().undo();
+
+    expect(contentOf('question')).toBe('Original question');
+    expect(contentOf('hypothesis')).toBe('Remote hypothesis');
+
+    useAppStore.getState().redo();
+    expect(contentOf('question')).toBe('Local question');
+    expect(contentOf('hypothesis')).toBe('Remote hypothesis');
+  });
+
+  it('does not undo a local edit the other tab has since replaced', () => {
+    useAppStore.getState().updateSectionContent('question', 'Local question');
+    jest.runOnlyPendingTimers();
+    receiveSectionChange('question', 'Local question', 'Remote question');
+
+    useAppStore.getState().undo();
+
+    expect(contentOf('question')).toBe('Remote question');
+  });
+});
@@ -1,6 +1,8 @@
 /**
  * Utilities for handling example projects
  */
+import sectionContent from '../data/sectionContent.json';
+import { getCategories } from './sectionOrderUtils';
 
 /**
  * Load all available examples from the data/examples directory
@@ -92,29 +94,21 @@ const generateDescription = (data) => {
     }
   }
   
-  // Include information about the research approach
-  let approachType = 'research';
-  if (data.userInputs?.hypothesis) {
-    approachType = 'hypothesis-driven research';
-  } else if (data.userInputs?.needsresearch) {
-    approachType = 'needs-based research';
-  } else if (data.userInputs?.exploratoryresearch) {
-    approachType = 'exploratory research';
-  }
-  
-  // Include information about data collection
-  let dataType = '';
-  if (data.userInputs?.experiment) {
-    dataType = 'experiment';
-  } else if (data.userInputs?.existingdata) {
-    dataType = 'existing dataset analysis';
-  }
-  
+  // Include the approach and data method the example uses (categories in sectionContent.json;
+  // the examples are research paper plans whichever template is open)
+  const choices = getCategories(sectionContent)
+    .flatMap(category => {
+      const filledIds = category.sectionIds.filter(sectionId => data.userInputs?.[sectionId]);
+      return category.multiSelect ? filledIds : filledIds.slice(0, 1);
+    })
+    .map(sectionId => (sectionContent.sections.find(section => section.id === sectionId)?.exportHeading || sectionId).toLowerCase());
+  const projectType = choices.length > 0 ? `A project with ${choices.join(' and ')}.` : 'A research project.';
+
   // Construct the description
   if (parts.length > 0) {
-    return `${parts.join(' ')} A ${approachType} project using ${dataType}.`;
+    return `${parts.join(' ')} ${projectType}`;
   } else {
-    return `A ${approachType} project using ${dataType}.`;
+    return projectType;
   }
 };
 
@@ -77,12 +77,14 @@ export const trackSave = () => {
   trackEvent('Document Actions', 'Save Project');
 };
 
-export const trackApproachToggle = (approach) => {
-  trackEvent('Research Method', 'Toggle Approach', approach);
+// Event actions of the original categories are kept so reports stay comparable
+const CATEGORY_TOGGLE_ACTIONS = {
+  approach: 'Toggle Approach',
+  dataMethod: 'Toggle Data Method'
 };
 
-export const trackDataMethodToggle = (method) => {
-  trackEvent('Research Method', 'Toggle Data Method', method);
+export const trackCategoryToggle = (categoryId, sectionId) => {
+  trackEvent('Research Method', CATEGORY_TOGGLE_ACTIONS[categoryId] || `Toggle ${categoryId}`, sectionId);
 };
 
 // Track form input changes (debounced to reduce event frequency)
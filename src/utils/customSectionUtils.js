@@ -0,0 +1,119 @@
+// FILE: src/utils/customSectionUtils.js
+
+/**
+ * Custom sections
+ * Sections a project adds to its template, e.g. "Preliminary Data" or
+ * "Broader Impacts". The store keeps them in customSections, in display order:
+ *   { id, title, introText, subsections: [{ id, title, instruction }] }
+ * withCustomSections turns them into section definitions after the template's
+ * own sections, so feedback (their subsections are the criteria), chat,
+ * exports and reviews treat them like any other section. They have no unlock
+ * rule and are open from the start.
+ */
+
+const CUSTOM_ID_PREFIX = 'custom-';
+
+// Definitions of each template with a project's custom sections, built on first use
+const definitionsByTemplate = new WeakMap();
+
+const createId = (prefix) => `${prefix}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Whether a section id belongs to a custom section
+ * @param {string} sectionId - Section id
+ * @returns {boolean}
+ */
+export const isCustomSectionId = (sectionId) => typeof sectionId === 'string' && sectionId.startsWith(CUSTOM_ID_PREFIX);
+
+/**
+ * A checklist item with an id, trimmed text and no empty title
+ * @param {Object} subsection - { id, title, instruction }
+ * @param {string} sectionId - The custom section it belongs to
+ * @returns {Object|null} - null for items without a title
+ */
+const normalizeSubsection = (subsection, sectionId) => {
+  const title = typeof subsection?.title === 'string' ? subsection.title.trim() : '';
+  if (!title) return null;
+  return {
+    id: typeof subsection.id === 'string' && subsection.id ? subsection.id : createId(`${sectionId}_`),
+    title,
+    instruction: typeof subsection.instruction === 'string' ? subsection.instruction.trim() : ''
+  };
+};
+
+/**
+ * A custom section with trimmed fields and a valid checklist
+ * @param {Object} fields - { id, title, introText, subsections }; a new id is made when missing
+ * @returns {Object|null} - null without a title
+ */
+export const createCustomSection = (fields = {}) => {
+  const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+  if (!title) return null;
+  const id = isCustomSectionId(fields.id) ? fields.id : createId(CUSTOM_ID_PREFIX);
+  return {
+    id,
+    title,
+    introText: typeof fields.introText === 'string' ? fields.introText.trim() : '',
+    subsections: (Array.isArray(fields.subsections) ? fields.subsections : [])
+      .map(subsection => normalizeSubsection(subsection, id))
+      .filter(Boolean)
+  };
+};
+
+/**
+ * Custom sections from saved data, dropping invalid and duplicate entries
+ * @param {Array} customSections - As saved (possibly missing or malformed)
+ * @returns {Array}
+ */
+export const normalizeCustomSections = (customSections) => {
+  if (!Array.isArray(customSections)) return [];
+  const seen = new Set();
+  return customSections.reduce((valid, fields) => {
+    const section = isCustomSectionId(fields?.id) ? createCustomSection(fields) : null;
+    if (section && !seen.has(section.id)) {
+      seen.add(section.id);
+      valid.push(section);
+    }
+    return valid;
+  }, []);
+};
+
+/**
+ * Section definition of a custom section, in the format of the template files
+ * @param {Object} customSection - From createCustomSection
+ * @returns {Object}
+ */
+const toSectionDefinition = ({ id, title, introText, subsections }) => ({
+  id,
+  title,
+  introText,
+  subsections,
+  placeholder: '',
+  exportHeading: title,
+  custom: true
+});
+
+/**
+ * A template with a project's custom sections after its own
+ * Memoized per template and customSections array, so the per-template caches
+ * (categories, unlock rules, visibility) keep working.
+ * @param {Object} template - Template definition
+ * @param {Array} customSections - The project's custom sections
+ * @returns {Object} - The template itself when there are none
+ */
+export const withCustomSections = (template, customSections) => {
+  if (!Array.isArray(customSections) || customSections.length === 0) return template;
+  if (!definitionsByTemplate.has(template)) definitionsByTemplate.set(template, new WeakMap());
+  const definitions = definitionsByTemplate.get(template);
+  if (!definitions.has(customSections)) {
+    const templateIds = new Set(template.sections.map(section => section.id));
+    definitions.set(customSections, {
+      ...template,
+      sections: [
+        ...template.sections,
+        ...customSections.filter(section => !templateIds.has(section.id)).map(toSectionDefinition)
+      ]
+    });
+  }
+  return definitions.get(customSections);
+};
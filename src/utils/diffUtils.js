@@ -0,0 +1,102 @@
+// FILE: src/utils/diffUtils.js
+
+/**
+ * Word-level text diff for comparing section revisions
+ * Tokens are words and the whitespace between them, so the diff keeps line
+ * breaks intact when rendered.
+ */
+
+// Above this many token pairs the middle part is shown as one replacement instead of a word diff
+const MAX_DIFF_CELLS = 4000000;
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token !== '');
+
+/**
+ * Append a part, merging it into the previous part of the same type
+ * @param {Array} parts - Diff parts being built
+ * @param {string} type - 'equal', 'added' or 'removed'
+ * @param {string} text - Token text
+ */
+const pushPart = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+};
+
+/**
+ * Diff two texts word by word (longest common subsequence)
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Array<{ type: 'equal'|'added'|'removed', text: string }>}
+ */
+export const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const parts = [];
+  if (start > 0) pushPart(parts, 'equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    if (n) pushPart(parts, 'removed', midA.join(''));
+    if (m) pushPart(parts, 'added', midB.join(''));
+  } else if (n || m) {
+    // lengths[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, 'equal', midA[i]); i++; j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        pushPart(parts, 'removed', midA[i]); i++;
+      } else {
+        pushPart(parts, 'added', midB[j]); j++;
+      }
+    }
+    while (i < n) { pushPart(parts, 'removed', midA[i]); i++; }
+    while (j < m) { pushPart(parts, 'added', midB[j]); j++; }
+  }
+
+  if (endA < a.length) pushPart(parts, 'equal', a.slice(endA).join(''));
+  return parts;
+};
+
+/**
+ * Merge two versions of a text without a common base
+ * Words in both are kept once; words in only one version are all kept, in order.
+ * @param {Array} parts - From diffWords
+ * @returns {string}
+ */
+export const mergeDiffParts = (parts) => parts.map(part => part.text).join('');
+
+/**
+ * Count changed words in a diff, ignoring whitespace-only changes
+ * @param {Array} parts - From diffWords
+ * @returns {{ added: number, removed: number }}
+ */
+export const countChangedWords = (parts) => parts.reduce((counts, part) => {
+  if (part.type === 'equal') return counts;
+  const words = part.text.split(/\s+/).filter(Boolean).length;
+  counts[part.type] += words;
+  return counts;
+}, { added: 0, removed: 0 });
@@ -0,0 +1,60 @@
+// FILE: src/utils/diffUtils.test.js
+import { diffWords, mergeDiffParts, countChangedWords } from './diffUtils';
+
+// The text of one side of a diff
+const sideText = (parts, skippedType) => parts.filter(part => part.type !== skippedType).map(part => part.text).join('');
+
+describe('diffWords', () => {
+  it('marks a replaced word', () => {
+    expect(diffWords('the quick fox', 'the slow fox')).toEqual([
+      { type: 'equal', text: 'the ' },
+      { type: 'removed', text: 'quick' },
+      { type: 'added', text: 'slow' },
+      { type: 'equal', text: ' fox' }
+    ]);
+  });
+
+  it('marks added and removed words and keeps line breaks', () => {
+    const oldText = 'First line\nsecond line stays';
+    const newText = 'First line\nnew second line';
+    const parts = diffWords(oldText, newText);
+
+    expect(sideText(parts, 'added')).toBe(oldText);
+    expect(sideText(parts, 'removed')).toBe(newText);
+    expect(parts).toContainEqual({ type: 'added', text: 'new ' });
+    expect(parts).toContainEqual({ type: 'removed', text: ' stays' });
+  });
+
+  it('returns one part for equal texts and none for two empty ones', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', text: 'same text' }]);
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords(null, undefined)).toEqual([]);
+  });
+
+  it('treats text from nothing as added and text to nothing as removed', () => {
+    expect(diffWords('', 'new text')).toEqual([{ type: 'added', text: 'new text' }]);
+    expect(diffWords('old text', '')).toEqual([{ type: 'removed', text: 'old text' }]);
+  });
+
+  it('reproduces both versions of longer texts', () => {
+    const oldText = 'We measure the growth rate of cells under three conditions and compare them.';
+    const newText = 'We measure growth of yeast cells under four conditions, then compare the rates.';
+    const parts = diffWords(oldText, newText);
+
+    expect(sideText(parts, 'added')).toBe(oldText);
+    expect(sideText(parts, 'removed')).toBe(newText);
+  });
+});
+
+describe('mergeDiffParts', () => {
+  it('keeps shared words once and the words of both versions', () => {
+    expect(mergeDiffParts(diffWords('a b c', 'a x c'))).toBe('a bx c');
+  });
+});
+
+describe('countChangedWords', () => {
+  it('counts added and removed words, not whitespace', () => {
+    expect(countChangedWords(diffWords('one two three', 'one  four five three'))).toEqual({ added: 2, removed: 1 });
+    expect(countChangedWords(diffWords('same', 'same'))).toEqual({ added: 0, removed: 0 });
+  });
+});
@@ -2,9 +2,91 @@
 
 /**
  * DOCX exporter for the Scientific Paper Planner
+ * UPDATED: "### " lines (subsection headings of structured sections) become level 3 headings
+ * UPDATED: Renders the Markdown of sections (bold, italic, lists, tables, inline math) via markdownUtils
  */
 import { getFormattedContent, promptForFilename } from './exportBase';
 import { loadExternalLibrary } from '../cdnLoader';
+import { parseMarkdown, mathToText } from '../markdownUtils';
+
+const HEADING_SPACING = {
+  1: { before: 340, after: 240 },
+  2: { before: 240, after: 120 },
+  3: { before: 200, after: 80 }
+};
+const PARAGRAPH_SPACING = { before: 120, after: 120 };
+
+/**
+ * Word text runs of Markdown runs; line breaks become breaks, math is set in Cambria Math
+ * @param {Array} runs - Runs of a block from parseMarkdown
+ * @param {Object} docx - The docx.js library
+ * @param {Object} options - { bold } to make every run bold (table headers)
+ * @returns {Array}
+ */
+const toTextRuns = (runs, docx, { bold = false } = {}) => runs.flatMap(run => {
+  const text = run.math ? mathToText(run.text) : run.text;
+  return text.split('\n').map((line, index) => new docx.TextRun({
+    text: line,
+    bold: bold || run.bold,
+    italics: run.italic || run.math,
+    ...(run.math ? { font: { name: 'Cambria Math' } } : {}),
+    ...(index > 0 ? { break: 1 } : {})
+  }));
+});
+
+const ALIGNMENTS = { left: 'LEFT', center: 'CENTER', right: 'RIGHT' };
+
+/**
+ * Word paragraphs and tables of Markdown blocks
+ * @param {Array} blocks - From parseMarkdown
+ * @param {Object} docx - The docx.js library
+ * @returns {Array}
+ */
+const toDocxElements = (blocks, docx) => {
+  const { Paragraph, HeadingLevel, Table, TableRow, TableCell, WidthType, AlignmentType } = docx;
+  return blocks.flatMap(block => {
+    if (block.type === 'heading') {
+      const level = Math.min(block.level, 3);
+      return [new Paragraph({
+        children: toTextRuns(block.runs, docx),
+        heading: HeadingLevel[`HEADING_${level}`],
+        spacing: HEADING_SPACING[level]
+      })];
+    }
+    if (block.type === 'list') {
+      return block.items.map(item => (item.ordered
+        ? new Paragraph({
+          children: toTextRuns([{ text: `${item.number}.\t` }, ...item.runs], docx),
+          indent: { left: 720 * (item.level + 1), hanging: 360 },
+          spacing: { before: 40, after: 40 }
+        })
+        : new Paragraph({
+          children: toTextRuns(item.runs, docx),
+          bullet: { level: item.level },
+          spacing: { before: 40, after: 40 }
+        })));
+    }
+    if (block.type === 'table') {
+      const toRow = (cells, isHeader) => new TableRow({
+        tableHeader: isHeader,
+        children: cells.map((cell, column) => new TableCell({
+          children: [new Paragraph({
+            children: toTextRuns(cell, docx, { bold: isHeader }),
+            alignment: AlignmentType[ALIGNMENTS[block.align[column]] || 'LEFT']
+          })]
+        }))
+      });
+      return [
+        new Table({
+          rows: [toRow(block.header, true), ...block.rows.map(row => toRow(row, false))],
+          width: { size: 100, type: WidthType.PERCENTAGE }
+        }),
+        new Paragraph({ text: '', spacing: PARAGRAPH_SPACING }) // Keeps following tables apart
+      ];
+    }
+    return [new Paragraph({ children: toTextRuns(block.runs, docx), spacing: PARAGRAPH_SPACING })];
+  });
+};
 
 /**
  * Exports the project as a DOCX file using docx.js
@@ -61,7 +143,7 @@ export const exportAsDocx = async (userInputs, chatMessages, sectionContent) =>
     const markdownContent = getFormattedContent(userInputs);
     
     // Create DOCX document
-    const { Document, Paragraph, TextRun, HeadingLevel, Packer, AlignmentType } = window.docx;
+    const { Document, Packer } = window.docx;
     
     // Create a simple document structure
     const doc = new Document({
@@ -71,61 +153,8 @@ export const exportAsDocx = async (userInputs, chatMessages, sectionContent) =>
       }]
     });
     
-    // Process markdown content line by line
-    const lines = markdownContent.split('\n');
-    const children = [];
-    
-    for (let line of lines) {
-      line = line.trim();
-      
-      if (line.startsWith('# ')) {
-        // Main heading (h1)
-        children.push(
-          new Paragraph({
-            text: line.substring(2),
-            heading: HeadingLevel.HEADING_1,
-            spacing: {
-              before: 340,
-              after: 240
-            }
-          })
-        );
-      } else if (line.startsWith('## ')) {
-        // Subheading (h2)
-        children.push(
-          new Paragraph({
-            text: line.substring(3),
-            heading: HeadingLevel.HEADING_2,
-            spacing: {
-              before: 240,
-              after: 120
-            }
-          })
-        );
-      } else if (line.length > 0) {
-        // Regular paragraph
-        children.push(
-          new Paragraph({
-            text: line,
-            spacing: {
-              before: 120,
-              after: 120
-            }
-          })
-        );
-      } else {
-        // Empty line - add a spacing paragraph
-        children.push(
-          new Paragraph({
-            text: "",
-            spacing: {
-              before: 100,
-              after: 100
-            }
-          })
-        );
-      }
-    }
+    // Headings, paragraphs, lists and tables of the Markdown, as the editor preview shows them
+    const children = toDocxElements(parseMarkdown(markdownContent), window.docx);
     
     // Add all paragraphs to the document
     doc.addSection({
@@ -3,7 +3,12 @@
 /**
  * Base export utilities shared across different export formats
  * REVERTED: validateProjectData checks original save format
+ * MODIFIED: getFormattedContent takes headings, order and categories from sectionContent.json
+ * MODIFIED: Multi-select categories export every filled-in section
+ * MODIFIED: getFormattedContent follows the open project's template, including its exportTitle
  */
+import { getCategory, getToggleGroup } from '../sectionOrderUtils';
+import { getActiveTemplate } from '../templateRegistry';
 
 /**
  * Helper to prompt for filename
@@ -118,60 +123,38 @@ export const showExportDialog = (userInputs, chatMessages, sectionContent, expor
 
 /**
  * Common function to get project content as structured text (used for PDF/DOCX/MD export)
+ * Sections follow their order in the template with their exportHeading. A
+ * category (e.g. the research approach) contributes its members with content:
+ * the first one, or all of them when the category is multi-select, and a part
+ * under the category's own heading when none has any.
  * @param {Object} userInputs - The user inputs (content only)
+ * @param {Object} template - Template definition; the open project's when omitted
  * @returns {string} - Formatted content
  */
-export const getFormattedContent = (userInputs) => {
-  // Determine research approach based on filled out sections
-  let researchApproach = "";
-
-  if (userInputs.hypothesis && userInputs.hypothesis.trim() !== "") {
-    researchApproach = "## 3. Hypothesis-Based Research\n" + userInputs.hypothesis;
-  } else if (userInputs.needsresearch && userInputs.needsresearch.trim() !== "") {
-    researchApproach = "## 3. Needs-Based Research\n" + userInputs.needsresearch;
-  } else if (userInputs.exploratoryresearch && userInputs.exploratoryresearch.trim() !== "") {
-    researchApproach = "## 3. Exploratory Research\n" + userInputs.exploratoryresearch;
-  } else {
-    researchApproach = "## 3. Research Approach\nNot completed yet";
-  }
-
-  // Determine data acquisition approach
-  let dataAcquisition = "";
-
-  if (userInputs.experiment && userInputs.experiment.trim() !== "") {
-    dataAcquisition = "## 5. Experimental Design\n" + userInputs.experiment;
-  } else if (userInputs.existingdata && userInputs.existingdata.trim() !== "") {
-    dataAcquisition = "## 5. Pre-existing Data\n" + userInputs.existingdata;
-  } else if (userInputs.theorysimulation && userInputs.theorysimulation.trim() !== "") {
-    dataAcquisition = "## 5. Theory/Simulation Approach\n" + userInputs.theorysimulation;
-  } else {
-    dataAcquisition = "## 5. Data Acquisition\nNot completed yet";
-  }
-
-  return `# Scientific Paper Project Plan
-
-## 1. Research Question & Logic
-${userInputs.question || "Not completed yet"}
-
-## 2. Target Audience
-${userInputs.audience || "Not completed yet"}
-
-${researchApproach}
-
-## 4. Related Papers
-${userInputs.relatedpapers || "Not completed yet"}
-
-${dataAcquisition}
-
-## 6. Data Analysis Plan
-${userInputs.analysis || "Not completed yet"}
+export const getFormattedContent = (userInputs, template = getActiveTemplate()) => {
+  const hasContent = (sectionId) => typeof userInputs[sectionId] === 'string' && userInputs[sectionId].trim() !== '';
+  const parts = [];
+
+  template.sections.forEach(section => {
+    const category = getCategory(getToggleGroup(section.id, template), template);
+    if (!category) {
+      parts.push({ heading: section.exportHeading || section.title, text: userInputs[section.id] || "Not completed yet" });
+      return;
+    }
+    if (category.sectionIds[0] !== section.id) return; // The category's part is added at its first member
 
-## 7. Process, Skills & Timeline
-${userInputs.process || "Not completed yet"}
+    const filledSections = template.sections.filter(definition => category.sectionIds.includes(definition.id) && hasContent(definition.id));
+    if (filledSections.length === 0) {
+      parts.push({ heading: category.exportHeading || category.label, text: "Not completed yet" });
+      return;
+    }
+    (category.multiSelect ? filledSections : filledSections.slice(0, 1)).forEach(filledSection => {
+      parts.push({ heading: filledSection.exportHeading || filledSection.title, text: userInputs[filledSection.id] });
+    });
+  });
 
-## 8. Abstract
-${userInputs.abstract || "Not completed yet"}
-`;
+  const body = parts.map(({ heading, text }, index) => `## ${index + 1}. ${heading}\n${text}`).join('\n\n');
+  return `# ${template.exportTitle || template.name}\n\n${body}\n`;
 };
 
 /**
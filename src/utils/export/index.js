@@ -3,6 +3,9 @@
 /**
  * Centralized export module that brings all export functionality together
  * UPDATED: saveProjectAsJson to save full section data including feedback
+ * UPDATED: saveProjectAsJson includes ratingHistory (every feedback round per section)
+ * UPDATED: saveProjectAsJson includes the project's templateId
+ * UPDATED: saveProjectAsJson includes the project's custom sections
  */
 
 import { showExportDialog, validateProjectData, promptForFilename } from './exportBase';
@@ -42,13 +45,18 @@ export const saveProjectAsJson = (userInputs, chatMessages, fileName) => {
     // Get complete sections data from store to preserve feedback
     const fullSectionsData = useAppStore.getState().sections;
     
-    // Preserve active toggles and other important state
+    // Preserve the template, active toggles and other important state
+    const templateId = useAppStore.getState().templateId;
+    const customSections = useAppStore.getState().customSections;
     const activeToggles = useAppStore.getState().activeToggles;
     const scores = useAppStore.getState().scores;
+    const ratingHistory = useAppStore.getState().ratingHistory;
     const proMode = useAppStore.getState().proMode;
 
     // Prepare the data to be saved
     const jsonData = {
+      templateId, // Files without one are research paper plans
+      customSections,
       // Save full sections data rather than just content
       sections: fullSectionsData,
       // Still include userInputs for backward compatibility
@@ -57,6 +65,7 @@ export const saveProjectAsJson = (userInputs, chatMessages, fileName) => {
       // Add important state information
       activeToggles,
       scores,
+      ratingHistory,
       proMode,
       timestamp: new Date().toISOString(),
       version: "1.1" // Updated version number
@@ -3,9 +3,164 @@
 /**
  * PDF exporter for the Scientific Paper Planner
  * Updated to use the refactored CDNLoader
+ * UPDATED: Draws the subsection headings (h3) of structured sections
+ * UPDATED: Draws the Markdown of sections (bold, italic, lists, tables, inline math) via markdownUtils
+ *          instead of markdown-it HTML, so it matches the editor preview and the DOCX export
  */
 import { getFormattedContent, promptForFilename } from './exportBase';
 import { loadMultipleLibraries, LIBRARY_URLS } from '../cdnLoader';
+import { parseMarkdown, mathToText } from '../markdownUtils';
+
+const BODY_SIZE = 11;
+const TABLE_SIZE = 10;
+const CELL_PADDING = 2;
+const LIST_INDENT = 6;
+const HEADING_STYLES = {
+  1: { size: 18, color: [0, 0, 139], before: 0 }, // dark blue
+  2: { size: 14, color: [0, 0, 100], before: 5 }, // medium blue
+  3: { size: 12, color: [0, 0, 0], before: 2 }
+};
+
+// Line height in mm of a font size in pt
+const getLineHeight = (size) => size * 0.5;
+
+const getFontStyle = (run) => {
+  const italic = run.italic || run.math;
+  if (run.bold) return italic ? 'bolditalic' : 'bold';
+  return italic ? 'italic' : 'normal';
+};
+
+// jsPDF's built-in fonts only cover Latin-1, so math with other symbols keeps its LaTeX source
+const getRunText = (run) => {
+  if (!run.math) return run.text;
+  const text = mathToText(run.text);
+  return /[^ -\u00ff]/.test(text) ? run.text : text;
+};
+
+/**
+ * Break runs into lines that fit a width
+ * @returns {Array<{ pieces: Array<{ text, style, x }>, width: number }>}
+ */
+const layoutRuns = (pdf, runs, maxWidth, size) => {
+  pdf.setFontSize(size);
+  const lines = [{ pieces: [], width: 0 }];
+  runs.forEach(run => {
+    const style = getFontStyle(run);
+    pdf.setFont('helvetica', style);
+    getRunText(run).split(/(\n)/).forEach(part => {
+      if (part === '\n') {
+        lines.push({ pieces: [], width: 0 });
+        return;
+      }
+      (part.match(/\S+\s*|\s+/g) || []).forEach(word => {
+        let line = lines[lines.length - 1];
+        if (line.width > 0 && line.width + pdf.getTextWidth(word.trimEnd()) > maxWidth) {
+          line = { pieces: [], width: 0 };
+          lines.push(line);
+        }
+        if (line.width === 0 && !word.trim()) return; // No spaces at the start of a line
+        line.pieces.push({ text: word, style, x: line.width });
+        line.width += pdf.getTextWidth(word);
+      });
+    });
+  });
+  return lines;
+};
+
+// Start a new page when the next height does not fit
+const ensureSpace = (cursor, height) => {
+  if (cursor.y + height > cursor.pageHeight - cursor.margin) {
+    cursor.pdf.addPage();
+    cursor.y = cursor.margin + getLineHeight(BODY_SIZE);
+  }
+};
+
+// Draw laid-out lines at the cursor, one baseline per line
+const drawLines = (cursor, lines, x, size, { width = 0, align = null } = {}) => {
+  const { pdf } = cursor;
+  const lineHeight = getLineHeight(size);
+  pdf.setFontSize(size);
+  lines.forEach(line => {
+    ensureSpace(cursor, lineHeight);
+    let offset = 0;
+    if (align === 'right') offset = width - line.width;
+    if (align === 'center') offset = (width - line.width) / 2;
+    line.pieces.forEach(piece => {
+      pdf.setFont('helvetica', piece.style);
+      pdf.text(piece.text, x + offset + piece.x, cursor.y);
+    });
+    cursor.y += lineHeight;
+  });
+};
+
+const drawTable = (cursor, block, x, width) => {
+  const { pdf } = cursor;
+  const columnWidth = width / block.header.length;
+  const lineHeight = getLineHeight(TABLE_SIZE);
+  [block.header, ...block.rows].forEach((row, rowIndex) => {
+    const isHeader = rowIndex === 0;
+    const cells = row.map(cell => layoutRuns(pdf, isHeader ? cell.map(run => ({ ...run, bold: true })) : cell,
+      columnWidth - CELL_PADDING * 2, TABLE_SIZE));
+    const rowHeight = Math.max(...cells.map(lines => lines.length)) * lineHeight + CELL_PADDING * 2;
+    // Rows are not split across pages; the cursor is at the next baseline, the row starts above it
+    ensureSpace(cursor, rowHeight);
+    const top = cursor.y - lineHeight;
+    pdf.setDrawColor(180, 180, 180);
+    pdf.setFillColor(240, 240, 240);
+    cells.forEach((lines, column) => {
+      const cellX = x + column * columnWidth;
+      pdf.rect(cellX, top, columnWidth, rowHeight, isHeader ? 'FD' : 'S');
+      const textCursor = { ...cursor, y: top + CELL_PADDING + lineHeight * 0.8 };
+      drawLines(textCursor, lines, cellX + CELL_PADDING, TABLE_SIZE, { width: columnWidth - CELL_PADDING * 2, align: block.align[column] });
+    });
+    cursor.y = top + rowHeight + lineHeight;
+  });
+  cursor.y += 2;
+};
+
+/**
+ * Draw Markdown blocks from the cursor on, adding pages as needed
+ * @param {Object} cursor - { pdf, y, margin, pageHeight }; y is the next baseline
+ * @param {Array} blocks - From parseMarkdown
+ * @param {number} contentWidth - Width between the margins
+ */
+const drawBlocks = (cursor, blocks, contentWidth) => {
+  const { pdf, margin } = cursor;
+  blocks.forEach(block => {
+    pdf.setTextColor(0, 0, 0);
+    if (block.type === 'heading') {
+      const style = HEADING_STYLES[block.level] || HEADING_STYLES[3];
+      // Keep a heading with the first lines after it
+      if (block.level === 2) ensureSpace(cursor, margin);
+      cursor.y += style.before;
+      pdf.setTextColor(...style.color);
+      const runs = block.runs.map(run => ({ ...run, bold: true }));
+      drawLines(cursor, layoutRuns(pdf, runs, contentWidth, style.size), margin, style.size);
+      cursor.y += 2;
+    } else if (block.type === 'list') {
+      block.items.forEach(item => {
+        const indent = margin + item.level * LIST_INDENT;
+        const lines = layoutRuns(pdf, item.runs, contentWidth - (indent - margin) - LIST_INDENT, BODY_SIZE);
+        ensureSpace(cursor, getLineHeight(BODY_SIZE));
+        if (item.ordered) {
+          pdf.setFont('helvetica', 'normal');
+          pdf.text(`${item.number}.`, indent, cursor.y);
+        } else {
+          pdf.setFillColor(0, 0, 0);
+          pdf.circle(indent + 1.5, cursor.y - 1.3, 0.6, 'F');
+        }
+        drawLines(cursor, lines, indent + LIST_INDENT, BODY_SIZE);
+        cursor.y += 1;
+      });
+      cursor.y += 2;
+    } else if (block.type === 'table') {
+      drawTable(cursor, block, margin, contentWidth);
+    } else {
+      drawLines(cursor, layoutRuns(pdf, block.runs, contentWidth, BODY_SIZE), margin, BODY_SIZE);
+      cursor.y += 3;
+    }
+  });
+};
 
 /**
  * Exports the project as a PDF file using jsPDF
@@ -42,8 +197,7 @@ export const exportAsPdf = async (userInputs, chatMessages, sectionContent) => {
     // Load the PDF generation libraries from CDN
     try {
       await loadMultipleLibraries([
-        LIBRARY_URLS.JSPDF,
-        LIBRARY_URLS.MARKDOWN_IT
+        LIBRARY_URLS.JSPDF
       ]);
     } catch (error) {
       console.error("Failed to load PDF libraries:", error);
@@ -53,7 +207,7 @@ export const exportAsPdf = async (userInputs, chatMessages, sectionContent) => {
     }
     
     // Check if the libraries loaded correctly
-    if (!window.jspdf || !window.markdownit) {
+    if (!window.jspdf) {
       console.error("PDF libraries not found in global scope");
       document.body.removeChild(loadingMessage);
       alert("PDF generation libraries failed to initialize. Please try again or use a different format.");
@@ -63,18 +217,6 @@ export const exportAsPdf = async (userInputs, chatMessages, sectionContent) => {
     // Get formatted content
     const markdownContent = getFormattedContent(userInputs);
     
-    // Convert markdown to HTML for better formatting
-    const md = window.markdownit();
-    const htmlContent = md.render(markdownContent);
-    
-    // Create a hidden div to render the HTML
-    const tempDiv = document.createElement('div');
-    tempDiv.style.position = 'absolute';
-    tempDiv.style.left = '-9999px';
-    tempDiv.style.top = '-9999px';
-    tempDiv.innerHTML = htmlContent;
-    document.body.appendChild(tempDiv);
-    
     // Initialize jsPDF
     const { jsPDF } = window.jspdf;
     const pdf = new jsPDF({
@@ -85,7 +227,7 @@ export const exportAsPdf = async (userInputs, chatMessages, sectionContent) => {
     
     // Set font settings
     pdf.setFont('helvetica');
-    pdf.setFontSize(11);
+    pdf.setFontSize(BODY_SIZE);
     
     // Calculate page dimensions
     const pageWidth = pdf.internal.pageSize.getWidth();
@@ -93,88 +235,14 @@ export const exportAsPdf = async (userInputs, chatMessages, sectionContent) => {
     const margin = 20; // 20mm margins
     const contentWidth = pageWidth - (margin * 2);
     
-    // Process HTML content into simpler structure for PDF
-    const sections = [];
-    
-    // Process h1 headers (main title)
-    const h1Elements = tempDiv.querySelectorAll('h1');
-    for (const h1 of h1Elements) {
-      sections.push({
-        type: 'h1',
-        text: h1.textContent,
-      });
-    }
-    
-    // Process h2 headers (section headers) and paragraphs
-    const h2Elements = tempDiv.querySelectorAll('h2');
-    for (const h2 of h2Elements) {
-      sections.push({
-        type: 'h2',
-        text: h2.textContent,
-      });
-      
-      // Get all content until the next h2
-      let nextElement = h2.nextElementSibling;
-      while (nextElement && nextElement.tagName !== 'H2') {
-        if (nextElement.tagName === 'P') {
-          sections.push({
-            type: 'p',
-            text: nextElement.textContent,
-          });
-        }
-        nextElement = nextElement.nextElementSibling;
-      }
-    }
-    
-    // Draw content to PDF
-    let y = margin;
-    
-    for (const section of sections) {
-      // Set styling based on content type
-      if (section.type === 'h1') {
-        pdf.setFontSize(18);
-        pdf.setFont('helvetica', 'bold');
-        pdf.setTextColor(0, 0, 139); // dark blue
-      } else if (section.type === 'h2') {
-        // Check if we need a new page
-        if (y > pageHeight - margin * 2) {
-          pdf.addPage();
-          y = margin;
-        }
-        
-        pdf.setFontSize(14);
-        pdf.setFont('helvetica', 'bold');
-        pdf.setTextColor(0, 0, 100); // medium blue
-        
-        // Add some extra spacing before new sections
-        y += 5;
-      } else {
-        pdf.setFontSize(11);
-        pdf.setFont('helvetica', 'normal');
-        pdf.setTextColor(0, 0, 0); // black
-      }
-      
-      // Split text into lines that fit the page width
-      const lines = pdf.splitTextToSize(section.text, contentWidth);
-      
-      // Check if we need a new page
-      if (y + (lines.length * 7) > pageHeight - margin) {
-        pdf.addPage();
-        y = margin;
-      }
-      
-      // Draw text
-      pdf.text(lines, margin, y);
-      
-      // Update y position for next content
-      y += (lines.length * 7) + (section.type === 'h1' || section.type === 'h2' ? 5 : 3);
-    }
+    // Draw the title, section headings and the sections' Markdown in document order
+    const cursor = { pdf, y: margin, margin, pageHeight };
+    drawBlocks(cursor, parseMarkdown(markdownContent), contentWidth);
     
     // Save the PDF
     pdf.save(safeFileName);
     
     // Clean up
-    document.body.removeChild(tempDiv);
     document.body.removeChild(loadingMessage);
     
     console.log("Project exported successfully as PDF:", safeFileName);
@@ -0,0 +1,157 @@
+// FILE: src/utils/markdownEditUtils.js
+
+/**
+ * Markdown editing commands of the section editor
+ * Each command takes the text and selection of a textarea and returns the new
+ * text and selection, so the toolbar, keyboard shortcuts and tests share them:
+ *   bold, italic, math   wrap the selection in **, * or $ (or unwrap it)
+ *   bulletList,
+ *   numberedList         add or remove list markers on the selected lines
+ *   table                insert a two-column table after the selection
+ *   continueList         Enter in a list item: start the next item, or end the list on an empty one
+ */
+
+const INLINE_MARKERS = { bold: '**', italic: '*', math: '$' };
+const LIST_MARKER_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+/;
+const TABLE_TEMPLATE = '| Column 1 | Column 2 |\n| --- | --- |\n|  |  |';
+
+// Whether text ends with the marker itself, not with a longer run of it ("*" vs "**bold**")
+const endsWithMarker = (text, marker) =>
+  text.endsWith(marker) && (marker !== '*' || !text.endsWith('**') || text.endsWith('***'));
+const startsWithMarker = (text, marker) =>
+  text.startsWith(marker) && (marker !== '*' || !text.startsWith('**') || text.startsWith('***'));
+
+const toggleInlineMarker = (value, start, end, marker) => {
+  // Markers cannot touch spaces, so leave the spaces a double-click selects outside
+  while (start < end && /\s/.test(value[start])) start++;
+  while (end > start && /\s/.test(value[end - 1])) end--;
+  const before = value.slice(0, start);
+  const selected = value.slice(start, end);
+  const after = value.slice(end);
+  const size = marker.length;
+
+  if (endsWithMarker(before, marker) && startsWithMarker(after, marker)) {
+    return {
+      value: before.slice(0, -size) + selected + after.slice(size),
+      selectionStart: start - size,
+      selectionEnd: end - size
+    };
+  }
+  if (selected.length > size * 2 && startsWithMarker(selected, marker) && endsWithMarker(selected, marker)) {
+    return {
+      value: before + selected.slice(size, -size) + after,
+      selectionStart: start,
+      selectionEnd: end - size * 2
+    };
+  }
+  return {
+    value: before + marker + selected + marker + after,
+    selectionStart: start + size,
+    selectionEnd: end + size
+  };
+};
+
+const toggleList = (value, start, end, ordered) => {
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lastLineEnd = value.indexOf('\n', end > start && value[end - 1] === '\n' ? end - 1 : end);
+  const lineEnd = lastLineEnd === -1 ? value.length : lastLineEnd;
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const isListLine = (line) => {
+    const match = line.match(LIST_MARKER_PATTERN);
+    return !!match && /\d/.test(match[2]) === ordered;
+  };
+  // Blank lines between selected paragraphs stay blank; a single empty line gets a marker
+  const targets = lines.length === 1 ? lines : lines.filter(line => line.trim());
+  const removing = targets.every(isListLine);
+
+  let number = 0;
+  const changed = lines.map(line => {
+    if (!targets.includes(line)) return line;
+    const text = line.replace(LIST_MARKER_PATTERN, '$1');
+    if (removing) return text;
+    number += 1;
+    const indent = text.match(/^\s*/)[0];
+    return `${indent}${ordered ? `${number}.` : '-'} ${text.slice(indent.length)}`;
+  }).join('\n');
+
+  const result = value.slice(0, lineStart) + changed + value.slice(lineEnd);
+  if (start === end) {
+    const cursor = Math.max(lineStart, start + changed.length - (lineEnd - lineStart));
+    return { value: result, selectionStart: cursor, selectionEnd: cursor };
+  }
+  return { value: result, selectionStart: lineStart, selectionEnd: lineStart + changed.length };
+};
+
+const insertTable = (value, end) => {
+  const before = value.slice(0, end);
+  const after = value.slice(end);
+  // Tables need blank lines around them
+  const prefix = before === '' || before.endsWith('\n\n') ? '' : (before.endsWith('\n') ? '\n' : '\n\n');
+  const suffix = after === '' || after.startsWith('\n\n') ? '' : (after.startsWith('\n') ? '\n' : '\n\n');
+  const tableStart = before.length + prefix.length;
+  return {
+    value: before + prefix + TABLE_TEMPLATE + suffix + after,
+    selectionStart: tableStart + 2, // "Column 1", ready to be typed over
+    selectionEnd: tableStart + 10
+  };
+};
+
+const continueList = (value, start, end) => {
+  if (start !== end) return null;
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = value.indexOf('\n', start);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  const match = value.slice(lineStart, start).match(/^(\s*)([-*+]|(\d{1,9})([.)]))(\s+)/);
+  if (!match) return null;
+
+  // Enter on an empty item ends the list
+  if (value.slice(lineStart, lineEnd).trim() === match[2]) {
+    return {
+      value: value.slice(0, lineStart) + value.slice(lineEnd),
+      selectionStart: lineStart,
+      selectionEnd: lineStart
+    };
+  }
+  const marker = match[3] ? `${Number(match[3]) + 1}${match[4]}` : match[2];
+  const insert = `\n${match[1]}${marker} `;
+  return {
+    value: value.slice(0, start) + insert + value.slice(end),
+    selectionStart: start + insert.length,
+    selectionEnd: start + insert.length
+  };
+};
+
+/**
+ * Text and selection after an editing command
+ * @param {string} command - One of the commands above
+ * @param {string} value - Current text
+ * @param {number} selectionStart - Selection start in value
+ * @param {number} selectionEnd - Selection end in value
+ * @returns {{ value: string, selectionStart: number, selectionEnd: number }|null} - null when the command does not apply
+ */
+export const applyMarkdownCommand = (command, value, selectionStart, selectionEnd) => {
+  const text = typeof value === 'string' ? value : '';
+  const start = Math.min(selectionStart, selectionEnd);
+  const end = Math.max(selectionStart, selectionEnd);
+  if (INLINE_MARKERS[command]) return toggleInlineMarker(text, start, end, INLINE_MARKERS[command]);
+  if (command === 'bulletList' || command === 'numberedList') return toggleList(text, start, end, command === 'numberedList');
+  if (command === 'table') return insertTable(text, end);
+  if (command === 'continueList') return continueList(text, start, end);
+  console.warn(`[markdownEditUtils] Unknown command "${command}"`);
+  return null;
+};
+
+/**
+ * Editing command of a key press in the editor
+ * @param {Object} e - keydown event
+ * @returns {string|null} - Ctrl/Cmd+B bold, Ctrl/Cmd+I italic, Enter continueList
+ */
+export const getShortcutCommand = (e) => {
+  const key = (e.key || '').toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey) {
+    if (key === 'b') return 'bold';
+    if (key === 'i') return 'italic';
+  }
+  if (key === 'enter' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) return 'continueList';
+  return null;
+};
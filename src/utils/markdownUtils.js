@@ -0,0 +1,203 @@
+// FILE: src/utils/markdownUtils.js
+
+/**
+ * Markdown of section text
+ * Sections are stored as Markdown: CommonMark with GitHub tables and inline
+ * math ($x^2$). MARKDOWN_PLUGINS are the remark plugins of that dialect. The
+ * editor preview renders with them through react-markdown, and parseMarkdown
+ * maps the same syntax tree to the blocks the PDF and DOCX exporters draw, so
+ * a section reads the same everywhere.
+ *
+ * Blocks:
+ *   { type: 'heading', level, runs }
+ *   { type: 'paragraph', runs }
+ *   { type: 'list', items: [{ level, ordered, number, runs }] }
+ *   { type: 'table', align: ['left' | 'center' | 'right' | null], header: [runs], rows: [[runs]] }
+ * Runs are { text, bold, italic, math }; text holds '\n' for hard line breaks,
+ * and math runs hold the LaTeX source.
+ */
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+
+/**
+ * Keep "*" between letters or digits as text, e.g. the products 2*3*4 and a*b*c
+ * CommonMark reads them as emphasis ("2<em>3</em>4"), unlike the same with "_".
+ */
+const remarkLiteralIntrawordAsterisks = () => (tree, file) => {
+  const source = String(file);
+  const restore = (parent) => {
+    parent.children = parent.children.flatMap(node => {
+      if (node.children) restore(node);
+      if (node.type !== 'emphasis' && node.type !== 'strong') return [node];
+      const start = node.position?.start.offset;
+      const end = node.position?.end.offset;
+      if (start === undefined || source[start] !== '*' || !isWordChar(source[start - 1]) || !isWordChar(source[end])) return [node];
+      const marker = node.type === 'strong' ? '**' : '*';
+      return [{ type: 'text', value: marker }, ...node.children, { type: 'text', value: marker }];
+    });
+  };
+  restore(tree);
+};
+
+// remark plugins of section Markdown, for react-markdown's remarkPlugins
+export const MARKDOWN_PLUGINS = [remarkGfm, remarkMath, remarkLiteralIntrawordAsterisks];
+
+const processor = unified().use(remarkParse).use(MARKDOWN_PLUGINS).freeze();
+
+const PLAIN = { bold: false, italic: false, math: false };
+
+// Adjacent runs with the same formatting as one run
+const mergeRuns = (runs) => runs.reduce((merged, run) => {
+  const last = merged[merged.length - 1];
+  if (last && !last.math && !run.math && last.bold === run.bold && last.italic === run.italic) {
+    last.text += run.text;
+  } else if (run.text) {
+    merged.push({ ...run });
+  }
+  return merged;
+}, []);
+
+// Runs of inline nodes; a line break inside a paragraph is a space, as in any Markdown renderer
+const toRuns = (nodes, style = PLAIN) => nodes.flatMap(node => {
+  if (node.type === 'text') return [{ ...style, text: node.value.replace(/\n/g, ' ') }];
+  if (node.type === 'break') return [{ ...style, text: '\n' }];
+  if (node.type === 'strong') return toRuns(node.children, { ...style, bold: true });
+  if (node.type === 'emphasis') return toRuns(node.children, { ...style, italic: true });
+  if (node.type === 'inlineMath') return [{ ...style, math: true, text: node.value }];
+  if (node.type === 'image') return [{ ...style, text: node.alt || '' }];
+  if (node.children) return toRuns(node.children, style); // Links, strikethrough
+  return node.value ? [{ ...style, text: node.value }] : []; // Inline code, HTML
+});
+
+// Runs of a block inside a list item or table cell; blocks are separated by line breaks
+const toFlatRuns = (blocks) => blocks.flatMap((block, index) => {
+  const runs = block.type === 'list' ? block.items.flatMap(item => item.runs) : block.runs || [];
+  return index > 0 ? [{ ...PLAIN, text: '\n' }, ...runs] : runs;
+});
+
+// Items of a list and the lists nested in it, with their nesting level
+const toListItems = (list, level) => list.children.flatMap((item, index) => {
+  const nested = item.children.filter(child => child.type === 'list');
+  const blocks = toBlocks(item.children.filter(child => child.type !== 'list'));
+  return [
+    { level, ordered: !!list.ordered, number: list.ordered ? (list.start ?? 1) + index : null, runs: mergeRuns(toFlatRuns(blocks)) },
+    ...nested.flatMap(child => toListItems(child, level + 1))
+  ];
+});
+
+const toBlocks = (nodes) => nodes.flatMap(node => {
+  switch (node.type) {
+    case 'heading':
+      return [{ type: 'heading', level: node.depth, runs: mergeRuns(toRuns(node.children)) }];
+    case 'paragraph':
+      return [{ type: 'paragraph', runs: mergeRuns(toRuns(node.children)) }];
+    case 'list':
+      return [{ type: 'list', items: toListItems(node, 0) }];
+    case 'table': {
+      const [header, ...rows] = node.children.map(row => row.children.map(cell => mergeRuns(toRuns(cell.children))));
+      return [{
+        type: 'table',
+        align: header.map((cell, column) => node.align?.[column] || null),
+        header,
+        rows: rows.map(row => header.map((cell, column) => row[column] || []))
+      }];
+    }
+    case 'math':
+      return [{ type: 'paragraph', runs: [{ ...PLAIN, math: true, text: node.value }] }];
+    case 'code':
+    case 'html':
+      return [{ type: 'paragraph', runs: [{ ...PLAIN, text: node.value }] }];
+    default:
+      return node.children ? toBlocks(node.children) : []; // Block quotes; thematic breaks are left out
+  }
+});
+
+/**
+ * Syntax tree (mdast) of a Markdown text, as react-markdown reads it
+ * @param {string} markdown - e.g. a section's content
+ * @returns {Object} - mdast root
+ */
+export const parseMarkdownTree = (markdown) => {
+  const text = String(markdown || '');
+  return processor.runSync(processor.parse(text), text);
+};
+
+/**
+ * Blocks of a Markdown text
+ * @param {string} markdown - e.g. a section's content
+ * @returns {Array<Object>} - See the block types above
+ */
+export const parseMarkdown = (markdown) => toBlocks(parseMarkdownTree(markdown).children);
+
+const MATH_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+  kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ', varphi: 'φ',
+  chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ',
+  Psi: 'Ψ', Omega: 'Ω', times: '×', cdot: '·', pm: '±', mp: '∓', div: '÷', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+  neq: '≠', ne: '≠', approx: '≈', sim: '∼', propto: '∝', infty: '∞', sum: '∑', prod: '∏', int: '∫', partial: '∂',
+  nabla: '∇', to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', in: '∈', notin: '∉', subset: '⊂',
+  cup: '∪', cap: '∩', forall: '∀', exists: '∃', ldots: '…', cdots: '⋯', circ: '∘', degree: '°'
+};
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ'
+};
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', a: 'ₐ', e: 'ₑ', o: 'ₒ', x: 'ₓ', i: 'ᵢ', j: 'ⱼ',
+  k: 'ₖ', m: 'ₘ', n: 'ₙ', p: 'ₚ', s: 'ₛ', t: 'ₜ'
+};
+
+// "x^{10}" -> "x¹⁰"; scripts without a Unicode form keep the caret, e.g. "e^(-x/2)"
+const toScript = (text, map, sign) =>
+  ([...text].every(ch => map[ch]) ? [...text].map(ch => map[ch]).join('') : `${sign}(${text})`);
+
+/**
+ * Readable text of inline LaTeX, for renderers without math typesetting
+ * Greek letters and common operators become Unicode symbols, simple scripts
+ * become super- and subscript characters, \frac{a}{b} becomes a/b.
+ * @param {string} latex - e.g. "\\alpha^2 \\leq \\frac{1}{n}"
+ * @returns {string} - e.g. "α² ≤ 1/n"
+ */
+export const mathToText = (latex) => {
+  const group = (text) => (text.length > 1 ? `(${text})` : text);
+  let text = String(latex || '')
+    .replace(/\\(?:text|mathrm|mathit|mathbf)\{([^{}]*)\}/g, '$1')
+    .replace(/\\[,;: ]/g, ' ')
+    .replace(/\\([{}%$&_#])/g, '$1');
+  let previous;
+  do {
+    previous = text;
+    text = text
+      .replace(/\\frac\{([^{}]*)\}\{([^{}]*)\}/g, (match, top, bottom) => `${group(top)}/${group(bottom)}`)
+      .replace(/\\sqrt\{([^{}]*)\}/g, (match, radicand) => `√${group(radicand)}`);
+  } while (text !== previous);
+  return text
+    .replace(/\\([A-Za-z]+)/g, (match, name) => MATH_SYMBOLS[name] || name)
+    .replace(/\^\{([^{}]*)\}|\^(\S)/g, (match, braced, single) => toScript(braced ?? single, SUPERSCRIPTS, '^'))
+    .replace(/_\{([^{}]*)\}|_(\S)/g, (match, braced, single) => toScript(braced ?? single, SUBSCRIPTS, '_'))
+    .replace(/[{}]/g, '');
+};
+
+/**
+ * Text of runs without formatting; math as readable text
+ * @param {Array} runs - Runs of a block
+ * @returns {string}
+ */
+const runsToText = (runs) => runs.map(run => (run.math ? mathToText(run.text) : run.text)).join('');
+
+/**
+ * Text of a Markdown text without formatting, e.g. for a project name
+ * @param {string} markdown - Markdown text
+ * @returns {string} - One line per block, list item and table row
+ */
+export const toPlainText = (markdown) =>
+  parseMarkdown(markdown).flatMap(block => {
+    if (block.type === 'list') return block.items.map(item => runsToText(item.runs));
+    if (block.type === 'table') return [block.header, ...block.rows].map(row => row.map(runsToText).join(' | '));
+    return [runsToText(block.runs)];
+  }).join('\n');
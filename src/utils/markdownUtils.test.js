@@ -0,0 +1,86 @@
+// FILE: src/utils/markdownUtils.test.js
+import { parseMarkdown, mathToText, toPlainText } from './markdownUtils';
+
+const run = (text, style = {}) => ({ text, bold: false, italic: false, math: false, ...style });
+
+describe('parseMarkdown', () => {
+  it('reads headings and paragraphs with bold, italic and inline math', () => {
+    expect(parseMarkdown('### Aims\n\nA **bold** and *italic* claim about $x^2$.')).toEqual([
+      { type: 'heading', level: 3, runs: [run('Aims')] },
+      {
+        type: 'paragraph',
+        runs: [
+          run('A '), run('bold', { bold: true }), run(' and '), run('italic', { italic: true }),
+          run(' claim about '), run('x^2', { math: true }), run('.')
+        ]
+      }
+    ]);
+  });
+
+  it('keeps asterisks between letters or digits as text', () => {
+    expect(parseMarkdown('2*3*4 and a**b**c')).toEqual([{ type: 'paragraph', runs: [run('2*3*4 and a**b**c')] }]);
+    expect(parseMarkdown('an *emphasized* word')[0].runs).toEqual([
+      run('an '), run('emphasized', { italic: true }), run(' word')
+    ]);
+  });
+
+  it('joins the lines of a paragraph and keeps hard line breaks', () => {
+    expect(parseMarkdown('one\ntwo\\\nthree')).toEqual([{ type: 'paragraph', runs: [run('one two\nthree')] }]);
+  });
+
+  it('reads nested bullet and numbered lists', () => {
+    expect(parseMarkdown('3. First\n4. Second\n   - Detail\n\n- Other')).toEqual([
+      {
+        type: 'list',
+        items: [
+          { level: 0, ordered: true, number: 3, runs: [run('First')] },
+          { level: 0, ordered: true, number: 4, runs: [run('Second')] },
+          { level: 1, ordered: false, number: null, runs: [run('Detail')] }
+        ]
+      },
+      { type: 'list', items: [{ level: 0, ordered: false, number: null, runs: [run('Other')] }] }
+    ]);
+  });
+
+  it('reads tables with alignment, filling in missing cells', () => {
+    expect(parseMarkdown('| Group | n |\n| :-- | --: |\n| **A** | 12 |\n| B |')).toEqual([{
+      type: 'table',
+      align: ['left', 'right'],
+      header: [[run('Group')], [run('n')]],
+      rows: [
+        [[run('A', { bold: true })], [run('12')]],
+        [[run('B')], []]
+      ]
+    }]);
+  });
+
+  it('keeps escaped dollar signs and plain text out of math', () => {
+    expect(parseMarkdown('Costs \\$5 and \\$10')).toEqual([{ type: 'paragraph', runs: [run('Costs $5 and $10')] }]);
+  });
+
+  it('returns no blocks for empty or missing text', () => {
+    expect(parseMarkdown('')).toEqual([]);
+    expect(parseMarkdown(null)).toEqual([]);
+  });
+});
+
+describe('mathToText', () => {
+  it('writes Greek letters, operators and simple scripts as Unicode', () => {
+    expect(mathToText('\\alpha^2 \\leq \\beta_{10}')).toBe('α² ≤ β₁₀');
+  });
+
+  it('writes fractions and roots inline', () => {
+    expect(mathToText('\\frac{a+b}{2} + \\sqrt{x}')).toBe('(a+b)/2 + √x');
+  });
+
+  it('keeps scripts without a Unicode form readable', () => {
+    expect(mathToText('e^{-x/2}')).toBe('e^(-x/2)');
+  });
+});
+
+describe('toPlainText', () => {
+  it('writes one line per block, list item and table row without formatting', () => {
+    expect(toPlainText('# Title\n\nSome **bold** $\\alpha$ text\n\n- one\n- two\n\n| a | b |\n| - | - |\n| 1 | 2 |'))
+      .toBe('Title\nSome bold α text\none\ntwo\na | b\n1 | 2');
+  });
+});
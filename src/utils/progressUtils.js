@@ -0,0 +1,64 @@
+// FILE: src/utils/progressUtils.js
+
+/**
+ * Helpers for the per-section feedback timeline (store's ratingHistory)
+ * Each feedback round adds a point { at, rating, subsectionsCompleted, subsectionsTotal }.
+ */
+import { getActiveTemplate } from './templateRegistry';
+
+// Oldest points are dropped beyond this, per section
+export const MAX_RATING_POINTS = 200;
+
+/**
+ * Timeline point for a feedback result
+ * @param {string} sectionId - Section id
+ * @param {Object} feedbackData - Validated feedback ({ rating, subsections: [{ id, isComplete }] })
+ * @param {number} at - Timestamp (ms)
+ * @returns {{ at: number, rating: number|null, subsectionsCompleted: number, subsectionsTotal: number }}
+ */
+export const createRatingPoint = (sectionId, feedbackData, at = Date.now()) => {
+  const definedSubsections = getActiveTemplate().sections.find(s => s.id === sectionId)?.subsections || [];
+  const feedbackSubsections = feedbackData?.subsections || [];
+  return {
+    at,
+    rating: typeof feedbackData?.rating === 'number' ? feedbackData.rating : null,
+    subsectionsCompleted: feedbackSubsections.filter(sub => sub?.isComplete).length,
+    subsectionsTotal: definedSubsections.length || feedbackSubsections.length
+  };
+};
+
+/**
+ * Add a point to a section's timeline
+ * @param {Object} ratingHistory - { sectionId: points[] }
+ * @param {string} sectionId - Section id
+ * @param {Object} point - From createRatingPoint
+ * @returns {Object} - New ratingHistory
+ */
+export const appendRatingPoint = (ratingHistory, sectionId, point) => ({
+  ...ratingHistory,
+  [sectionId]: [...(ratingHistory?.[sectionId] || []), point].slice(-MAX_RATING_POINTS)
+});
+
+/**
+ * Time between consecutive feedback rounds
+ * @param {Array} points - A section's timeline
+ * @returns {number[]} - Gaps in ms
+ */
+export const getFeedbackIntervals = (points = []) =>
+  points.slice(1).map((point, index) => point.at - points[index].at);
+
+/**
+ * Short human-readable duration, e.g. "45s", "12 min", "3.5 h", "2 d"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return '-';
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = seconds / 60;
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  const hours = minutes / 60;
+  if (hours < 24) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} d`;
+};
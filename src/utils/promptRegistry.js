@@ -0,0 +1,135 @@
+// FILE: src/utils/promptRegistry.js
+
+/**
+ * Versioned prompt registry
+ * Every prompt sent to the AI lives in data/promptContent.json under an id
+ * ('feedback.system', 'review.task', ...) with a semantic version. Bump the
+ * version whenever a template changes, so results can be compared across
+ * prompt revisions.
+ *
+ * A prompt may define A/B variants next to its base template (variant 'A'):
+ *   "variants": { "B": { "version": "1.1.0", "weight": 0.5, "template": "..." } }
+ * Each project is assigned a variant deterministically from its projectId and
+ * the variant weights; a variant can be pinned with the PROMPT_VARIANTS
+ * feature flag, e.g. { "feedback.task": "B" }.
+ *
+ * A planning template (templateRegistry) can replace prompts under its own
+ * "prompts" key, with the same entry shape and its own versions. The open
+ * project's template wins; references to its prompts carry the template id.
+ */
+import promptContent from '../data/promptContent.json';
+import { getFeatureFlag } from '../config/featureFlags';
+import useAppStore from '../store/appStore';
+import { getActiveTemplate } from './templateRegistry';
+
+export const DEFAULT_VARIANT = 'A';
+
+// The open project's template's version of a prompt, if it has one
+const getTemplateOverride = (id) => {
+  const template = getActiveTemplate();
+  const entry = template.prompts?.[id];
+  return entry ? { templateId: template.id, entry } : null;
+};
+
+const getPromptEntry = (id) => {
+  const entry = getTemplateOverride(id)?.entry || promptContent.prompts[id];
+  if (!entry) {
+    throw new Error(`Unknown prompt id: ${id}`);
+  }
+  return entry;
+};
+
+/**
+ * Map a string to a stable number in [0, 1)
+ * @param {string} text - Input
+ * @returns {number}
+ */
+const hashToUnitInterval = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+/**
+ * Replaces {{key}} placeholders in a template in a single pass, so values
+ * that themselves contain braces (e.g. document text) are left untouched.
+ * Placeholders without a value are removed.
+ * @param {string} template - The string containing placeholders like {{key}}.
+ * @param {object} params - An object where keys match placeholder names.
+ * @returns {string} - The string with placeholders replaced.
+ */
+export const fillTemplate = (template, params = {}) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => String(params[key] || ''));
+
+/**
+ * Which variant of a prompt this project uses
+ * @param {string} id - Prompt id
+ * @returns {string} - Variant name ('A' for the base template)
+ */
+export const resolvePromptVariant = (id) => {
+  const entry = getPromptEntry(id);
+  const variants = entry.variants || {};
+
+  const pinned = (getFeatureFlag('PROMPT_VARIANTS', {}) || {})[id];
+  if (pinned) {
+    if (pinned === DEFAULT_VARIANT || variants[pinned]) return pinned;
+    console.warn(`[promptRegistry] Pinned variant "${pinned}" of "${id}" does not exist; using the assigned variant.`);
+  }
+
+  const variantNames = Object.keys(variants);
+  if (variantNames.length === 0) return DEFAULT_VARIANT;
+
+  const seed = useAppStore.getState().projectId || 'default';
+  const bucket = hashToUnitInterval(`${seed}:${id}`);
+  let threshold = 0;
+  for (const name of variantNames) {
+    threshold += Number(variants[name].weight) || 0;
+    if (bucket < threshold) return name;
+  }
+  return DEFAULT_VARIANT;
+};
+
+/**
+ * Look up a prompt template
+ * @param {string} id - Prompt id
+ * @param {string} variant - Variant name; resolved for the current project when omitted
+ * @returns {{ id: string, version: string, variant: string, template: string, templateId?: string }}
+ *   templateId is set when the planning template overrides the prompt
+ */
+export const getPrompt = (id, variant = resolvePromptVariant(id)) => {
+  const entry = getPromptEntry(id);
+  const source = variant === DEFAULT_VARIANT ? entry : entry.variants?.[variant];
+  if (!source) {
+    throw new Error(`Unknown variant "${variant}" of prompt "${id}"`);
+  }
+  const override = getTemplateOverride(id);
+  return {
+    id,
+    version: source.version || entry.version,
+    variant,
+    template: source.template,
+    ...(override && { templateId: override.templateId })
+  };
+};
+
+/**
+ * Fill in a prompt and report which revision was used
+ * @param {string} id - Prompt id
+ * @param {object} params - Placeholder values
+ * @returns {{ text: string, prompt: { id: string, version: string, variant: string, templateId?: string } }}
+ */
+export const renderPrompt = (id, params = {}) => {
+  const { template, ...prompt } = getPrompt(id);
+  return { text: fillTemplate(template, params), prompt };
+};
+
+/**
+ * Short label for a prompt revision, e.g. "feedback.task@1.0.0", "feedback.task@1.1.0#B"
+ * or, for a template's own prompt, "registeredReport:review.task@1.0.0"
+ * @param {Object} prompt - { id, version, variant, templateId }
+ * @returns {string}
+ */
+export const formatPromptRef = ({ id, version, variant, templateId }) =>
+  `${templateId ? `${templateId}:` : ''}${id}@${version}${variant && variant !== DEFAULT_VARIANT ? `#${variant}` : ''}`;
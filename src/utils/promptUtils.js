@@ -1,74 +1,44 @@
 // FILE: src/utils/promptUtils.js
 
-import promptContent from '../data/promptContent.json';
+import { renderPrompt } from './promptRegistry';
 
-/**
- * Replaces placeholders in a string with values from a parameters object.
- * @param {string} template - The string containing placeholders like {{key}}.
- * @param {object} params - An object where keys match placeholder names.
- * @returns {string} - The string with placeholders replaced.
- */
-const replacePlaceholders = (template, params = {}) => {
-  let result = template;
-  for (const [key, value] of Object.entries(params)) {
-    const placeholder = `{{${key}}}`;
-    // Use a loop for global replacement to handle multiple occurrences
-    while (result.includes(placeholder)) {
-      result = result.replace(placeholder, value || '');
-    }
-  }
-  // Clean up any remaining, unreplaced placeholders
-  result = result.replace(/{{[^}]+}}/g, '');
-  return result;
+// System prompt types used by callers, mapped to their prompt registry ids
+const SYSTEM_PROMPT_IDS = {
+  chat: 'chat.system',
+  instructionImprovement: 'feedback.system',
 };
 
 /**
  * Build a system prompt for the chat AI based on the type and parameters.
  * This focuses specifically on the 'system' role message content.
+ * UPDATED: Templates come from the versioned prompt registry (utils/promptRegistry.js)
  * @param {string} promptType - The type of system prompt to build (e.g., 'chat', 'instructionImprovement').
  * @param {object} params - Parameters to insert into the prompt template.
  * @returns {string} - The formatted system prompt string.
  */
-export const buildSystemPrompt = (promptType, params = {}) => {
-  // Get the base system prompt template
-  let basePromptTemplate = promptContent.systemPrompts[promptType];
-  if (!basePromptTemplate) {
+export const buildSystemPrompt = (promptType, params = {}) => renderSystemPrompt(promptType, params).text;
+
+/**
+ * Like buildSystemPrompt, but also reports which prompt revision was used
+ * @param {string} promptType - The type of system prompt to build
+ * @param {object} params - Parameters to insert into the prompt template
+ * @returns {{ text: string, prompt: { id: string, version: string, variant: string } }}
+ */
+export const renderSystemPrompt = (promptType, params = {}) => {
+  const promptId = SYSTEM_PROMPT_IDS[promptType];
+  if (!promptId) {
     console.error(`Unknown system prompt type: ${promptType}`);
-    return `System error: Unknown prompt type ${promptType}`;
+    return { text: `System error: Unknown prompt type ${promptType}`, prompt: null };
   }
 
-  // For instruction improvement, add the rating instructions
-  if (promptType === 'instructionImprovement') {
-    basePromptTemplate += `\n\nRATING INSTRUCTIONS:
-For each section, provide a numerical rating on a scale of 1-10, where:
-- 1 is truly embarrassing, unprofessional work
-- 5 is what a typical masters student should be able to produce
-- 10 is could not possibly be better, publication-quality work
-
-Be honest but fair with your ratings. Use the full scale and don't inflate ratings.
-Include this rating as a "rating" field in your JSON response structure for each section.`;
-  }
-  
   // ENHANCEMENT: Add AI feedback to chat context
+  let feedbackText = params.feedbackText || '';
   if (promptType === 'chat' && params.aiFeedback) {
     // Format the AI feedback to be included in the prompt
-    const feedbackText = formatAiFeedback(params.aiFeedback);
-    params.feedbackText = (params.feedbackText || '') + feedbackText;
+    feedbackText += formatAiFeedback(params.aiFeedback);
   }
 
-  // Add params for replacement with defaults for common parameters
-  const allParams = {
-    ...params,
-    // Default values for common parameters
-    sectionTitle: params.sectionTitle || '',
-    instructionsText: params.instructionsText || '',
-    feedbackText: params.feedbackText || '',
-    userContent: params.userContent || '',
-    documentTextSnippet: params.documentText ? params.documentText.substring(0, 500) : ''
-  };
-
-  // Replace placeholders in the base template
-  return replacePlaceholders(basePromptTemplate, allParams);
+  return renderPrompt(promptId, { ...params, feedbackText });
 };
 
 /**
@@ -103,49 +73,62 @@ const formatAiFeedback = (aiFeedback) => {
   return result;
 };
 
+// Words too common to tell whether a subsection has been addressed
+const MOCK_STOPWORDS = new Set([
+  'about', 'their', 'there', 'these', 'those', 'which', 'would', 'could', 'should',
+  'what', 'your', 'with', 'from', 'that', 'this', 'will', 'have', 'been', 'into',
+  'other', 'where', 'while', 'being', 'make', 'sure', 'does', 'them', 'they'
+]);
+
 /**
- * Build a user task prompt for the OpenAI API
- * @param {string} taskType - The type of task prompt to build
- * @param {object} params - Parameters for the prompt
- * @returns {string} - The formatted task prompt
+ * Extract lowercase keywords (5+ letters, no stopwords) from text
+ * @param {string} text - Any text
+ * @returns {string[]} - Unique keywords in order of appearance
  */
-export const buildTaskPrompt = (taskType, params = {}) => {
-  // Get the base task prompt template
-  const basePromptTemplate = promptContent.taskPrompts[taskType];
-  if (!basePromptTemplate) {
-    console.error(`Unknown task prompt type: ${taskType}`);
-    return `Error: Unknown task prompt type ${taskType}`;
-  }
-
-  // Add any standard parameters needed, like timestamp
-  const allParams = {
-    ...params,
-    isoTimestamp: new Date().toISOString()
-  };
-
-  // Replace placeholders
-  return replacePlaceholders(basePromptTemplate, allParams);
+export const extractMockKeywords = (text = '') => {
+  const words = (text.toLowerCase().match(/[a-z]{5,}/g) || []).filter(word => !MOCK_STOPWORDS.has(word));
+  return [...new Set(words)];
 };
 
 /**
  * Generate a mock response for structured instruction improvement
- * Used for testing without making API calls
+ * Used by the mock AI provider (featureFlags.USE_MOCK_AI) for demos and tests
  * UPDATED: Now includes rating in mock data
- * @param {Array} sectionsForAnalysis - The sections being analyzed
+ * UPDATED: Deterministic and content-sensitive: a subsection counts as complete when the
+ *          content mentions enough of its keywords, and the rating grows with coverage and length
+ * @param {Array} sectionsForAnalysis - The sections being analyzed ({ id, title, userContent, subsections })
  * @returns {Array} - Mock analysis results
  */
 export const generateMockStructuredAnalysis = (sectionsForAnalysis) => {
-  return sectionsForAnalysis.map(section => ({
-    id: section.id,
-    overallFeedback: `Great work on your ${section.title.toLowerCase()}! You've made excellent progress.`,
-    completionStatus: "complete",
-    rating: Math.floor(Math.random() * 6) + 5, // Random rating between 5-10 for testing
-    subsections: (section.subsections || []).map((subsection, index) => ({
-      id: subsection.id,
-      isComplete: index % 3 !== 0, // Mark 2/3 of subsections as complete for testing
-      feedback: index % 3 !== 0
-        ? "You've addressed this point effectively with clear examples."
-        : "Consider elaborating further on this aspect to strengthen your work."
-    }))
-  }));
+  return sectionsForAnalysis.map(section => {
+    const content = section.userContent || '';
+    const contentKeywords = new Set(extractMockKeywords(content));
+    const wordCount = (content.match(/\S+/g) || []).length;
+
+    const subsections = (section.subsections || []).map(subsection => {
+      const keywords = extractMockKeywords(`${subsection.title} ${subsection.instruction}`);
+      const hits = keywords.filter(keyword => contentKeywords.has(keyword));
+      const isComplete = hits.length >= Math.min(2, keywords.length);
+      return {
+        id: subsection.id,
+        isComplete,
+        feedback: isComplete
+          ? `You've addressed ${subsection.title.toLowerCase()} (mentions ${hits.slice(0, 3).join(', ')}).`
+          : `Consider elaborating on ${subsection.title.toLowerCase()}${keywords.length ? ` - e.g. say something about ${keywords.slice(0, 2).join(' and ')}` : ''}.`
+      };
+    });
+
+    const completeCount = subsections.filter(subsection => subsection.isComplete).length;
+    const coverage = subsections.length ? completeCount / subsections.length : 1;
+    const lengthScore = Math.min(1, wordCount / 150);
+    const rating = Math.max(1, Math.min(10, Math.round(1 + 6 * coverage + 3 * lengthScore)));
+
+    return {
+      id: section.id,
+      overallFeedback: `${completeCount} of ${subsections.length} points in your ${(section.title || 'section').toLowerCase()} are covered (${wordCount} words).`,
+      completionStatus: coverage === 1 ? "complete" : (completeCount > 0 ? "progress" : "unstarted"),
+      rating,
+      subsections
+    };
+  });
 };
@@ -1,62 +1,211 @@
 // FILE: src/utils/sectionOrderUtils.js
+// MODIFIED: Categories, their member sections and the display order come from sectionContent.json
+// MODIFIED: Categories with "multiSelect" can have several active sections (activeToggles holds arrays)
+// MODIFIED: Everything is resolved from the open project's template (templateRegistry)
 
 /**
  * Utility functions for section ordering and filtering
  * Expanded to support the new in-card toggle design
+ *
+ * Sections, categories and the display order come from the open project's
+ * template (see templateRegistry); the helpers that are also needed for other
+ * templates take the template as their last argument.
+ *
+ * Categories (sectionContent.json "categories") group alternative sections a
+ * project chooses from, e.g. the research approach: hypothesis, needs-based or
+ * exploratory. A section joins a category with its "category"
+ * field; members are listed in the order of the sections in the file, which is
+ * also the order in which exports look for a filled-in member. activeToggles
+ * holds the active sections of every category, keyed by category id, as a
+ * list in that order. The list has exactly one entry unless the category sets
+ * "multiSelect" (e.g. a project combining an experiment with existing data);
+ * it is never empty.
+ *
+ * "displayOrder" lists section ids and category ids in the order the planner
+ * shows them; a category id stands for its active sections.
  */
+import { getActiveTemplate } from './templateRegistry';
 
-// Define section IDs for different approaches
-export const getApproachSectionIds = () => [
-  'hypothesis',
-  'needsresearch',
-  'exploratoryresearch'
-];
+// Categories of each template, built on first use
+const categoriesByTemplate = new WeakMap();
 
-// Define section IDs for different data methods
-export const getDataMethodSectionIds = () => [
-  'experiment',
-  'existingdata',
-  'theorysimulation'
-];
+const buildCategories = (template) => {
+  const sections = template.sections || [];
+  const categories = (template.categories || []).reduce((built, category) => {
+    const sectionIds = sections.filter(section => section.category === category.id).map(section => section.id);
+    if (sectionIds.length === 0) {
+      console.warn(`[sectionOrderUtils] Category "${category.id}" of template "${template.id}" has no sections and is ignored`);
+      return built;
+    }
+    built.push({
+      ...category,
+      multiSelect: !!category.multiSelect,
+      sectionIds,
+      defaultSection: sectionIds.includes(category.defaultSection) ? category.defaultSection : sectionIds[0]
+    });
+    return built;
+  }, []);
+
+  sections.forEach(section => {
+    if (section.category && !categories.some(category => category.id === section.category)) {
+      console.warn(`[sectionOrderUtils] Section "${section.id}" of template "${template.id}" names unknown category "${section.category}"`);
+    }
+  });
+  return categories;
+};
+
+/**
+ * All categories with their member sections
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {Array<{ id: string, label: string, exportHeading: string, defaultSection: string, multiSelect: boolean, sectionIds: string[] }>}
+ */
+export const getCategories = (template = getActiveTemplate()) => {
+  if (!categoriesByTemplate.has(template)) categoriesByTemplate.set(template, buildCategories(template));
+  return categoriesByTemplate.get(template);
+};
+
+/**
+ * A category by id
+ * @param {string} categoryId - e.g. 'approach'
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {Object|null}
+ */
+export const getCategory = (categoryId, template = getActiveTemplate()) =>
+  getCategories(template).find(category => category.id === categoryId) || null;
+
+/**
+ * Section ids of a category, in file order
+ * @param {string} categoryId - e.g. 'dataMethod'
+ * @returns {string[]}
+ */
+export const getCategorySectionIds = (categoryId) => getCategory(categoryId)?.sectionIds || [];
+
+/**
+ * Toggle options of a category
+ * @param {string} categoryId - Category id
+ * @returns {Array<{ id: string, label: string }>} - Labels from the sections' optionLabel (or title)
+ */
+export const getCategoryOptions = (categoryId) =>
+  getCategorySectionIds(categoryId).map(sectionId => {
+    const section = getActiveTemplate().sections.find(definition => definition.id === sectionId);
+    return { id: sectionId, label: section.optionLabel || section.title };
+  });
+
+/**
+ * Active sections of every category when nothing was chosen yet
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {Object} - { categoryId: [sectionId] }
+ */
+export const getDefaultActiveToggles = (template = getActiveTemplate()) =>
+  getCategories(template).reduce((toggles, category) => {
+    toggles[category.id] = [category.defaultSection];
+    return toggles;
+  }, {});
+
+/**
+ * Active toggles with a valid, non-empty selection per current category
+ * Accepts a single section id per category too (state saved before multi-select).
+ * Unknown categories and sections are dropped, selections are put in category
+ * order, single-select categories keep their first section, and an empty
+ * selection falls back to the default.
+ * @param {Object} activeToggles - { categoryId: sectionId | sectionId[] }, possibly stale or incomplete
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {Object} - { categoryId: sectionId[] }
+ */
+export const normalizeActiveToggles = (activeToggles, template = getActiveTemplate()) =>
+  getCategories(template).reduce((toggles, category) => {
+    const current = activeToggles?.[category.id];
+    const chosen = Array.isArray(current) ? current : [current];
+    const selected = category.sectionIds.filter(sectionId => chosen.includes(sectionId));
+    toggles[category.id] = selected.length === 0
+      ? [category.defaultSection]
+      : (category.multiSelect ? selected : [chosen.find(sectionId => category.sectionIds.includes(sectionId))]);
+    return toggles;
+  }, {});
+
+/**
+ * Selection after the user clicks one of a category's options
+ * Single-select categories switch to the option; multi-select categories add
+ * or remove it, keeping at least one section selected.
+ * @param {Object} activeToggles - Current toggles
+ * @param {string} categoryId - Category of the option
+ * @param {string} sectionId - The clicked option
+ * @returns {string[]} - The category's new selection
+ */
+export const toggleCategorySelection = (activeToggles, categoryId, sectionId) => {
+  const category = getCategory(categoryId);
+  const selected = normalizeActiveToggles(activeToggles)[categoryId] || [];
+  if (!category || !category.sectionIds.includes(sectionId)) return selected;
+  if (!category.multiSelect) return [sectionId];
+  if (!selected.includes(sectionId)) return category.sectionIds.filter(id => id === sectionId || selected.includes(id));
+  return selected.length > 1 ? selected.filter(id => id !== sectionId) : selected;
+};
+
+/**
+ * Whether a section is one of the active sections of its category
+ * @param {Object} activeToggles - { categoryId: sectionId[] }
+ * @param {string} sectionId - Section to check
+ * @returns {boolean} - Also true for sections outside categories
+ */
+export const isActiveCategorySection = (activeToggles, sectionId) => {
+  const categoryId = getToggleGroup(sectionId);
+  return !categoryId || normalizeActiveToggles(activeToggles)[categoryId].includes(sectionId);
+};
+
+/**
+ * Active toggles matching content, e.g. of an imported document
+ * Each category takes its members with text (only the first for single-select
+ * categories); categories without one keep the default.
+ * @param {Object} userInputs - { sectionId: content }
+ * @returns {Object} - { categoryId: sectionId[] }
+ */
+export const detectActiveToggles = (userInputs = {}) =>
+  normalizeActiveToggles(getCategories().reduce((toggles, category) => {
+    toggles[category.id] = category.sectionIds.filter(sectionId =>
+      typeof userInputs?.[sectionId] === 'string' && userInputs[sectionId].trim() !== ''
+    );
+    return toggles;
+  }, {}));
+
+/**
+ * Display order of the sections that can be visible with the given toggles
+ * Sections and categories missing from displayOrder follow at the end, in file order.
+ * @param {Object} activeToggles - { categoryId: sectionId[] }
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {string[]} - Section ids; a category's active sections in its place
+ */
+export const getDisplayOrder = (activeToggles = {}, template = getActiveTemplate()) => {
+  const sections = template.sections || [];
+  const toggles = normalizeActiveToggles(activeToggles, template);
+  const entries = [...(template.displayOrder || [])];
+  sections.forEach(section => {
+    const entryId = getCategory(section.category, template) ? section.category : section.id;
+    if (!entries.includes(entryId)) entries.push(entryId);
+  });
+  return entries
+    .flatMap(entryId => (getCategory(entryId, template) ? toggles[entryId] : [entryId]))
+    .filter(sectionId => sections.some(section => section.id === sectionId));
+};
+
+/**
+ * The section a project opens at: the first one in display order
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {string}
+ */
+export const getFirstSectionId = (template = getActiveTemplate()) =>
+  getDisplayOrder(getDefaultActiveToggles(template), template)[0];
 
 /**
  * Returns visible sections in the correct display order
  * @param {Array} allSections - Array of all section objects
- * @param {string} activeApproach - Currently active approach ID
- * @param {string} activeDataMethod - Currently active data method ID
+ * @param {Object} activeToggles - { categoryId: sectionId[] }
  * @returns {Array} Filtered and sorted sections
  */
-export const getVisibleSectionsInDisplayOrder = (
-  allSections = [],
-  activeApproach = 'hypothesis',
-  activeDataMethod = 'experiment'
-) => {
+export const getVisibleSectionsInDisplayOrder = (allSections = [], activeToggles = {}) => {
   if (!Array.isArray(allSections) || allSections.length === 0) {
     return [];
   }
 
-  // Define the display order of section IDs
-  const sectionDisplayOrder = [
-    'question',
-    // Approach section IDs - will be filtered to active one
-    'hypothesis',
-    'needsresearch',
-    'exploratoryresearch',
-    'audience',
-    'relatedpapers',
-    // Data method section IDs - will be filtered to active one
-    'experiment',
-    'existingdata',
-    'theorysimulation',
-    'analysis',
-    'process',
-    'abstract'
-  ];
-  
-  // Filter to include only the active approach and data method
-  const approachSectionIds = getApproachSectionIds();
-  const dataMethodSectionIds = getDataMethodSectionIds();
-  
   // Create a map for faster lookups
   const sectionMap = allSections.reduce((map, section) => {
     if (section && section.id) {
@@ -64,86 +213,42 @@ export const getVisibleSectionsInDisplayOrder = (
     }
     return map;
   }, {});
-  
-  // Return sections in the specified order, including only visible ones
-  return sectionDisplayOrder
+
+  // Only the active sections of each category are part of the order
+  return getDisplayOrder(activeToggles)
     .map(id => sectionMap[id])
-    .filter(section => {
-      if (!section) return false;
-      
-      // Always include non-approach, non-data method sections
-      if (!approachSectionIds.includes(section.id) && !dataMethodSectionIds.includes(section.id)) {
-        return true;
-      }
-      
-      // Only include the active approach section
-      if (approachSectionIds.includes(section.id)) {
-        return section.id === activeApproach;
-      }
-      
-      // Only include the active data method section
-      if (dataMethodSectionIds.includes(section.id)) {
-        return section.id === activeDataMethod;
-      }
-      
-      return false;
-    });
+    .filter(Boolean);
 };
 
 /**
  * Gets the next visible section ID based on current section and active toggles
  * @param {string} currentSectionId - Currently active section ID
- * @param {string} activeApproach - Currently active approach 
- * @param {string} activeDataMethod - Currently active data method
+ * @param {Object} activeToggles - { categoryId: sectionId[] }
  * @returns {string|null} - The next section ID or null if at the end
  */
-export const getNextVisibleSectionId = (
-  currentSectionId,
-  activeApproach = 'hypothesis',
-  activeDataMethod = 'experiment'
-) => {
-  // Simplified display order (only includes sections that could be visible)
-  const visibleSectionOrder = [
-    'question',
-    activeApproach, // Only the active approach is visible
-    'audience',
-    'relatedpapers',
-    activeDataMethod, // Only the active data method is visible
-    'analysis',
-    'process',
-    'abstract'
-  ];
-  
+export const getNextVisibleSectionId = (currentSectionId, activeToggles = {}) => {
+  const visibleSectionOrder = getDisplayOrder(activeToggles);
   const currentIndex = visibleSectionOrder.indexOf(currentSectionId);
-  
+
   if (currentIndex === -1 || currentIndex >= visibleSectionOrder.length - 1) {
     return null; // Current section not found or already at the last section
   }
-  
+
   return visibleSectionOrder[currentIndex + 1];
 };
 
 /**
- * Determines if a section is a toggle section
+ * Gets the toggle group (category) for a section ID
  * @param {string} sectionId - Section ID to check
- * @returns {boolean} - True if it's a toggle section
+ * @param {Object} template - Template definition; the open project's when omitted
+ * @returns {string|null} - Category id, e.g. 'approach', or null
  */
-export const isToggleSection = (sectionId) => {
-  return getApproachSectionIds().includes(sectionId) || 
-         getDataMethodSectionIds().includes(sectionId);
-};
+export const getToggleGroup = (sectionId, template = getActiveTemplate()) =>
+  getCategories(template).find(category => category.sectionIds.includes(sectionId))?.id || null;
 
 /**
- * Gets the toggle group for a section ID
+ * Determines if a section is a toggle section
  * @param {string} sectionId - Section ID to check
- * @returns {string|null} - 'approach', 'dataMethod', or null
+ * @returns {boolean} - True if it belongs to a category
  */
-export const getToggleGroup = (sectionId) => {
-  if (getApproachSectionIds().includes(sectionId)) {
-    return 'approach';
-  }
-  if (getDataMethodSectionIds().includes(sectionId)) {
-    return 'dataMethod';
-  }
-  return null;
-};
+export const isToggleSection = (sectionId) => getToggleGroup(sectionId) !== null;
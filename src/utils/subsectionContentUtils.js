@@ -0,0 +1,88 @@
+// FILE: src/utils/subsectionContentUtils.js
+
+/**
+ * Section text split by subsection
+ * A section in the structured layout is still stored as one string, so
+ * feedback, history, sync and exports need no second format: each filled-in
+ * subsection becomes a "### <subsection title>" heading followed by its text,
+ * and the parts are separated by a blank line. Text before the first heading
+ * (e.g. written in the flat layout) is kept as notes. Switching layouts never
+ * changes the text, so nothing is lost either way.
+ *
+ * A line inside a field that would read as a subsection heading is
+ * saved with a backslash in front ("\### Title", which Markdown shows as
+ * "### Title"), so splitting the text gives back the fields it was joined from.
+ */
+
+export const SUBSECTION_HEADING_PREFIX = '### ';
+
+const PART_SEPARATOR = '\n\n';
+
+const normalizeTitle = (title) => String(title || '').trim().toLowerCase();
+
+// Drop the separator that joinSubsectionContent put after a part
+const stripSeparator = (text) => (text.endsWith(PART_SEPARATOR) ? text.slice(0, -PART_SEPARATOR.length) : text);
+
+// { normalized title: subsection id }; of subsections with the same title the first one
+const getIdsByTitle = (subsections) => subsections.reduce((acc, subsection) => {
+  const title = normalizeTitle(subsection.title);
+  if (title && !acc[title]) acc[title] = subsection.id;
+  return acc;
+}, {});
+
+// "###" lines naming a subsection, with any backslashes already in front of them
+const HEADING_LINE_PATTERN = /^(\\*)### (.*)$/gm;
+
+// One more backslash in front of each line that names a subsection, so it is not read as a heading
+const escapeHeadings = (text, idsByTitle) => text.replace(HEADING_LINE_PATTERN, (line, backslashes, title) =>
+  (idsByTitle[normalizeTitle(title)] ? `\\${line}` : line));
+
+// Undo escapeHeadings on the text of one field
+const unescapeHeadings = (text, idsByTitle) => text.replace(HEADING_LINE_PATTERN, (line, backslashes, title) =>
+  (backslashes && idsByTitle[normalizeTitle(title)] ? line.slice(1) : line));
+
+/**
+ * Split section text into one field per subsection
+ * @param {string} content - Section text
+ * @param {Array<{ id: string, title: string }>} subsections - The section's subsections (originalInstructions)
+ * @returns {{ notes: string, fields: Object<string, string> }} - Every subsection has a field ('' when empty)
+ */
+export const splitSubsectionContent = (content, subsections = []) => {
+  const text = typeof content === 'string' ? content : '';
+  const fields = subsections.reduce((acc, subsection) => { acc[subsection.id] = ''; return acc; }, {});
+  const idsByTitle = getIdsByTitle(subsections);
+
+  // Headings naming one of the subsections, in order; other "###" lines are ordinary text
+  const headings = [];
+  const headingPattern = /^### (.*)$/gm;
+  let match;
+  while ((match = headingPattern.exec(text)) !== null) {
+    const id = idsByTitle[normalizeTitle(match[1])];
+    if (id) headings.push({ id, start: match.index, end: match.index + match[0].length });
+  }
+
+  if (headings.length === 0) return { notes: unescapeHeadings(text, idsByTitle), fields };
+  headings.forEach((heading, index) => {
+    const next = headings[index + 1];
+    const bodyStart = text[heading.end] === '\n' ? heading.end + 1 : heading.end;
+    const body = unescapeHeadings(next ? stripSeparator(text.slice(bodyStart, next.start)) : text.slice(bodyStart), idsByTitle);
+    // A subsection named twice keeps both parts
+    fields[heading.id] = fields[heading.id] ? `${fields[heading.id]}${PART_SEPARATOR}${body}` : body;
+  });
+  return { notes: unescapeHeadings(stripSeparator(text.slice(0, headings[0].start)), idsByTitle), fields };
+};
+
+/**
+ * Section text from its subsection fields (the inverse of splitSubsectionContent)
+ * Empty fields are left out, so an untouched subsection adds no heading.
+ * @param {{ notes: string, fields: Object<string, string> }} parts - From splitSubsectionContent, edited
+ * @param {Array<{ id: string, title: string }>} subsections - The section's subsections
+ * @returns {string}
+ */
+export const joinSubsectionContent = ({ notes = '', fields = {} }, subsections = []) => {
+  const idsByTitle = getIdsByTitle(subsections);
+  const parts = subsections
+    .filter(subsection => fields[subsection.id])
+    .map(subsection => `${SUBSECTION_HEADING_PREFIX}${subsection.title}\n${escapeHeadings(fields[subsection.id], idsByTitle)}`);
+  return (notes ? [escapeHeadings(notes, idsByTitle), ...parts] : parts).join(PART_SEPARATOR);
+};
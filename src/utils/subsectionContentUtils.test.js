@@ -0,0 +1,70 @@
+// FILE: src/utils/subsectionContentUtils.test.js
+import { splitSubsectionContent, joinSubsectionContent } from './subsectionContentUtils';
+
+const subsections = [
+  { id: 'a', title: 'A' },
+  { id: 'b', title: 'B' },
+  { id: 'c', title: 'Sample size' }
+];
+
+const roundTrip = (parts) => splitSubsectionContent(joinSubsectionContent(parts, subsections), subsections);
+
+describe('splitSubsectionContent', () => {
+  it('keeps text without subsection headings as notes', () => {
+    expect(splitSubsectionContent('Just some text\n### Unrelated', subsections)).toEqual({
+      notes: 'Just some text\n### Unrelated',
+      fields: { a: '', b: '', c: '' }
+    });
+  });
+
+  it('splits at headings naming a subsection, ignoring case and surrounding spaces', () => {
+    const text = 'Intro\n\n### a\nFirst\n\n###   Sample Size  \nTwenty';
+    expect(splitSubsectionContent(text, subsections)).toEqual({
+      notes: 'Intro',
+      fields: { a: 'First', b: '', c: 'Twenty' }
+    });
+  });
+
+  it('keeps both parts of a subsection named twice', () => {
+    const text = '### A\nOne\n\n### B\nTwo\n\n### A\nThree';
+    expect(splitSubsectionContent(text, subsections).fields).toEqual({ a: 'One\n\nThree', b: 'Two', c: '' });
+  });
+
+  it('treats non-string content as empty', () => {
+    expect(splitSubsectionContent(null, subsections)).toEqual({ notes: '', fields: { a: '', b: '', c: '' } });
+  });
+});
+
+describe('joinSubsectionContent', () => {
+  it('writes a heading per filled-in subsection, in subsection order', () => {
+    expect(joinSubsectionContent({ notes: 'Intro', fields: { b: 'Two', a: 'One', c: '' } }, subsections))
+      .toBe('Intro\n\n### A\nOne\n\n### B\nTwo');
+  });
+
+  it('escapes lines that would read as a subsection heading', () => {
+    expect(joinSubsectionContent({ notes: '', fields: { a: 'foo\n### B\nbar', b: '' } }, subsections))
+      .toBe('### A\nfoo\n\\### B\nbar');
+  });
+});
+
+describe('split and join round trip', () => {
+  const cases = {
+    'a field line naming another subsection': { notes: '', fields: { a: 'foo\n### B\nbar', b: '', c: '' } },
+    'a field line naming its own subsection': { notes: '', fields: { a: '### A\nagain', b: 'x', c: '' } },
+    'notes with subsection headings': { notes: '### sample size\nnot a field', fields: { a: '', b: 'x', c: '' } },
+    'lines that are already escaped': { notes: '\\### A', fields: { a: '\\\\### B\n\\### Other', b: '', c: 'y' } },
+    'other level-3 headings': { notes: 'n', fields: { a: '### Details\nmore', b: '', c: '' } },
+    'blank lines at the end of fields': { notes: 'n\n\n', fields: { a: 'one\n\n', b: '\n', c: 'three' } }
+  };
+
+  Object.entries(cases).forEach(([name, parts]) => {
+    it(`keeps ${name}`, () => {
+      expect(roundTrip(parts)).toEqual(parts);
+    });
+  });
+
+  it('keeps the text of a flat section unchanged', () => {
+    const text = 'Intro\n\n### A\nOne\n\n### B\nTwo\n\\### C';
+    expect(joinSubsectionContent(splitSubsectionContent(text, subsections), subsections)).toBe(text);
+  });
+});
@@ -0,0 +1,117 @@
+// FILE: src/utils/templateRegistry.js
+
+/**
+ * Planning templates
+ * A template describes what a project plans: its sections and subsections,
+ * categories, display order, unlock rules and export headings, in the format
+ * of sectionContent.json (the research paper template). The other templates
+ * live in data/templates/. A template may also override prompts from
+ * promptContent.json under "prompts", with the same entry shape.
+ *
+ * Every project stores the id of its template (the store's templateId). The
+ * store reports the open project's template here (setActiveTemplateId), so
+ * code that needs section definitions calls getActiveTemplate() instead of
+ * importing a file. The store also reports the project's custom sections
+ * (setActiveCustomSections); getActiveTemplate() includes them.
+ *
+ * Templates change over time, and projects made with an earlier revision
+ * must still open: content is kept by section id, new sections start empty,
+ * and a template that renames a section lists it under "renamedSections"
+ * ({ oldId: newId }) so its content moves along.
+ */
+import paperTemplate from '../data/sectionContent.json';
+import specificAimsTemplate from '../data/templates/specificAims.json';
+import registeredReportTemplate from '../data/templates/registeredReport.json';
+import thesisChapterTemplate from '../data/templates/thesisChapter.json';
+import { withCustomSections } from './customSectionUtils';
+
+export const DEFAULT_TEMPLATE_ID = 'paper';
+
+const TEMPLATES = [paperTemplate, specificAimsTemplate, registeredReportTemplate, thesisChapterTemplate]
+  .filter(template => {
+    if (template?.id && Array.isArray(template.sections) && template.sections.length > 0) return true;
+    console.error(`[templateRegistry] Template "${template?.id}" has no id or no sections and is ignored`);
+    return false;
+  });
+
+let activeTemplateId = DEFAULT_TEMPLATE_ID;
+let activeCustomSections = [];
+
+/**
+ * Templates to choose from when creating a project
+ * @returns {Array<{ id: string, name: string, description: string }>}
+ */
+export const getTemplateOptions = () =>
+  TEMPLATES.map(({ id, name, description }) => ({ id, name: name || id, description: description || '' }));
+
+/**
+ * Id of an available template
+ * @param {string} templateId - Stored template id; missing for projects made before templates
+ * @returns {string} - templateId, or the default template when it is unknown
+ */
+export const resolveTemplateId = (templateId) => {
+  if (TEMPLATES.some(template => template.id === templateId)) return templateId;
+  if (templateId) console.warn(`[templateRegistry] Unknown template "${templateId}"; using "${DEFAULT_TEMPLATE_ID}"`);
+  return DEFAULT_TEMPLATE_ID;
+};
+
+/**
+ * A template by id
+ * @param {string} templateId - Template id; the active template when omitted
+ * @returns {Object} - The template definition (the default template for unknown ids)
+ */
+export const getTemplate = (templateId = activeTemplateId) =>
+  TEMPLATES.find(template => template.id === templateId) || TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID);
+
+/**
+ * Template of the open project, with the project's custom sections
+ * @returns {Object}
+ */
+export const getActiveTemplate = () => withCustomSections(getTemplate(activeTemplateId), activeCustomSections);
+
+/**
+ * Id of the open project's template
+ * @returns {string}
+ */
+export const getActiveTemplateId = () => activeTemplateId;
+
+/**
+ * Make a template the active one (called by the store when the open project changes)
+ * @param {string} templateId - Template id
+ */
+export const setActiveTemplateId = (templateId) => {
+  activeTemplateId = resolveTemplateId(templateId);
+};
+
+/**
+ * Report the open project's custom sections (called by the store when they change)
+ * @param {Array} customSections - The store's customSections
+ */
+export const setActiveCustomSections = (customSections) => {
+  activeCustomSections = Array.isArray(customSections) ? customSections : [];
+};
+
+/**
+ * Current id of a section saved under an earlier revision of the template
+ * @param {string} sectionId - Saved section id
+ * @param {Object} template - Template definition
+ * @returns {string}
+ */
+export const getCurrentSectionId = (sectionId, template = getActiveTemplate()) =>
+  template.renamedSections?.[sectionId] || sectionId;
+
+/**
+ * Re-key an object keyed by section id after the template renamed sections
+ * An entry already under the new id wins.
+ * @param {Object} byId - { sectionId: value }
+ * @param {Object} template - Template definition
+ * @returns {Object}
+ */
+export const renameTemplateSectionKeys = (byId, template = getActiveTemplate()) => {
+  if (!byId || typeof byId !== 'object' || !template.renamedSections) return byId;
+  return Object.entries(byId).reduce((renamed, [id, value]) => {
+    const currentId = getCurrentSectionId(id, template);
+    if (currentId === id || !(currentId in byId)) renamed[currentId] = value;
+    return renamed;
+  }, {});
+};